@@ -217,18 +217,29 @@ function determineRelationship(control, label) {
   return 'ancestor';
 }
 
+/**
+ * Parent in the flattened tree: the assigned slot for slotted nodes and the
+ * host element at the top of a shadow root
+ */
+function getComposedParent(element) {
+  if (element.assignedSlot) return element.assignedSlot;
+  if (element.parentElement) return element.parentElement;
+  const root = element.parentNode;
+  return root instanceof ShadowRoot ? root.host : null;
+}
+
 /**
  * Enhanced component boundary detection with ARIA awareness
  */
 function findSemanticBoundary(element, maxDepth = 8) {
   let candidates = [];
-  let current = element.parentElement;
+  let current = getComposedParent(element);
   let depth = 0;
   
   while (current && current.tagName !== 'BODY' && depth < maxDepth) {
     const score = calculateEnhancedBoundaryScore(current, element, depth);
     candidates.push({ element: current, score, depth });
-    current = current.parentElement;
+    current = getComposedParent(current);
     depth++;
   }
   
@@ -363,6 +374,7 @@ if (typeof module !== 'undefined' && module.exports) {
     findAssociatedLabel,
     findFormAssociations,
     findSemanticBoundary,
+    getComposedParent,
     calculateEnhancedBoundaryScore
   };
 }
\ No newline at end of file
@@ -14,6 +14,19 @@
   // Session → Tabs mapping (per Claude instance)
   const tabForSession = new Map(); // sessionId -> number[]
   const lastFocusedTabForSession = new Map(); // sessionId -> number
+  const groupForSession = new Map(); // sessionId -> tab group id
+
+  // Fingerprints of refs from the last snapshot, per tab and frame
+  const refFingerprints = new Map(); // `${tabId}:${frameId}` -> { ref: fingerprint }
+  const MAX_FINGERPRINT_FRAMES = 50;
+  const MAX_FINGERPRINTS_PER_FRAME = 2000;
+
+  // Each session's tabs live in their own tab group, titled and colored per session
+  const GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+
+  // Commands that work on the session's tab list themselves; they must not
+  // get a blank tab created for them when the session has none yet
+  const SESSION_LEVEL_COMMANDS = new Set(['tabs.list', 'tabs.select', 'tabs.new', 'tabs.close', 'tabs.adopt', 'session.close']);
 
   function recordSessionTab(sessionId, tabId) {
     if (typeof tabId !== 'number') return;
@@ -29,13 +42,85 @@
     log('recordSessionTab', { sessionId, tabId, list: [...list] });
   }
 
+  function sessionGroupStyle(sessionId) {
+    let hash = 0;
+    for (const ch of String(sessionId)) {
+      hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    }
+    return { title: `MCP ${String(sessionId).slice(0, 8)}`, color: GROUP_COLORS[hash % GROUP_COLORS.length] };
+  }
+
+  // Move a tab into the session's group in its window, creating the group
+  // (or finding it again by title after a service worker restart) if needed
+  async function groupSessionTab(sessionId, tabId) {
+    if (!sessionId || typeof tabId !== 'number' || !chrome.tabGroups) return;
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      const style = sessionGroupStyle(sessionId);
+      let groupId = groupForSession.get(sessionId);
+      const group = typeof groupId === 'number' ? await chrome.tabGroups.get(groupId).catch(() => null) : null;
+      if (!group || group.windowId !== tab.windowId) {
+        const [existing] = await chrome.tabGroups.query({ title: style.title, windowId: tab.windowId });
+        groupId = existing ? existing.id : undefined;
+      }
+      if (typeof groupId === 'number' && tab.groupId === groupId) return;
+
+      groupId = await chrome.tabs.group(typeof groupId === 'number'
+        ? { groupId, tabIds: [tabId] }
+        : { tabIds: [tabId], createProperties: { windowId: tab.windowId } });
+      groupForSession.set(sessionId, groupId);
+      await chrome.tabGroups.update(groupId, style);
+    } catch (err) {
+      warn('Could not add tab to session group', { sessionId, tabId, error: err && err.message });
+    }
+  }
+
+  function sessionOwningTab(tabId) {
+    for (const [sessionId, tabs] of tabForSession.entries()) {
+      if (tabs.includes(tabId)) return sessionId;
+    }
+    return null;
+  }
+
+  function forgetSessionTab(sessionId, tabId) {
+    const list = tabForSession.get(sessionId) || [];
+    const i = list.indexOf(tabId);
+    if (i >= 0) list.splice(i, 1);
+    if (lastFocusedTabForSession.get(sessionId) === tabId) {
+      if (list.length) {
+        lastFocusedTabForSession.set(sessionId, list[list.length - 1]);
+      } else {
+        lastFocusedTabForSession.delete(sessionId);
+      }
+    }
+  }
+
+  // The session's open tabs in window order; closed tabs are dropped from its list
+  async function sessionTabs(sessionId) {
+    const ids = tabForSession.get(sessionId) || [];
+    const tabs = [];
+    for (const id of ids) {
+      try {
+        tabs.push(await chrome.tabs.get(id));
+      } catch {
+        // closed meanwhile
+      }
+    }
+    if (tabs.length !== ids.length) {
+      ids.filter(id => !tabs.some(t => t.id === id)).forEach(id => forgetSessionTab(sessionId, id));
+    }
+    return tabs.sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index));
+  }
+
   async function ensureSessionTab(sessionId, preferredTabId) {
     log('ensureSessionTab: start', { sessionId, preferredTabId, last: lastFocusedTabForSession.get(sessionId) });
     // If an explicit tab is provided and exists, use it
     if (typeof preferredTabId === 'number') {
       try {
         await chrome.tabs.get(preferredTabId);
+        const known = (tabForSession.get(sessionId) || []).includes(preferredTabId);
         recordSessionTab(sessionId, preferredTabId);
+        if (!known) await groupSessionTab(sessionId, preferredTabId);
         return preferredTabId;
       } catch {
         // fallthrough to create/select
@@ -57,6 +142,7 @@
     // Create first tab for this session
     const created = await chrome.tabs.create({ url: 'about:blank', active: true });
     recordSessionTab(sessionId, created.id);
+    await groupSessionTab(sessionId, created.id);
     log('ensureSessionTab: created new tab', { sessionId, tabId: created.id, index: created.index });
     return created.id;
   }
@@ -82,6 +168,20 @@
     return activeTabId;
   }
 
+  async function resolveTabId(envelopeTabId) {
+    return typeof envelopeTabId === 'number' ? envelopeTabId : await getActiveTabId();
+  }
+
+  // Debugger-backed handlers share the per-tab state manager so attach/detach
+  // never race with each other (see debugger-state-manager.js)
+  function getDebuggerStateManager() {
+    const manager = self.__debuggerStateManager;
+    if (!manager) {
+      throw new Error('Debugger state manager not loaded');
+    }
+    return manager;
+  }
+
   async function waitForTabComplete(tabId) {
     return new Promise((resolve) => {
       const timeout = setTimeout(() => {
@@ -152,10 +252,13 @@
       return { result: value };
     });
 
-    messageHandlers.set('browser_wait', async ({ time = 1000 }) => {
-      await new Promise((resolve) => setTimeout(resolve, time));
+    // Tools send `time` in seconds (see WaitTool in src/types/tool.ts)
+    const handleWait = async ({ time = 1 }) => {
+      await new Promise((resolve) => setTimeout(resolve, time * 1000));
       return { success: true };
-    });
+    };
+    messageHandlers.set('browser_wait', handleWait);
+    messageHandlers.set('page.wait', handleWait);
 
     messageHandlers.set('browser_tabs_list', async ({ _envelopeTabId, sessionId }) => {
       const tabs = await chrome.tabs.query({});
@@ -193,17 +296,23 @@
       return { tabId };
     });
 
-    // Tabs API used by tools/tabs-unified.ts
-    messageHandlers.set('tabs.list', async ({ _envelopeTabId, sessionId }) => {
-      const tabs = await chrome.tabs.query({});
-      if (typeof _envelopeTabId === 'number' && sessionId) recordSessionTab(sessionId, _envelopeTabId);
-      return { tabs: tabs.map(t => ({ id: t.id, index: t.index, title: t.title, url: t.url, active: t.active })) };
+    // Tabs API used by tools/tabs-unified.ts. Every session only sees its own
+    // tabs (its tab group); indexes are positions in that list.
+    messageHandlers.set('tabs.list', async ({ sessionId }) => {
+      const tabs = await sessionTabs(sessionId);
+      const current = lastFocusedTabForSession.get(sessionId);
+      return {
+        tabs: tabs.map((t, i) => ({ id: t.id, index: i, title: t.title, url: t.url, active: t.id === current })),
+        tabId: tabs.some(t => t.id === current) ? current : undefined
+      };
     });
 
     messageHandlers.set('tabs.select', async ({ index, sessionId }) => {
-      const tabs = await chrome.tabs.query({});
-      const target = tabs.find(t => t.index === index);
-      if (!target) throw new Error('Tab index not found');
+      const tabs = await sessionTabs(sessionId);
+      const target = tabs[index];
+      if (!target) {
+        throw new Error(`No tab ${index} in this session (it has ${tabs.length}); use the adopt action to take over another tab`);
+      }
       await chrome.tabs.update(target.id, { active: true });
       recordSessionTab(sessionId, target.id);
       return { success: true, tabId: target.id };
@@ -211,130 +320,394 @@
 
     messageHandlers.set('tabs.new', async ({ url, sessionId }) => {
       const created = await chrome.tabs.create({ url: url || 'about:blank', active: true });
-      await waitForTabComplete(created.id).catch(() => {});
       recordSessionTab(sessionId, created.id);
-      return { tabId: created.id, index: created.index };
+      await groupSessionTab(sessionId, created.id);
+      await waitForTabComplete(created.id).catch(() => {});
+      const tabs = await sessionTabs(sessionId);
+      return { tabId: created.id, index: tabs.findIndex(t => t.id === created.id) };
     });
 
     messageHandlers.set('tabs.close', async ({ index, sessionId }) => {
-      const tabs = await chrome.tabs.query({});
-      const target = (typeof index === 'number') ? tabs.find(t => t.index === index) : tabs.find(t => t.active);
-      if (!target) return { success: false };
+      const tabs = await sessionTabs(sessionId);
+      const target = (typeof index === 'number')
+        ? tabs[index]
+        : tabs.find(t => t.id === lastFocusedTabForSession.get(sessionId));
+      if (!target) return { success: false, error: 'No such tab in this session' };
       try { await chrome.tabs.remove(target.id); } catch { return { success: false }; }
-      // Remove from session maps
-      const list = tabForSession.get(sessionId) || [];
-      const i = list.indexOf(target.id);
-      if (i >= 0) list.splice(i, 1);
-      if (lastFocusedTabForSession.get(sessionId) === target.id) lastFocusedTabForSession.delete(sessionId);
-      return { success: true };
+      forgetSessionTab(sessionId, target.id);
+      // The daemon drops its ownership of tabs listed in releasedTabIds
+      return { success: true, releasedTabIds: [String(target.id)], tabId: lastFocusedTabForSession.get(sessionId) };
     });
 
-    // Snapshot accessibility (minimal support for scaffold/minimal)
-    messageHandlers.set('snapshot.accessibility', async ({ level, mode, viewportOnly, _envelopeTabId }) => {
-      const tabId = typeof _envelopeTabId === 'number' ? _envelopeTabId : await getActiveTabId();
+    // Take over a tab opened by the user: by id, by part of its URL, or the
+    // tab the user is looking at. Tabs of other sessions cannot be adopted.
+    messageHandlers.set('tabs.adopt', async ({ tabId, url, sessionId }) => {
+      let target;
+      if (typeof tabId === 'number') {
+        target = await chrome.tabs.get(tabId).catch(() => null);
+      } else if (url) {
+        const tabs = await chrome.tabs.query({});
+        target = tabs.find(t => t.url && t.url.includes(url) && !sessionOwningTab(t.id))
+          || tabs.find(t => t.url && t.url.includes(url));
+      } else {
+        [target] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      }
+      if (!target) {
+        throw new Error(url ? `No open tab matches ${url}` : 'Tab not found');
+      }
+
+      const owner = sessionOwningTab(target.id);
+      if (owner && owner !== sessionId) {
+        throw new Error(`Tab ${target.id} belongs to another session`);
+      }
+      recordSessionTab(sessionId, target.id);
+      await groupSessionTab(sessionId, target.id);
+      const tabs = await sessionTabs(sessionId);
+      return { success: true, tabId: target.id, index: tabs.findIndex(t => t.id === target.id), title: target.title, url: target.url };
+    });
+
+    // The session is over: close its tabs, ungroup them, or leave them as they are
+    messageHandlers.set('session.close', async ({ tabs: mode = 'ungroup', sessionId }) => {
+      const tabIds = (await sessionTabs(sessionId)).map(t => t.id);
+      if (tabIds.length && mode === 'close') {
+        await chrome.tabs.remove(tabIds).catch(err => warn('Failed to close session tabs', err));
+      } else if (tabIds.length && mode === 'ungroup' && chrome.tabGroups) {
+        await chrome.tabs.ungroup(tabIds).catch(err => warn('Failed to ungroup session tabs', err));
+      }
+      tabForSession.delete(sessionId);
+      lastFocusedTabForSession.delete(sessionId);
+      groupForSession.delete(sessionId);
+      log('Session closed', { sessionId, mode, tabIds });
+      return { success: true, tabs: mode, releasedTabIds: tabIds.map(String) };
+    });
+
+    // Refs from sub-frames are qualified with their frameId ("f2:ref17").
+    // Plain refs ("ref17") belong to the top document (frameId 0).
+    function parseFrameRef(ref) {
+      const match = /^f(\d+):(.+)$/.exec(String(ref ?? ''));
+      return match ? { frameId: Number(match[1]), ref: match[2] } : { frameId: 0, ref };
+    }
+
+    function frameTarget(tabId, frameId) {
+      return frameId ? { tabId, frameIds: [frameId] } : { tabId };
+    }
+
+    async function storeRefFingerprints(tabId, frameId) {
+      const res = await chrome.scripting.executeScript({
+        target: frameTarget(tabId, frameId),
+        func: () => (window.__elementTracker && window.__elementTracker.exportFingerprints)
+          ? window.__elementTracker.exportFingerprints()
+          : {}
+      });
+      const key = `${tabId}:${frameId}`;
+      // Keep refs from earlier snapshots too; newer fingerprints win
+      const merged = { ...(refFingerprints.get(key) || {}), ...((res && res[0] && res[0].result) || {}) };
+      const refs = Object.keys(merged);
+      refs.slice(0, Math.max(0, refs.length - MAX_FINGERPRINTS_PER_FRAME)).forEach((ref) => { delete merged[ref]; });
+      refFingerprints.delete(key);
+      refFingerprints.set(key, merged);
+      if (refFingerprints.size > MAX_FINGERPRINT_FRAMES) {
+        refFingerprints.delete(refFingerprints.keys().next().value);
+      }
+    }
+
+    // Capture one frame's snapshot, injecting the snapshot scripts on demand.
+    // Content scripts only run in the top frame (all_frames: false), so
+    // sub-frames get the element tracker injected here as well.
+    async function captureFrameSnapshot(tabId, frameId, mode) {
+      const target = frameTarget(tabId, frameId);
+      if (frameId) {
+        await ensureElementTracker(tabId, frameId);
+      }
       // Scaffold mode
       if (mode === 'scaffold') {
         const hasFunc = await chrome.scripting.executeScript({
-          target: { tabId },
+          target,
           func: () => typeof window.captureEnhancedScaffoldSnapshot !== 'undefined'
         });
         if (!hasFunc[0].result) {
-          await chrome.scripting.executeScript({ target: { tabId }, files: ['scaffold-enhanced.js'] });
+          await chrome.scripting.executeScript({ target, files: ['shadow-dom-utils.js', 'scaffold-enhanced.js'] });
         }
         const res = await chrome.scripting.executeScript({
-          target: { tabId },
+          target,
           func: () => window.captureEnhancedScaffoldSnapshot ? window.captureEnhancedScaffoldSnapshot() : ''
         });
-        return { snapshot: res[0].result, tabId };
+        await storeRefFingerprints(tabId, frameId).catch((e) => warn('Fingerprint export failed:', e.message));
+        return res[0].result || '';
       }
 
       // Minimal/default mode
       // Ensure utilities
-      await chrome.scripting.executeScript({ target: { tabId }, files: ['accessibility-utils.js'] }).catch(() => {});
+      await chrome.scripting.executeScript({ target, files: ['accessibility-utils.js'] }).catch(() => {});
       const hasMinimal = await chrome.scripting.executeScript({
-        target: { tabId },
+        target,
         func: () => typeof window.captureEnhancedMinimalSnapshot !== 'undefined'
       });
       if (!hasMinimal[0].result) {
-        await chrome.scripting.executeScript({ target: { tabId }, files: ['minimal-enhanced.js'] });
+        await chrome.scripting.executeScript({ target, files: ['shadow-dom-utils.js', 'minimal-enhanced.js'] });
       }
       const res = await chrome.scripting.executeScript({
-        target: { tabId },
+        target,
         func: () => window.captureEnhancedMinimalSnapshot ? window.captureEnhancedMinimalSnapshot({ page: 1 }) : ''
       });
-      return { snapshot: res[0].result, tabId };
+      await storeRefFingerprints(tabId, frameId).catch((e) => warn('Fingerprint export failed:', e.message));
+      return res[0].result || '';
+    }
+
+    const MAX_SNAPSHOT_FRAMES = 10;
+
+    // Append a section per iframe with frame-qualified refs. Frames we cannot
+    // script (chrome-error pages, sandboxed or detached frames) are skipped.
+    async function captureSubFrameSnapshots(tabId, mode) {
+      let frames = [];
+      try {
+        frames = (await chrome.webNavigation.getAllFrames({ tabId })) || [];
+      } catch (e) {
+        warn('Could not list frames for tab', tabId, e.message);
+        return '';
+      }
+
+      let output = '';
+      const subFrames = frames.filter((f) => f.frameId !== 0 && !f.errorOccurred).slice(0, MAX_SNAPSHOT_FRAMES);
+      for (const frame of subFrames) {
+        try {
+          const text = await captureFrameSnapshot(tabId, frame.frameId, mode);
+          if (!text.trim()) continue;
+          const qualified = text.replace(/\[ref=(ref\d+)\]/g, `[ref=f${frame.frameId}:$1]`);
+          output += `\n\n--- iframe f${frame.frameId} (${frame.url}) ---\n${qualified}`;
+        } catch (e) {
+          log('Skipping frame', frame.frameId, frame.url, e.message);
+        }
+      }
+      if (frames.length - 1 > MAX_SNAPSHOT_FRAMES) {
+        output += `\n\n(${frames.length - 1 - MAX_SNAPSHOT_FRAMES} more iframes not shown)`;
+      }
+      return output;
+    }
+
+    // Last full snapshot per tab and mode, with the documents it was taken
+    // from, used as the base for diffs
+    const lastSnapshots = new Map();
+    const MAX_STORED_SNAPSHOTS = 50;
+
+    function rememberSnapshot(key, entry) {
+      lastSnapshots.delete(key);
+      lastSnapshots.set(key, entry);
+      if (lastSnapshots.size > MAX_STORED_SNAPSHOTS) {
+        lastSnapshots.delete(lastSnapshots.keys().next().value);
+      }
+    }
+
+    // Frame id -> performance.timeOrigin of the document loaded in it, which
+    // changes on every reload even when the URL does not
+    async function documentOrigins(tabId) {
+      try {
+        const results = await chrome.scripting.executeScript({
+          target: { tabId, allFrames: true },
+          func: () => performance.timeOrigin
+        });
+        return Object.fromEntries((results || []).map((r) => [r.frameId, r.result]));
+      } catch (e) {
+        warn('Could not read document origins for tab', tabId, e.message);
+        return {};
+      }
+    }
+
+    // Snapshot accessibility (scaffold/minimal), descending into iframes.
+    // diff: true returns only what changed since the previous snapshot of the
+    // tab, unless there is no comparable base or the diff is not smaller.
+    messageHandlers.set('snapshot.accessibility', async ({ level, mode, viewportOnly, diff = false, _envelopeTabId }) => {
+      const tabId = typeof _envelopeTabId === 'number' ? _envelopeTabId : await getActiveTabId();
+      const snapshot = await captureFrameSnapshot(tabId, 0, mode);
+      const frameSections = await captureSubFrameSnapshots(tabId, mode);
+      const full = snapshot + frameSections;
+      const documents = await documentOrigins(tabId);
+
+      const key = `${tabId}:${mode === 'scaffold' ? 'scaffold' : 'minimal'}`;
+      const previous = lastSnapshots.get(key);
+      rememberSnapshot(key, { snapshot: full, documents });
+
+      if (diff && self.SnapshotDiff) {
+        const changes = self.SnapshotDiff.diffSnapshots(previous && previous.snapshot, full, {
+          before: previous && previous.documents,
+          after: documents
+        });
+        if (changes) {
+          const text = self.SnapshotDiff.formatSnapshotDiff(changes);
+          if (text.length < full.length) {
+            return { snapshot: text, isDiff: true, diff: changes, tabId };
+          }
+        }
+      }
+      return { snapshot: full, isDiff: false, tabId };
     });
 
     // Element tracker helpers
-    async function ensureElementTracker(tabId) {
-      const check = await chrome.scripting.executeScript({ target: { tabId }, func: () => typeof window.__elementTracker !== 'undefined' });
+    async function ensureElementTracker(tabId, frameId = 0) {
+      const target = frameTarget(tabId, frameId);
+      const check = await chrome.scripting.executeScript({ target, func: () => typeof window.__elementTracker !== 'undefined' });
       if (!check[0].result) {
-        await chrome.scripting.executeScript({ target: { tabId }, files: ['element-tracker.js', 'element-validator.js'] });
+        await chrome.scripting.executeScript({ target, files: ['shadow-dom-utils.js', 'element-tracker.js', 'element-validator.js'] });
       }
     }
 
-    messageHandlers.set('dom.click', async ({ ref, _envelopeTabId }) => {
-      const tabId = typeof _envelopeTabId === 'number' ? _envelopeTabId : await getActiveTabId();
-      await ensureElementTracker(tabId);
+    // Resolve a ref in the page, re-matching it by fingerprint if the element
+    // was re-rendered. The fingerprint kept here also covers navigations that
+    // replaced the page-side tracker.
+    async function resolveElementRef(tabId, frameId, ref) {
+      const fingerprint = refFingerprints.get(`${tabId}:${frameId}`)?.[ref] || null;
       const res = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: (ref) => {
-          const el = window.__elementTracker?.get(ref);
-          if (el) { el.click(); return true; }
-          return false;
+        target: frameTarget(tabId, frameId),
+        func: (ref, fingerprint) => {
+          const tracker = window.__elementTracker;
+          if (!tracker || typeof tracker.resolve !== 'function') {
+            return { found: false, rematched: false, confidence: 0 };
+          }
+          const { element, rematched, confidence, ambiguous } = tracker.resolve(ref, fingerprint || undefined);
+          return { found: !!element, rematched, confidence, ambiguous: !!ambiguous };
         },
-        args: [ref]
+        args: [ref, fingerprint]
       });
-      return { success: !!(res && res[0] && res[0].result), tabId };
+      return (res && res[0] && res[0].result) || { found: false, rematched: false, confidence: 0 };
+    }
+
+    // Make sure a ref can be acted on; returns re-match fields for the response
+    async function prepareRef(tabId, frameId, ref) {
+      await ensureElementTracker(tabId, frameId);
+      const resolution = await resolveElementRef(tabId, frameId, ref);
+      if (resolution.ambiguous) {
+        throw new Error(`Element ${ref} is gone and several elements match it equally well; take a new snapshot`);
+      }
+      if (resolution.rematched) {
+        log(`Stale ref ${ref} re-matched with confidence ${resolution.confidence}`);
+        return { rematched: true, rematchConfidence: resolution.confidence };
+      }
+      return {};
+    }
+
+    function mergeRematch(a, b) {
+      if (!a.rematched) return b;
+      if (!b.rematched) return a;
+      return { rematched: true, rematchConfidence: Math.min(a.rematchConfidence, b.rematchConfidence) };
+    }
+
+    // trusted: true routes input through the debugger (real, isTrusted events).
+    // If the debugger cannot attach we fall back to synthetic events and say so.
+    // Any other error is passed on: input may already have been dispatched, and
+    // repeating it synthetically would click or type twice.
+    async function withTrustedFallback(trusted, runTrusted, runSynthetic) {
+      if (!trusted) {
+        return runSynthetic();
+      }
+      if (!self.TrustedInput) {
+        const result = await runSynthetic();
+        return { ...result, trusted: false, fallbackReason: 'Trusted input not loaded' };
+      }
+      try {
+        const result = await runTrusted();
+        return { ...result, trusted: true };
+      } catch (err) {
+        if (!err || !err.debuggerUnavailable) {
+          throw err;
+        }
+        const reason = err.message;
+        warn('Trusted input unavailable, falling back to synthetic events:', reason);
+        const result = await runSynthetic();
+        return { ...result, trusted: false, fallbackReason: reason };
+      }
+    }
+
+    messageHandlers.set('dom.click', async ({ ref: frameRef, trusted = false, _envelopeTabId }) => {
+      const tabId = typeof _envelopeTabId === 'number' ? _envelopeTabId : await getActiveTabId();
+      const { frameId, ref } = parseFrameRef(frameRef);
+      const rematch = await prepareRef(tabId, frameId, ref);
+      const result = await withTrustedFallback(
+        trusted,
+        () => self.TrustedInput.click(tabId, ref, frameId),
+        async () => {
+          const res = await chrome.scripting.executeScript({
+            target: frameTarget(tabId, frameId),
+            func: (ref) => {
+              const el = window.__elementTracker?.getElementById(ref);
+              if (el) { el.click(); return true; }
+              return false;
+            },
+            args: [ref]
+          });
+          return { success: !!(res && res[0] && res[0].result) };
+        }
+      );
+      return { ...result, ...rematch, tabId };
     });
 
-    messageHandlers.set('dom.hover', async ({ ref, _envelopeTabId }) => {
+    messageHandlers.set('dom.hover', async ({ ref: frameRef, trusted = false, _envelopeTabId }) => {
       const tabId = typeof _envelopeTabId === 'number' ? _envelopeTabId : await getActiveTabId();
-      await ensureElementTracker(tabId);
-      const res = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: (ref) => {
-          const el = window.__elementTracker?.get(ref);
-          if (!el) return false;
-          const evt = new MouseEvent('mouseover', { view: window, bubbles: true, cancelable: true });
-          el.dispatchEvent(evt);
-          return true;
-        },
-        args: [ref]
-      });
-      return { success: !!(res && res[0] && res[0].result), tabId };
+      const { frameId, ref } = parseFrameRef(frameRef);
+      const rematch = await prepareRef(tabId, frameId, ref);
+      const result = await withTrustedFallback(
+        trusted,
+        () => self.TrustedInput.hover(tabId, ref, frameId),
+        async () => {
+          const res = await chrome.scripting.executeScript({
+            target: frameTarget(tabId, frameId),
+            func: (ref) => {
+              const el = window.__elementTracker?.getElementById(ref);
+              if (!el) return false;
+              const evt = new MouseEvent('mouseover', { view: window, bubbles: true, cancelable: true });
+              el.dispatchEvent(evt);
+              return true;
+            },
+            args: [ref]
+          });
+          return { success: !!(res && res[0] && res[0].result) };
+        }
+      );
+      return { ...result, ...rematch, tabId };
     });
 
-    messageHandlers.set('dom.type', async ({ ref, text, submit, _envelopeTabId }) => {
+    messageHandlers.set('dom.type', async ({ ref: frameRef, text, submit, trusted = false, _envelopeTabId }) => {
       const tabId = typeof _envelopeTabId === 'number' ? _envelopeTabId : await getActiveTabId();
-      await ensureElementTracker(tabId);
-      const res = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: (ref, text, submit) => {
-          const el = window.__elementTracker?.get(ref);
-          if (!el) return false;
-          if (el.tagName !== 'INPUT' && el.tagName !== 'TEXTAREA') return false;
-          el.value = text;
-          el.dispatchEvent(new Event('input', { bubbles: true }));
-          el.dispatchEvent(new Event('change', { bubbles: true }));
-          if (submit) {
-            const form = el.closest('form');
-            if (form) form.submit();
-          }
-          return true;
-        },
-        args: [ref, text, !!submit]
-      });
-      return { success: !!(res && res[0] && res[0].result), tabId };
+      const { frameId, ref } = parseFrameRef(frameRef);
+      const rematch = await prepareRef(tabId, frameId, ref);
+      const result = await withTrustedFallback(
+        trusted,
+        () => self.TrustedInput.type(tabId, ref, String(text ?? ''), !!submit, frameId),
+        async () => {
+          const res = await chrome.scripting.executeScript({
+            target: frameTarget(tabId, frameId),
+            func: (ref, text, submit) => {
+              const el = window.__elementTracker?.getElementById(ref);
+              if (!el) return false;
+              if (el.tagName !== 'INPUT' && el.tagName !== 'TEXTAREA') return false;
+              // Use the native setter so framework-controlled inputs (React) see the change
+              const proto = el.tagName === 'INPUT' ? HTMLInputElement.prototype : HTMLTextAreaElement.prototype;
+              const setter = Object.getOwnPropertyDescriptor(proto, 'value').set;
+              setter.call(el, text);
+              el.dispatchEvent(new Event('input', { bubbles: true }));
+              el.dispatchEvent(new Event('change', { bubbles: true }));
+              if (submit) {
+                const form = el.closest('form');
+                // requestSubmit runs validation and submit handlers, unlike submit()
+                if (form) form.requestSubmit ? form.requestSubmit() : form.submit();
+              }
+              return true;
+            },
+            args: [ref, text, !!submit]
+          });
+          return { success: !!(res && res[0] && res[0].result) };
+        }
+      );
+      return { ...result, ...rematch, tabId };
     });
 
-    messageHandlers.set('dom.select', async ({ ref, values, _envelopeTabId }) => {
+    messageHandlers.set('dom.select', async ({ ref: frameRef, values, _envelopeTabId }) => {
       const tabId = typeof _envelopeTabId === 'number' ? _envelopeTabId : await getActiveTabId();
-      await ensureElementTracker(tabId);
+      const { frameId, ref } = parseFrameRef(frameRef);
+      const rematch = await prepareRef(tabId, frameId, ref);
       const res = await chrome.scripting.executeScript({
-        target: { tabId },
+        target: frameTarget(tabId, frameId),
         func: (ref, values) => {
-          const el = window.__elementTracker?.get(ref);
+          const el = window.__elementTracker?.getElementById(ref);
           if (!el || el.tagName !== 'SELECT') return false;
           Array.from(el.options).forEach(o => { o.selected = false; });
           (values || []).forEach(v => {
@@ -346,7 +719,7 @@
         },
         args: [ref, values]
       });
-      return { success: !!(res && res[0] && res[0].result), tabId };
+      return { success: !!(res && res[0] && res[0].result), ...rematch, tabId };
     });
 
     // Simple screenshot of visible tab
@@ -355,11 +728,473 @@
       const dataUrl = await chrome.tabs.captureVisibleTab(undefined, { format: 'png' });
       return { data: dataUrl, tabId };
     });
+
+    // Screenshot with format options sent by the browser_screenshot tool.
+    // Resizing and compression happen server-side (src/tools/custom.ts).
+    messageHandlers.set('browser_screenshot', async ({ format = 'jpeg', jpegQuality, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      const tab = await chrome.tabs.get(tabId);
+      if (!tab.active) {
+        await chrome.tabs.update(tabId, { active: true });
+      }
+      // captureVisibleTab only knows jpeg and png
+      const options = format === 'jpeg'
+        ? { format: 'jpeg', quality: jpegQuality || 90 }
+        : { format: 'png' };
+      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, options);
+      const originalSizeKB = Math.round(((dataUrl.length - dataUrl.indexOf(',') - 1) * 0.75) / 1024);
+      return { data: dataUrl, originalSizeKB, tabId };
+    });
+
+    // Navigation aliases declared in SocketMessageMap
+    messageHandlers.set('page.navigate', async (payload) => {
+      return messageHandlers.get('browser_navigate')({ ...payload, action: 'goto' });
+    });
+    messageHandlers.set('page.goBack', (payload) => messageHandlers.get('browser_go_back')(payload));
+    messageHandlers.set('page.goForward', (payload) => messageHandlers.get('browser_go_forward')(payload));
+
+    // Legacy expression evaluation shares the js.execute path
+    messageHandlers.set('js.evaluate', async ({ expression, _envelopeTabId, sessionId }) => {
+      if (!expression) {
+        throw new Error('js.evaluate requires expression');
+      }
+      return messageHandlers.get('js.execute')({ code: expression, _envelopeTabId, sessionId });
+    });
+
+    messageHandlers.set('snapshot.query', async ({ selector, all = false, _envelopeTabId }) => {
+      if (!selector) {
+        throw new Error('snapshot.query requires selector');
+      }
+      const tabId = await resolveTabId(_envelopeTabId);
+      await ensureElementTracker(tabId);
+      const res = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: (selector, all) => {
+          const describe = (el) => {
+            let label = el.tagName.toLowerCase();
+            if (el.id) label += `#${el.id}`;
+            const text = (el.getAttribute('aria-label') || el.textContent || el.value || '').trim().replace(/\s+/g, ' ');
+            if (text) label += ` "${text.slice(0, 60)}"`;
+            return label;
+          };
+          const elements = all
+            ? Array.from(document.querySelectorAll(selector))
+            : [document.querySelector(selector)].filter(Boolean);
+          return elements.map((el) => ({
+            ref: window.__elementTracker.getElementId(el),
+            element: describe(el)
+          }));
+        },
+        args: [selector, !!all]
+      });
+      const matches = (res && res[0] && res[0].result) || [];
+      await storeRefFingerprints(tabId, 0).catch((e) => warn('Fingerprint export failed:', e.message));
+      if (all) {
+        return matches;
+      }
+      if (matches.length === 0) {
+        throw new Error(`No element matches selector: ${selector}`);
+      }
+      return matches[0];
+    });
+
+    // Structural fingerprint of the page for hint matching, with live match
+    // counts for the given selectors (hint selector guards)
+    messageHandlers.set('page.fingerprint', async ({ selectors = [], _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      const target = { tabId };
+      const loaded = await chrome.scripting.executeScript({
+        target,
+        func: () => typeof window.captureStructuralFingerprint !== 'undefined'
+      });
+      if (!loaded[0].result) {
+        await chrome.scripting.executeScript({ target, files: ['shadow-dom-utils.js', 'minimal-enhanced.js'] });
+      }
+      const res = await chrome.scripting.executeScript({
+        target,
+        func: (selectors) => window.captureStructuralFingerprint({ selectors }),
+        args: [selectors]
+      });
+      if (!res || !res[0] || !res[0].result) {
+        throw new Error('Page fingerprint script returned no result');
+      }
+      return { ...res[0].result, tabId };
+    });
+
+    // Synthetic key press on the focused element
+    const handlePressKey = async ({ key, _envelopeTabId }) => {
+      if (!key) {
+        throw new Error('Key press requires key');
+      }
+      const tabId = await resolveTabId(_envelopeTabId);
+      const res = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: (key) => {
+          const target = document.activeElement || document.body;
+          const init = { key, bubbles: true, cancelable: true, composed: true };
+          if (key.length === 1) {
+            init.code = /[a-z]/i.test(key) ? `Key${key.toUpperCase()}` : (/\d/.test(key) ? `Digit${key}` : '');
+          } else {
+            init.code = key;
+          }
+          const proceed = target.dispatchEvent(new KeyboardEvent('keydown', init));
+          if (proceed) {
+            const editable = target.isContentEditable || target.tagName === 'TEXTAREA' ||
+              (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(target.type));
+            if (key.length === 1) {
+              target.dispatchEvent(new KeyboardEvent('keypress', init));
+              if (editable && !target.isContentEditable) {
+                target.setRangeText(key, target.selectionStart ?? target.value.length, target.selectionEnd ?? target.value.length, 'end');
+                target.dispatchEvent(new InputEvent('input', { bubbles: true, data: key, inputType: 'insertText' }));
+              }
+            } else if (key === 'Enter' && target.form && target.tagName === 'INPUT') {
+              target.form.requestSubmit ? target.form.requestSubmit() : target.form.submit();
+            } else if (key === 'Backspace' && editable && !target.isContentEditable && target.value) {
+              const start = target.selectionStart ?? target.value.length;
+              const end = target.selectionEnd ?? start;
+              target.setRangeText('', start === end ? Math.max(0, start - 1) : start, end, 'end');
+              target.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+            }
+          }
+          target.dispatchEvent(new KeyboardEvent('keyup', init));
+          return true;
+        },
+        args: [key]
+      });
+      return { success: !!(res && res[0] && res[0].result), tabId };
+    };
+    const handleKeyPress = async (payload) => {
+      const { key, trusted = false, _envelopeTabId } = payload;
+      const tabId = await resolveTabId(_envelopeTabId);
+      const result = await withTrustedFallback(
+        trusted,
+        () => self.TrustedInput.pressKey(tabId, key),
+        () => handlePressKey({ ...payload, _envelopeTabId: tabId })
+      );
+      return { ...result, tabId };
+    };
+    messageHandlers.set('keyboard.press', handleKeyPress);
+    messageHandlers.set('browser_press_key', handleKeyPress);
+
+    messageHandlers.set('dom.drag', async ({ ref: frameRef, targetRef: frameTargetRef, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      const { frameId, ref } = parseFrameRef(frameRef);
+      const { frameId: targetFrameId, ref: targetRef } = parseFrameRef(frameTargetRef);
+      if (frameId !== targetFrameId) {
+        throw new Error('Drag source and target must be in the same frame');
+      }
+      const rematch = mergeRematch(
+        await prepareRef(tabId, frameId, ref),
+        await prepareRef(tabId, frameId, targetRef)
+      );
+      const res = await chrome.scripting.executeScript({
+        target: frameTarget(tabId, frameId),
+        func: (ref, targetRef) => {
+          const source = window.__elementTracker?.getElementById(ref);
+          const target = window.__elementTracker?.getElementById(targetRef);
+          if (!source || !target) return false;
+          const center = (el) => {
+            const rect = el.getBoundingClientRect();
+            return { clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 };
+          };
+          const dataTransfer = new DataTransfer();
+          const fire = (el, type, point) => el.dispatchEvent(new DragEvent(type, {
+            bubbles: true, cancelable: true, composed: true, dataTransfer, ...point
+          }));
+          const from = center(source);
+          const to = center(target);
+          source.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, ...from }));
+          fire(source, 'dragstart', from);
+          fire(target, 'dragenter', to);
+          fire(target, 'dragover', to);
+          fire(target, 'drop', to);
+          fire(source, 'dragend', to);
+          target.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, ...to }));
+          return true;
+        },
+        args: [ref, targetRef]
+      });
+      return { success: !!(res && res[0] && res[0].result), ...rematch, tabId };
+    });
+
+    // Console logs: prefer the debugger buffer (includes page-load history),
+    // fall back to what content.js captured in the isolated world
+    messageHandlers.set('console.get', async ({ filter, type, limit = 1000, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      const manager = self.__debuggerStateManager;
+      if (manager && manager.isAttached(tabId)) {
+        const all = manager.getTabData(tabId).console;
+        let logs = all;
+        if (type) logs = logs.filter((entry) => entry.type === type);
+        if (filter) {
+          const needle = filter.toLowerCase();
+          logs = logs.filter((entry) => JSON.stringify(entry).toLowerCase().includes(needle));
+        }
+        const filteredCount = logs.length;
+        return {
+          debuggerAttached: true,
+          capturedFromStart: all.some((entry) => entry.buffered),
+          totalCount: all.length,
+          filteredCount,
+          logs: logs.slice(-limit),
+          tabId
+        };
+      }
+
+      const res = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: (filter, type, limit) => {
+          let logs = Array.isArray(window.__consoleLogs) ? window.__consoleLogs : [];
+          if (type) logs = logs.filter((entry) => entry.type === type);
+          if (filter) {
+            const needle = filter.toLowerCase();
+            logs = logs.filter((entry) => JSON.stringify(entry.args).toLowerCase().includes(needle));
+          }
+          return logs.slice(-limit).map((entry) => ({
+            type: entry.type,
+            args: (entry.args || []).map((arg) => {
+              if (typeof arg === 'string') return arg;
+              try { return JSON.stringify(arg); } catch { return String(arg); }
+            })
+          }));
+        },
+        args: [filter || null, type || null, limit]
+      });
+      return { logs: (res && res[0] && res[0].result) || [], tabId };
+    });
+
+    messageHandlers.set('debugger.attach', async ({ domains, networkCapture, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      const manager = getDebuggerStateManager();
+      // Set capture options first so requests seen right after attach are covered
+      manager.setNetworkCapture(tabId, networkCapture || {});
+      const result = await manager.ensureAttached(tabId, domains);
+      return { success: !!result.success, tabId };
+    });
+
+    messageHandlers.set('debugger.detach', async ({ _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      const result = await getDebuggerStateManager().ensureDetached(tabId);
+      // Detaching ends Fetch interception, so the tab's rules no longer apply
+      self.NetworkInterceptor?.forgetTab(tabId);
+      return { success: !!result.success, tabId };
+    });
+
+    messageHandlers.set('debugger.getData', async ({ type, limit = 50, filter, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      const result = await getDebuggerStateManager().getData(tabId, type, limit, filter || null);
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      return { data: result.data, tabId };
+    });
+
+    messageHandlers.set('network.getRequests', async ({ _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      const manager = getDebuggerStateManager();
+      if (!manager.isAttached(tabId)) {
+        throw new Error('Debugger not attached to this tab. Use browser_debugger attach first.');
+      }
+      return { requests: manager.getTabData(tabId).network, tabId };
+    });
+
+    function getNetworkInterceptor() {
+      if (!self.NetworkInterceptor) {
+        throw new Error('Network interceptor not loaded');
+      }
+      return self.NetworkInterceptor;
+    }
+
+    messageHandlers.set('network.addRule', async ({ rule, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { rule: await getNetworkInterceptor().addRule(tabId, rule), tabId };
+    });
+
+    messageHandlers.set('network.listRules', async ({ _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { rules: getNetworkInterceptor().listRules(tabId), tabId };
+    });
+
+    messageHandlers.set('network.removeRule', async ({ ruleId, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { removed: await getNetworkInterceptor().removeRule(tabId, ruleId), tabId };
+    });
+
+    function getStorageManager() {
+      if (!self.StorageManager) {
+        throw new Error('Storage manager not loaded');
+      }
+      return self.StorageManager;
+    }
+
+    messageHandlers.set('storage.getCookies', async ({ url, name, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { cookies: await getStorageManager().getCookies(tabId, url, name), tabId };
+    });
+
+    messageHandlers.set('storage.setCookie', async ({ cookie, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { cookie: await getStorageManager().setCookie(tabId, cookie), tabId };
+    });
+
+    messageHandlers.set('storage.deleteCookies', async ({ url, name, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { removed: await getStorageManager().deleteCookies(tabId, url, name), tabId };
+    });
+
+    messageHandlers.set('storage.get', async ({ area, url, key, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { ...(await getStorageManager().getStorage(tabId, area, url, key)), tabId };
+    });
+
+    messageHandlers.set('storage.set', async ({ area, url, entries, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { ...(await getStorageManager().setStorage(tabId, area, url, entries)), tabId };
+    });
+
+    messageHandlers.set('storage.delete', async ({ area, url, keys, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { ...(await getStorageManager().deleteStorage(tabId, area, url, keys)), tabId };
+    });
+
+    messageHandlers.set('storage.clearSiteData', async ({ url, dataTypes, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { ...(await getStorageManager().clearSiteData(tabId, url, dataTypes)), tabId };
+    });
+
+    messageHandlers.set('storage.exportState', async ({ url, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { state: await getStorageManager().exportState(tabId, url), tabId };
+    });
+
+    messageHandlers.set('storage.importState', async ({ state, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      return { ...(await getStorageManager().importState(tabId, state)), tabId };
+    });
+
+    messageHandlers.set('dialog.handle', async ({ accept, promptText, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      const manager = getDebuggerStateManager();
+      await manager.ensureAttached(tabId, []);
+      await manager.sendCommand(tabId, 'Page.enable', {});
+      await manager.sendCommand(tabId, 'Page.handleJavaScriptDialog', {
+        accept: !!accept,
+        ...(typeof promptText === 'string' ? { promptText } : {})
+      });
+      return { success: true, tabId };
+    });
+
+    // Action feedback (feedback-collector.js is injected as a content script)
+    messageHandlers.set('feedback.start', async ({ action, ref, _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      await ensureElementTracker(tabId);
+      // The collector observes the top document; iframe refs get no element
+      const { frameId, ref: localRef } = parseFrameRef(ref);
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        func: (action, ref, localRef) => {
+          const element = localRef ? window.__elementTracker?.getElementById(localRef) : null;
+          window.__feedbackCollector?.startCollection(action, ref, element);
+        },
+        args: [action, ref || null, ref && frameId === 0 ? localRef : null]
+      });
+      return { tabId };
+    });
+
+    messageHandlers.set('feedback.stop', async ({ _envelopeTabId }) => {
+      const tabId = await resolveTabId(_envelopeTabId);
+      const res = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => window.__feedbackCollector ? window.__feedbackCollector.stopCollection() : null
+      });
+      const bundle = res && res[0] ? res[0].result : null;
+      if (!bundle) {
+        throw new Error('No feedback collection in progress');
+      }
+      return { ...bundle, tabId };
+    });
+  }
+
+  // A new document numbers its refs from ref1 again, so refs from the old one
+  // must not be re-matched there. A top-level navigation replaces every frame.
+  function forgetRefFingerprints(tabId, frameId) {
+    for (const key of [...refFingerprints.keys()]) {
+      if (frameId === 0 ? key.startsWith(`${tabId}:`) : key === `${tabId}:${frameId}`) {
+        refFingerprints.delete(key);
+      }
+    }
+  }
+
+  // Tell every session that uses the tab that its top document navigated,
+  // so MCP servers can send resources/updated notifications
+  function onNavigationCommitted(details) {
+    forgetRefFingerprints(details.tabId, details.frameId);
+    if (details.frameId !== 0 || !connectionManager) return;
+    for (const [sessionId, tabs] of tabForSession.entries()) {
+      if (!tabs.includes(details.tabId)) continue;
+      connectionManager.send({
+        type: 'event',
+        sessionId,
+        name: 'tab.navigated',
+        tabId: details.tabId,
+        payload: { tabId: details.tabId, url: details.url, transitionType: details.transitionType }
+      });
+    }
+  }
+
+  async function tabExists(tabId) {
+    try {
+      await chrome.tabs.get(tabId);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // The daemon asks after (re)connecting which session tabs are still open:
+  // merge what it remembers with our own map, drop closed tabs and report back
+  async function handleResync(msg) {
+    const remembered = (msg.sessions && typeof msg.sessions === 'object') ? msg.sessions : {};
+    const sessionIds = new Set([...Object.keys(remembered), ...tabForSession.keys()]);
+    const sessions = {};
+
+    for (const sessionId of sessionIds) {
+      const fromDaemon = (remembered[sessionId]?.tabIds || []).map(Number).filter(Number.isInteger);
+      const candidates = [...new Set([...(tabForSession.get(sessionId) || []), ...fromDaemon])];
+      const alive = [];
+      for (const tabId of candidates) {
+        if (await tabExists(tabId)) alive.push(tabId);
+      }
+
+      if (alive.length) {
+        tabForSession.set(sessionId, alive);
+        for (const tabId of alive) await groupSessionTab(sessionId, tabId);
+      } else {
+        tabForSession.delete(sessionId);
+      }
+      const daemonCurrent = Number(remembered[sessionId]?.currentTabId);
+      const current = [lastFocusedTabForSession.get(sessionId), daemonCurrent].find(id => alive.includes(id))
+        ?? alive[alive.length - 1];
+      if (current !== undefined) {
+        lastFocusedTabForSession.set(sessionId, current);
+      } else {
+        lastFocusedTabForSession.delete(sessionId);
+      }
+      sessions[sessionId] = { tabIds: alive.map(String), currentTabId: current !== undefined ? String(current) : null };
+    }
+
+    log('Resync with daemon', sessions);
+    connectionManager.send({ type: 'resyncAck', sessions });
   }
 
   async function handleMessage(msg) {
     if (!msg || typeof msg !== 'object') return;
 
+    if (msg.type === 'resync') {
+      await handleResync(msg);
+      return;
+    }
+
     // Protocol v2: Extract envelope fields (including tabId!)
     const { wireId, sessionId, originId, type, name, payload, tabId } = msg;
 
@@ -382,9 +1217,18 @@
     }
 
     try {
-      // Resolve a target tab for this session if not explicitly provided
-      const resolvedTabId = typeof tabId === 'number' ? tabId : await ensureSessionTab(sessionId);
-      recordSessionTab(sessionId, resolvedTabId);
+      // Resolve a target tab for this session if not explicitly provided.
+      // The daemon sends tab ids as strings (they come from HTTP headers).
+      const envelopeTabId = typeof tabId === 'string' && /^\d+$/.test(tabId) ? Number(tabId) : tabId;
+      let resolvedTabId;
+      if (SESSION_LEVEL_COMMANDS.has(commandType)) {
+        resolvedTabId = lastFocusedTabForSession.get(sessionId);
+      } else {
+        resolvedTabId = typeof envelopeTabId === 'number'
+          ? await ensureSessionTab(sessionId, envelopeTabId)
+          : await ensureSessionTab(sessionId);
+        recordSessionTab(sessionId, resolvedTabId);
+      }
 
       // Pass payload PLUS resolved tab and session context to handler
       const handlerPayload = { ...(payload || msg.payload || {}), _envelopeTabId: resolvedTabId, sessionId };
@@ -442,11 +1286,13 @@
       registerHandlers();
       connectionManager = new self.UnifiedConnectionManager();
       connectionManager.onMessage('*', handleMessage);
+      chrome.webNavigation.onCommitted.addListener(onNavigationCommitted);
       await connectionManager.initialize();
       log('Connection manager initialized');
     },
     deinit() {
       log('Deinitializing daemon mode...');
+      chrome.webNavigation.onCommitted.removeListener(onNavigationCommitted);
       if (connectionManager) {
         connectionManager.close();
         connectionManager = null;
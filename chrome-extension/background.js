@@ -3,6 +3,11 @@
 
 importScripts(
   'unified-connection-manager.js',
+  'debugger-state-manager.js',
+  'trusted-click.js',
+  'snapshot-diff.js',
+  'network-interceptor.js',
+  'storage-manager.js',
   'background-daemon.js'
 );
 
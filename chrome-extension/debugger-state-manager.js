@@ -17,11 +17,15 @@ class DebuggerStateManager {
     this.tabQueues = new Map(); // tabId -> Promise queue for serialization
     this.tabData = new Map(); // tabId -> collected debug data
     this.consoleStreamStarted = new Map(); // tabId -> boolean (tracks if we're past buffered messages)
+    this.networkCapture = new Map(); // tabId -> { bodies, maxBodySize, maxTotalBodySize, capturedBytes }
+    this.enabledDomains = new Map(); // tabId -> Set of domains enabled on the current attachment
 
     // Configuration
     this.maxEntries = 1000;
     this.maxRetries = 3;
     this.retryDelay = 250;
+    this.defaultMaxBodySize = 64 * 1024; // per request/response body
+    this.defaultMaxTotalBodySize = 5 * 1024 * 1024; // per tab
 
     // Setup Chrome event listeners for state synchronization
     this.setupEventListeners();
@@ -41,6 +45,7 @@ class DebuggerStateManager {
       this.setTabState(tabId, this.STATES.DETACHED);
       this.cleanupTabData(tabId);
       this.tabQueues.delete(tabId);
+      this.networkCapture.delete(tabId);
     });
 
     // Listen for debugger events for data collection
@@ -64,7 +69,8 @@ class DebuggerStateManager {
 
   // Queue an operation for a tab (prevents race conditions)
   async queueOperation(tabId, operation) {
-    const queue = this.getQueue(tabId);
+    // A failed operation must not stop the ones queued after it
+    const queue = this.getQueue(tabId).catch(() => {});
     const newQueue = queue.then(operation).catch(err => {
       console.error(`[DebuggerState] Operation failed for tab ${tabId}:`, err);
       throw err;
@@ -82,6 +88,9 @@ class DebuggerStateManager {
   setTabState(tabId, state) {
     console.log(`[DebuggerState] Tab ${tabId}: ${this.getTabState(tabId)} -> ${state}`);
     this.tabStates.set(tabId, state);
+    if (state !== this.STATES.ATTACHED) {
+      this.enabledDomains.delete(tabId);
+    }
   }
 
   // Initialize data storage for a tab
@@ -123,6 +132,45 @@ class DebuggerStateManager {
     data.errors = data.errors.slice(-100);
   }
 
+  // Opt in to capturing headers, POST bodies and response bodies for a tab.
+  // Bodies larger than maxBodySize are truncated; once maxTotalBodySize bytes
+  // have been stored for the tab, further bodies are skipped.
+  setNetworkCapture(tabId, { bodies = false, maxBodySize, maxTotalBodySize } = {}) {
+    if (!bodies) {
+      this.networkCapture.delete(tabId);
+      return;
+    }
+    const existing = this.networkCapture.get(tabId);
+    this.networkCapture.set(tabId, {
+      bodies: true,
+      maxBodySize: maxBodySize || this.defaultMaxBodySize,
+      maxTotalBodySize: maxTotalBodySize || this.defaultMaxTotalBodySize,
+      capturedBytes: existing ? existing.capturedBytes : 0
+    });
+  }
+
+  getNetworkCapture(tabId) {
+    return this.networkCapture.get(tabId) || null;
+  }
+
+  // Store a body within the capture caps; returns the stored body or a note
+  captureBody(tabId, text, base64Encoded = false) {
+    const capture = this.networkCapture.get(tabId);
+    if (!capture || typeof text !== 'string') return null;
+    const size = text.length;
+    if (capture.capturedBytes >= capture.maxTotalBodySize) {
+      return { omitted: 'capture budget exhausted', size, base64Encoded };
+    }
+    const truncated = size > capture.maxBodySize;
+    // A cut base64 string no longer decodes, so oversized binary bodies are left out
+    if (truncated && base64Encoded) {
+      return { omitted: 'too large', size, base64Encoded };
+    }
+    const stored = truncated ? text.slice(0, capture.maxBodySize) : text;
+    capture.capturedBytes += stored.length;
+    return { text: stored, size, truncated, base64Encoded };
+  }
+
   // Bootstrap debugger for early capture (called once per tab)
   async bootstrapDebugger(tabId) {
     // Check if already attached
@@ -148,9 +196,11 @@ class DebuggerStateManager {
     return this.queueOperation(tabId, async () => {
       const currentState = this.getTabState(tabId);
 
-      // If already attached, return success
+      // If already attached, enable whatever this caller needs that the
+      // existing attachment (e.g. one made for interception) did not
       if (currentState === this.STATES.ATTACHED) {
         console.log(`[DebuggerState] Tab ${tabId} already attached`);
+        await this.enableDomains(tabId, domains);
         return { success: true, alreadyAttached: true };
       }
 
@@ -158,6 +208,7 @@ class DebuggerStateManager {
       if (currentState === this.STATES.ATTACHING) {
         console.log(`[DebuggerState] Tab ${tabId} is attaching, waiting...`);
         await this.waitForState(tabId, this.STATES.ATTACHED, 5000);
+        await this.enableDomains(tabId, domains);
         return { success: true, alreadyAttached: true };
       }
 
@@ -204,22 +255,7 @@ class DebuggerStateManager {
           }
 
           // Enable domains - now sendCommand() will work because state is ATTACHED
-          for (const domain of domains) {
-            if (domain === "console") {
-              // Console.enable will replay buffered console messages!
-              await this.sendCommand(tabId, "Console.enable", {});
-              console.log('[DebuggerState] Console.enable sent - will receive buffered messages');
-            }
-            if (domain === "runtime") {
-              await this.sendCommand(tabId, "Runtime.enable", {});
-            }
-            if (domain === "network") {
-              await this.sendCommand(tabId, "Network.enable", {});
-            }
-            if (domain === "performance") {
-              await this.sendCommand(tabId, "Performance.enable", {});
-            }
-          }
+          await this.enableDomains(tabId, domains);
 
           // Always enable Log domain for errors
           await this.sendCommand(tabId, "Log.enable", {});
@@ -246,10 +282,17 @@ class DebuggerStateManager {
           lastError = error;
           console.warn(`[DebuggerState] Attach attempt ${attempt + 1} failed:`, error.message);
 
-          // Check if already attached (common race condition)
+          // Check if already attached (common race condition). Only our own
+          // attachment answers commands; DevTools or another extension does not
           if (error.message.includes('Another debugger') || error.message.includes('already attached')) {
-            this.setTabState(tabId, this.STATES.ATTACHED);
-            return { success: true, alreadyAttached: true };
+            if (await this.probeAttachment(tabId)) {
+              this.setTabState(tabId, this.STATES.ATTACHED);
+              return { success: true, alreadyAttached: true };
+            }
+            this.setTabState(tabId, this.STATES.DETACHED);
+            const foreign = new Error(`Another debugger (such as DevTools) is attached to tab ${tabId}`);
+            foreign.foreignDebugger = true;
+            throw foreign;
           }
 
           this.setTabState(tabId, this.STATES.ERROR);
@@ -266,6 +309,30 @@ class DebuggerStateManager {
     });
   }
 
+  // Enable the requested domains that are not enabled on this attachment yet
+  async enableDomains(tabId, domains) {
+    const enabled = this.enabledDomains.get(tabId) || new Set();
+    this.enabledDomains.set(tabId, enabled);
+    for (const domain of domains) {
+      if (enabled.has(domain)) continue;
+      if (domain === "console") {
+        // Console.enable will replay buffered console messages!
+        await this.sendCommand(tabId, "Console.enable", {});
+        console.log('[DebuggerState] Console.enable sent - will receive buffered messages');
+      }
+      if (domain === "runtime") {
+        await this.sendCommand(tabId, "Runtime.enable", {});
+      }
+      if (domain === "network") {
+        await this.sendCommand(tabId, "Network.enable", {});
+      }
+      if (domain === "performance") {
+        await this.sendCommand(tabId, "Performance.enable", {});
+      }
+      enabled.add(domain);
+    }
+  }
+
   // Idempotent detach operation
   async ensureDetached(tabId) {
     return this.queueOperation(tabId, async () => {
@@ -322,6 +389,15 @@ class DebuggerStateManager {
     });
   }
 
+  // True when this extension's debugger session on the tab answers a command
+  probeAttachment(tabId) {
+    return new Promise((resolve) => {
+      chrome.debugger.sendCommand({ tabId }, "Runtime.evaluate", { expression: "0" }, () => {
+        resolve(!chrome.runtime.lastError);
+      });
+    });
+  }
+
   // Check if debugger is attached to a tab
   isAttached(tabId) {
     return this.getTabState(tabId) === this.STATES.ATTACHED;
@@ -376,6 +452,12 @@ class DebuggerStateManager {
       case "Network.responseReceived":
         this.handleNetworkResponse(tabId, params);
         break;
+      case "Network.loadingFinished":
+        this.handleNetworkLoadingFinished(tabId, params);
+        break;
+      case "Network.loadingFailed":
+        this.handleNetworkLoadingFailed(tabId, params);
+        break;
       case "Runtime.exceptionThrown":
         this.handleException(tabId, params);
         break;
@@ -407,9 +489,23 @@ class DebuggerStateManager {
       url: params.request.url,
       method: params.request.method,
       type: params.type,
-      timestamp: params.timestamp
+      timestamp: params.timestamp,
+      wallTime: params.wallTime
     };
 
+    const capture = this.getNetworkCapture(tabId);
+    if (capture) {
+      request.requestHeaders = params.request.headers || {};
+      if (params.request.postData !== undefined) {
+        request.postData = this.captureBody(tabId, params.request.postData);
+      } else if (params.request.hasPostData) {
+        // Large POST bodies are not inlined in the event
+        this.sendCommand(tabId, "Network.getRequestPostData", { requestId: params.requestId })
+          .then(result => { request.postData = this.captureBody(tabId, result.postData); })
+          .catch(() => {});
+      }
+    }
+
     data.network.push(request);
     if (data.network.length > this.maxEntries) {
       data.network = data.network.slice(-this.maxEntries);
@@ -420,13 +516,56 @@ class DebuggerStateManager {
     const data = this.getTabData(tabId);
     const request = data.network.find(r => r.id === params.requestId);
     if (request) {
-      request.status = params.response.status;
-      request.statusText = params.response.statusText;
-      request.size = params.response.encodedDataLength;
+      const response = params.response;
+      request.status = response.status;
+      request.statusText = response.statusText;
+      request.size = response.encodedDataLength;
       request.time = (params.timestamp - request.timestamp) * 1000;
+      request.mimeType = response.mimeType;
+      request.protocol = response.protocol;
+      request.remoteIPAddress = response.remoteIPAddress;
+      request.timing = response.timing;
+      if (this.getNetworkCapture(tabId)) {
+        request.responseHeaders = response.headers || {};
+        // The request headers actually sent (incl. cookies) when Chrome reports them
+        if (response.requestHeaders) {
+          request.requestHeaders = response.requestHeaders;
+        }
+      }
     }
   }
 
+  handleNetworkLoadingFinished(tabId, params) {
+    const data = this.getTabData(tabId);
+    const request = data.network.find(r => r.id === params.requestId);
+    if (!request) return;
+
+    request.size = params.encodedDataLength;
+    request.time = (params.timestamp - request.timestamp) * 1000;
+    request.finished = true;
+
+    if (this.getNetworkCapture(tabId)) {
+      this.sendCommand(tabId, "Network.getResponseBody", { requestId: params.requestId })
+        .then(result => {
+          request.responseBody = this.captureBody(tabId, result.body, result.base64Encoded);
+        })
+        .catch(error => {
+          request.responseBody = { omitted: error.message };
+        });
+    }
+  }
+
+  handleNetworkLoadingFailed(tabId, params) {
+    const data = this.getTabData(tabId);
+    const request = data.network.find(r => r.id === params.requestId);
+    if (!request) return;
+
+    request.failed = true;
+    request.errorText = params.errorText;
+    request.canceled = !!params.canceled;
+    request.time = (params.timestamp - request.timestamp) * 1000;
+  }
+
   handleException(tabId, params) {
     const data = this.getTabData(tabId);
     const error = {
@@ -26,6 +26,18 @@
       return id;
     },
     
+    // ID -> fingerprint captured at snapshot time, kept across reset() so
+    // stale refs can be re-matched after a re-render
+    fingerprints: new Map(),
+    // Minimum score for a re-match to be accepted
+    REMATCH_THRESHOLD: 0.5,
+    // The best candidate must beat the runner-up by this much, or the ref is
+    // ambiguous (e.g. identical "Delete" buttons in list rows)
+    AMBIGUITY_MARGIN: 0.15,
+    // Containers whose text tells otherwise identical controls apart
+    CONTEXT_SELECTOR: 'li, tr, [role="row"], [role="listitem"], [role="option"], article, fieldset',
+    MAX_FINGERPRINTS: 2000,
+    
     // Get element by ID
     getElementById(id) {
       const weakRef = this.idToElement.get(id);
@@ -54,11 +66,128 @@
       idsToDelete.forEach(id => this.idToElement.delete(id));
     },
     
-    // Reset all tracking (useful for page navigation)
+    // Reset all tracking (useful for page navigation). IDs keep counting up
+    // so an old ref never silently points at a different element.
     reset() {
       this.elementToId = new WeakMap();
       this.idToElement = new Map();
-      this.nextId = 1;
+    },
+    
+    // Describe an element well enough to find it again after a re-render
+    fingerprint(element) {
+      const text = (value, max = 80) => (value || '').trim().replace(/\s+/g, ' ').slice(0, max);
+      const name = element.getAttribute('aria-label') ||
+        (element.labels && element.labels[0] && element.labels[0].textContent) ||
+        element.getAttribute('placeholder') ||
+        element.getAttribute('title') ||
+        element.getAttribute('alt') ||
+        element.textContent;
+      const context = (element.closest && element.closest(this.CONTEXT_SELECTOR)) || element.parentElement;
+      return {
+        tag: element.tagName.toLowerCase(),
+        role: element.getAttribute('role') || window.__elementValidator?.getImplicitRole(element) || '',
+        name: text(name),
+        path: this.cssPath(element),
+        nearbyText: text(context ? context.textContent : '', 200)
+      };
+    },
+    
+    // CSS path from the nearest ancestor with an id (or the root)
+    cssPath(element) {
+      const parts = [];
+      let node = element;
+      while (node && node.nodeType === Node.ELEMENT_NODE) {
+        if (node.id) {
+          parts.unshift(`#${CSS.escape(node.id)}`);
+          break;
+        }
+        let part = node.tagName.toLowerCase();
+        const parent = node.parentElement;
+        if (parent) {
+          const sameTag = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+          if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+        }
+        parts.unshift(part);
+        node = parent;
+      }
+      return parts.join(' > ');
+    },
+    
+    // Record fingerprints for every live ref and return them (ref -> fingerprint)
+    exportFingerprints() {
+      const exported = {};
+      for (const [id, weakRef] of this.idToElement.entries()) {
+        const element = weakRef.deref();
+        if (!element || !element.isConnected) continue;
+        const fp = this.fingerprint(element);
+        this.fingerprints.delete(id);
+        this.fingerprints.set(id, fp);
+        exported[id] = fp;
+      }
+      while (this.fingerprints.size > this.MAX_FINGERPRINTS) {
+        this.fingerprints.delete(this.fingerprints.keys().next().value);
+      }
+      return exported;
+    },
+    
+    // Score how well a live element matches a stored fingerprint (0..1)
+    scoreMatch(fp, element) {
+      const candidate = this.fingerprint(element);
+      let score = 0;
+      if (candidate.tag === fp.tag) score += 0.1;
+      if (fp.role && candidate.role === fp.role) score += 0.15;
+      if (fp.name && candidate.name === fp.name) {
+        score += 0.4;
+      } else if (fp.name && candidate.name && (candidate.name.includes(fp.name) || fp.name.includes(candidate.name))) {
+        score += 0.2;
+      }
+      if (candidate.path === fp.path) score += 0.1;
+      if (fp.nearbyText && candidate.nearbyText === fp.nearbyText) score += 0.25;
+      return score;
+    },
+    
+    /**
+     * Resolve a ref, re-matching it against its fingerprint when the original
+     * element is gone. Returns { element, rematched, confidence }; element is
+     * null when nothing scores above REMATCH_THRESHOLD, or when the runner-up
+     * is within AMBIGUITY_MARGIN of the best (then ambiguous is true).
+     */
+    resolve(id, fp = this.fingerprints.get(id)) {
+      const element = this.getElementById(id);
+      if (element && element.isConnected) {
+        return { element, rematched: false, confidence: 1 };
+      }
+      if (!fp) {
+        return { element: null, rematched: false, confidence: 0 };
+      }
+      
+      let best = null;
+      let bestScore = 0;
+      let runnerUpScore = 0;
+      // Searches open shadow roots too (shadow-dom-utils.js), so refs handed
+      // out inside shadow DOM can be re-matched
+      for (const candidate of querySelectorAllDeep(document, fp.tag)) {
+        const score = this.scoreMatch(fp, candidate);
+        if (score > bestScore) {
+          runnerUpScore = bestScore;
+          best = candidate;
+          bestScore = score;
+        } else if (score > runnerUpScore) {
+          runnerUpScore = score;
+        }
+      }
+      if (!best || bestScore < this.REMATCH_THRESHOLD) {
+        return { element: null, rematched: false, confidence: bestScore };
+      }
+      if (bestScore - runnerUpScore < this.AMBIGUITY_MARGIN) {
+        return { element: null, rematched: false, ambiguous: true, confidence: Math.round(bestScore * 100) / 100 };
+      }
+      
+      // Point the old ref at the re-matched element
+      this.idToElement.set(id, new WeakRef(best));
+      if (!this.elementToId.has(best)) this.elementToId.set(best, id);
+      this.fingerprints.set(id, fp);
+      return { element: best, rematched: true, confidence: Math.round(bestScore * 100) / 100 };
     }
   };
   
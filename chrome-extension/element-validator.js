@@ -4,15 +4,21 @@ window.__elementValidator = {
   validateElement(ref, expectedProperties = {}) {
     let element = null;
     
-    // First try direct ref ID (e.g., "ref13")
+    let rematch = null;
+    
+    // First try direct ref ID (e.g., "ref13"), re-matching stale refs by fingerprint
     if (ref.startsWith('ref')) {
-      element = window.__elementTracker.getElementById(ref);
+      const resolution = window.__elementTracker.resolve(ref);
+      element = resolution.element;
       if (!element) {
         return {
           valid: false,
-          error: `Element with ref ${ref} no longer exists in DOM`
+          error: `Element with ref ${ref} no longer exists in DOM and no live element matches its fingerprint`
         };
       }
+      if (resolution.rematched) {
+        rematch = { confidence: resolution.confidence };
+      }
     } else {
       // Try bracket format [ref=ref13]
       const refMatch = ref.match(/\[ref=(ref\d+)\]/);
@@ -102,7 +108,8 @@ window.__elementValidator = {
     
     return {
       valid: true,
-      element: element
+      element: element,
+      ...(rematch ? { rematched: true, rematchConfidence: rematch.confidence } : {})
     };
   },
   
@@ -31,6 +31,26 @@ function captureEnhancedMinimalSnapshot(options = {}) {
   
   console.log(`[minimal-enhanced.js] Page ${page}: top=${pageTop}, bottom=${pageBottom}, height=${actualPageHeight}`);
   
+  // Helper: Parent in the flattened tree (slot for slotted nodes, host at a shadow root)
+  function getComposedParent(element) {
+    if (element.assignedSlot) return element.assignedSlot;
+    if (element.parentElement) return element.parentElement;
+    const root = element.parentNode;
+    return root instanceof ShadowRoot ? root.host : null;
+  }
+  
+  // Helper: Chain of shadow hosts enclosing an element, outermost first
+  function getShadowHostPath(element) {
+    const hosts = [];
+    let root = element.getRootNode();
+    while (root instanceof ShadowRoot) {
+      const host = root.host;
+      hosts.unshift(host.tagName.toLowerCase() + (host.id ? `#${host.id}` : ''));
+      root = host.getRootNode();
+    }
+    return hosts.join('>');
+  }
+  
   // Helper: Check if element is truly visible
   function isVisible(element) {
     const style = window.getComputedStyle(element);
@@ -115,31 +135,13 @@ function captureEnhancedMinimalSnapshot(options = {}) {
     
     const elements = new Set();
     
-    selectors.forEach(selector => {
-      document.querySelectorAll(selector).forEach(el => {
-        if (isVisible(el) && isInPage(el)) {
-          elements.add(el);
-        }
-      });
+    // Includes elements inside open shadow roots
+    querySelectorAllDeep(document, selectors.join(', ')).forEach(el => {
+      if (isVisible(el) && isInPage(el)) {
+        elements.add(el);
+      }
     });
     
-    // Check shadow DOMs
-    function findInShadow(root) {
-      root.querySelectorAll('*').forEach(el => {
-        if (el.shadowRoot) {
-          selectors.forEach(selector => {
-            el.shadowRoot.querySelectorAll(selector).forEach(shadowEl => {
-              if (isVisible(shadowEl) && isInPage(shadowEl)) {
-                elements.add(shadowEl);
-              }
-            });
-          });
-          findInShadow(el.shadowRoot);
-        }
-      });
-    }
-    findInShadow(document);
-    
     return Array.from(elements);
   }
   
@@ -220,58 +222,9 @@ function captureEnhancedMinimalSnapshot(options = {}) {
     return null;
   }
   
-  // Helper: Create structural hash with caching
-  function getStructuralHash(element, options = {}) {
-    const { includeContent = true, maxDepth = 2, maxChildren = 3 } = options;
-    
-    // Check cache first
-    if (hashCache.has(element)) {
-      const cached = hashCache.get(element);
-      const optionsKey = JSON.stringify(options);
-      if (cached[optionsKey]) {
-        return cached[optionsKey];
-      }
-    }
-    
-    const parts = [];
-    
-    function traverse(el, depth = 0) {
-      if (depth > maxDepth) return;
-      
-      parts.push(el.tagName);
-      
-      ['role', 'type', 'name', 'aria-label'].forEach(attr => {
-        if (el.hasAttribute(attr)) {
-          parts.push(`@${attr}`);
-        }
-      });
-      
-      if (depth === 0 && includeContent) {
-        const accName = getAccessibleName(el).toLowerCase().replace(/[^a-z0-9]/g, '');
-        if (accName) {
-          parts.push(`#${accName.slice(0, 12)}`);
-        }
-      }
-      
-      if (el.children.length > 0 && depth < maxDepth) {
-        parts.push('[');
-        Array.from(el.children).slice(0, maxChildren).forEach(child => {
-          traverse(child, depth + 1);
-        });
-        parts.push(']');
-      }
-    }
-    
-    traverse(element);
-    const hash = parts.join('');
-    
-    // Store in cache
-    const existing = hashCache.get(element) || {};
-    existing[JSON.stringify(options)] = hash;
-    hashCache.set(element, existing);
-    
-    return hash;
-  }
+  // Structural hash bound to this capture's cache and name lookup
+  const structuralHash = (element, hashOptions) =>
+    getStructuralHash(element, hashOptions, { cache: hashCache, getName: getAccessibleName });
   
   // NEW: Calculate boundary score for a candidate container
   function calculateBoundaryScore(candidate, originalElement, depth) {
@@ -305,10 +258,10 @@ function captureEnhancedMinimalSnapshot(options = {}) {
     // 5. Sibling similarity (critical for lists)
     const parent = candidate.parentElement;
     if (parent && parent.children.length > 1 && parent.children.length < 100) {
-      const structuralHash = getStructuralHash(candidate, { includeContent: false });
+      const candidateHash = structuralHash(candidate, { includeContent: false });
       let similarSiblings = 0;
       for (const child of parent.children) {
-        if (child !== candidate && getStructuralHash(child, { includeContent: false }) === structuralHash) {
+        if (child !== candidate && structuralHash(child, { includeContent: false }) === candidateHash) {
           similarSiblings++;
         }
       }
@@ -347,13 +300,13 @@ function captureEnhancedMinimalSnapshot(options = {}) {
     }
     
     let candidates = [];
-    let current = element.parentElement;
+    let current = getComposedParent(element);
     let depth = 0;
     
     while (current && current.tagName !== 'BODY' && depth < maxDepth) {
       const score = calculateBoundaryScore(current, element, depth);
       candidates.push({ element: current, score, depth });
-      current = current.parentElement;
+      current = getComposedParent(current);
       depth++;
     }
     
@@ -378,7 +331,7 @@ function captureEnhancedMinimalSnapshot(options = {}) {
     const content = new Set();
     
     // Find headings, images, and significant text
-    container.querySelectorAll('h1, h2, h3, h4, h5, h6, img[alt], p, span, div, td, th').forEach(el => {
+    querySelectorAllDeep(container, 'h1, h2, h3, h4, h5, h6, img[alt], p, span, div, td, th').forEach(el => {
       // Stop at nested components
       if (el.closest('[data-component-root]') && el.closest('[data-component-root]') !== container) {
         return;
@@ -498,6 +451,10 @@ function captureEnhancedMinimalSnapshot(options = {}) {
     if (element.checked) attrs.push('checked');
     if (element.required) attrs.push('required');
     
+    // Mark elements that live inside a web component's shadow root
+    const shadowPath = getShadowHostPath(element);
+    if (shadowPath) attrs.push(`shadow:${shadowPath}`);
+    
     let result = tag;
     if (ref) result += ` [ref=${ref}]`;
     if (text) result += ` "${text}"`;
@@ -553,7 +510,7 @@ function captureEnhancedMinimalSnapshot(options = {}) {
       
       // Find all actions within this container
       const actionsInContainer = Array.from(
-        container.querySelectorAll('a, button, input, select, textarea, [role="button"], [role="link"]')
+        querySelectorAllDeep(container, 'a, button, input, select, textarea, [role="button"], [role="link"]')
       ).filter(action => isVisible(action) && isInPage(action) && !processedActions.has(action));
       
       actionsInContainer.forEach(action => {
@@ -614,7 +571,7 @@ function captureEnhancedMinimalSnapshot(options = {}) {
   }
   
   // Clean up attribute markers
-  document.querySelectorAll('[data-component-root]').forEach(el => {
+  querySelectorAllDeep(document, '[data-component-root]').forEach(el => {
     el.removeAttribute('data-component-root');
   });
   
@@ -637,7 +594,176 @@ function captureEnhancedMinimalSnapshot(options = {}) {
   return output;
 }
 
+// Structural hash of an element and its first children: tag names, the
+// presence of role/type/name/aria-label and, optionally, a slug of the
+// accessible name. Shared by the snapshot's boundary scoring and by
+// captureStructuralFingerprint.
+function getStructuralHash(element, options = {}, { cache = null, getName = null } = {}) {
+  const { includeContent = true, maxDepth = 2, maxChildren = 3 } = options;
+  
+  // Check cache first
+  if (cache && cache.has(element)) {
+    const cached = cache.get(element);
+    const optionsKey = JSON.stringify(options);
+    if (cached[optionsKey]) {
+      return cached[optionsKey];
+    }
+  }
+  
+  const parts = [];
+  
+  function traverse(el, depth = 0) {
+    if (depth > maxDepth) return;
+    
+    parts.push(el.tagName);
+    
+    ['role', 'type', 'name', 'aria-label'].forEach(attr => {
+      if (el.hasAttribute(attr)) {
+        parts.push(`@${attr}`);
+      }
+    });
+    
+    if (depth === 0 && includeContent && getName) {
+      const accName = (getName(el) || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+      if (accName) {
+        parts.push(`#${accName.slice(0, 12)}`);
+      }
+    }
+    
+    if (el.children.length > 0 && depth < maxDepth) {
+      parts.push('[');
+      Array.from(el.children).slice(0, maxChildren).forEach(child => {
+        traverse(child, depth + 1);
+      });
+      parts.push(']');
+    }
+  }
+  
+  traverse(element);
+  const hash = parts.join('');
+  
+  // Store in cache
+  if (cache) {
+    const existing = cache.get(element) || {};
+    existing[JSON.stringify(options)] = hash;
+    cache.set(element, existing);
+  }
+  
+  return hash;
+}
+
+// FNV-1a, so long structural hashes stay short in stored fingerprints
+function shortHash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+// Structural fingerprint of the whole page for hint matching: a bag of
+// container structure hashes plus form control kinds, with counts. Content is
+// left out so the same layout matches across users and languages.
+// options.selectors are counted in the live DOM (-1 for an invalid selector).
+function captureStructuralFingerprint(options = {}) {
+  // Containers whose structure identifies a page layout
+  const CONTAINERS = 'form, main, nav, header, footer, aside, dialog, section, article, table, fieldset, [role]';
+  const CONTROLS = 'input, button, select, textarea';
+  const MAX_ELEMENTS = 400;
+  const MAX_FEATURES = 150;
+
+  const counts = new Map();
+  const add = (token) => counts.set(token, (counts.get(token) || 0) + 1);
+  const cache = new WeakMap();
+
+  const containers = Array.from(document.querySelectorAll(CONTAINERS)).slice(0, MAX_ELEMENTS);
+  for (const el of containers) {
+    add(`s:${shortHash(getStructuralHash(el, { includeContent: false, maxDepth: 1, maxChildren: 4 }, { cache }))}`);
+  }
+  const controls = Array.from(document.querySelectorAll(CONTROLS)).slice(0, MAX_ELEMENTS);
+  for (const el of controls) {
+    const type = el.getAttribute('type');
+    add(`c:${el.tagName.toLowerCase()}${type ? ':' + type.toLowerCase() : ''}`);
+  }
+
+  // Keep the most frequent features so fingerprints stay small
+  const features = Object.fromEntries(
+    [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_FEATURES)
+  );
+
+  const selectors = {};
+  for (const selector of options.selectors || []) {
+    try {
+      selectors[selector] = document.querySelectorAll(selector).length;
+    } catch (e) {
+      selectors[selector] = -1;
+    }
+  }
+
+  return {
+    version: 1,
+    url: window.location.href,
+    features,
+    elementCount: containers.length + controls.length,
+    selectors,
+    traits: detectPageTraits()
+  };
+}
+
+// Page traits that hints learned on other sites can be found by: the consent
+// manager (CMP), site framework or platform, and form field names. Only DOM
+// markers are used since page globals are not visible from the content world.
+function detectPageTraits() {
+  const CMP_MARKERS = {
+    cookiebot: '#CybotCookiebotDialog, script[src*="cookiebot"]',
+    onetrust: '#onetrust-banner-sdk, #onetrust-consent-sdk, script[src*="cookielaw.org"]',
+    didomi: '#didomi-host, script[src*="didomi"]',
+    quantcast: '.qc-cmp2-container, script[src*="quantcast"]',
+    trustarc: '#truste-consent-track, script[src*="trustarc"]',
+    usercentrics: '#usercentrics-root, script[src*="usercentrics"]',
+    osano: '.osano-cm-window, script[src*="osano"]',
+    cookieyes: '.cky-consent-container, #cookie-law-info-bar',
+    iubenda: '#iubenda-cs-banner, script[src*="iubenda"]',
+    sourcepoint: 'iframe[id^="sp_message_iframe"], script[src*="sourcepoint"]'
+  };
+  const FRAMEWORK_MARKERS = {
+    nextjs: '#__next, script#__NEXT_DATA__',
+    react: '[data-reactroot], #__next, #root[data-reactroot]',
+    nuxt: '#__nuxt, #__layout',
+    vue: '[data-v-app], [data-server-rendered]',
+    angular: '[ng-version]',
+    shopify: 'script[src*="cdn.shopify.com"], link[href*="cdn.shopify.com"]',
+    wordpress: 'link[href*="/wp-content/"], script[src*="/wp-includes/"]',
+    woocommerce: 'body.woocommerce, .woocommerce',
+    magento: 'script[type="text/x-magento-init"]',
+    wix: 'meta[name="generator"][content*="Wix"]',
+    squarespace: 'script[src*="squarespace"]',
+    drupal: 'meta[name="Generator"][content*="Drupal"], script[src*="/sites/all/"]',
+    salesforce: 'script[src*="force.com"], [data-aura-rendered-by]'
+  };
+  const MAX_FIELDS = 20;
+
+  const present = (markers) => Object.keys(markers).filter(name => {
+    try {
+      return document.querySelector(markers[name]) !== null;
+    } catch (e) {
+      return false;
+    }
+  });
+
+  const fields = new Set();
+  for (const el of document.querySelectorAll('input, select, textarea')) {
+    if (el.type === 'hidden') continue;
+    const name = el.getAttribute('name') || el.getAttribute('autocomplete') || el.id;
+    if (name && name !== 'off' && name !== 'on') fields.add(name.toLowerCase());
+    if (fields.size >= MAX_FIELDS) break;
+  }
+
+  return { cmp: present(CMP_MARKERS), frameworks: present(FRAMEWORK_MARKERS), fields: [...fields] };
+}
+
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { captureEnhancedMinimalSnapshot };
+  module.exports = { captureEnhancedMinimalSnapshot, captureStructuralFingerprint, detectPageTraits, getStructuralHash };
 }
\ No newline at end of file
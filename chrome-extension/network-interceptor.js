@@ -0,0 +1,239 @@
+/**
+ * Request interception via the DevTools Fetch domain.
+ * Keeps per-tab URL-pattern rules (block, delay, rewrite request headers,
+ * fulfil with a canned response, fail with a network error) and applies them
+ * to Fetch.requestPaused events. Attaches through the debugger state manager.
+ * Loaded into the service worker by background.js.
+ *
+ * Exposes self.NetworkInterceptor = { addRule, listRules, removeRule, forgetTab }.
+ */
+(function() {
+  'use strict';
+
+  const TAG = '[NetworkInterceptor]';
+  const log = (...args) => console.log(TAG, new Date().toISOString(), ...args);
+
+  const MAX_RULES_PER_TAB = 50;
+  const MAX_DELAY_MS = 60000;
+
+  // Network errors accepted by Fetch.failRequest
+  const ERROR_REASONS = [
+    'Failed', 'Aborted', 'TimedOut', 'AccessDenied', 'ConnectionClosed',
+    'ConnectionReset', 'ConnectionRefused', 'ConnectionAborted', 'ConnectionFailed',
+    'NameNotResolved', 'InternetDisconnected', 'AddressUnreachable',
+    'BlockedByClient', 'BlockedByResponse'
+  ];
+
+  const tabRules = new Map(); // tabId -> rule[] in registration order
+  const ownAttachments = new Set(); // tabIds the interceptor attached the debugger to
+  let nextRuleId = 1;
+
+  function getManager() {
+    const manager = self.__debuggerStateManager;
+    if (!manager) {
+      throw new Error('Debugger state manager not loaded');
+    }
+    return manager;
+  }
+
+  // Fetch patterns use * and ? wildcards; mirror that for matching paused requests
+  function patternToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+  }
+
+  function matches(rule, request, resourceType) {
+    if (rule.resourceType && rule.resourceType !== resourceType) return false;
+    return rule.regex.test(request.url);
+  }
+
+  function describe(rule) {
+    const { regex, body, ...visible } = rule;
+    return visible;
+  }
+
+  // Re-issue Fetch.enable with the patterns of all rules, or disable when none
+  // remain. The debugger is detached again if the interceptor attached it and
+  // nothing else has enabled domains on the attachment since.
+  async function syncFetchPatterns(tabId) {
+    const manager = getManager();
+    const rules = tabRules.get(tabId) || [];
+    if (rules.length === 0) {
+      if (manager.isAttached(tabId)) {
+        await manager.sendCommand(tabId, 'Fetch.disable', {}).catch((e) => log('Fetch.disable failed:', e.message));
+      }
+      if (ownAttachments.delete(tabId) && manager.isAttached(tabId) && !manager.enabledDomains.get(tabId)?.size) {
+        await manager.ensureDetached(tabId).catch((e) => log('Detach failed:', e.message));
+      }
+      return;
+    }
+    const wasAttached = manager.isAttached(tabId);
+    await manager.ensureAttached(tabId, []);
+    if (!wasAttached) {
+      ownAttachments.add(tabId);
+    }
+    const patterns = rules.map(rule => ({
+      urlPattern: rule.urlPattern,
+      ...(rule.resourceType ? { resourceType: rule.resourceType } : {}),
+      requestStage: 'Request'
+    }));
+    await manager.sendCommand(tabId, 'Fetch.enable', { patterns });
+  }
+
+  function validateRule(rule) {
+    if (!rule || typeof rule.urlPattern !== 'string' || !rule.urlPattern) {
+      throw new Error('Rule requires a urlPattern');
+    }
+    switch (rule.action) {
+      case 'block':
+        break;
+      case 'delay':
+        if (!(rule.delayMs > 0) || rule.delayMs > MAX_DELAY_MS) {
+          throw new Error(`delayMs must be between 1 and ${MAX_DELAY_MS}`);
+        }
+        break;
+      case 'headers':
+        if (!rule.setHeaders && !rule.removeHeaders) {
+          throw new Error('Header rules need setHeaders or removeHeaders');
+        }
+        break;
+      case 'fulfill':
+        if (typeof rule.body !== 'string') {
+          throw new Error('Fulfil rules need a base64 body');
+        }
+        break;
+      case 'fail':
+        if (!ERROR_REASONS.includes(rule.errorReason)) {
+          throw new Error(`Unknown errorReason "${rule.errorReason}". Use one of: ${ERROR_REASONS.join(', ')}`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown rule action: ${rule.action}`);
+    }
+  }
+
+  async function addRule(tabId, rule) {
+    validateRule(rule);
+    const rules = tabRules.get(tabId) || [];
+    if (rules.length >= MAX_RULES_PER_TAB) {
+      throw new Error(`Tab ${tabId} already has ${MAX_RULES_PER_TAB} rules; remove some first`);
+    }
+
+    const stored = {
+      ...rule,
+      id: `rule${nextRuleId++}`,
+      regex: patternToRegExp(rule.urlPattern),
+      hits: 0,
+      createdAt: Date.now()
+    };
+    if (stored.action === 'fulfill') {
+      stored.bodySize = Math.floor(rule.body.length * 3 / 4);
+    }
+    tabRules.set(tabId, [...rules, stored]);
+
+    try {
+      await syncFetchPatterns(tabId);
+    } catch (err) {
+      tabRules.set(tabId, rules);
+      throw err;
+    }
+    log('Added rule', stored.id, stored.action, stored.urlPattern, 'tab:', tabId);
+    return describe(stored);
+  }
+
+  function listRules(tabId) {
+    return (tabRules.get(tabId) || []).map(describe);
+  }
+
+  // Remove one rule, or every rule for the tab when ruleId is omitted
+  async function removeRule(tabId, ruleId) {
+    const rules = tabRules.get(tabId) || [];
+    const remaining = ruleId ? rules.filter(rule => rule.id !== ruleId) : [];
+    if (ruleId && remaining.length === rules.length) {
+      throw new Error(`No rule ${ruleId} on tab ${tabId}`);
+    }
+    if (remaining.length) {
+      tabRules.set(tabId, remaining);
+    } else {
+      tabRules.delete(tabId);
+    }
+    await syncFetchPatterns(tabId);
+    return rules.length - remaining.length;
+  }
+
+  // Drop rules when the debugger goes away; Chrome has already stopped intercepting
+  function forgetTab(tabId) {
+    tabRules.delete(tabId);
+    ownAttachments.delete(tabId);
+  }
+
+  function rewriteHeaders(headers, rule) {
+    const removed = new Set([
+      ...(rule.removeHeaders || []),
+      ...Object.keys(rule.setHeaders || {})
+    ].map(name => name.toLowerCase()));
+    const result = Object.entries(headers || {})
+      .filter(([name]) => !removed.has(name.toLowerCase()))
+      .map(([name, value]) => ({ name, value: String(value) }));
+    for (const [name, value] of Object.entries(rule.setHeaders || {})) {
+      result.push({ name, value: String(value) });
+    }
+    return result;
+  }
+
+  async function applyRule(send, params, rule) {
+    const { requestId, request } = params;
+    switch (rule.action) {
+      case 'block':
+        return send('Fetch.failRequest', { requestId, errorReason: 'BlockedByClient' });
+      case 'fail':
+        return send('Fetch.failRequest', { requestId, errorReason: rule.errorReason });
+      case 'delay':
+        await new Promise(resolve => setTimeout(resolve, rule.delayMs));
+        return send('Fetch.continueRequest', { requestId });
+      case 'headers':
+        return send('Fetch.continueRequest', { requestId, headers: rewriteHeaders(request.headers, rule) });
+      case 'fulfill': {
+        const responseHeaders = Object.entries(rule.responseHeaders || {}).map(([name, value]) => ({ name, value: String(value) }));
+        if (rule.contentType && !responseHeaders.some(h => h.name.toLowerCase() === 'content-type')) {
+          responseHeaders.push({ name: 'Content-Type', value: rule.contentType });
+        }
+        return send('Fetch.fulfillRequest', {
+          requestId,
+          responseCode: rule.status || 200,
+          responseHeaders,
+          body: rule.body
+        });
+      }
+    }
+  }
+
+  async function onRequestPaused(tabId, params) {
+    const manager = getManager();
+    const send = (method, args) => manager.sendCommand(tabId, method, args);
+    const rule = (tabRules.get(tabId) || []).find(r => matches(r, params.request, params.resourceType));
+
+    try {
+      if (!rule) {
+        await send('Fetch.continueRequest', { requestId: params.requestId });
+        return;
+      }
+      rule.hits++;
+      await applyRule(send, params, rule);
+    } catch (err) {
+      // Never leave the page waiting on a paused request
+      log('Failed to apply rule', rule && rule.id, 'to', params.request.url, err.message);
+      await send('Fetch.continueRequest', { requestId: params.requestId }).catch(() => {});
+    }
+  }
+
+  chrome.debugger.onEvent.addListener((source, method, params) => {
+    if (method === 'Fetch.requestPaused' && source.tabId) {
+      onRequestPaused(source.tabId, params);
+    }
+  });
+  chrome.debugger.onDetach.addListener((source) => forgetTab(source.tabId));
+  chrome.tabs.onRemoved.addListener((tabId) => forgetTab(tabId));
+
+  self.NetworkInterceptor = { addRule, listRules, removeRule, forgetTab };
+})();
@@ -2,7 +2,7 @@
 
 // Load current settings
 function loadSettings() {
-  chrome.storage.local.get(['unsafeMode', 'serverUrl', 'logExecutions', 'requireConfirmation'], (result) => {
+  chrome.storage.local.get(['unsafeMode', 'serverUrl', 'authToken', 'logExecutions', 'requireConfirmation'], (result) => {
     // Set checkbox states
     document.getElementById('unsafeMode').checked = result.unsafeMode || false;
     document.getElementById('logExecutions').checked = result.logExecutions !== false; // Default true
@@ -10,6 +10,7 @@ function loadSettings() {
     
     // Set server URL
     document.getElementById('serverUrl').value = result.serverUrl || 'ws://localhost:8765';
+    document.getElementById('authToken').value = result.authToken || '';
     
     // Update UI based on unsafe mode
     updateUnsafeModeUI(result.unsafeMode || false);
@@ -37,6 +38,7 @@ function saveSettings() {
   const settings = {
     unsafeMode: document.getElementById('unsafeMode').checked,
     serverUrl: document.getElementById('serverUrl').value,
+    authToken: document.getElementById('authToken').value.trim(),
     logExecutions: document.getElementById('logExecutions').checked,
     requireConfirmation: document.getElementById('requireConfirmation').checked
   };
@@ -121,9 +123,11 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('resetBtn').addEventListener('click', resetSettings);
   
   // Auto-save on Enter in text fields
-  document.getElementById('serverUrl').addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
-      saveSettings();
-    }
+  ['serverUrl', 'authToken'].forEach((id) => {
+    document.getElementById(id).addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        saveSettings();
+      }
+    });
   });
 });
\ No newline at end of file
@@ -107,6 +107,29 @@ function captureEnhancedScaffoldSnapshot() {
     return info ? info.isAutofilled : false;
   }
   
+  // Helper: contains() that also looks through shadow hosts and slots
+  function containsComposed(ancestor, element) {
+    let node = element;
+    while (node) {
+      if (ancestor.contains(node)) return true;
+      const root = node.getRootNode();
+      node = root instanceof ShadowRoot ? root.host : null;
+    }
+    return false;
+  }
+  
+  // Helper: Chain of shadow hosts enclosing an element, outermost first
+  function getShadowHostPath(element) {
+    const hosts = [];
+    let root = element.getRootNode();
+    while (root instanceof ShadowRoot) {
+      const host = root.host;
+      hosts.unshift(host.tagName.toLowerCase() + (host.id ? `#${host.id}` : ''));
+      root = host.getRootNode();
+    }
+    return hosts.join('>');
+  }
+  
   // Helper: Check if element is visible
   function isVisible(element) {
     const style = window.getComputedStyle(element);
@@ -175,7 +198,8 @@ function captureEnhancedScaffoldSnapshot() {
       formId: element.closest('form')?.id || null,
       navId: element.closest('nav, [role="navigation"]')?.id || null,
       isAutofilled: autofillInfo ? autofillInfo.isAutofilled : false,
-      autofillType: autofillInfo ? autofillInfo.type : null
+      autofillType: autofillInfo ? autofillInfo.type : null,
+      shadowPath: getShadowHostPath(element)
     };
   }
   
@@ -200,7 +224,7 @@ function captureEnhancedScaffoldSnapshot() {
   for (const selector of interactiveSelectors) {
     if (performance.now() - startTime > MAX_EXECUTION_TIME) break;
     
-    const elements = document.querySelectorAll(selector);
+    const elements = querySelectorAllDeep(document, selector);
     for (const element of elements) {
       if (seen.has(element)) continue;
       if (!isVisible(element)) continue;
@@ -288,10 +312,10 @@ function captureEnhancedScaffoldSnapshot() {
     const visible = rect.top < window.innerHeight && rect.bottom > 0;
     
     // Count contained elements
-    const containedReps = representatives.filter(r => element.contains(r.element));
-    const containedUnique = uniqueElements.filter(r => element.contains(r.element));
-    const containedForm = formElements.filter(r => element.contains(r.element));
-    const containedNav = navElements.filter(r => element.contains(r.element));
+    const containedReps = representatives.filter(r => containsComposed(element, r.element));
+    const containedUnique = uniqueElements.filter(r => containsComposed(element, r.element));
+    const containedForm = formElements.filter(r => containsComposed(element, r.element));
+    const containedNav = navElements.filter(r => containsComposed(element, r.element));
     
     regions.push({
       type: type,
@@ -312,7 +336,7 @@ function captureEnhancedScaffoldSnapshot() {
     ...uniqueElements,
     ...formElements,
     ...navElements
-  ].filter(item => !Object.values(landmarks).some(l => l?.contains(item.element)));
+  ].filter(item => !Object.values(landmarks).some(l => l && containsComposed(l, item.element)));
   
   if (orphaned.length > 0) {
     regions.push({
@@ -362,6 +386,9 @@ function captureEnhancedScaffoldSnapshot() {
         if (item.fingerprint.isInForm) {
           output += ' [form]';
         }
+        if (item.fingerprint.shadowPath) {
+          output += ` [shadow:${item.fingerprint.shadowPath}]`;
+        }
         if (item.fingerprint.isAutofilled) {
           const afType = item.fingerprint.autofillType;
           if (afType && afType !== 'unknown') {
@@ -391,7 +418,7 @@ function captureEnhancedScaffoldSnapshot() {
   });
   
   // Search boxes
-  const searchInputs = document.querySelectorAll('input[type="search"], input[placeholder*="search" i], input[aria-label*="search" i]');
+  const searchInputs = querySelectorAllDeep(document, 'input[type="search"], input[placeholder*="search" i], input[aria-label*="search" i]');
   searchInputs.forEach(el => {
     if (isVisible(el)) {
       keyElements.push({
@@ -403,7 +430,7 @@ function captureEnhancedScaffoldSnapshot() {
   });
   
   // Primary buttons (submit, buy, add to cart, etc)
-  const primaryButtons = document.querySelectorAll('button[type="submit"], button[class*="primary"], button[class*="buy"], button[class*="cart"], a[class*="buy"], a[class*="cart"]');
+  const primaryButtons = querySelectorAllDeep(document, 'button[type="submit"], button[class*="primary"], button[class*="buy"], button[class*="cart"], a[class*="buy"], a[class*="cart"]');
   const seenButtonTexts = new Set();
   primaryButtons.forEach(el => {
     if (isVisible(el)) {
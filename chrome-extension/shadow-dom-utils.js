@@ -0,0 +1,25 @@
+// Shadow DOM helpers shared by the snapshot scripts and the element tracker.
+// Injected ahead of them, so these declarations are globals in the content world.
+
+/**
+ * querySelectorAll over a root and every open shadow root below it. The
+ * shadow roots are collected in one TreeWalker pass per tree, then each
+ * root is queried once.
+ */
+function querySelectorAllDeep(root, selector) {
+  const roots = [root];
+  for (let i = 0; i < roots.length; i++) {
+    const scope = roots[i];
+    if (scope.shadowRoot) roots.push(scope.shadowRoot);
+    const walker = document.createTreeWalker(scope, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.shadowRoot) roots.push(node.shadowRoot);
+    }
+  }
+  return roots.flatMap(scope => Array.from(scope.querySelectorAll(selector)));
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { querySelectorAllDeep };
+}
@@ -0,0 +1,110 @@
+/**
+ * Snapshot diffing for interaction tools.
+ * Compares two snapshot texts by element ref and reports which nodes were
+ * added, removed or changed. Loaded into the service worker by background.js.
+ *
+ * Exposes self.SnapshotDiff = { diffSnapshots, formatSnapshotDiff }.
+ */
+(function() {
+  'use strict';
+
+  const REF_PATTERN = /\[ref=((?:f\d+:)?ref\d+)\]/;
+  const URL_PATTERN = /^URL: (.*)$/m;
+  const FRAME_PATTERN = /^--- iframe (f\d+) \((.*)\) ---$/gm;
+
+  // Map each ref to the (trimmed) line that describes it; the first line wins
+  // when an element is listed twice (e.g. scaffold's Key Elements section)
+  function indexByRef(snapshot) {
+    const nodes = new Map();
+    for (const line of String(snapshot || '').split('\n')) {
+      const match = REF_PATTERN.exec(line);
+      if (match && !nodes.has(match[1])) {
+        nodes.set(match[1], line.trim());
+      }
+    }
+    return nodes;
+  }
+
+  function pageUrl(snapshot) {
+    const match = URL_PATTERN.exec(String(snapshot || ''));
+    return match ? match[1].trim() : null;
+  }
+
+  // Frame id -> URL from the frame section headers
+  function frameUrls(snapshot) {
+    const urls = new Map();
+    for (const match of String(snapshot || '').matchAll(FRAME_PATTERN)) {
+      urls.set(match[1], match[2]);
+    }
+    return urls;
+  }
+
+  // A frame present in both snapshots whose document changed gets fresh refs,
+  // so its old refs say nothing about the new ones
+  function frameNavigated(previous, current) {
+    const before = frameUrls(previous);
+    for (const [frame, url] of frameUrls(current)) {
+      if (before.has(frame) && before.get(frame) !== url) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // A reload (a form posting back to the same URL, browser_refresh) keeps the
+  // URL but numbers refs from ref1 again. Documents map frame id -> an id of
+  // the loaded document (performance.timeOrigin), which a reload changes.
+  function documentReloaded(before, after) {
+    if (!before || !after) {
+      return false;
+    }
+    return Object.keys(after).some((frame) => frame in before && before[frame] !== after[frame]);
+  }
+
+  /**
+   * Diff two snapshots. Returns null when they are not comparable (no previous
+   * snapshot, the top document or one of its frames navigated to another URL,
+   * or a document was reloaded between them).
+   */
+  function diffSnapshots(previous, current, documents = {}) {
+    if (!previous || pageUrl(previous) !== pageUrl(current) || frameNavigated(previous, current) ||
+        documentReloaded(documents.before, documents.after)) {
+      return null;
+    }
+
+    const before = indexByRef(previous);
+    const after = indexByRef(current);
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [ref, line] of after) {
+      if (!before.has(ref)) {
+        added.push({ ref, line });
+      } else if (before.get(ref) !== line) {
+        changed.push({ ref, before: before.get(ref), after: line });
+      }
+    }
+    for (const [ref, line] of before) {
+      if (!after.has(ref)) {
+        removed.push({ ref, line });
+      }
+    }
+
+    return { added, removed, changed };
+  }
+
+  function formatSnapshotDiff(diff) {
+    const total = diff.added.length + diff.removed.length + diff.changed.length;
+    let output = `[Snapshot diff: +${diff.added.length} added, -${diff.removed.length} removed, ~${diff.changed.length} changed]\n`;
+    if (total === 0) {
+      return output + 'No changes since the last snapshot.\n';
+    }
+    diff.added.forEach(({ line }) => { output += `+ ${line}\n`; });
+    diff.removed.forEach(({ line }) => { output += `- ${line}\n`; });
+    diff.changed.forEach(({ before, after }) => { output += `~ ${after}\n    was: ${before}\n`; });
+    return output;
+  }
+
+  self.SnapshotDiff = { diffSnapshots, formatSnapshotDiff };
+})();
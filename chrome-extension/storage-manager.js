@@ -0,0 +1,263 @@
+/**
+ * Cookie and web storage access for the browser_storage tool.
+ * Cookies go through chrome.cookies so HttpOnly cookies are included;
+ * localStorage/sessionStorage are read in the tab's top frame, so they are
+ * only reachable for the origin the tab is currently on.
+ * Loaded into the service worker by background.js.
+ *
+ * Exposes self.StorageManager = { getCookies, setCookie, deleteCookies,
+ * getStorage, setStorage, deleteStorage, clearSiteData, exportState, importState }.
+ */
+(function() {
+  'use strict';
+
+  const TAG = '[StorageManager]';
+  const log = (...args) => console.log(TAG, new Date().toISOString(), ...args);
+
+  const STATE_VERSION = 1;
+  const STORAGE_AREAS = ['localStorage', 'sessionStorage'];
+
+  // chrome.browsingData types that accept an origins filter
+  const SITE_DATA_TYPES = ['cookies', 'localStorage', 'indexedDB', 'cacheStorage', 'serviceWorkers', 'fileSystems', 'cache'];
+
+  async function tabUrl(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.url || !/^https?:/.test(tab.url)) {
+      throw new Error(`Tab ${tabId} is not on a web page (${tab.url || 'no URL'})`);
+    }
+    return tab.url;
+  }
+
+  // Resolve the origin to work on; defaults to the tab's current page
+  async function resolveOrigin(tabId, url) {
+    return new URL(url || await tabUrl(tabId)).origin;
+  }
+
+  async function requireTabOrigin(tabId, origin) {
+    const current = new URL(await tabUrl(tabId)).origin;
+    if (current !== origin) {
+      throw new Error(`Tab is on ${current}; navigate it to ${origin} to access its storage`);
+    }
+  }
+
+  function checkArea(area) {
+    if (!STORAGE_AREAS.includes(area)) {
+      throw new Error(`Unknown storage area: ${area}`);
+    }
+  }
+
+  // Cookies sent to the origin plus host-only and subdomain cookies of its host,
+  // so path-scoped cookies are not missed
+  async function getCookies(tabId, url, name) {
+    const target = url || await tabUrl(tabId);
+    const { hostname } = new URL(target);
+    const [forUrl, forDomain] = await Promise.all([
+      chrome.cookies.getAll({ url: target, ...(name ? { name } : {}) }),
+      chrome.cookies.getAll({ domain: hostname, ...(name ? { name } : {}) })
+    ]);
+    const seen = new Map();
+    for (const cookie of [...forUrl, ...forDomain]) {
+      seen.set(`${cookie.domain}|${cookie.path}|${cookie.name}`, cookie);
+    }
+    return [...seen.values()];
+  }
+
+  // Build a chrome.cookies.set() detail from an exported cookie or tool input
+  function cookieDetails(cookie, fallbackUrl) {
+    const host = cookie.domain ? cookie.domain.replace(/^\./, '') : null;
+    const url = host
+      ? `${cookie.secure ? 'https' : 'http'}://${host}${cookie.path || '/'}`
+      : (cookie.url || fallbackUrl);
+    const details = { url, name: cookie.name, value: cookie.value ?? '' };
+    // Host-only cookies must be set without a domain or they widen to subdomains
+    if (cookie.domain && !cookie.hostOnly) details.domain = cookie.domain;
+    if (cookie.path) details.path = cookie.path;
+    if (cookie.secure !== undefined) details.secure = cookie.secure;
+    if (cookie.httpOnly !== undefined) details.httpOnly = cookie.httpOnly;
+    if (cookie.sameSite && cookie.sameSite !== 'unspecified') details.sameSite = cookie.sameSite;
+    if (!cookie.session && cookie.expirationDate) details.expirationDate = cookie.expirationDate;
+    return details;
+  }
+
+  async function setCookie(tabId, cookie) {
+    if (!cookie || !cookie.name) {
+      throw new Error('Cookie name is required');
+    }
+    const fallbackUrl = cookie.url || await tabUrl(tabId);
+    const result = await chrome.cookies.set(cookieDetails(cookie, fallbackUrl));
+    if (!result) {
+      throw new Error(`Chrome rejected cookie ${cookie.name}${chrome.runtime.lastError ? ': ' + chrome.runtime.lastError.message : ''}`);
+    }
+    return result;
+  }
+
+  async function deleteCookies(tabId, url, name) {
+    const cookies = await getCookies(tabId, url, name);
+    for (const cookie of cookies) {
+      const host = cookie.domain.replace(/^\./, '');
+      await chrome.cookies.remove({
+        url: `${cookie.secure ? 'https' : 'http'}://${host}${cookie.path}`,
+        name: cookie.name,
+        storeId: cookie.storeId
+      });
+    }
+    return cookies.length;
+  }
+
+  async function runInTab(tabId, func, args) {
+    const [res] = await chrome.scripting.executeScript({ target: { tabId }, func, args });
+    const result = res && res.result;
+    if (!result || result.error) {
+      throw new Error((result && result.error) || 'Storage script returned no result');
+    }
+    return result;
+  }
+
+  async function getStorage(tabId, area, url, key) {
+    checkArea(area);
+    const origin = await resolveOrigin(tabId, url);
+    await requireTabOrigin(tabId, origin);
+    const { entries } = await runInTab(tabId, (area, key) => {
+      try {
+        const store = window[area];
+        const entries = {};
+        const keys = key ? [key] : Object.keys(store);
+        for (const k of keys) {
+          const value = store.getItem(k);
+          if (value !== null) entries[k] = value;
+        }
+        return { entries };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }, [area, key || null]);
+    return { origin, entries };
+  }
+
+  // Write entries; with replace, the area is cleared first (used by restore)
+  async function setStorage(tabId, area, url, entries, replace = false) {
+    checkArea(area);
+    const origin = await resolveOrigin(tabId, url);
+    await requireTabOrigin(tabId, origin);
+    await runInTab(tabId, (area, entries, replace) => {
+      try {
+        const store = window[area];
+        if (replace) store.clear();
+        for (const [k, v] of Object.entries(entries)) store.setItem(k, String(v));
+        return { ok: true };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }, [area, entries || {}, replace]);
+    return { origin, count: Object.keys(entries || {}).length };
+  }
+
+  // Remove the given keys, or everything in the area when keys is empty
+  async function deleteStorage(tabId, area, url, keys) {
+    checkArea(area);
+    const origin = await resolveOrigin(tabId, url);
+    await requireTabOrigin(tabId, origin);
+    const { removed } = await runInTab(tabId, (area, keys) => {
+      try {
+        const store = window[area];
+        if (!keys || keys.length === 0) {
+          const count = store.length;
+          store.clear();
+          return { removed: count };
+        }
+        const present = keys.filter(k => store.getItem(k) !== null);
+        present.forEach(k => store.removeItem(k));
+        return { removed: present.length };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }, [area, keys || []]);
+    return { origin, removed };
+  }
+
+  async function clearSiteData(tabId, url, dataTypes) {
+    const origin = await resolveOrigin(tabId, url);
+    const types = dataTypes && dataTypes.length ? dataTypes : SITE_DATA_TYPES;
+    const unknown = types.filter(t => !SITE_DATA_TYPES.includes(t));
+    if (unknown.length) {
+      throw new Error(`Unknown data types: ${unknown.join(', ')}`);
+    }
+    await chrome.browsingData.remove(
+      { origins: [origin] },
+      Object.fromEntries(types.map(t => [t, true]))
+    );
+
+    // browsingData does not cover sessionStorage; clear it when the tab is on the origin
+    const cleared = [...types];
+    if (types.includes('localStorage')) {
+      try {
+        await deleteStorage(tabId, 'sessionStorage', origin);
+        cleared.push('sessionStorage');
+      } catch (e) {
+        log('sessionStorage not cleared:', e.message);
+      }
+    }
+    return { origin, cleared };
+  }
+
+  async function exportState(tabId, url) {
+    const origin = await resolveOrigin(tabId, url);
+    await requireTabOrigin(tabId, origin);
+    const [cookies, local, session] = await Promise.all([
+      getCookies(tabId, origin + '/'),
+      getStorage(tabId, 'localStorage', origin),
+      getStorage(tabId, 'sessionStorage', origin)
+    ]);
+    return {
+      version: STATE_VERSION,
+      origin,
+      exportedAt: new Date().toISOString(),
+      cookies,
+      localStorage: local.entries,
+      sessionStorage: session.entries
+    };
+  }
+
+  // Restore cookies first (they do not need the tab on the origin), then storage
+  async function importState(tabId, state) {
+    if (!state || state.version !== STATE_VERSION || !state.origin) {
+      throw new Error('Not a storage snapshot (expected version, origin, cookies, localStorage, sessionStorage)');
+    }
+
+    const failed = [];
+    let cookies = 0;
+    for (const cookie of state.cookies || []) {
+      try {
+        await setCookie(tabId, { ...cookie, url: state.origin + '/' });
+        cookies++;
+      } catch (e) {
+        failed.push(`cookie ${cookie.name}: ${e.message}`);
+      }
+    }
+
+    const result = { origin: state.origin, cookies, localStorage: 0, sessionStorage: 0, failed };
+    try {
+      await requireTabOrigin(tabId, state.origin);
+    } catch (e) {
+      result.storageSkipped = e.message;
+      return result;
+    }
+    for (const area of STORAGE_AREAS) {
+      const { count } = await setStorage(tabId, area, state.origin, state[area] || {}, true);
+      result[area] = count;
+    }
+    return result;
+  }
+
+  self.StorageManager = {
+    getCookies,
+    setCookie,
+    deleteCookies,
+    getStorage,
+    setStorage,
+    deleteStorage,
+    clearSiteData,
+    exportState,
+    importState
+  };
+})();
@@ -1,146 +1,237 @@
 /**
- * Trusted Click Implementation using Chrome Debugger API
- * This simulates real user clicks that can trigger popups and pass isTrusted checks
+ * Trusted Input Implementation using Chrome Debugger API
+ * Simulates real user input (mouse and keyboard) that can trigger popups and
+ * passes isTrusted checks. Loaded into the service worker by background.js.
+ *
+ * Exposes self.TrustedInput = { click, hover, type, pressKey, describeKey }.
  */
+(function() {
+  'use strict';
 
-async function performTrustedClick(tabId, ref) {
-  console.log('[TrustedClick] Starting trusted click for ref:', ref);
-  
-  // First get element coordinates using injected script
-  const [coordsResult] = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (ref) => {
-      const validation = window.__elementValidator?.validateElement(ref);
-      if (!validation?.valid) {
-        return { error: validation?.error || 'Element not found' };
-      }
-      
-      const element = validation.element;
-      const rect = element.getBoundingClientRect();
-      
-      // Scroll into view if needed
-      if (rect.top < 0 || rect.bottom > window.innerHeight) {
-        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        // Get new position after scroll
-        const newRect = element.getBoundingClientRect();
-        return {
-          x: Math.round(newRect.left + newRect.width / 2),
-          y: Math.round(newRect.top + newRect.height / 2),
-          scrolled: true
-        };
-      }
-      
-      return {
-        x: Math.round(rect.left + rect.width / 2),
-        y: Math.round(rect.top + rect.height / 2),
-        scrolled: false
-      };
-    },
-    args: [ref]
-  });
-  
-  if (coordsResult.result.error) {
-    throw new Error(coordsResult.result.error);
+  const TAG = '[TrustedInput]';
+  const log = (...args) => console.log(TAG, new Date().toISOString(), ...args);
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  // DevTools key definitions for non-character keys (subset of puppeteer's USKeyboardLayout)
+  const KEY_DEFINITIONS = {
+    Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+    Tab: { code: 'Tab', keyCode: 9 },
+    Escape: { code: 'Escape', keyCode: 27 },
+    Backspace: { code: 'Backspace', keyCode: 8 },
+    Delete: { code: 'Delete', keyCode: 46 },
+    Space: { key: ' ', code: 'Space', keyCode: 32, text: ' ' },
+    ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+    ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+    ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+    ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+    Home: { code: 'Home', keyCode: 36 },
+    End: { code: 'End', keyCode: 35 },
+    PageUp: { code: 'PageUp', keyCode: 33 },
+    PageDown: { code: 'PageDown', keyCode: 34 }
+  };
+
+  // Punctuation on a US layout: [code, keyCode]. Their char codes collide with
+  // navigation keys (% is 37, Left), so they need the real virtual key codes.
+  const PUNCTUATION_KEYS = {
+    '`': ['Backquote', 192], '~': ['Backquote', 192],
+    '-': ['Minus', 189], '_': ['Minus', 189],
+    '=': ['Equal', 187], '+': ['Equal', 187],
+    '[': ['BracketLeft', 219], '{': ['BracketLeft', 219],
+    ']': ['BracketRight', 221], '}': ['BracketRight', 221],
+    '\\': ['Backslash', 220], '|': ['Backslash', 220],
+    ';': ['Semicolon', 186], ':': ['Semicolon', 186],
+    "'": ['Quote', 222], '"': ['Quote', 222],
+    ',': ['Comma', 188], '<': ['Comma', 188],
+    '.': ['Period', 190], '>': ['Period', 190],
+    '/': ['Slash', 191], '?': ['Slash', 191],
+    ')': ['Digit0', 48], '!': ['Digit1', 49], '@': ['Digit2', 50], '#': ['Digit3', 51], '$': ['Digit4', 52],
+    '%': ['Digit5', 53], '^': ['Digit6', 54], '&': ['Digit7', 55], '*': ['Digit8', 56], '(': ['Digit9', 57]
+  };
+
+  function describeKey(key) {
+    const def = KEY_DEFINITIONS[key];
+    if (def) {
+      return { key: def.key || key, code: def.code, windowsVirtualKeyCode: def.keyCode, text: def.text };
+    }
+    if (PUNCTUATION_KEYS[key]) {
+      const [code, keyCode] = PUNCTUATION_KEYS[key];
+      return { key, code, windowsVirtualKeyCode: keyCode, text: key };
+    }
+    if (/^[a-z0-9]$/i.test(key)) {
+      const upper = key.toUpperCase();
+      const code = /\d/.test(key) ? `Digit${key}` : `Key${upper}`;
+      return { key, code, windowsVirtualKeyCode: upper.charCodeAt(0), text: key };
+    }
+    throw new Error(`Unsupported key for trusted input: ${key}`);
   }
-  
-  const coords = coordsResult.result;
-  console.log('[TrustedClick] Element coordinates:', coords);
-  
-  // Wait for scroll if needed
-  if (coords.scrolled) {
-    await new Promise(resolve => setTimeout(resolve, 500));
+
+  // Thrown when the debugger cannot be used at all, before any input was
+  // dispatched; only these errors may fall back to synthetic events
+  function debuggerUnavailable(message) {
+    const err = new Error(message);
+    err.debuggerUnavailable = true;
+    return err;
   }
-  
-  // Check if debugger is already attached
-  let wasAttached = false;
-  try {
-    // Try to attach debugger
-    await chrome.debugger.attach({ tabId }, "1.3");
-    console.log('[TrustedClick] Debugger attached');
-  } catch (error) {
-    if (error.message.includes('Another debugger')) {
-      wasAttached = true;
-      console.log('[TrustedClick] Debugger already attached');
-    } else {
-      throw error;
+
+  /**
+   * Run fn with the debugger attached to tabId. Reuses an existing attachment
+   * from the debugger state manager and only detaches if we attached here.
+   */
+  async function withDebugger(tabId, fn) {
+    const manager = self.__debuggerStateManager;
+    if (!manager) {
+      throw debuggerUnavailable('Debugger state manager not loaded');
+    }
+    const wasAttached = manager.isAttached(tabId);
+    try {
+      await manager.ensureAttached(tabId, []);
+    } catch (err) {
+      throw debuggerUnavailable(`Debugger attach failed: ${err.message}`);
+    }
+    const send = (method, params = {}) => manager.sendCommand(tabId, method, params);
+    try {
+      return await fn(send);
+    } finally {
+      if (!wasAttached) {
+        await manager.ensureDetached(tabId).catch((e) => log('Detach failed:', e.message));
+      }
     }
   }
-  
-  try {
-    // Enable Input domain for mouse events
-    await chrome.debugger.sendCommand({ tabId }, "Input.enable", {});
-    
-    // Send mouse move to position
-    await chrome.debugger.sendCommand({ tabId }, "Input.dispatchMouseEvent", {
-      type: "mouseMoved",
-      x: coords.x,
-      y: coords.y,
-      button: "none",
-      clickCount: 0
-    });
-    
-    // Small delay to simulate human behavior
-    await new Promise(resolve => setTimeout(resolve, 50));
-    
-    // Send mouse down
-    await chrome.debugger.sendCommand({ tabId }, "Input.dispatchMouseEvent", {
-      type: "mousePressed",
-      x: coords.x,
-      y: coords.y,
-      button: "left",
-      buttons: 1,
-      clickCount: 1,
-      modifiers: 0
-    });
-    
-    // Small delay for button press
-    await new Promise(resolve => setTimeout(resolve, 30));
-    
-    // Send mouse up
-    await chrome.debugger.sendCommand({ tabId }, "Input.dispatchMouseEvent", {
-      type: "mouseReleased",
-      x: coords.x,
-      y: coords.y,
-      button: "left",
-      buttons: 0,
-      clickCount: 1,
-      modifiers: 0
+
+  function frameTarget(tabId, frameId) {
+    return frameId ? { tabId, frameIds: [frameId] } : { tabId };
+  }
+
+  // Scroll the tracked element into view and return its center in top-level
+  // viewport coordinates. Elements in iframes are offset by each ancestor
+  // frame element, which is only reachable for same-origin frames.
+  async function getElementCenter(tabId, ref, frameId = 0) {
+    const [res] = await chrome.scripting.executeScript({
+      target: frameTarget(tabId, frameId),
+      func: (ref) => {
+        const element = window.__elementTracker?.getElementById(ref);
+        if (!element) {
+          return { error: `Element with ref ${ref} no longer exists in DOM` };
+        }
+        element.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) {
+          return { error: `Element ${ref} has zero size and cannot receive input` };
+        }
+        let x = rect.left + rect.width / 2;
+        let y = rect.top + rect.height / 2;
+        for (let win = window; win !== win.top; win = win.parent) {
+          const frameElement = win.frameElement;
+          if (!frameElement) {
+            return { error: `Element ${ref} is in a cross-origin frame; trusted input cannot locate it` };
+          }
+          const frameRect = frameElement.getBoundingClientRect();
+          x += frameRect.left + frameElement.clientLeft;
+          y += frameRect.top + frameElement.clientTop;
+        }
+        return { x: Math.round(x), y: Math.round(y) };
+      },
+      args: [ref]
     });
-    
-    console.log('[TrustedClick] Mouse events sent successfully');
-    
-    // Wait a bit for any popups to appear
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    // Check if a popup was opened
-    const windows = await chrome.windows.getAll({ populate: true });
-    const popups = windows.filter(w => w.type === 'popup');
-    
-    if (popups.length > 0) {
-      console.log('[TrustedClick] Popup detected:', popups[0].id);
-      return {
-        success: true,
-        popupOpened: true,
-        popupWindowId: popups[0].id
-      };
+
+    const coords = res && res.result;
+    if (!coords || coords.error) {
+      throw new Error((coords && coords.error) || 'Failed to locate element');
     }
-    
-    return { success: true, popupOpened: false };
-    
-  } finally {
-    // Only detach if we attached it
-    if (!wasAttached) {
-      try {
-        await chrome.debugger.detach({ tabId });
-        console.log('[TrustedClick] Debugger detached');
-      } catch (e) {
-        console.log('[TrustedClick] Error detaching debugger:', e);
+    return coords;
+  }
+
+  async function dispatchClick(send, { x, y }) {
+    await send('Input.dispatchMouseEvent', { type: 'mouseMoved', x, y, button: 'none', clickCount: 0 });
+    await sleep(50);
+    await send('Input.dispatchMouseEvent', { type: 'mousePressed', x, y, button: 'left', buttons: 1, clickCount: 1, modifiers: 0 });
+    await sleep(30);
+    await send('Input.dispatchMouseEvent', { type: 'mouseReleased', x, y, button: 'left', buttons: 0, clickCount: 1, modifiers: 0 });
+  }
+
+  async function dispatchKey(send, key) {
+    const { text, ...def } = describeKey(key);
+    await send('Input.dispatchKeyEvent', { type: text ? 'keyDown' : 'rawKeyDown', ...def, ...(text ? { text, unmodifiedText: text } : {}) });
+    await send('Input.dispatchKeyEvent', { type: 'keyUp', ...def });
+  }
+
+  async function click(tabId, ref, frameId = 0) {
+    log('Trusted click for ref:', ref, 'frame:', frameId);
+    const coords = await getElementCenter(tabId, ref, frameId);
+    const popupsBefore = new Set((await chrome.windows.getAll()).filter(w => w.type === 'popup').map(w => w.id));
+
+    await withDebugger(tabId, (send) => dispatchClick(send, coords));
+
+    // Give popups a moment to open
+    await sleep(500);
+    const popup = (await chrome.windows.getAll()).find(w => w.type === 'popup' && !popupsBefore.has(w.id));
+    return popup
+      ? { success: true, popupOpened: true, popupWindowId: popup.id }
+      : { success: true, popupOpened: false };
+  }
+
+  async function hover(tabId, ref, frameId = 0) {
+    log('Trusted hover for ref:', ref, 'frame:', frameId);
+    const { x, y } = await getElementCenter(tabId, ref, frameId);
+    await withDebugger(tabId, (send) =>
+      send('Input.dispatchMouseEvent', { type: 'mouseMoved', x, y, button: 'none', clickCount: 0 })
+    );
+    return { success: true };
+  }
+
+  async function type(tabId, ref, text, submit, frameId = 0) {
+    log('Trusted type for ref:', ref, 'frame:', frameId);
+    const coords = await getElementCenter(tabId, ref, frameId);
+
+    await withDebugger(tabId, async (send) => {
+      // Focus with a real click, then select existing content so typing replaces it
+      await dispatchClick(send, coords);
+      await chrome.scripting.executeScript({
+        target: frameTarget(tabId, frameId),
+        func: (ref) => {
+          const element = window.__elementTracker?.getElementById(ref);
+          if (!element) return;
+          element.focus();
+          if (typeof element.select === 'function') {
+            element.select();
+          } else if (element.isContentEditable) {
+            const range = document.createRange();
+            range.selectNodeContents(element);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+          }
+        },
+        args: [ref]
+      });
+
+      if (text.length === 0) {
+        await dispatchKey(send, 'Backspace');
       }
-    }
+      for (const char of text) {
+        // Printable ASCII gets full key events; everything else (emoji, IME text) is inserted
+        if (char.length === 1 && char >= ' ' && char <= '~') {
+          await dispatchKey(send, char === ' ' ? 'Space' : char);
+        } else if (char === '\n') {
+          await dispatchKey(send, 'Enter');
+        } else {
+          await send('Input.insertText', { text: char });
+        }
+      }
+      if (submit) {
+        await dispatchKey(send, 'Enter');
+      }
+    });
+
+    return { success: true };
+  }
+
+  async function pressKey(tabId, key) {
+    log('Trusted key press:', key);
+    await withDebugger(tabId, (send) => dispatchKey(send, key));
+    return { success: true };
   }
-}
 
-// Export for use in background.js
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { performTrustedClick };
-}
\ No newline at end of file
+  self.TrustedInput = { click, hover, type, pressKey, describeKey };
+})();
@@ -27,6 +27,10 @@
     // Instance ID (generated once, persisted)
     this.instanceId = null;
 
+    // Shared token from the options page, sent in the hello handshake
+    this.authToken = '';
+    this.authError = null;
+
     // Connection state
     this.connected = false;
     this.connecting = false;
@@ -35,6 +39,9 @@
     this.SERVER_HOST = 'localhost';
     this.SERVER_PORT = 8765;
 
+    // Close code the daemon uses when the handshake token is missing or wrong
+    this.AUTH_FAILED_CLOSE_CODE = 4401;
+
     // Retry settings
     this.RECONNECT_DELAY = 3000;
     this.MAX_RECONNECT_DELAY = 30000;
@@ -54,6 +61,21 @@
 
     // Load or generate instance ID (async)
     await this.loadInstanceId();
+    await this.loadAuthToken();
+
+    // Reconnect with the new token when it is changed in the options page
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes.authToken) return;
+      this.authToken = changes.authToken.newValue || '';
+      this.authError = null;
+      log('Auth token changed, reconnecting');
+      this.reconnectAttempts = 0;
+      if (this.ws) {
+        this.ws.close();
+      } else {
+        this.connect();
+      }
+    });
 
     // Start connection
     this.connect();
@@ -89,6 +111,18 @@
     }
   };
 
+  /**
+   * Load the shared auth token set in the options page
+   */
+  UnifiedConnectionManager.prototype.loadAuthToken = async function() {
+    try {
+      const result = await chrome.storage.local.get(['authToken']);
+      this.authToken = result.authToken || '';
+    } catch (err) {
+      warn('Failed to load auth token from storage:', err);
+    }
+  };
+
   /**
    * Generate UUID v4
    */
@@ -124,16 +158,22 @@
         this.reconnectAttempts = 0;
         this.updateBadge();
 
-        // Send hello message
+        // Send hello message; the daemon checks the token before accepting the session
         this.send({
           type: 'hello',
           wants: 'instanceId',
-          instanceId: this.instanceId
+          instanceId: this.instanceId,
+          ...(this.authToken ? { token: this.authToken } : {})
         });
       };
 
-      this.ws.onclose = () => {
-        log('Connection closed');
+      this.ws.onclose = (event) => {
+        if (event && event.code === this.AUTH_FAILED_CLOSE_CODE) {
+          this.authError = event.reason || 'Authentication failed';
+          error(`Daemon rejected the connection: ${this.authError}. Set the auth token in the extension options.`);
+        } else {
+          log('Connection closed');
+        }
         this.connected = false;
         this.connecting = false;
         this.ws = null;
@@ -216,6 +256,7 @@
 
     if (msg.type === 'connected') {
       log('Server confirmed connection:', msg);
+      this.authError = null;
       return;
     }
 
@@ -301,9 +342,13 @@
       }).catch(err => console.warn('Failed to update icon:', err));
     } else {
       // Update badge
-      chrome.action.setBadgeText({ text: '✗' });
+      chrome.action.setBadgeText({ text: this.authError ? 'KEY' : '✗' });
       chrome.action.setBadgeBackgroundColor({ color: '#aa0000' });
-      chrome.action.setTitle({ title: 'Browser MCP Disconnected' });
+      chrome.action.setTitle({
+        title: this.authError
+          ? `Browser MCP Disconnected\n${this.authError}`
+          : 'Browser MCP Disconnected'
+      });
 
       // Update icon to red
       chrome.action.setIcon({
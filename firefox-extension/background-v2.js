@@ -9,14 +9,16 @@ const MAX_STARTUP_ATTEMPTS = 3;
 
 const tabForSession = new Map();
 const lastFocusedTabForSession = new Map();
+const SESSION_LEVEL_COMMANDS = new Set(['tabs.list', 'tabs.select', 'tabs.new', 'tabs.close', 'tabs.adopt', 'session.close']);
 
-let extensionConfig = { unsafeMode: false, serverBase: 'ws://localhost:8765', instanceId: null };
+let extensionConfig = { unsafeMode: false, serverBase: 'ws://localhost:8765', instanceId: null, authToken: '' };
 
 function uuidv4() { return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => { const r = Math.random()*16|0, v=c==='x'?r:(r&0x3|0x8); return v.toString(16); }); }
 
 async function loadConfig() {
-  const res = await browserAPI.storage.local.get(['unsafeMode','serverUrl','browsermcp_instance_id']);
+  const res = await browserAPI.storage.local.get(['unsafeMode','serverUrl','browsermcp_instance_id','authToken']);
   if (typeof res.unsafeMode === 'boolean') extensionConfig.unsafeMode = res.unsafeMode;
+  extensionConfig.authToken = res.authToken || '';
   if (res.serverUrl) extensionConfig.serverBase = res.serverUrl.replace(/\/$/, '');
   if (res.browsermcp_instance_id) extensionConfig.instanceId = res.browsermcp_instance_id; else {
     extensionConfig.instanceId = uuidv4();
@@ -44,7 +46,22 @@ async function ensureSessionTab(sessionId, preferredTabId) {
   if (typeof preferredTabId === 'number') { try { await browserAPI.tabs.get(preferredTabId); recordSessionTab(sessionId, preferredTabId); return preferredTabId; } catch {} }
   const last = lastFocusedTabForSession.get(sessionId);
   if (typeof last === 'number') { try { await browserAPI.tabs.get(last); recordSessionTab(sessionId, last); return last; } catch {} }
-  const created = await browserAPI.tabs.create({ url: 'about:blank', active: true }); recordSessionTab(sessionId, created.id); return created.id;
+  const created = await browserAPI.tabs.create({ url: 'about:blank', active: true }); recordSessionTab(sessionId, created.id); await groupSessionTab(sessionId, created.id); return created.id;
+}
+
+// After (re)connecting the daemon asks which session tabs are still open; merge its view with ours and report back
+async function handleResync(remembered) {
+  const sessions = {};
+  const ids = new Set([...Object.keys(remembered || {}), ...tabForSession.keys()]);
+  for (const sessionId of ids) {
+    const candidates = [...new Set([...(tabForSession.get(sessionId) || []), ...((remembered?.[sessionId]?.tabIds) || []).map(Number).filter(Number.isInteger)])];
+    const alive = []; for (const tabId of candidates) { try { await browserAPI.tabs.get(tabId); alive.push(tabId); } catch {} }
+    if (alive.length) tabForSession.set(sessionId, alive); else tabForSession.delete(sessionId);
+    const current = [lastFocusedTabForSession.get(sessionId), Number(remembered?.[sessionId]?.currentTabId)].find(id => alive.includes(id)) ?? alive[alive.length - 1];
+    if (current !== undefined) lastFocusedTabForSession.set(sessionId, current); else lastFocusedTabForSession.delete(sessionId);
+    sessions[sessionId] = { tabIds: alive.map(String), currentTabId: current !== undefined ? String(current) : null };
+  }
+  if (ws && ws.readyState===WebSocket.OPEN) ws.send(JSON.stringify({ type:'resyncAck', sessions }));
 }
 
 async function connectToMCP() {
@@ -54,18 +71,22 @@ async function connectToMCP() {
   if (reconnectTimer) { clearTimeout(reconnectTimer); reconnectTimer = null; }
   const url = sessionWsUrl();
   ws = new WebSocket(url);
-  ws.onopen = () => { updateIcon(true); connectAttempts = 0; if (keepAliveTimer) clearInterval(keepAliveTimer); keepAliveTimer = setInterval(()=>{ if (ws && ws.readyState===WebSocket.OPEN) ws.send(JSON.stringify({type:'ping',timestamp:Date.now()})); },30000); };
+  // The daemon checks the shared token in this hello before accepting the session
+  ws.onopen = () => { ws.send(JSON.stringify({ type:'hello', wants:'instanceId', instanceId: extensionConfig.instanceId, ...(extensionConfig.authToken ? { token: extensionConfig.authToken } : {}) })); updateIcon(true); connectAttempts = 0; if (keepAliveTimer) clearInterval(keepAliveTimer); keepAliveTimer = setInterval(()=>{ if (ws && ws.readyState===WebSocket.OPEN) ws.send(JSON.stringify({type:'ping',timestamp:Date.now()})); },30000); };
   ws.onmessage = async (evt) => {
     let wireId = null;
     try {
       const env = JSON.parse(evt.data);
       if (env.type === 'ping') { if (ws && ws.readyState===WebSocket.OPEN) ws.send(JSON.stringify({type:'pong',timestamp:Date.now()})); return; }
+      if (env.type === 'resync') { await handleResync(env.sessions); return; }
       if (env.type !== 'command') return;
       const sessionId = env.sessionId; wireId = env.wireId; const name = env.name||env.type; const payload = env.payload||{}; const targetTabId = typeof env.tabId==='number'?env.tabId:undefined;
-      const tabId = await ensureSessionTab(sessionId, targetTabId); recordSessionTab(sessionId, tabId);
-      const result = await executeInTab(tabId, name, payload);
+      // Session-level tab commands must not get a blank tab created for them
+      const sessionLevel = SESSION_LEVEL_COMMANDS.has(name);
+      const tabId = sessionLevel ? lastFocusedTabForSession.get(sessionId) : await ensureSessionTab(sessionId, targetTabId); if (!sessionLevel) recordSessionTab(sessionId, tabId);
+      const result = await executeInTab(tabId, name, { ...payload, sessionId });
       const data = result && typeof result==='object' ? { ...result, tabId: (result.tabId ?? tabId) } : { tabId };
-      if (ws && ws.readyState===WebSocket.OPEN) {
+      if (ws && ws.readyState===WebSocket.OPEN && wireId) {
         ws.send(JSON.stringify({ wireId, sessionId, type:'response', data }));
         const tabs = tabForSession.get(sessionId) || [];
         ws.send(JSON.stringify({ type:'event', sessionId, name:'debug', payload:{ where:'ff-background', action:name, resolvedTabId:tabId, tabs:[...tabs], lastFocused:lastFocusedTabForSession.get(sessionId) } }));
@@ -73,7 +94,7 @@ async function connectToMCP() {
     } catch (e) { if (ws && ws.readyState===WebSocket.OPEN && wireId) ws.send(JSON.stringify({wireId, type:'response', data:{ success:false, error:String(e) }})); }
   };
   ws.onerror = () => { updateIcon(false); };
-  ws.onclose = () => { updateIcon(false); if (keepAliveTimer) { clearInterval(keepAliveTimer); keepAliveTimer=null; } if (reconnectTimer) clearTimeout(reconnectTimer); const d = connectAttempts<MAX_STARTUP_ATTEMPTS?2000:Math.min(30000,2000*Math.pow(2,connectAttempts-MAX_STARTUP_ATTEMPTS)); connectAttempts++; reconnectTimer = setTimeout(connectToMCP, d); };
+  ws.onclose = (evt) => { if (evt && evt.code === 4401) console.error(`[BrowserMCP] Daemon rejected the connection: ${evt.reason || 'authentication failed'}. Set the auth token in the extension options.`); updateIcon(false); if (keepAliveTimer) { clearInterval(keepAliveTimer); keepAliveTimer=null; } if (reconnectTimer) clearTimeout(reconnectTimer); const d = connectAttempts<MAX_STARTUP_ATTEMPTS?2000:Math.min(30000,2000*Math.pow(2,connectAttempts-MAX_STARTUP_ATTEMPTS)); connectAttempts++; reconnectTimer = setTimeout(connectToMCP, d); };
 }
 
 async function executeInTab(tabId, name, payload) {
@@ -91,10 +112,12 @@ async function executeInTab(tabId, name, payload) {
     case 'browser_get_console_logs': return await handleGetConsoleLogs(tabId);
     case 'console.get': return await handleGetConsoleLogs(tabId);
     case 'snapshot.accessibility': return await handleSnapshot(tabId, payload);
-    case 'tabs.list': return await handleTabList();
+    case 'tabs.list': return await handleTabList(payload);
     case 'tabs.select': return await handleTabSelect(payload);
     case 'tabs.new': return await handleTabNew(payload);
     case 'tabs.close': return await handleTabClose(payload);
+    case 'tabs.adopt': return await handleTabAdopt(payload);
+    case 'session.close': return await handleSessionClose(payload);
     case 'js.execute': return await handleExecuteJS(tabId, payload);
     default: return { success:false, error:`Unhandled command: ${name}` };
   }
@@ -129,10 +152,18 @@ async function handleExecuteJS(tabId, payload) {
   }
 }
 async function handleCommonOperation(tabId, { operation, options={} }) { try { if (typeof tabId!=='number') return { success:false, error:'No active tab' }; return await browserAPI.tabs.sendMessage(tabId, { action:'commonOperation', operation, options }); } catch(e){ return { success:false, error:String(e) }; } }
-async function handleTabList() { try { const tabs=await browserAPI.tabs.query({}); return { success:true, tabs:tabs.map(t=>({ id:t.id,title:t.title,url:t.url,active:t.active,index:t.index })) }; } catch(e){ return { success:false, error:String(e) }; } }
-async function handleTabSelect({ index }) { try { const tabs=await browserAPI.tabs.query({ index }); if (tabs.length>0) { await browserAPI.tabs.update(tabs[0].id,{ active:true }); return { success:true, tabId:tabs[0].id }; } return { success:false, error:'Tab not found at index' }; } catch(e){ return { success:false, error:String(e) }; } }
-async function handleTabNew({ url }) { try { const tab=await browserAPI.tabs.create({ url:url||'about:blank', active:true }); return { success:true, tabId:tab.id }; } catch(e){ return { success:false, error:String(e) }; } }
-async function handleTabClose({ index }) { try { if (typeof index==='number') { const tabs=await browserAPI.tabs.query({ index }); if (tabs.length>0) await browserAPI.tabs.remove(tabs[0].id); } else { const tabs=await browserAPI.tabs.query({ active:true, currentWindow:true }); if (tabs[0]) await browserAPI.tabs.remove(tabs[0].id); } return { success:true }; } catch(e){ return { success:false, error:String(e) }; } }
+// Tab commands only see the session's own tabs; index is the position in that list
+async function sessionTabs(sessionId) { const ids = tabForSession.get(sessionId) || []; const tabs = []; for (const id of ids) { try { tabs.push(await browserAPI.tabs.get(id)); } catch {} } if (tabs.length !== ids.length) ids.filter(id => !tabs.some(t => t.id === id)).forEach(id => forgetSessionTab(sessionId, id)); return tabs.sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index)); }
+function forgetSessionTab(sessionId, tabId) { const list = tabForSession.get(sessionId) || []; const i = list.indexOf(tabId); if (i >= 0) list.splice(i, 1); if (lastFocusedTabForSession.get(sessionId) === tabId) { if (list.length) lastFocusedTabForSession.set(sessionId, list[list.length - 1]); else lastFocusedTabForSession.delete(sessionId); } }
+function sessionOwningTab(tabId) { for (const [sessionId, tabs] of tabForSession.entries()) { if (tabs.includes(tabId)) return sessionId; } return null; }
+// Firefox has tab groups from version 138; older versions just skip grouping
+async function groupSessionTab(sessionId, tabId) { if (typeof browserAPI.tabs.group !== 'function' || typeof tabId !== 'number') return; try { const title = `MCP ${String(sessionId).slice(0, 8)}`; const tab = await browserAPI.tabs.get(tabId); const [existing] = browserAPI.tabGroups ? await browserAPI.tabGroups.query({ title, windowId: tab.windowId }) : []; if (existing && tab.groupId === existing.id) return; const groupId = await browserAPI.tabs.group(existing ? { groupId: existing.id, tabIds: [tabId] } : { tabIds: [tabId] }); if (!existing && browserAPI.tabGroups) await browserAPI.tabGroups.update(groupId, { title }); } catch (e) { console.warn('[BrowserMCP] Could not add tab to session group', e); } }
+async function handleTabList({ sessionId }) { try { const tabs = await sessionTabs(sessionId); const current = lastFocusedTabForSession.get(sessionId); return { success:true, tabs:tabs.map((t, i)=>({ id:t.id,title:t.title,url:t.url,active:t.id===current,index:i })) }; } catch(e){ return { success:false, error:String(e) }; } }
+async function handleTabSelect({ index, sessionId }) { try { const target = (await sessionTabs(sessionId))[index]; if (!target) return { success:false, error:`No tab ${index} in this session; use the adopt action to take over another tab` }; await browserAPI.tabs.update(target.id,{ active:true }); recordSessionTab(sessionId, target.id); return { success:true, tabId:target.id }; } catch(e){ return { success:false, error:String(e) }; } }
+async function handleTabNew({ url, sessionId }) { try { const tab=await browserAPI.tabs.create({ url:url||'about:blank', active:true }); recordSessionTab(sessionId, tab.id); await groupSessionTab(sessionId, tab.id); const tabs = await sessionTabs(sessionId); return { success:true, tabId:tab.id, index:tabs.findIndex(t => t.id === tab.id) }; } catch(e){ return { success:false, error:String(e) }; } }
+async function handleTabClose({ index, sessionId }) { try { const tabs = await sessionTabs(sessionId); const target = typeof index==='number' ? tabs[index] : tabs.find(t => t.id === lastFocusedTabForSession.get(sessionId)); if (!target) return { success:false, error:'No such tab in this session' }; await browserAPI.tabs.remove(target.id); forgetSessionTab(sessionId, target.id); return { success:true, releasedTabIds:[String(target.id)], tabId:lastFocusedTabForSession.get(sessionId) }; } catch(e){ return { success:false, error:String(e) }; } }
+async function handleTabAdopt({ tabId, url, sessionId }) { try { let target; if (typeof tabId==='number') target = await browserAPI.tabs.get(tabId).catch(() => null); else if (url) { const tabs = await browserAPI.tabs.query({}); target = tabs.find(t => t.url && t.url.includes(url) && !sessionOwningTab(t.id)) || tabs.find(t => t.url && t.url.includes(url)); } else [target] = await browserAPI.tabs.query({ active:true, lastFocusedWindow:true }); if (!target) return { success:false, error: url ? `No open tab matches ${url}` : 'Tab not found' }; const owner = sessionOwningTab(target.id); if (owner && owner !== sessionId) return { success:false, error:`Tab ${target.id} belongs to another session` }; recordSessionTab(sessionId, target.id); await groupSessionTab(sessionId, target.id); const tabs = await sessionTabs(sessionId); return { success:true, tabId:target.id, index:tabs.findIndex(t => t.id === target.id), title:target.title, url:target.url }; } catch(e){ return { success:false, error:String(e) }; } }
+async function handleSessionClose({ tabs: mode = 'ungroup', sessionId }) { const tabIds = (await sessionTabs(sessionId)).map(t => t.id); try { if (tabIds.length && mode === 'close') await browserAPI.tabs.remove(tabIds); else if (tabIds.length && mode === 'ungroup' && typeof browserAPI.tabs.ungroup === 'function') await browserAPI.tabs.ungroup(tabIds); } catch (e) { console.warn('[BrowserMCP] Failed to clean up session tabs', e); } tabForSession.delete(sessionId); lastFocusedTabForSession.delete(sessionId); return { success:true, tabs:mode, releasedTabIds:tabIds.map(String) }; }
 
 browserAPI.runtime.onStartup.addListener(()=>{ connectToMCP(); });
 // Initialize periodic reconnect alarm (once installed/updated)
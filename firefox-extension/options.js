@@ -4,24 +4,27 @@ const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 document.addEventListener('DOMContentLoaded', () => {
   const unsafeModeCheckbox = document.getElementById('unsafeMode');
   const serverUrlInput = document.getElementById('serverUrl');
-  const saveButton = document.getElementById('save');
+  const authTokenInput = document.getElementById('authToken');
+  const saveButton = document.getElementById('saveBtn');
   const statusDiv = document.getElementById('status');
 
   // Load saved settings
-  browserAPI.storage.local.get(['unsafeMode', 'serverUrl']).then((result) => {
+  browserAPI.storage.local.get(['unsafeMode', 'serverUrl', 'authToken']).then((result) => {
     if (result.unsafeMode !== undefined) {
       unsafeModeCheckbox.checked = result.unsafeMode;
     }
     if (result.serverUrl) {
       serverUrlInput.value = result.serverUrl;
     }
+    authTokenInput.value = result.authToken || '';
   });
 
   // Save settings
   saveButton.addEventListener('click', () => {
     const settings = {
       unsafeMode: unsafeModeCheckbox.checked,
-      serverUrl: serverUrlInput.value.trim() || 'ws://localhost:8765'
+      serverUrl: serverUrlInput.value.trim() || 'ws://localhost:8765',
+      authToken: authTokenInput.value.trim()
     };
 
     browserAPI.storage.local.set(settings).then(() => {
@@ -0,0 +1,159 @@
+import { appendFile, chmodSync, mkdirSync, readFileSync, statSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+import { randomBytes, timingSafeEqual } from "node:crypto";
+import type { IncomingMessage } from "node:http";
+
+/**
+ * Shared-token authentication between the extension, the daemon and the MCP
+ * HTTP server. The token lives in ~/.browsermcp/config.json (or the file named
+ * by BROWSERMCP_CONFIG) as {"authToken": "..."} and is entered in the
+ * extension's options page. The servers generate it on first start and
+ * refuse every request without it; BROWSERMCP_DISABLE_AUTH=1 is the explicit
+ * opt-out. Browser Origins are checked either way, so web pages cannot reach
+ * the servers.
+ */
+export interface AuthConfig {
+  authToken?: string;
+  // When set, the only browser Origins allowed (e.g. a pinned extension id)
+  allowedOrigins?: string[];
+}
+
+export type AuthCheck = { ok: true } | { ok: false; status: 401 | 403; reason: string };
+
+const EVENT_LOG_PATH = process.env.BROWSER_MCP_EVENT_LOG || "/tmp/browsermcp-events.log";
+
+let cached: { path: string; mtimeMs: number; config: AuthConfig } | null = null;
+
+export function authConfigPath(): string {
+  return process.env.BROWSERMCP_CONFIG || join(homedir(), ".browsermcp", "config.json");
+}
+
+/**
+ * Read the config file, re-reading it when it changes so a rotated token
+ * applies without a restart. A missing or unreadable file means no token.
+ */
+export function readAuthConfig(): AuthConfig {
+  const path = authConfigPath();
+  let mtimeMs: number;
+  try {
+    mtimeMs = statSync(path).mtimeMs;
+  } catch {
+    return {};
+  }
+  if (cached && cached.path === path && cached.mtimeMs === mtimeMs) {
+    return cached.config;
+  }
+
+  let config: AuthConfig = {};
+  try {
+    config = JSON.parse(readFileSync(path, "utf8"));
+  } catch (error) {
+    console.warn(`[BrowserMCP Auth] Ignoring unreadable config ${path}: ${(error as Error).message}`);
+  }
+  cached = { path, mtimeMs, config };
+  return config;
+}
+
+export function authToken(): string | undefined {
+  const token = readAuthConfig().authToken;
+  return typeof token === "string" && token.trim() ? token.trim() : undefined;
+}
+
+export function authDisabled(): boolean {
+  const raw = (process.env.BROWSERMCP_DISABLE_AUTH || "").trim().toLowerCase();
+  return raw === "1" || raw === "true" || raw === "yes";
+}
+
+/**
+ * Generate a token into the config file (created with mode 0600) unless one
+ * is configured. Returns true when a token was generated.
+ */
+export function ensureAuthToken(): boolean {
+  if (authToken()) return false;
+  const path = authConfigPath();
+  const config = readAuthConfig();
+  const next = JSON.stringify({ ...config, authToken: randomBytes(32).toString("hex") }, null, 2) + "\n";
+  try {
+    mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+    // A new file is created exclusively, so two servers starting together cannot both write one
+    writeFileSync(path, next, { mode: 0o600, flag: Object.keys(config).length ? "w" : "wx" });
+    chmodSync(path, 0o600);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "EEXIST" && authToken()) return false;
+    throw new Error(`Could not write an auth token to ${path}: ${(error as Error).message}; set one there or set BROWSERMCP_DISABLE_AUTH=1`);
+  }
+  return true;
+}
+
+/**
+ * Compare a presented token with the configured one. Always false when no
+ * token is configured, unless auth is disabled.
+ */
+export function tokenMatches(presented: unknown): boolean {
+  if (authDisabled()) return true;
+  const expected = authToken();
+  if (!expected || typeof presented !== "string") return false;
+  const a = Buffer.from(presented);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Browsers always send an Origin; other local clients usually do not.
+ * Extension pages and explicitly allowed Origins pass, web pages do not.
+ */
+export function isAllowedOrigin(origin: string | undefined): boolean {
+  if (!origin) return true;
+  const allowed = readAuthConfig().allowedOrigins;
+  if (Array.isArray(allowed) && allowed.length) {
+    return allowed.includes(origin);
+  }
+  return origin.startsWith("chrome-extension://") || origin.startsWith("moz-extension://");
+}
+
+function bearerToken(req: IncomingMessage): string | undefined {
+  const header = req.headers.authorization;
+  const match = typeof header === "string" ? header.match(/^Bearer\s+(.+)$/i) : null;
+  return match ? match[1].trim() : undefined;
+}
+
+/**
+ * Check the Origin and Authorization: Bearer token of an HTTP request
+ */
+export function checkHttpRequest(req: IncomingMessage): AuthCheck {
+  const origin = req.headers.origin;
+  if (!isAllowedOrigin(origin)) {
+    return { ok: false, status: 403, reason: `Origin ${origin} is not allowed` };
+  }
+  if (!tokenMatches(bearerToken(req))) {
+    return {
+      ok: false,
+      status: 401,
+      reason: bearerToken(req) ? "Invalid auth token" : `Missing auth token; send Authorization: Bearer <authToken from ${authConfigPath()}>`,
+    };
+  }
+  return { ok: true };
+}
+
+/**
+ * Headers a server-to-server request needs to pass checkHttpRequest
+ */
+export function authHeaders(): Record<string, string> {
+  const token = authToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Record a rejected request in the event log and on the console
+ */
+export function logAuthRejection(server: string, details: Record<string, unknown>): void {
+  console.warn(`[BrowserMCP Auth] ${server} rejected connection:`, details);
+  try {
+    appendFile(
+      EVENT_LOG_PATH,
+      JSON.stringify({ ts: new Date().toISOString(), src: "auth-reject", server, ...details }) + "\n",
+      () => {}
+    );
+  } catch {/* ignore */}
+}
@@ -1,11 +1,15 @@
 import { createSocketMessageSender, BrowserMCPError } from "./messaging/ws/sender";
-import { createDaemonMessageSender } from "./messaging/daemon/sender";
+import { closeDaemonSession, createDaemonMessageSender, SessionTabsMode } from "./messaging/daemon/sender";
 import { WebSocket } from "ws";
 
 import { mcpConfig } from "./config/mcp.config";
 import { MessagePayload, MessageType, SocketMessageMap } from "./types/messages";
 import type { Tool } from "./tools/tool";
 
+// What the browser does with a session's tab group when its MCP session ends
+const SESSION_CLOSE_TABS: SessionTabsMode = (["keep", "ungroup", "close"] as const)
+  .find(mode => mode === process.env.BROWSER_MCP_SESSION_CLOSE_TABS) ?? "ungroup";
+
 const noConnectionMessage = `No connection to browser extension. In order to proceed, you must first connect a tab by clicking the Browser MCP extension icon in the browser toolbar and clicking the 'Connect' button.`;
 
 // Enhanced options interface for context-level message sending
@@ -18,6 +22,7 @@ interface ContextSendOptions {
     backoffMultiplier?: number;
   };
   errorContext?: string; // Additional context for error messages
+  tabId?: string; // Target a specific tab (daemon transport only)
 }
 
 export class Context {
@@ -129,12 +134,12 @@ export class Context {
       const resp = await daemonSender.sendDaemonMessage(type, payload, {
         timeoutMs: enhancedOptions.timeoutMs,
         retry: enhancedOptions.retry,
-        tabId: undefined, // Don't send sticky tabId - let daemon handle tab management
+        tabId: options.tabId, // Explicit targets only; no sticky tabId - the daemon handles tab management
       });
       // Learn currentTabId from daemon response if available
       try {
         const r: any = resp as any;
-        if (r && typeof r.tabId !== 'undefined' && r.tabId !== null) {
+        if (!options.tabId && r && typeof r.tabId !== 'undefined' && r.tabId !== null) {
           this._currentTabId = String(r.tabId);
         }
       } catch {}
@@ -186,6 +191,14 @@ export class Context {
   }
 
   async close() {
+    if (this._daemonUrl && this.instanceId) {
+      try {
+        await closeDaemonSession(this.instanceId, SESSION_CLOSE_TABS, this._daemonUrl);
+      } catch (error) {
+        console.warn('[BrowserMCP] Error closing daemon session:', error);
+      }
+    }
+
     if (!this._ws) {
       return;
     }
@@ -0,0 +1,142 @@
+import { Command } from "commander";
+import { authHeaders } from "../config/auth";
+
+const DEFAULT_URL = process.env.BROWSER_MCP_DAEMON_URL || `http://127.0.0.1:${process.env.BROWSER_MCP_DAEMON_PORT || "8765"}`;
+
+interface CtlOptions {
+  url: string;
+  json?: boolean;
+}
+
+// Call the daemon's admin API with the shared token; non-2xx answers throw
+async function request(options: CtlOptions, method: string, path: string): Promise<any> {
+  const response = await fetch(`${options.url.replace(/\/$/, "")}${path}`, {
+    method,
+    headers: authHeaders(),
+  });
+  const text = await response.text();
+  let body: any;
+  try {
+    body = text ? JSON.parse(text) : {};
+  } catch {
+    body = { error: text };
+  }
+  if (!response.ok) {
+    throw new Error(`${method} ${path} failed with ${response.status}: ${body.error ?? text}`);
+  }
+  return body;
+}
+
+function formatAge(ms: number): string {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60_000) return `${Math.round(ms / 1000)}s`;
+  if (ms < 3_600_000) return `${Math.round(ms / 60_000)}m`;
+  return `${Math.round(ms / 3_600_000)}h`;
+}
+
+function printSessions(body: any) {
+  if (body.sessions.length === 0) {
+    console.error("No sessions");
+    return;
+  }
+  console.log(["session", "connected", "busy", "running", "queued", "idle", "current_tab", "tabs"].join("\t"));
+  for (const session of body.sessions) {
+    console.log([
+      session.sessionId,
+      session.connected ? "yes" : "no",
+      session.busy ? "yes" : "no",
+      session.running,
+      session.queued,
+      formatAge(session.idleMs),
+      session.currentTabId ?? "-",
+      session.tabIds.join(",") || "-",
+    ].join("\t"));
+  }
+}
+
+function printSession(session: any) {
+  console.log(`session:     ${session.sessionId}`);
+  console.log(`connected:   ${session.connected ? "yes" : "no"}${session.sharedWith.length ? ` (shared with ${session.sharedWith.join(", ")})` : ""}`);
+  console.log(`tabs:        ${session.tabIds.join(", ") || "-"} (current: ${session.currentTabId ?? "-"})`);
+  console.log(`last seen:   ${session.lastSeen} (${formatAge(session.idleMs)} ago)`);
+  console.log(`running:     ${session.runningCommands.length}`);
+  for (const cmd of session.runningCommands) {
+    console.log(`  ${cmd.wireId}  ${cmd.name}  id=${cmd.originId ?? "-"}  tab=${cmd.tabId ?? "-"}  ${formatAge(cmd.runningMs)}`);
+  }
+  console.log(`queued:      ${session.queuedCommands.length}`);
+  for (const cmd of session.queuedCommands) {
+    console.log(`  ${cmd.wireId}  ${cmd.name}  id=${cmd.originId ?? "-"}  tab=${cmd.tabId ?? "-"}  waiting ${formatAge(cmd.waitingMs)}`);
+  }
+}
+
+function printMetrics(metrics: any) {
+  const { counters, ...gauges } = metrics;
+  for (const [key, value] of Object.entries({ ...gauges, ...counters })) {
+    console.log(`${key}\t${key === "uptimeMs" ? formatAge(value as number) : value}`);
+  }
+}
+
+/**
+ * `browsermcp-daemon ctl ...`: inspect and clean up a running daemon through
+ * its admin endpoints (sessions, tab ownership, metrics)
+ */
+export async function runCtl(argv: string[]): Promise<void> {
+  const program = new Command("browsermcp-daemon ctl")
+    .description("Inspect and manage a running BrowserMCP daemon")
+    .option("--url <url>", "Daemon base URL (defaults to BROWSER_MCP_DAEMON_URL or http://127.0.0.1:8765)", DEFAULT_URL)
+    .option("--json", "Print the raw JSON answer");
+
+  const options = () => program.opts<CtlOptions>();
+  const output = (body: any, print: (body: any) => void) => {
+    if (options().json) {
+      console.log(JSON.stringify(body, null, 2));
+    } else {
+      print(body);
+    }
+  };
+
+  program
+    .command("sessions [id]")
+    .description("List sessions, or show one session with its running and queued commands")
+    .action(async (id: string | undefined) => {
+      if (id) {
+        output(await request(options(), "GET", `/sessions/${encodeURIComponent(id)}`), printSession);
+      } else {
+        output(await request(options(), "GET", "/sessions"), printSessions);
+      }
+    });
+
+  program
+    .command("kill <id>")
+    .description("End a session: cancel its commands and release its tabs")
+    .option("--tabs <mode>", "What the browser does with the session's tabs: keep, ungroup or close", "keep")
+    .action(async (id: string, killOptions: { tabs: string }) => {
+      const path = `/sessions/${encodeURIComponent(id)}?tabs=${encodeURIComponent(killOptions.tabs)}`;
+      output(await request(options(), "DELETE", path), (result) => {
+        console.error(`Killed ${result.killed}: ${result.cancelled} command(s) cancelled, tabs released: ${result.releasedTabs.join(", ") || "none"} (${result.tabs})${result.socketClosed ? ", extension connection closed" : ""}`);
+      });
+    });
+
+  program
+    .command("release <tabId>")
+    .description("Remove a tab's owner so another session can use it")
+    .action(async (tabId: string) => {
+      output(await request(options(), "POST", `/tabs/${encodeURIComponent(tabId)}/release`), (result) => {
+        console.error(`Released tab ${result.tabId} from ${result.previousOwner}`);
+      });
+    });
+
+  program
+    .command("metrics")
+    .description("Show daemon counters and current load")
+    .action(async () => {
+      output(await request(options(), "GET", "/metrics"), printMetrics);
+    });
+
+  try {
+    await program.parseAsync(argv, { from: "user" });
+  } catch (err) {
+    console.error((err as Error).message);
+    process.exitCode = 1;
+  }
+}
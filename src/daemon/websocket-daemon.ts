@@ -1,11 +1,18 @@
 #!/usr/bin/env node
 import { createServer } from "node:http";
-import { appendFile } from "node:fs";
+import { appendFile, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
 import { WebSocketServer, WebSocket } from "ws";
 import { randomUUID } from "node:crypto";
+import { authConfigPath, authDisabled, authHeaders, checkHttpRequest, ensureAuthToken, isAllowedOrigin, logAuthRejection, tokenMatches } from "../config/auth";
+import { runCtl } from "./ctl";
 
 interface PendingRequest {
   originId?: string;
+  name: string;
+  tabId?: string;
+  startedAt: number;
   resolve: (value: any) => void;
   reject: (reason?: any) => void;
   timeout: NodeJS.Timeout;
@@ -19,28 +26,94 @@ interface Command {
   name: string;
   payload: any;
   tabId?: string;
+  // Time the client allows the command to run, counted once it leaves the queue
+  timeoutMs?: number;
+}
+
+// A command waiting for the session to become free; its HTTP request is held
+// open until the command runs, is cancelled or the client disconnects
+interface QueuedCommand {
+  command: Command;
+  resolve: (value: any) => void;
+  reject: (reason?: any) => void;
+  queuedAt: number;
 }
 
 interface SessionRecord {
   sessionId: string;
+  // Session id of the extension connection whose socket this session uses
+  extensionId: string;
   socket: WebSocket;
   pendingCmds: Map<string, PendingRequest>; // wireId → promise
   tabIds: string[];
   currentTabId?: string;
   busy: boolean;
-  commandQueue: Command[];
+  commandQueue: QueuedCommand[];
+  lastSeen: number;
+}
+
+// Tab ownership of a session as saved to disk, waiting to be confirmed by its
+// extension after a daemon restart
+interface PersistedSession {
+  sessionId: string;
+  extensionId: string;
+  tabIds: string[];
+  currentTabId?: string;
   lastSeen: number;
 }
 
+// What happens to a session's tabs (its tab group) when the session is closed
+type SessionTabsMode = "keep" | "ungroup" | "close";
+const SESSION_TABS_MODES: SessionTabsMode[] = ["keep", "ungroup", "close"];
+
+// Error carrying the HTTP status the command request is answered with
+class CommandError extends Error {
+  constructor(message: string, public status: number, public details: Record<string, unknown> = {}) {
+    super(message);
+  }
+}
+
 // Global tab ownership tracking
 const tabOwner = new Map<string, string>(); // tabId → sessionId
 
 const DAEMON_PORT = parseInt(process.env.BROWSER_MCP_DAEMON_PORT || "8765", 10);
 const MCP_HTTP_URL = process.env.BROWSER_MCP_HTTP_URL || "http://127.0.0.1:3000";
+// Time an extension has to authenticate with its hello message
+const AUTH_TIMEOUT_MS = 5000;
+// WebSocket close code for a failed handshake (4000-4999 are application codes)
+const AUTH_FAILED_CLOSE_CODE = 4401;
 const COMMAND_TIMEOUT_MS = parseInt(process.env.BROWSER_MCP_COMMAND_TIMEOUT || "45000", 10);
+// Commands a busy session may have waiting before new ones are refused with 429
+const MAX_QUEUE_DEPTH = parseInt(process.env.BROWSER_MCP_MAX_QUEUE_DEPTH || "16", 10);
+// Queued commands not started within this time are refused with 503; they never ran
+const MAX_QUEUE_WAIT_MS = parseInt(process.env.BROWSER_MCP_MAX_QUEUE_WAIT || "60000", 10);
+// Session-to-tab ownership survives restarts in this file
+const STATE_FILE = process.env.BROWSER_MCP_STATE_FILE || join(homedir(), ".browsermcp", "daemon-state.json");
+// Saved sessions idle for longer than this are not restored
+const STATE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const STATE_SAVE_DELAY_MS = 250;
 
 const sessions = new Map<string, SessionRecord>();
 
+// Sessions loaded from STATE_FILE whose extension has not reconnected yet
+const restoredSessions = new Map<string, PersistedSession>();
+
+// Counters since startup, served by GET /metrics
+const metrics = {
+  startedAt: Date.now(),
+  commands: 0,
+  succeeded: 0,
+  failed: 0,
+  timedOut: 0,
+  cancelled: 0,
+  queueRejected: 0,
+  authRejected: 0,
+  extensionConnects: 0,
+  extensionDisconnects: 0,
+  sessionsKilled: 0,
+  tabsReleased: 0,
+};
+
 const EVENT_LOG_PATH = process.env.BROWSER_MCP_EVENT_LOG || "/tmp/browsermcp-events.log";
 function logToFile(entry: any) {
   try {
@@ -61,6 +134,151 @@ function errorLog(...args: any[]) {
   console.error("[BrowserMCP Daemon]", new Date().toISOString(), ...args);
 }
 
+function rejectAuth(details: Record<string, unknown>) {
+  metrics.authRejected++;
+  logAuthRejection("daemon", details);
+}
+
+let saveTimer: NodeJS.Timeout | null = null;
+let stateFrozen = false;
+
+// Live sessions' owned tabs plus restored sessions still waiting for their extension
+function persistedState(): PersistedSession[] {
+  const live = Array.from(sessions.values()).map(session => ({
+    sessionId: session.sessionId,
+    extensionId: session.extensionId,
+    tabIds: session.tabIds.filter(tabId => tabOwner.get(tabId) === session.sessionId),
+    currentTabId: session.currentTabId,
+    lastSeen: session.lastSeen,
+  }));
+  const waiting = Array.from(restoredSessions.values()).filter(entry => !sessions.has(entry.sessionId));
+  return [...live, ...waiting].filter(entry => entry.tabIds.length > 0);
+}
+
+function saveState() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  try {
+    mkdirSync(dirname(STATE_FILE), { recursive: true });
+    const tmp = `${STATE_FILE}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ version: 1, savedAt: Date.now(), sessions: persistedState() }, null, 2), { mode: 0o600 });
+    renameSync(tmp, STATE_FILE);
+  } catch (err) {
+    warn(`Failed to save daemon state to ${STATE_FILE}:`, err);
+  }
+}
+
+// Ownership changes come in bursts; write them out shortly after
+function scheduleSave() {
+  if (stateFrozen || saveTimer) return;
+  saveTimer = setTimeout(saveState, STATE_SAVE_DELAY_MS);
+}
+
+function loadState() {
+  let state: any;
+  try {
+    state = JSON.parse(readFileSync(STATE_FILE, "utf8"));
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code !== "ENOENT") {
+      warn(`Ignoring unreadable daemon state ${STATE_FILE}:`, err);
+    }
+    return;
+  }
+
+  const cutoff = Date.now() - STATE_MAX_AGE_MS;
+  for (const entry of Array.isArray(state?.sessions) ? state.sessions : []) {
+    if (typeof entry?.sessionId !== "string" || typeof entry.extensionId !== "string" || !Array.isArray(entry.tabIds)) continue;
+    if (typeof entry.lastSeen !== "number" || entry.lastSeen < cutoff) continue;
+    restoredSessions.set(entry.sessionId, {
+      sessionId: entry.sessionId,
+      extensionId: entry.extensionId,
+      tabIds: entry.tabIds.map(String),
+      currentTabId: entry.currentTabId != null ? String(entry.currentTabId) : undefined,
+      lastSeen: entry.lastSeen,
+    });
+  }
+  if (restoredSessions.size) {
+    log(`Loaded ${restoredSessions.size} session(s) from ${STATE_FILE}; waiting for their extensions to resync`);
+  }
+}
+
+// Ask a freshly connected extension which of the tabs we remember for it are
+// still open; it answers with resyncAck, merged in by applyResync
+function sendResync(record: SessionRecord) {
+  const remembered: Record<string, { tabIds: string[]; currentTabId?: string }> = {};
+  restoredSessions.forEach(entry => {
+    if (entry.extensionId === record.extensionId) {
+      remembered[entry.sessionId] = { tabIds: entry.tabIds, currentTabId: entry.currentTabId };
+    }
+  });
+  record.socket.send(JSON.stringify({ type: "resync", sessions: remembered, timestamp: Date.now() }));
+}
+
+/**
+ * Restore sessions and tab ownership from the extension's resync answer: the
+ * tabs it reports are the ones still open, including any the daemon never
+ * saved. Tabs meanwhile claimed by another session stay with that session.
+ */
+function applyResync(extension: SessionRecord, reported: any) {
+  const restored: string[] = [];
+  const conflicts: string[] = [];
+
+  for (const [sessionId, entry] of Object.entries<any>(reported && typeof reported === "object" ? reported : {})) {
+    const tabIds: string[] = Array.isArray(entry?.tabIds) ? entry.tabIds.map(String) : [];
+    let session = sessions.get(sessionId);
+    if (session && session.socket !== extension.socket) {
+      conflicts.push(sessionId);
+      continue;
+    }
+    if (!tabIds.length) continue;
+
+    if (!session) {
+      session = {
+        sessionId,
+        extensionId: extension.extensionId,
+        socket: extension.socket,
+        pendingCmds: new Map(),
+        tabIds: [],
+        currentTabId: undefined,
+        busy: false,
+        commandQueue: [],
+        lastSeen: restoredSessions.get(sessionId)?.lastSeen ?? Date.now(),
+      };
+      sessions.set(sessionId, session);
+    }
+
+    for (const tabId of tabIds) {
+      const owner = tabOwner.get(tabId);
+      if (owner && owner !== sessionId) {
+        conflicts.push(`${sessionId}:${tabId}`);
+        continue;
+      }
+      tabOwner.set(tabId, sessionId);
+      if (!session.tabIds.includes(tabId)) {
+        session.tabIds.push(tabId);
+      }
+    }
+    const current = entry?.currentTabId != null ? String(entry.currentTabId) : undefined;
+    if (!session.currentTabId || !session.tabIds.includes(session.currentTabId)) {
+      session.currentTabId = current && session.tabIds.includes(current) ? current : session.tabIds[session.tabIds.length - 1];
+    }
+    restored.push(sessionId);
+  }
+
+  // Whatever the extension did not confirm is gone (tabs closed meanwhile)
+  restoredSessions.forEach((entry, sessionId) => {
+    if (entry.extensionId === extension.extensionId) {
+      restoredSessions.delete(sessionId);
+    }
+  });
+
+  log(`Resynced tab ownership with extension ${extension.extensionId}`, { restored, conflicts });
+  logToFile({ src: 'resync', extensionId: extension.extensionId, restored, conflicts });
+  scheduleSave();
+}
+
 function extractSessionIdFromPath(pathname: string | undefined): string | null {
   if (!pathname) return null;
   const parts = pathname.split("/").filter(Boolean);
@@ -78,6 +296,7 @@ async function forwardToMcp(sessionId: string, tabId: string | undefined, messag
         "Content-Type": "application/json",
         "X-Instance-ID": sessionId,
         ...(tabId ? { "X-Tab-ID": tabId } : {}),
+        ...authHeaders(),
       },
       body: JSON.stringify(message),
     });
@@ -129,6 +348,20 @@ function handleExtensionMessage(session: SessionRecord, rawData: WebSocket.RawDa
             targetSession.tabIds.push(tabKey);
           }
           targetSession.currentTabId = tabKey;
+          scheduleSave();
+        }
+        // Tabs the extension closed or let go of (tabs.close, session.close)
+        if (Array.isArray(data?.releasedTabIds) && targetSession) {
+          for (const released of data.releasedTabIds.map(String)) {
+            if (tabOwner.get(released) === targetSession.sessionId) {
+              tabOwner.delete(released);
+            }
+            targetSession.tabIds = targetSession.tabIds.filter(id => id !== released);
+            if (targetSession.currentTabId === released) {
+              targetSession.currentTabId = targetSession.tabIds[targetSession.tabIds.length - 1];
+            }
+          }
+          scheduleSave();
         }
       } catch {}
 
@@ -164,6 +397,11 @@ function handleExtensionMessage(session: SessionRecord, rawData: WebSocket.RawDa
     return; // informational
   }
 
+  if (type === "resyncAck") {
+    applyResync(session, envelope.sessions);
+    return;
+  }
+
   // Handle unsolicited events (console, errors, etc.)
   if (type === "event") {
     const tabId = envelope.tabId ?? payload?.tabId;
@@ -185,39 +423,247 @@ function handleExtensionMessage(session: SessionRecord, rawData: WebSocket.RawDa
   warn(`Unknown message type from extension: ${type}`, envelope);
 }
 
-// Process next command in queue for a session
+// Process next command in queue for a session and hand its result to the
+// request waiting for it
 async function processQueue(session: SessionRecord) {
   if (session.busy || session.commandQueue.length === 0) {
     return;
   }
 
-  const command = session.commandQueue.shift()!;
+  const entry = session.commandQueue.shift()!;
   session.busy = true;
+  log(`Running queued command`, { sessionId: session.sessionId, wireId: entry.command.wireId, waitedMs: Date.now() - entry.queuedAt });
 
   try {
-    await executeCommand(session, command);
+    entry.resolve(await executeCommand(session, entry.command));
   } catch (err) {
-    errorLog(`Failed to execute queued command:`, err);
+    entry.reject(err);
   } finally {
     session.busy = false;
     processQueue(session); // Process next command
   }
 }
 
+// Run a command now, or queue it behind the one in flight. Either way the
+// promise settles with the extension's result.
+function runCommand(session: SessionRecord, command: Command, res: any): Promise<any> {
+  if (!session.busy) {
+    session.busy = true;
+    return executeCommand(session, command).finally(() => {
+      session.busy = false;
+      processQueue(session); // Process next command if any
+    });
+  }
+
+  if (session.commandQueue.length >= MAX_QUEUE_DEPTH) {
+    return Promise.reject(new CommandError(
+      `Session ${session.sessionId} has ${session.commandQueue.length} commands queued (limit ${MAX_QUEUE_DEPTH})`,
+      429,
+      { queueDepth: session.commandQueue.length }
+    ));
+  }
+
+  return new Promise((resolve, reject) => {
+    const waitTimer = setTimeout(() => {
+      if (removeQueued(session, entry)) {
+        log(`Queued command waited too long`, { sessionId: session.sessionId, wireId: command.wireId });
+        entry.reject(new CommandError(`Command waited more than ${MAX_QUEUE_WAIT_MS}ms in the queue`, 503, { state: "queued" }));
+      }
+    }, MAX_QUEUE_WAIT_MS);
+    const settle = <T>(fn: (value: T) => void) => (value: T) => {
+      clearTimeout(waitTimer);
+      fn(value);
+    };
+    const entry: QueuedCommand = { command, resolve: settle(resolve), reject: settle(reject), queuedAt: Date.now() };
+    session.commandQueue.push(entry);
+    log(`Command queued`, { sessionId: session.sessionId, wireId: command.wireId, position: session.commandQueue.length });
+
+    // A client that gave up waiting no longer needs its command run
+    res.on("close", () => {
+      if (!res.writableEnded && removeQueued(session, entry)) {
+        log(`Dropped queued command after client disconnected`, { sessionId: session.sessionId, wireId: command.wireId });
+        reject(new CommandError("Client disconnected", 499));
+      }
+    });
+  });
+}
+
+function removeQueued(session: SessionRecord, entry: QueuedCommand): boolean {
+  const index = session.commandQueue.indexOf(entry);
+  if (index === -1) return false;
+  session.commandQueue.splice(index, 1);
+  return true;
+}
+
+// Fail every queued command, e.g. when the session's extension goes away
+function rejectQueued(session: SessionRecord, reason: string) {
+  const queued = session.commandQueue.splice(0);
+  queued.forEach(entry => entry.reject(new Error(reason)));
+}
+
+/**
+ * Cancel a command by wireId or by the id the MCP server sent it with.
+ * A queued command is dropped; a running one is abandoned (its request is
+ * answered at once, though the extension may still complete the action).
+ */
+function cancelCommand(session: SessionRecord, id: string): "queued" | "running" | null {
+  const entry = session.commandQueue.find(e => e.command.wireId === id || e.command.originId === id);
+  if (entry) {
+    removeQueued(session, entry);
+    entry.reject(new CommandError("Command cancelled before it ran", 409, { cancelled: true, state: "queued" }));
+    return "queued";
+  }
+
+  for (const [wireId, pending] of session.pendingCmds) {
+    if (wireId === id || pending.originId === id) {
+      clearTimeout(pending.timeout);
+      session.pendingCmds.delete(wireId);
+      pending.reject(new CommandError("Command cancelled while running; the extension may still complete it", 409, { cancelled: true, state: "running" }));
+      return "running";
+    }
+  }
+  return null;
+}
+
+// Admin view of a session; `detail` adds the commands in flight and waiting
+function describeSession(session: SessionRecord, detail = false) {
+  const now = Date.now();
+  const summary = {
+    sessionId: session.sessionId,
+    connected: session.socket.readyState === WebSocket.OPEN,
+    // Other sessions aliased onto the same extension connection
+    sharedWith: Array.from(sessions.values())
+      .filter(s => s !== session && s.socket === session.socket)
+      .map(s => s.sessionId),
+    tabIds: session.tabIds,
+    currentTabId: session.currentTabId ?? null,
+    busy: session.busy,
+    running: session.pendingCmds.size,
+    queued: session.commandQueue.length,
+    lastSeen: new Date(session.lastSeen).toISOString(),
+    idleMs: now - session.lastSeen,
+  };
+  if (!detail) return summary;
+
+  return {
+    ...summary,
+    runningCommands: Array.from(session.pendingCmds, ([wireId, pending]) => ({
+      wireId,
+      originId: pending.originId,
+      name: pending.name,
+      tabId: pending.tabId ?? null,
+      runningMs: now - pending.startedAt,
+    })),
+    queuedCommands: session.commandQueue.map(({ command, queuedAt }) => ({
+      wireId: command.wireId,
+      originId: command.originId,
+      name: command.name,
+      tabId: command.tabId ?? null,
+      waitingMs: now - queuedAt,
+    })),
+  };
+}
+
+/**
+ * Forcefully end a session: fail its queued and running commands, release its
+ * tabs and forget it. The extension is told to keep, ungroup or close the
+ * session's tabs. The extension connection is closed only when no other
+ * session is aliased onto it.
+ */
+function killSession(session: SessionRecord, reason: string, tabs: SessionTabsMode = "keep") {
+  const cancelled = session.commandQueue.length + session.pendingCmds.size;
+  const killed = () => new CommandError(reason, 409, { cancelled: true, state: "killed" });
+  session.commandQueue.splice(0).forEach(entry => entry.reject(killed()));
+  session.pendingCmds.forEach(({ reject, timeout }) => {
+    clearTimeout(timeout);
+    reject(killed());
+  });
+  session.pendingCmds.clear();
+
+  const releasedTabs = session.tabIds.filter(tabId => tabOwner.get(tabId) === session.sessionId);
+  releasedTabs.forEach(tabId => tabOwner.delete(tabId));
+  sessions.delete(session.sessionId);
+
+  if (session.socket.readyState === WebSocket.OPEN) {
+    // No wireId: nobody waits for the answer
+    session.socket.send(JSON.stringify({
+      type: "command",
+      name: "session.close",
+      sessionId: session.sessionId,
+      payload: { tabs },
+    }));
+  }
+
+  const socketShared = Array.from(sessions.values()).some(s => s.socket === session.socket);
+  if (!socketShared) {
+    try {
+      session.socket.close(1000, reason);
+    } catch {
+      // ignore
+    }
+  }
+
+  metrics.sessionsKilled++;
+  scheduleSave();
+  logToFile({ src: 'session-kill', sessionId: session.sessionId, cancelled, releasedTabs, tabs });
+  return { killed: session.sessionId, cancelled, releasedTabs, tabs, socketClosed: !socketShared };
+}
+
+// Drop a tab's owner so another session can claim it
+function releaseTab(tabId: string): string | null {
+  const owner = tabOwner.get(tabId);
+  if (!owner) return null;
+  tabOwner.delete(tabId);
+
+  const session = sessions.get(owner);
+  if (session) {
+    session.tabIds = session.tabIds.filter(id => id !== tabId);
+    if (session.currentTabId === tabId) {
+      session.currentTabId = undefined;
+    }
+  }
+
+  metrics.tabsReleased++;
+  scheduleSave();
+  logToFile({ src: 'tab-release', tabId, sessionId: owner });
+  return owner;
+}
+
+function metricsSnapshot() {
+  const all = Array.from(sessions.values());
+  const { startedAt, ...counters } = metrics;
+  return {
+    uptimeMs: Date.now() - startedAt,
+    sessions: all.length,
+    extensionConnections: new Set(all.filter(s => s.socket.readyState === WebSocket.OPEN).map(s => s.socket)).size,
+    busySessions: all.filter(s => s.busy).length,
+    runningCommands: all.reduce((sum, s) => sum + s.pendingCmds.size, 0),
+    queuedCommands: all.reduce((sum, s) => sum + s.commandQueue.length, 0),
+    ownedTabs: tabOwner.size,
+    maxQueueDepth: MAX_QUEUE_DEPTH,
+    counters,
+  };
+}
+
 // Execute a single command
 async function executeCommand(session: SessionRecord, command: Command): Promise<any> {
   const { wireId, originId, sessionId, type, name, payload, tabId } = command;
 
-  const timeoutMs = Number(payload.timeoutMs ?? COMMAND_TIMEOUT_MS);
+  const timeoutMs = Number(payload.timeoutMs ?? command.timeoutMs ?? COMMAND_TIMEOUT_MS);
 
   return new Promise((resolve, reject) => {
     const timeout = setTimeout(() => {
       session.pendingCmds.delete(wireId);
-      reject(new Error("Timed out waiting for extension response"));
+      metrics.timedOut++;
+      // The extension may still complete it, so clients must not blindly resend
+      reject(new CommandError("Timed out waiting for extension response", 504, { state: "running" }));
     }, timeoutMs);
 
     session.pendingCmds.set(wireId, {
       originId,
+      name,
+      tabId,
+      startedAt: Date.now(),
       resolve,
       reject,
       timeout,
@@ -260,12 +706,15 @@ async function handleCommandRequest(req: any, res: any, sessionId: string, tabId
     );
 
     if (connectedSessions.length > 0) {
-      // Reuse the WebSocket connection, create new session record
-      const existingSession = connectedSessions[0];
+      // Reuse the WebSocket connection, create new session record. A session
+      // remembered from before a restart goes back to its own extension.
+      const remembered = restoredSessions.get(sessionId);
+      const existingSession = connectedSessions.find(s => s.extensionId === remembered?.extensionId) ?? connectedSessions[0];
       log(`Creating new session ${sessionId} from existing connection ${existingSession.sessionId}`);
 
       session = {
         sessionId,
+        extensionId: existingSession.extensionId,
         socket: existingSession.socket, // REUSE same WebSocket!
         pendingCmds: new Map(),
         tabIds: [],
@@ -277,7 +726,8 @@ async function handleCommandRequest(req: any, res: any, sessionId: string, tabId
 
       sessions.set(sessionId, session);
 
-      // TODO: Send message to extension to open new tab for this session
+      // The extension opens the session's first tab in a tab group of its own
+      // when the first command arrives
       log(`Session ${sessionId} registered, will use shared WebSocket`);
     } else {
       warn(`Command received for unknown session ${sessionId} and no extension connected`);
@@ -313,6 +763,7 @@ async function handleCommandRequest(req: any, res: any, sessionId: string, tabId
         session.tabIds.push(tabId);
       }
       session.currentTabId = tabId;
+      scheduleSave();
     }
   }
 
@@ -359,30 +810,39 @@ async function handleCommandRequest(req: any, res: any, sessionId: string, tabId
     name: messageType,
     payload: command.payload ?? {},
     tabId: useExplicitTab ? (tabId ?? session.currentTabId) : tabId,
+    timeoutMs: parseInt(req.headers["x-command-timeout"], 10) || undefined,
   };
   log(`Routing command`, { sessionId, name: messageType, wireId, selectedTab: cmd.tabId ?? 'auto', currentTab: session.currentTabId });
+  metrics.commands++;
 
-  // FIFO queue: if busy, enqueue; otherwise execute immediately
-  if (session.busy) {
-    session.commandQueue.push(cmd);
-    res.writeHead(202, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ status: "queued", wireId }));
-    return;
-  }
-
-  session.busy = true;
-
+  // FIFO queue: if busy, the request waits for its turn
   try {
-    const result = await executeCommand(session, cmd);
+    const result = await runCommand(session, cmd, res);
     log(`Command resolved`, { sessionId, wireId, tabLearned: (result && (result as any).tabId) || session.currentTabId });
+    metrics.succeeded++;
     res.writeHead(200, { "Content-Type": "application/json" });
     res.end(JSON.stringify({ success: true, payload: result }));
   } catch (err) {
-    res.writeHead(504, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ error: (err as Error).message }));
-  } finally {
-    session.busy = false;
-    processQueue(session); // Process next command if any
+    const status = err instanceof CommandError ? err.status : 504;
+    if (status === 429) {
+      metrics.queueRejected++;
+    } else if (err instanceof CommandError && err.details.cancelled) {
+      metrics.cancelled++;
+    } else {
+      metrics.failed++;
+    }
+    if (res.writableEnded || res.destroyed) {
+      return;
+    }
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      ...(status === 429 ? { "Retry-After": "1" } : {}),
+    });
+    res.end(JSON.stringify({
+      error: (err as Error).message,
+      wireId,
+      ...(err instanceof CommandError ? err.details : {}),
+    }));
   }
 }
 
@@ -402,6 +862,21 @@ const httpServer = createServer(async (req, res) => {
     return;
   }
 
+  // Everything but the health check needs the shared token
+  const auth = checkHttpRequest(req);
+  if (!auth.ok) {
+    rejectAuth({
+      method,
+      path: url.pathname,
+      origin: req.headers.origin,
+      remote: req.socket.remoteAddress,
+      reason: auth.reason,
+    });
+    res.writeHead(auth.status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: auth.reason }));
+    return;
+  }
+
   if (method === "POST" && url.pathname === "/commands") {
     const sessionId = (req.headers["x-instance-id"] as string | undefined) || undefined;
     if (!sessionId) {
@@ -415,6 +890,84 @@ const httpServer = createServer(async (req, res) => {
     return;
   }
 
+  // DELETE /commands/:id cancels a queued or running command of the session
+  const cancelMatch = url.pathname.match(/^\/commands\/([^/]+)$/);
+  if (method === "DELETE" && cancelMatch) {
+    const sessionId = req.headers["x-instance-id"] as string | undefined;
+    const session = sessionId ? sessions.get(sessionId) : undefined;
+    const id = decodeURIComponent(cancelMatch[1]);
+    const state = session ? cancelCommand(session, id) : null;
+    if (!state) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: `No queued or running command ${id} for this session` }));
+      return;
+    }
+    log(`Command cancelled`, { sessionId, id, state });
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ cancelled: true, id, state }));
+    return;
+  }
+
+  // Admin API, used by `browsermcp-daemon ctl`
+  if (method === "GET" && url.pathname === "/sessions") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({
+      sessions: Array.from(sessions.values()).map(session => describeSession(session)),
+      tabOwners: Object.fromEntries(tabOwner),
+      // Saved before the last restart, waiting for their extension to resync
+      pendingRestore: Array.from(restoredSessions.values()),
+    }));
+    return;
+  }
+
+  const sessionMatch = url.pathname.match(/^\/sessions\/([^/]+)$/);
+  if (sessionMatch && (method === "GET" || method === "DELETE")) {
+    const sessionId = decodeURIComponent(sessionMatch[1]);
+    const session = sessions.get(sessionId);
+    if (!session) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: `Unknown session ${sessionId}` }));
+      return;
+    }
+    if (method === "GET") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(describeSession(session, true)));
+      return;
+    }
+    const tabs = (url.searchParams.get("tabs") || "keep") as SessionTabsMode;
+    if (!SESSION_TABS_MODES.includes(tabs)) {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: `tabs must be one of ${SESSION_TABS_MODES.join(", ")}` }));
+      return;
+    }
+    const result = killSession(session, "Session killed by admin", tabs);
+    warn(`Session ended through the admin API`, result);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(result));
+    return;
+  }
+
+  const releaseMatch = url.pathname.match(/^\/tabs\/([^/]+)\/release$/);
+  if (method === "POST" && releaseMatch) {
+    const tabId = decodeURIComponent(releaseMatch[1]);
+    const owner = releaseTab(tabId);
+    if (!owner) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: `Tab ${tabId} is not owned by any session` }));
+      return;
+    }
+    log(`Tab released by admin`, { tabId, previousOwner: owner });
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ released: true, tabId, previousOwner: owner }));
+    return;
+  }
+
+  if (method === "GET" && url.pathname === "/metrics") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(metricsSnapshot()));
+    return;
+  }
+
   res.writeHead(404, { "Content-Type": "application/json" });
   res.end(JSON.stringify({ error: "Not Found" }));
 });
@@ -430,6 +983,44 @@ wss.on("connection", (socket, request) => {
     return;
   }
 
+  if (authDisabled()) {
+    attachSession(socket, sessionId);
+    return;
+  }
+
+  // The first message must be a hello carrying the token;
+  // the session is only registered once it checks out
+  const reject = (reason: string) => {
+    rejectAuth({
+      path: url?.pathname,
+      sessionId,
+      origin: request.headers.origin,
+      remote: request.socket.remoteAddress,
+      reason,
+    });
+    socket.close(AUTH_FAILED_CLOSE_CODE, reason);
+  };
+  const timer = setTimeout(() => reject(`No authentication within ${AUTH_TIMEOUT_MS}ms`), AUTH_TIMEOUT_MS);
+
+  socket.once("message", (data) => {
+    clearTimeout(timer);
+    let hello: any;
+    try {
+      hello = JSON.parse(data.toString());
+    } catch {
+      hello = null;
+    }
+    if (hello?.type !== "hello" || !tokenMatches(hello.token)) {
+      reject(hello?.type === "hello" && hello.token ? "Invalid auth token" : "Authentication required: set the auth token in the extension options");
+      return;
+    }
+    attachSession(socket, sessionId);
+  });
+  socket.once("close", () => clearTimeout(timer));
+});
+
+// Register an authenticated extension connection as the session's socket
+function attachSession(socket: WebSocket, sessionId: string) {
   log(`Extension connected for session ${sessionId}`);
 
   const existing = sessions.get(sessionId);
@@ -438,6 +1029,7 @@ wss.on("connection", (socket, request) => {
       clearTimeout(timeout);
       reject(new Error("Connection replaced"));
     });
+    rejectQueued(existing, "Connection replaced");
     existing.socket.terminate();
 
     // Clean up tab ownership
@@ -451,6 +1043,7 @@ wss.on("connection", (socket, request) => {
 
   const record: SessionRecord = {
     sessionId,
+    extensionId: sessionId,
     socket,
     pendingCmds: new Map(),
     tabIds: [],
@@ -461,12 +1054,14 @@ wss.on("connection", (socket, request) => {
   };
 
   sessions.set(sessionId, record);
+  metrics.extensionConnects++;
   logToFile({ src: 'extension-connect', sessionId });
 
   socket.on("message", (data) => handleExtensionMessage(record, data));
 
   socket.on("close", () => {
     log(`Extension disconnected for session ${sessionId}`);
+    metrics.extensionDisconnects++;
     logToFile({ src: 'extension-close', sessionId });
 
     // CRITICAL: Remove ALL sessions using this WebSocket (session aliasing!)
@@ -489,6 +1084,7 @@ wss.on("connection", (socket, request) => {
           clearTimeout(timeout);
           reject(new Error("Extension disconnected"));
         });
+        rejectQueued(session, "Extension disconnected");
 
         // Clean up tab ownership
         session.tabIds.forEach(tabId => {
@@ -499,6 +1095,7 @@ wss.on("connection", (socket, request) => {
         });
       }
     });
+    scheduleSave();
   });
 
   socket.on("error", (err) => {
@@ -510,12 +1107,22 @@ wss.on("connection", (socket, request) => {
     instanceId: sessionId,
     timestamp: Date.now(),
   }));
-});
+  sendResync(record);
+  scheduleSave();
+}
 
 httpServer.on("upgrade", (request, socket, head) => {
   const url = request.url ? new URL(request.url, `ws://${request.headers.host || "localhost"}`) : null;
   const pathname = url?.pathname || "";
 
+  // Web pages can open WebSockets to localhost too; only extension pages may
+  const origin = request.headers.origin;
+  if (!isAllowedOrigin(origin)) {
+    rejectAuth({ path: pathname, origin, remote: request.socket.remoteAddress, reason: `Origin ${origin} is not allowed` });
+    socket.end("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+    return;
+  }
+
   if (pathname.startsWith("/session/")) {
     wss.handleUpgrade(request, socket, head, (ws) => {
       wss.emit("connection", ws, request);
@@ -525,19 +1132,35 @@ httpServer.on("upgrade", (request, socket, head) => {
   }
 });
 
-httpServer.listen(DAEMON_PORT, () => {
-  log(`WebSocket daemon listening on ws://localhost:${DAEMON_PORT}`);
-  log(`Forwarding MCP HTTP traffic to ${MCP_HTTP_URL}`);
-});
+function start() {
+  loadState();
+  if (authDisabled()) {
+    warn("BROWSERMCP_DISABLE_AUTH is set; any local process can send commands.");
+  } else if (ensureAuthToken()) {
+    warn(`Generated an authToken in ${authConfigPath()}; paste it into the extension options (Auth Token).`);
+  }
+  httpServer.listen(DAEMON_PORT, () => {
+    log(`WebSocket daemon listening on ws://localhost:${DAEMON_PORT}`);
+    log(`Forwarding MCP HTTP traffic to ${MCP_HTTP_URL}`);
+  });
+
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
 
 function shutdown() {
   log("Shutting down daemon...");
 
+  // Keep the ownership for the next start; closing sockets below must not erase it
+  saveState();
+  stateFrozen = true;
+
   sessions.forEach((session) => {
     session.pendingCmds.forEach(({ reject, timeout }) => {
       clearTimeout(timeout);
       reject(new Error("Daemon shutting down"));
     });
+    rejectQueued(session, "Daemon shutting down");
     try {
       session.socket.close(1001, "Daemon shutting down");
     } catch (err) {
@@ -553,5 +1176,9 @@ function shutdown() {
   });
 }
 
-process.on("SIGINT", shutdown);
-process.on("SIGTERM", shutdown);
+// `browsermcp-daemon ctl ...` talks to a running daemon instead of starting one
+if (process.argv[2] === "ctl") {
+  runCtl(process.argv.slice(3));
+} else {
+  start();
+}
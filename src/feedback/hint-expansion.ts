@@ -24,7 +24,7 @@ export const HintExpansions: Partial<Record<HintCode, string>> = {
   // Edge case strategies  
   [HintCode.WAIT_FOR_NETWORK]: 'Use browser_execute_js to check if window.fetch or XMLHttpRequest active, wait for completion',
   [HintCode.BYPASS_RATE_LIMIT]: 'Wait 5-10 seconds with browser_wait, consider using different action or browser_execute_js for direct manipulation',
-  [HintCode.HANDLE_AB_TEST]: 'Use browser_execute_js to check for experiment cookies/localStorage, may need to clear or set specific variant',
+  [HintCode.HANDLE_AB_TEST]: 'Use browser_storage to check experiment cookies/localStorage, may need to clear or set specific variant',
   [HintCode.CLEAR_OVERLAYS]: 'Use browser_execute_js: document.querySelectorAll("[style*=fixed],[style*=absolute]").forEach(e=>e.style.display="none")',
   [HintCode.FORCE_INTERACTION]: 'Use browser_execute_js to trigger events directly: element.click() or element.dispatchEvent(new Event("click",{bubbles:true}))',
   
@@ -159,7 +159,7 @@ export const CompoundRecoveries = {
     'browser_snapshot',
     'Check for login/signin/password inputs',
     'If found, inform user authentication required',
-    'Else use browser_execute_js to check document.cookie for auth tokens'
+    'Else use browser_storage (store: cookies) to check for auth tokens, including HttpOnly ones'
   ],
   
   // Network wait with timeout
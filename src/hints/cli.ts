@@ -0,0 +1,222 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { extname } from 'path';
+import type { Command } from 'commander';
+import { HintDatabase } from './storage/database.js';
+import { HintStore } from './core/hint-store.js';
+import { BundleFormat, MergeStrategy } from './core/hint-bundle.js';
+import { RECENT_FAILURE_DAYS } from './core/hint-maintenance.js';
+import { deleteSecret, listSecretNames, secretsFilePath, setSecret } from './core/secret-store.js';
+
+function openStore(dbPath?: string): HintStore {
+  // The first getInstance call decides which database file the store uses
+  if (dbPath) {
+    HintDatabase.getInstance(dbPath);
+  }
+  return new HintStore();
+}
+
+function parseNumber(value: string): number {
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`Not a number: ${value}`);
+  }
+  return number;
+}
+
+// Read a secret from piped stdin, or prompt for it on a terminal without echo
+async function readSecretValue(name: string): Promise<string> {
+  const stdin = process.stdin;
+  if (!stdin.isTTY) {
+    const chunks: Buffer[] = [];
+    for await (const chunk of stdin) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+  }
+
+  process.stderr.write(`Value for ${name}: `);
+  return new Promise((resolve, reject) => {
+    let value = '';
+    const finish = () => {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stderr.write('\n');
+    };
+    const onData = (input: string) => {
+      for (const char of input) {
+        if (char === '\r' || char === '\n') {
+          finish();
+          resolve(value);
+          return;
+        }
+        if (char === '\u0003') {
+          finish();
+          reject(new Error('Cancelled'));
+          return;
+        }
+        value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+      }
+    };
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.on('data', onData);
+    stdin.resume();
+  });
+}
+
+/**
+ * `hints export [file]` and `hints import <file>` subcommands for sharing hint
+ * databases between machines or checking curated hints into a repository,
+ * plus `hints maintain` and `hints stats` for keeping the database in shape.
+ */
+export function registerHintCommands(program: Command): void {
+  const hints = program
+    .command('hints')
+    .description('Export, import and maintain the hint database and manage recipe secrets');
+
+  hints
+    .command('export [file]')
+    .description('Write hints to a JSON or NDJSON bundle (stdout when no file is given)')
+    .option('--db <path>', 'Hint database file (defaults to HINT_DB_PATH or ./hints.db)')
+    .option('--format <format>', 'json or ndjson (defaults from the file extension)')
+    .option('--domain <domain>', 'Only export hints for this domain')
+    .option('--include-inactive', 'Also export deactivated hints')
+    .option('--no-history', 'Leave out hint_history rows')
+    .action(async (file: string | undefined, options) => {
+      const format: BundleFormat = options.format === 'ndjson' || (!options.format && file && extname(file) === '.ndjson')
+        ? 'ndjson'
+        : 'json';
+      const { text, count } = await openStore(options.db).exportBundle({
+        domain: options.domain,
+        includeInactive: !!options.includeInactive,
+        includeHistory: options.history,
+        format
+      });
+      if (file) {
+        writeFileSync(file, text);
+        console.error(`Exported ${count} hint(s) to ${file}`);
+      } else {
+        process.stdout.write(text);
+      }
+    });
+
+  hints
+    .command('import <file>')
+    .description('Import a JSON or NDJSON hint bundle')
+    .option('--db <path>', 'Hint database file (defaults to HINT_DB_PATH or ./hints.db)')
+    .option('--merge <strategy>', 'combine, keep or replace for hints that already exist', 'combine')
+    .action(async (file: string, options) => {
+      if (!['combine', 'keep', 'replace'].includes(options.merge)) {
+        throw new Error(`Unknown merge strategy: ${options.merge}`);
+      }
+      const summary = await openStore(options.db).importBundle(readFileSync(file, 'utf8'), options.merge as MergeStrategy);
+      console.error(
+        `Imported ${summary.imported}, merged ${summary.merged}, replaced ${summary.replaced}, ` +
+        `skipped ${summary.skipped} hint(s); ${summary.history_rows} history row(s) added`
+      );
+      for (const error of summary.errors) {
+        console.error(`  rejected ${error}`);
+      }
+      if (summary.errors.length) {
+        process.exitCode = 1;
+      }
+    });
+
+  hints
+    .command('maintain')
+    .description('Decay idle hints, deactivate failing ones and delete old history')
+    .option('--db <path>', 'Hint database file (defaults to HINT_DB_PATH or ./hints.db)')
+    .option('--decay-after <days>', 'Decay hints unused for this many days', parseNumber)
+    .option('--max-failure-rate <rate>', 'Deactivate hints failing at this rate (0-1) or more', parseNumber)
+    .option('--history-days <days>', 'Keep this many days of hint_history', parseNumber)
+    .option('--compact', 'VACUUM the database file afterwards')
+    .option('--dry-run', 'Show what would change without changing it')
+    .action(async (options) => {
+      const report = await openStore(options.db).runMaintenance({
+        decayAfterDays: options.decayAfter,
+        maxFailureRate: options.maxFailureRate,
+        historyRetentionDays: options.historyDays,
+        compact: !!options.compact,
+        dryRun: !!options.dryRun
+      });
+      const prefix = report.dry_run ? '[dry run] would have ' : '';
+      console.error(`${prefix}decayed ${report.decayed} idle hint(s) (unused for ${report.options.decayAfterDays}+ days)`);
+      console.error(`${prefix}deactivated ${report.deactivated.length} failing hint(s) (failure rate >= ${report.options.maxFailureRate})`);
+      for (const hint of report.deactivated) {
+        console.error(`  ${hint.id} ${hint.domain} ${hint.success_count}/${hint.success_count + hint.failure_count} ok: ${hint.description}`);
+      }
+      console.error(`${prefix}deleted ${report.history_deleted} history row(s) older than ${report.options.historyRetentionDays} days`);
+      if (report.compacted) {
+        console.error('Database compacted');
+      }
+    });
+
+  hints
+    .command('stats')
+    .description('Per-domain hint counts, average confidence and recent failures')
+    .option('--db <path>', 'Hint database file (defaults to HINT_DB_PATH or ./hints.db)')
+    .option('--domain <domain>', 'Only show this domain')
+    .option('--json', 'Print JSON instead of a table')
+    .action(async (options) => {
+      const rows = await openStore(options.db).domainStats(options.domain);
+      if (options.json) {
+        console.log(JSON.stringify(rows, null, 2));
+        return;
+      }
+      if (!rows.length) {
+        console.error('No hints');
+        return;
+      }
+      console.log(['domain', 'hints', 'active', 'drafts', 'avg_conf', `fail_${RECENT_FAILURE_DAYS}d`, 'last_used'].join('\t'));
+      for (const row of rows) {
+        console.log([
+          row.domain,
+          row.hints,
+          row.active,
+          row.drafts,
+          row.avg_confidence === null ? '-' : row.avg_confidence.toFixed(2),
+          row.recent_failures,
+          row.last_used_at ? new Date(row.last_used_at).toISOString().slice(0, 10) : 'never'
+        ].join('\t'));
+      }
+    });
+
+  // Values for {{secret:name}} recipe placeholders, kept in the encrypted secrets file
+  const secrets = hints
+    .command('secrets')
+    .description('Manage secrets used by {{secret:name}} recipe placeholders (requires BROWSERMCP_SECRETS_KEY)');
+
+  secrets
+    .command('list')
+    .description('List stored secret names (values are never shown)')
+    .action(() => {
+      const names = listSecretNames();
+      console.error(`${names.length} secret(s) in ${secretsFilePath()}`);
+      for (const name of names) {
+        console.log(name);
+      }
+    });
+
+  secrets
+    .command('set <name>')
+    .description('Store a secret; the value is read from stdin or prompted for without echo')
+    .action(async (name: string) => {
+      const value = await readSecretValue(name);
+      if (!value) {
+        throw new Error('Secret value is empty');
+      }
+      setSecret(name, value);
+      console.error(`Stored secret ${name} in ${secretsFilePath()}`);
+    });
+
+  secrets
+    .command('delete <name>')
+    .description('Remove a stored secret')
+    .action((name: string) => {
+      if (!deleteSecret(name)) {
+        console.error(`No secret named ${name}`);
+        process.exitCode = 1;
+        return;
+      }
+      console.error(`Deleted secret ${name}`);
+    });
+}
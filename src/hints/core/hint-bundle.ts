@@ -0,0 +1,177 @@
+import { createHash } from 'crypto';
+import { BrowserHint } from '../types.js';
+import { HintDatabase } from '../storage/database.js';
+import { HintValidator } from './hint-validator.js';
+
+export type BundleFormat = 'json' | 'ndjson';
+
+// combine: merge stats from both sides; keep: leave local hints untouched;
+// replace: overwrite local hints with the bundle's copy
+export type MergeStrategy = 'combine' | 'keep' | 'replace';
+
+export interface HistoryEntry {
+  executed_at: number;
+  success: number | boolean;
+  error_message?: string | null;
+  execution_time_ms?: number | null;
+  author_id?: string;
+}
+
+export type BundledHint = BrowserHint & { history?: HistoryEntry[] };
+
+export interface ExportOptions {
+  domain?: string;
+  includeInactive?: boolean;
+  includeHistory?: boolean;
+  format?: BundleFormat;
+}
+
+export interface ImportSummary {
+  imported: number;
+  merged: number;
+  replaced: number;
+  skipped: number;
+  history_rows: number;
+  errors: string[];
+}
+
+export const BUNDLE_FORMAT = 'browsermcp-hints';
+const BUNDLE_VERSION = 1;
+
+// Same Bayesian estimate the database uses after each recorded result
+function confidenceFor(successes: number, failures: number): number {
+  return (successes + 1) / (successes + failures + 2);
+}
+
+function maxTime(a?: number | null, b?: number | null): number | null {
+  return Math.max(a || 0, b || 0) || null;
+}
+
+/**
+ * Serialize hints (optionally with their hint_history rows) to a bundle.
+ * JSON is one document; NDJSON is a header line followed by one hint per line,
+ * which diffs cleanly when the bundle is checked into a repository.
+ */
+export function exportHints(db: HintDatabase, options: ExportOptions = {}): { text: string; count: number } {
+  const hints: BundledHint[] = db.getHintsForExport(options.domain, options.includeInactive);
+  if (options.includeHistory !== false) {
+    for (const hint of hints) {
+      hint.history = db.getHistory(hint.id);
+    }
+  }
+
+  const header = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exported_at: new Date().toISOString(), count: hints.length };
+  const text = options.format === 'ndjson'
+    ? [header, ...hints].map(entry => JSON.stringify(entry)).join('\n') + '\n'
+    : JSON.stringify({ ...header, hints }, null, 2) + '\n';
+  return { text, count: hints.length };
+}
+
+// Accepts either bundle format; the format is detected from the content
+export function parseBundle(text: string): BundledHint[] {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  let header: any;
+  let hints: BundledHint[];
+  try {
+    const document = JSON.parse(trimmed);
+    header = document;
+    hints = document.hints;
+  } catch {
+    const lines = trimmed.split('\n').filter(line => line.trim());
+    try {
+      header = JSON.parse(lines[0]);
+      hints = lines.slice(1).map(line => JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Bundle is neither JSON nor NDJSON: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  if (header?.format !== BUNDLE_FORMAT) {
+    throw new Error(`Not a hint bundle (expected format "${BUNDLE_FORMAT}")`);
+  }
+  if (header.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${header.version} is newer than supported version ${BUNDLE_VERSION}`);
+  }
+  if (!Array.isArray(hints)) {
+    throw new Error('Bundle has no hints array');
+  }
+  return hints;
+}
+
+/**
+ * Import a bundle. Hints are matched to local ones by id, then by
+ * url_hash + pattern_type + selector_guard. With the combine strategy, stats
+ * for the same id (one copy descends from the other) take the larger count,
+ * stats for independently learned hints are added up, and confidence is
+ * recomputed from the merged counts.
+ */
+export function importHints(db: HintDatabase, text: string, merge: MergeStrategy = 'combine'): ImportSummary {
+  const validator = new HintValidator();
+  const summary: ImportSummary = { imported: 0, merged: 0, replaced: 0, skipped: 0, history_rows: 0, errors: [] };
+  const hints = parseBundle(text);
+
+  db.transaction(() => {
+    for (const incoming of hints) {
+      const validation = validator.validateHint(incoming);
+      if (!incoming.id || !validation.valid) {
+        summary.errors.push(`${incoming.id || '(no id)'}: ${validation.errors.join(', ') || 'missing id'}`);
+        continue;
+      }
+      const urlHash = incoming.url_hash ||
+        createHash('sha1').update(incoming.domain + (incoming.path_pattern || '')).digest('hex');
+      const hint = { ...incoming, url_hash: urlHash };
+
+      const sameId = db.getHintByIdIncludingInactive(hint.id);
+      const local = sameId || db.findHintByUrlHash(urlHash, hint.pattern_type, hint.selector_guard || null);
+
+      if (!local) {
+        db.insertFullHint(hint);
+        summary.history_rows += db.importHistory(hint.id, hint.history || []);
+        summary.imported++;
+        continue;
+      }
+
+      if (merge === 'keep') {
+        summary.skipped++;
+        continue;
+      }
+
+      if (merge === 'replace') {
+        db.updateHintContent(local.id, hint);
+        db.setHintCounts(local.id, {
+          success_count: hint.success_count || 0,
+          failure_count: hint.failure_count || 0,
+          confidence: hint.confidence ?? confidenceFor(hint.success_count || 0, hint.failure_count || 0),
+          last_used_at: hint.last_used_at,
+          last_success_at: hint.last_success_at
+        });
+        summary.history_rows += db.importHistory(local.id, hint.history || []);
+        summary.replaced++;
+        continue;
+      }
+
+      const combine = sameId
+        ? (a: number, b: number) => Math.max(a, b)
+        : (a: number, b: number) => a + b;
+      const successes = combine(local.success_count || 0, hint.success_count || 0);
+      const failures = combine(local.failure_count || 0, hint.failure_count || 0);
+      // Untried hints keep the better of the two initial confidences
+      const confidence = successes + failures > 0
+        ? confidenceFor(successes, failures)
+        : Math.max(local.confidence ?? 0.5, hint.confidence ?? 0.5);
+      db.setHintCounts(local.id, {
+        success_count: successes,
+        failure_count: failures,
+        confidence,
+        last_used_at: maxTime(local.last_used_at, hint.last_used_at),
+        last_success_at: maxTime(local.last_success_at, hint.last_success_at)
+      });
+      summary.history_rows += db.importHistory(local.id, hint.history || []);
+      summary.merged++;
+    }
+  });
+
+  return summary;
+}
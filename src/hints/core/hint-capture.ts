@@ -0,0 +1,264 @@
+import type { Context } from '../../context.js';
+import type { ToolResult } from '../../tools/tool.js';
+import { HintStore } from './hint-store.js';
+import { HintMatcher } from './hint-matcher.js';
+import { currentTabUrl } from './live-page.js';
+import { BrowserHint, PatternType, ToolCall } from '../types.js';
+
+/**
+ * Automatic hint capture. Every tool call in a session is added to a rolling
+ * trace; when typed input is submitted and the tab then moves to a different
+ * URL (for a login, one that is not a login page), the steps are turned into
+ * a draft hint. Typed values are never kept: they become placeholders such as
+ * {{username}} and {{secret:password}}. Drafts are stored inactive until
+ * reviewed with browser_hints_admin.
+ *
+ * BROWSERMCP_HINT_CAPTURE: "off" (default) disables capture, "propose" only
+ * suggests browser_save_hint in the tool response, "draft" saves drafts.
+ */
+export type CaptureMode = 'off' | 'propose' | 'draft';
+
+const MAX_TRACE_STEPS = 30;
+const MAX_RECIPE_STEPS = 10;
+// Tool calls after a submit, and time, allowed for the URL change to show up
+const CONFIRM_CALLS = 3;
+const CONFIRM_WINDOW_MS = 60000;
+
+const INPUT_TOOLS = new Set(['browser_type', 'browser_select_option']);
+const STEP_TOOLS = new Set(['browser_click', 'browser_press_key', ...INPUT_TOOLS]);
+// Switching page or tab starts a new sequence
+const RESET_TOOLS = new Set(['browser_navigate', 'browser_tab']);
+
+const PASSWORD_FIELD = /pass(word|code|phrase)?|pwd|\bpin\b/i;
+const SEARCH_FIELD = /search|query|\bq\b|find/i;
+const LOGIN_PATH = /log-?in|sign-?in|auth|sso/i;
+
+interface TraceStep {
+  tool: string;
+  // Arguments without the typed text
+  args: Record<string, any>;
+  field?: 'password' | 'text';
+  success: boolean;
+}
+
+interface Candidate {
+  startUrl: string;
+  steps: TraceStep[];
+  createdAt: number;
+  checksLeft: number;
+}
+
+interface SessionTrace {
+  steps: TraceStep[];
+  pageUrl: string | null;
+  pending: Candidate | null;
+  // domain/path/pattern already captured in this session
+  captured: Set<string>;
+}
+
+const traces = new WeakMap<Context, SessionTrace>();
+
+export function captureMode(): CaptureMode {
+  const raw = (process.env.BROWSERMCP_HINT_CAPTURE || '').trim().toLowerCase();
+  if (raw === 'draft') return 'draft';
+  return raw === 'propose' ? 'propose' : 'off';
+}
+
+function toTraceStep(tool: string, args: Record<string, any>, success: boolean): TraceStep {
+  // The typed text is dropped here so secrets never enter the trace
+  const { text, snapshot, ...rest } = args;
+  const step: TraceStep = { tool, args: rest, success };
+  if (tool === 'browser_type') {
+    step.field = PASSWORD_FIELD.test(`${args.element || ''} ${args.selector || ''}`) ? 'password' : 'text';
+  }
+  return step;
+}
+
+function isSubmit(step: TraceStep): boolean {
+  if (step.tool === 'browser_click') return true;
+  if (step.tool === 'browser_press_key') return step.args.key === 'Enter';
+  return step.tool === 'browser_type' && Boolean(step.args.submit || step.args.pressEnter);
+}
+
+function inferPatternType(steps: TraceStep[]): PatternType {
+  if (steps.some(s => s.field === 'password')) return 'login';
+  const typed = steps.filter(s => s.field === 'text');
+  if (typed.length === 1 && SEARCH_FIELD.test(`${typed[0].args.element || ''} ${typed[0].args.selector || ''}`)) {
+    return 'search';
+  }
+  return 'form_fill';
+}
+
+function urlChanged(before: string, after: string): boolean {
+  const a = new URL(before);
+  const b = new URL(after);
+  return a.origin !== b.origin || a.pathname !== b.pathname || a.search !== b.search;
+}
+
+function fieldSlug(step: TraceStep): string {
+  return String(step.args.element || '')
+    .toLowerCase()
+    .replace(/\b(field|input|box|textbox|text)\b/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 24) || 'field';
+}
+
+// Replace each typed value with a placeholder named after its role
+function toRecipe(steps: TraceStep[], patternType: PatternType): ToolCall[] {
+  const used = new Map<string, number>();
+  const unique = (name: string) => {
+    const count = (used.get(name) || 0) + 1;
+    used.set(name, count);
+    return count === 1 ? name : `${name}_${count}`;
+  };
+
+  return steps.map(step => {
+    if (!step.field) {
+      return { tool: step.tool, args: step.args };
+    }
+    let placeholder: string;
+    if (step.field === 'password') {
+      placeholder = `{{secret:${unique('password')}}}`;
+    } else if (patternType === 'login') {
+      placeholder = `{{${unique('username')}}}`;
+    } else if (patternType === 'search') {
+      placeholder = `{{${unique('query')}}}`;
+    } else {
+      placeholder = `{{${unique(fieldSlug(step))}}}`;
+    }
+    return { tool: step.tool, args: { ...step.args, text: placeholder } };
+  });
+}
+
+function buildDraft(candidate: Candidate, patternType: PatternType): Partial<BrowserHint> {
+  const start = new URL(candidate.startUrl);
+  const steps = candidate.steps.slice(-MAX_RECIPE_STEPS);
+  const withSelector = steps.find(s => s.field && s.args.selector);
+  const descriptions: Record<string, string> = {
+    login: `Log in on ${start.hostname}`,
+    search: `Search on ${start.hostname}`,
+    form_fill: `Fill in and submit the form on ${start.hostname}${start.pathname}`
+  };
+
+  return {
+    domain: start.hostname,
+    path_pattern: new HintMatcher().pathPatternFor(start.pathname, patternType),
+    pattern_type: patternType,
+    selector_guard: withSelector?.args.selector || (patternType === 'login' ? 'input[type="password"]' : undefined),
+    recipe: toRecipe(steps, patternType),
+    description: `${descriptions[patternType]} (captured automatically)`.slice(0, 200),
+    confidence: 0.5
+  };
+}
+
+function appendNote(result: ToolResult, note: string): void {
+  const text = result.content.find(c => c.type === 'text');
+  if (text && 'text' in text) {
+    text.text += `\n\n${note}`;
+  } else {
+    result.content.push({ type: 'text', text: note });
+  }
+}
+
+// Check whether the pending submit led to a new page; returns a note for the response
+async function confirmCandidate(context: Context, trace: SessionTrace, mode: CaptureMode): Promise<string> {
+  const candidate = trace.pending!;
+  if (candidate.checksLeft <= 0 || Date.now() - candidate.createdAt > CONFIRM_WINDOW_MS) {
+    trace.pending = null;
+    return '';
+  }
+  candidate.checksLeft--;
+
+  const url = await currentTabUrl(context);
+  if (!url || !urlChanged(candidate.startUrl, url)) return '';
+  trace.pageUrl = url;
+  const patternType = inferPatternType(candidate.steps);
+  // Still on a login page: wrong credentials or a second factor, not a success yet
+  if (patternType === 'login' && LOGIN_PATH.test(new URL(url).pathname)) return '';
+  trace.pending = null;
+
+  const draft = buildDraft(candidate, patternType);
+  const key = `${draft.domain}|${draft.path_pattern || ''}|${patternType}`;
+  if (trace.captured.has(key)) return '';
+  trace.captured.add(key);
+
+  const scope = `${draft.domain}${draft.path_pattern || ''}`;
+  if (mode === 'propose') {
+    const proposal = {
+      url: candidate.startUrl,
+      pattern_type: patternType,
+      selector_guard: draft.selector_guard,
+      recipe: draft.recipe,
+      description: draft.description
+    };
+    return `[HINT PROPOSAL: this ${patternType} on ${scope} looks reusable; save it with browser_save_hint]\n${JSON.stringify(proposal)}`;
+  }
+
+  const id = await new HintStore().saveDraft(draft);
+  if (!id) return '';
+  return `[HINT DRAFT SAVED: ${id} (${patternType} on ${scope}). Drafts stay inactive; review with browser_hints_admin actions list_drafts, approve_draft or discard_draft]`;
+}
+
+/**
+ * Add a finished tool call to the session trace and append a note to its
+ * result when a reusable sequence was detected. Never throws and never
+ * changes the outcome of the call.
+ */
+export async function captureToolCall(
+  context: Context,
+  tool: string,
+  args: Record<string, any> | undefined,
+  result: ToolResult
+): Promise<ToolResult> {
+  const mode = captureMode();
+  if (mode === 'off') return result;
+
+  try {
+    let trace = traces.get(context);
+    if (!trace) {
+      trace = { steps: [], pageUrl: null, pending: null, captured: new Set() };
+      traces.set(context, trace);
+    }
+    const success = !result.isError;
+
+    if (RESET_TOOLS.has(tool)) {
+      trace.steps = [];
+      trace.pending = null;
+      trace.pageUrl = tool === 'browser_navigate' && (args?.action || 'goto') === 'goto' && success ? args?.url || null : null;
+      return result;
+    }
+
+    if (STEP_TOOLS.has(tool)) {
+      const step = toTraceStep(tool, args || {}, success);
+      trace.steps.push(step);
+      if (trace.steps.length > MAX_TRACE_STEPS) {
+        trace.steps.splice(0, trace.steps.length - MAX_TRACE_STEPS);
+      }
+
+      // A successful submit after typed input starts (or restarts) a candidate
+      const completed = trace.steps.filter(s => s.success);
+      if (success && isSubmit(step) && trace.pageUrl && completed.some(s => s.field)) {
+        trace.pending = { startUrl: trace.pageUrl, steps: completed, createdAt: Date.now(), checksLeft: CONFIRM_CALLS };
+        trace.steps = [];
+      } else {
+        // Re-read the URL after every other step, so a link click does not
+        // leave the next candidate scoped to the page it came from
+        const url = await currentTabUrl(context);
+        if (url && (!trace.pageUrl || urlChanged(trace.pageUrl, url))) {
+          // Earlier steps were taken on another page; a click that led here is one of them
+          trace.steps = isSubmit(step) ? [] : [step];
+        }
+        trace.pageUrl = url || trace.pageUrl;
+      }
+    }
+
+    if (trace.pending) {
+      const note = await confirmCandidate(context, trace, mode);
+      if (note) appendNote(result, note);
+    }
+  } catch {
+    // Capture is best effort and must not affect the tool call
+  }
+  return result;
+}
@@ -0,0 +1,117 @@
+import { HintDatabase } from '../storage/database.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface MaintenanceOptions {
+  // Hints unused this long lose confidence, once per period
+  decayAfterDays?: number;
+  decayFactor?: number;
+  // Decay never takes confidence below this
+  decayFloor?: number;
+  // Hints failing at least this often (with enough results) are deactivated
+  maxFailureRate?: number;
+  minTrials?: number;
+  // hint_history rows older than this are deleted
+  historyRetentionDays?: number;
+  // Run VACUUM afterwards to shrink the database file
+  compact?: boolean;
+  // Report what would change without changing anything
+  dryRun?: boolean;
+}
+
+export interface MaintenanceReport {
+  dry_run: boolean;
+  decayed: number;
+  deactivated: Array<{ id: string; domain: string; description: string; success_count: number; failure_count: number }>;
+  history_deleted: number;
+  compacted: boolean;
+  options: Required<Omit<MaintenanceOptions, 'dryRun' | 'compact'>>;
+}
+
+export interface DomainStats {
+  domain: string;
+  hints: number;
+  active: number;
+  drafts: number;
+  avg_confidence: number | null;
+  successes: number;
+  failures: number;
+  recent_failures: number;
+  last_used_at: number | null;
+}
+
+export const MAINTENANCE_DEFAULTS: Required<Omit<MaintenanceOptions, 'dryRun' | 'compact'>> = {
+  decayAfterDays: 30,
+  decayFactor: 0.9,
+  decayFloor: 0.1,
+  maxFailureRate: 0.7,
+  minTrials: 5,
+  historyRetentionDays: 180
+};
+
+// Window for the recent_failures column of the domain stats
+export const RECENT_FAILURE_DAYS = 7;
+
+/**
+ * Age the hint database: decay confidence of idle hints, deactivate hints
+ * that mostly fail, and drop history older than the retention window.
+ * Everything except VACUUM runs in one transaction.
+ */
+export function runMaintenance(db: HintDatabase, options: MaintenanceOptions = {}): MaintenanceReport {
+  const settings = { ...MAINTENANCE_DEFAULTS };
+  for (const key of Object.keys(settings) as Array<keyof typeof settings>) {
+    if (options[key] !== undefined) settings[key] = options[key]!;
+  }
+  if (settings.decayFactor <= 0 || settings.decayFactor > 1) {
+    throw new Error('decayFactor must be greater than 0 and at most 1');
+  }
+  if (settings.maxFailureRate <= 0 || settings.maxFailureRate > 1) {
+    throw new Error('maxFailureRate must be greater than 0 and at most 1');
+  }
+
+  const dryRun = !!options.dryRun;
+  const now = Date.now();
+
+  const report = db.transaction(() => {
+    const decayed = db.decayIdleHints(now - settings.decayAfterDays * DAY_MS, settings.decayFactor, settings.decayFloor, dryRun);
+    const failing = db.getFailingHints(settings.maxFailureRate, settings.minTrials);
+    if (!dryRun) {
+      failing.forEach(hint => db.deactivateHint(hint.id));
+    }
+    const historyDeleted = db.deleteHistoryBefore(now - settings.historyRetentionDays * DAY_MS, dryRun);
+    return { decayed, failing, historyDeleted };
+  });
+
+  const compacted = !!options.compact && !dryRun;
+  if (compacted) {
+    db.compact();
+  }
+
+  return {
+    dry_run: dryRun,
+    decayed: report.decayed,
+    deactivated: report.failing.map(hint => ({
+      id: hint.id,
+      domain: hint.domain,
+      description: hint.description,
+      success_count: hint.success_count,
+      failure_count: hint.failure_count
+    })),
+    history_deleted: report.historyDeleted,
+    compacted,
+    options: settings
+  };
+}
+
+/**
+ * Hint counts, average confidence of active hints and failures in the last
+ * RECENT_FAILURE_DAYS days, per domain (or for one domain)
+ */
+export function domainStats(db: HintDatabase, domain?: string): DomainStats[] {
+  return db.getDomainStats(Date.now() - RECENT_FAILURE_DAYS * DAY_MS, domain).map(row => ({
+    ...row,
+    avg_confidence: row.avg_confidence === null ? null : Math.round(row.avg_confidence * 100) / 100,
+    successes: row.successes || 0,
+    failures: row.failures || 0
+  }));
+}
@@ -1,4 +1,6 @@
 import { createHash } from 'crypto';
+import type { BrowserHint } from '../types.js';
+import type { PageFingerprint } from '../../types/messages.js';
 
 export interface Viewport {
   width: number;
@@ -10,6 +12,23 @@ export interface AuthState {
   userRole?: string;
 }
 
+export interface PageMatch {
+  hint: BrowserHint;
+  // Structural similarity to the live page (0-1), null when the hint has no comparable fingerprint
+  similarity: number | null;
+  // Whether selector_guard matched the live DOM, null when the hint has no guard
+  guard_found: boolean | null;
+  score: number;
+}
+
+export interface PageRanking {
+  matches: PageMatch[];
+  stale: Array<{ hint: BrowserHint; reason: string }>;
+}
+
+// Below this structural similarity a hint is treated as written for a different layout
+const MIN_PAGE_SIMILARITY = 0.35;
+
 export class HintMatcher {
   /**
    * Match URL against a pattern with wildcards
@@ -55,25 +74,13 @@ export class HintMatcher {
   }
   
   /**
-   * Validate that a CSS selector exists in the DOM
-   * For MVP, we just validate selector syntax
+   * Path pattern a hint recorded on a page applies to: the exact path for
+   * login pages, everything under the path otherwise, none for the site root
    */
-  validateSelector(dom: Document | string, selector: string): boolean {
-    // Basic syntax validation
-    if (!selector || selector.trim().length === 0) return false;
-    
-    // If we have actual DOM (future enhancement)
-    if (typeof dom === 'object' && dom.querySelector) {
-      try {
-        return dom.querySelector(selector) !== null;
-      } catch {
-        return false;
-      }
-    }
-    
-    // For string DOM or when we can't validate
-    // Just check if selector looks valid
-    return this.isValidCSSSelector(selector);
+  pathPatternFor(path: string, patternType: string): string | undefined {
+    if (path === '/' || path === '') return undefined;
+    if (patternType === 'login') return path;
+    return path.endsWith('/') ? `${path}*` : `${path}/*`;
   }
   
   /**
@@ -125,11 +132,45 @@ export class HintMatcher {
   }
   
   /**
-   * Compare two DOM fingerprints and return similarity score (0-1)
+   * Serialize a live page fingerprint for storage in dom_fingerprint
+   */
+  serializeDomFingerprint(page: PageFingerprint): string {
+    return JSON.stringify({ v: page.version, features: page.features });
+  }
+  
+  /**
+   * Read the feature counts of a stored structural fingerprint.
+   * Returns null for legacy hash fingerprints.
+   */
+  parseDomFingerprint(fp?: string): Record<string, number> | null {
+    if (!fp || !fp.startsWith('{')) return null;
+    try {
+      const parsed = JSON.parse(fp);
+      return parsed && typeof parsed.features === 'object' ? parsed.features : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Compare two DOM fingerprints and return similarity score (0-1).
+   * Structural fingerprints use weighted Jaccard over their feature counts.
    */
   compareDomFingerprints(fp1: string, fp2: string): number {
     if (fp1 === fp2) return 1.0;
     
+    const a = this.parseDomFingerprint(fp1);
+    const b = this.parseDomFingerprint(fp2);
+    if (a && b) {
+      let shared = 0;
+      let total = 0;
+      for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        shared += Math.min(a[key] || 0, b[key] || 0);
+        total += Math.max(a[key] || 0, b[key] || 0);
+      }
+      return total === 0 ? 1.0 : shared / total;
+    }
+    
     // Simple comparison - could be enhanced with fuzzy matching
     const len = Math.min(fp1.length, fp2.length);
     let matches = 0;
@@ -141,6 +182,47 @@ export class HintMatcher {
     return matches / len;
   }
   
+  /**
+   * Rank hints against the live page. Hints whose selector_guard is missing
+   * or whose fingerprint is too far from the page are returned as stale;
+   * the rest are ordered by base score weighted by similarity and guard match.
+   */
+  rankAgainstPage(hints: BrowserHint[], page: PageFingerprint, baseScore: (hint: BrowserHint) => number): PageRanking {
+    const liveFingerprint = this.serializeDomFingerprint(page);
+    const matches: PageMatch[] = [];
+    const stale: PageRanking['stale'] = [];
+    
+    for (const hint of hints) {
+      const guardCount = hint.selector_guard ? page.selectors[hint.selector_guard] : undefined;
+      const guardFound = hint.selector_guard ? (guardCount ?? 0) > 0 : null;
+      if (guardFound === false) {
+        stale.push({
+          hint,
+          reason: guardCount === -1
+            ? `selector guard "${hint.selector_guard}" is not a valid selector`
+            : `selector guard "${hint.selector_guard}" not found on the page`
+        });
+        continue;
+      }
+      
+      const similarity = this.parseDomFingerprint(hint.dom_fingerprint)
+        ? this.compareDomFingerprints(hint.dom_fingerprint!, liveFingerprint)
+        : null;
+      if (similarity !== null && similarity < MIN_PAGE_SIMILARITY) {
+        stale.push({ hint, reason: `page structure changed (similarity ${Math.round(similarity * 100)}%)` });
+        continue;
+      }
+      
+      // Unknown similarity counts as a middling match; a confirmed guard adds a bonus
+      const structure = 0.5 + 0.5 * (similarity ?? 0.5);
+      const score = baseScore(hint) * structure * (guardFound ? 1.25 : 1);
+      matches.push({ hint, similarity, guard_found: guardFound, score });
+    }
+    
+    matches.sort((a, b) => b.score - a.score);
+    return { matches, stale };
+  }
+  
   /**
    * Check if current viewport matches required viewport
    */
@@ -162,38 +244,4 @@ export class HintMatcher {
     
     return true;
   }
-  
-  /**
-   * Basic CSS selector validation
-   */
-  private isValidCSSSelector(selector: string): boolean {
-    // Check for obviously invalid patterns
-    const invalid = [
-      /^[0-9]/, // Starts with number
-      /\s$/, // Ends with space
-      /^[>~+]/, // Starts with combinator
-      /:$/, // Ends with colon
-      /\[.*\]$/, // Ends with attribute selector without element
-    ];
-    
-    for (const pattern of invalid) {
-      if (pattern.test(selector)) return false;
-    }
-    
-    // Check for balanced brackets and quotes
-    let brackets = 0;
-    let singleQuotes = 0;
-    let doubleQuotes = 0;
-    
-    for (const char of selector) {
-      if (char === '[') brackets++;
-      if (char === ']') brackets--;
-      if (char === "'") singleQuotes++;
-      if (char === '"') doubleQuotes++;
-      
-      if (brackets < 0) return false; // Closing bracket before opening
-    }
-    
-    return brackets === 0 && singleQuotes % 2 === 0 && doubleQuotes % 2 === 0;
-  }
 }
\ No newline at end of file
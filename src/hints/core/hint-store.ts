@@ -1,8 +1,14 @@
 import { createHash } from 'crypto';
-import { BrowserHint, PatternType, ToolCall, ValidationResult } from '../types.js';
+import { BrowserHint, ConflictResolution, HintConflict, PatternType, ToolCall, ValidationResult } from '../types.js';
 import { HintDatabase } from '../storage/database.js';
 import { HintValidator } from './hint-validator.js';
 import { HintMatcher } from './hint-matcher.js';
+import { ExportOptions, ImportSummary, MergeStrategy, exportHints, importHints } from './hint-bundle.js';
+import { DomainStats, MaintenanceOptions, MaintenanceReport, domainStats, runMaintenance } from './hint-maintenance.js';
+import { secretsContainedIn } from './secret-store.js';
+
+// Trials each side of a conflict needs before a winner is picked
+const CONFLICT_MIN_TRIALS = 5;
 
 export class HintStore {
   private db: HintDatabase;
@@ -16,17 +22,10 @@ export class HintStore {
   }
   
   async saveHint(hint: Partial<BrowserHint>): Promise<string> {
-    // Validate hint
-    const validation = this.validator.validateHint(hint);
-    if (!validation.valid) {
-      throw new Error(`Invalid hint: ${validation.errors.join(', ')}`);
-    }
-    
-    // Generate ID
-    const id = this.generateHintId(hint);
+    const fullHint = this.prepareHint(hint);
     
     // Check for existing hint
-    const existing = await this.getHintById(id);
+    const existing = await this.getHintById(fullHint.id);
     if (existing) {
       // Conflict resolution - for MVP, just update if new confidence is higher
       if ((hint.confidence || 0.5) > existing.confidence) {
@@ -36,33 +35,173 @@ export class HintStore {
       }
     }
     
-    // Prepare hint object
-    const fullHint: BrowserHint = {
-      id,
-      domain: hint.domain!,
-      path_pattern: hint.path_pattern,
-      url_hash: this.hashUrl(hint.domain! + (hint.path_pattern || '')),
-      pattern_type: hint.pattern_type!,
-      selector_guard: hint.selector_guard,
-      dom_fingerprint: hint.dom_fingerprint,
-      recipe: hint.recipe!,
-      description: hint.description!,
-      context: hint.context,
-      success_count: 0,
-      failure_count: 0,
-      confidence: hint.confidence || 0.5,
-      author_id: process.env.CLAUDE_INSTANCE_ID || 'unknown',
-      created_at: Date.now(),
-      version: 1,
-      is_active: true,
-      parent_hint_id: hint.parent_hint_id,
-      related_hints: hint.related_hints
-    };
-    
     // Save to database
     this.db.insertHint(fullHint);
     
-    return id;
+    return fullHint.id;
+  }
+  
+  /**
+   * Store an automatically captured hint as an inactive draft for review.
+   * Returns null when a hint (active, inactive or draft) already covers the
+   * same URL, pattern and guard, so the same workflow is not captured twice.
+   */
+  async saveDraft(hint: Partial<BrowserHint>): Promise<string | null> {
+    const draft = this.prepareHint(hint);
+    if (this.db.findHintByUrlHash(draft.url_hash, draft.pattern_type, draft.selector_guard || null)) {
+      return null;
+    }
+    this.db.insertFullHint({ ...draft, is_active: false, is_draft: true });
+    return draft.id;
+  }
+  
+  async listDrafts(domain?: string): Promise<BrowserHint[]> {
+    return this.db.getDrafts(domain);
+  }
+  
+  /**
+   * Publish a reviewed draft. Like submitHint, it becomes a challenger when an
+   * active hint already covers the same domain/path/pattern/guard.
+   */
+  async approveDraft(id: string): Promise<{ id: string; conflict?: HintConflict }> {
+    const draft = this.db.getHintByIdIncludingInactive(id);
+    if (!draft || !draft.is_draft) {
+      throw new Error(`No draft hint with id ${id}`);
+    }
+
+    const incumbent = this.db.findActiveHint(draft.domain, draft.path_pattern || null, draft.pattern_type, draft.selector_guard || null);
+    if (incumbent) {
+      const open = this.db.getOpenConflictForHint(incumbent.id);
+      if (open) {
+        throw new Error(`Hint ${incumbent.id} is already on trial against challenger ${open.challenger_hint_id}; approve the draft once the trial ends`);
+      }
+    }
+
+    let conflict: HintConflict | undefined;
+    this.db.transaction(() => {
+      this.db.publishDraft(id);
+      if (incumbent) {
+        conflict = {
+          id: this.db.insertConflict(draft.domain, draft.path_pattern || null, incumbent.id, id),
+          domain: draft.domain,
+          path_pattern: draft.path_pattern,
+          active_hint_id: incumbent.id,
+          challenger_hint_id: id
+        };
+      }
+    });
+    return { id, conflict };
+  }
+  
+  async discardDraft(id: string): Promise<void> {
+    if (!this.db.deleteDraft(id)) {
+      throw new Error(`No draft hint with id ${id}`);
+    }
+  }
+  
+  /**
+   * Save a hint, or enter it as a challenger when an active hint already
+   * covers the same domain/path/pattern/guard. Both are then served in
+   * alternation until hint_history has enough trials to pick a winner. A hint
+   * submitted while that trial is still running is kept as a draft
+   * (queuedBehind names the trial) to be approved once it ends.
+   */
+  async submitHint(hint: Partial<BrowserHint>): Promise<{ id: string; conflict?: HintConflict; queuedBehind?: HintConflict }> {
+    const incumbent = this.db.findActiveHint(hint.domain!, hint.path_pattern || null, hint.pattern_type!, hint.selector_guard || null);
+    if (!incumbent) {
+      return { id: await this.saveHint(hint) };
+    }
+
+    const open = this.db.getOpenConflictForHint(incumbent.id);
+    if (open) {
+      const draft = this.prepareHint(hint);
+      this.db.insertFullHint({ ...draft, is_active: false, is_draft: true });
+      return { id: draft.id, queuedBehind: open };
+    }
+
+    const id = await this.saveHint(hint);
+    const conflictId = this.db.insertConflict(hint.domain!, hint.path_pattern || null, incumbent.id, id);
+    return {
+      id,
+      conflict: {
+        id: conflictId,
+        domain: hint.domain!,
+        path_pattern: hint.path_pattern,
+        active_hint_id: incumbent.id,
+        challenger_hint_id: id
+      }
+    };
+  }
+  
+  /**
+   * Create a new version of an active hint. The new hint inherits the parent's
+   * scope, links to it through parent_hint_id and starts with fresh stats;
+   * the parent is deactivated but kept for restore.
+   */
+  async updateHint(id: string, changes: Partial<BrowserHint>): Promise<string> {
+    const parent = await this.getHintById(id);
+    if (!parent) {
+      throw new Error(`No active hint with id ${id}`);
+    }
+
+    const newId = await this.saveHint({
+      domain: parent.domain,
+      path_pattern: parent.path_pattern,
+      pattern_type: parent.pattern_type,
+      selector_guard: changes.selector_guard ?? parent.selector_guard,
+      dom_fingerprint: changes.dom_fingerprint ?? parent.dom_fingerprint,
+      recipe: changes.recipe ?? parent.recipe,
+      description: changes.description ?? parent.description,
+      context: changes.context ?? parent.context,
+      confidence: changes.confidence ?? parent.confidence,
+      related_hints: parent.related_hints,
+      version: (parent.version || 1) + 1,
+      parent_hint_id: parent.id
+    });
+    await this.deactivateHint(parent.id);
+    return newId;
+  }
+  
+  /**
+   * Versions of a hint from newest to oldest, following parent_hint_id
+   * (includes deactivated versions).
+   */
+  async getVersionChain(id: string): Promise<BrowserHint[]> {
+    const chain: BrowserHint[] = [];
+    const seen = new Set<string>();
+    let current = this.db.getHintByIdIncludingInactive(id);
+    while (current && !seen.has(current.id)) {
+      chain.push(current);
+      seen.add(current.id);
+      current = current.parent_hint_id ? this.db.getHintByIdIncludingInactive(current.parent_hint_id) : null;
+    }
+    return chain;
+  }
+  
+  /**
+   * Roll an active hint back to an earlier version in its chain (the parent by
+   * default): the earlier version is reactivated with its own stats and the
+   * current one is deactivated. Returns the restored hint.
+   */
+  async restoreVersion(id: string, targetId?: string): Promise<BrowserHint> {
+    const current = await this.getHintById(id);
+    if (!current) {
+      throw new Error(`No active hint with id ${id}`);
+    }
+    const ancestors = (await this.getVersionChain(id)).slice(1);
+    if (ancestors.length === 0) {
+      throw new Error(`Hint ${id} has no earlier version`);
+    }
+    const target = targetId ? ancestors.find(hint => hint.id === targetId) : ancestors[0];
+    if (!target) {
+      throw new Error(`Hint ${targetId} is not an earlier version of ${id}`);
+    }
+
+    this.db.transaction(() => {
+      this.db.deactivateHint(current.id);
+      this.db.activateHint(target.id);
+    });
+    return (await this.getHintById(target.id))!;
   }
   
   async getHints(url: string, limit: number = 5): Promise<BrowserHint[]> {
@@ -93,18 +232,38 @@ export class HintStore {
       return scoreB - scoreA;
     });
     
-    return allHints.slice(0, limit);
+    return this.serveAlternates(allHints).slice(0, limit);
+  }
+  
+  /**
+   * Search hints on any site by free-text terms (a detected CMP, framework,
+   * field name...). Terms shorter than three characters are ignored since the
+   * index matches substrings. Each result lists the terms it matched.
+   */
+  async searchHints(
+    terms: string[],
+    options: { excludeDomain?: string; patternType?: string; limit?: number } = {}
+  ): Promise<Array<{ hint: BrowserHint; matched_terms: string[] }>> {
+    const usable = [...new Set(terms.map(t => t.trim().toLowerCase()).filter(t => t.length >= 3))];
+    const hints: BrowserHint[] = this.db.searchHints(usable, options);
+    return hints.map(hint => {
+      const text = [hint.description, hint.pattern_type, hint.selector_guard || '', hint.domain].join(' ').toLowerCase();
+      return { hint, matched_terms: usable.filter(t => text.includes(t)) };
+    });
   }
   
   async getHintById(id: string): Promise<BrowserHint | null> {
     return this.db.getHintById(id);
   }
   
-  async updateHintStats(id: string, success: boolean): Promise<void> {
+  async updateHintStats(id: string, success: boolean, errorMessage?: string, executionTime?: number): Promise<void> {
     this.db.updateHintStats(id, success);
     
     // Record in history
-    this.db.recordHistory(id, success);
+    this.db.recordHistory(id, success, errorMessage, executionTime);
+    
+    // A new result may settle a running challenger trial
+    await this.evaluateConflict(id);
     
     // Check if hint should be deactivated
     const hint = await this.getHintById(id);
@@ -113,50 +272,113 @@ export class HintStore {
     }
   }
   
-  async findMatchingHints(url: string, dom?: string): Promise<BrowserHint[]> {
-    const hints = await this.getHints(url);
-    
-    if (!dom) {
-      return hints;
+  /**
+   * Decide an open conflict from hint_history once both hints have at least
+   * CONFLICT_MIN_TRIALS results since the challenger was saved. The challenger
+   * must have a strictly higher success rate to replace the active hint.
+   * Returns the resolution, or null while the trial is still running.
+   */
+  async evaluateConflict(hintId: string): Promise<ConflictResolution | null> {
+    const conflict = this.db.getOpenConflictForHint(hintId);
+    if (!conflict) return null;
+
+    const active = this.db.getHintById(conflict.active_hint_id);
+    const challenger = this.db.getHintById(conflict.challenger_hint_id);
+
+    let resolution: ConflictResolution;
+    if (!active || !challenger) {
+      // One side was deactivated (e.g. too many failures); the other wins by default
+      resolution = active ? 'active_won' : 'challenger_won';
+    } else {
+      const since = challenger.created_at;
+      const activeStats = this.db.getTrialStats(active.id, since);
+      const challengerStats = this.db.getTrialStats(challenger.id, since);
+      if (activeStats.trials < CONFLICT_MIN_TRIALS || challengerStats.trials < CONFLICT_MIN_TRIALS) {
+        return null;
+      }
+      const activeRate = activeStats.successes / activeStats.trials;
+      const challengerRate = challengerStats.successes / challengerStats.trials;
+      resolution = challengerRate > activeRate ? 'challenger_won' : 'active_won';
     }
-    
-    // Filter by DOM validation
-    const validHints: BrowserHint[] = [];
+
+    if (resolution === 'challenger_won') {
+      // The winner becomes the next version of the hint it replaced
+      const replaced = this.db.getHintByIdIncludingInactive(conflict.active_hint_id);
+      await this.deactivateHint(conflict.active_hint_id);
+      this.db.setParentHint(conflict.challenger_hint_id, conflict.active_hint_id, (replaced?.version || 1) + 1);
+    } else {
+      await this.deactivateHint(conflict.challenger_hint_id);
+    }
+    this.db.resolveConflict(conflict.id, resolution);
+    return resolution;
+  }
+  
+  // Open conflicts with both hints and their trial results so far
+  async listConflicts(domain?: string): Promise<Array<HintConflict & {
+    active?: BrowserHint;
+    challenger?: BrowserHint;
+    trials: { active: { trials: number; successes: number }; challenger: { trials: number; successes: number } };
+  }>> {
+    return this.db.getOpenConflicts(domain).map((conflict: HintConflict) => {
+      const active = this.db.getHintById(conflict.active_hint_id);
+      const challenger = this.db.getHintById(conflict.challenger_hint_id);
+      const since = challenger ? challenger.created_at : 0;
+      return {
+        ...conflict,
+        active: active || undefined,
+        challenger: challenger || undefined,
+        trials: {
+          active: this.db.getTrialStats(conflict.active_hint_id, since),
+          challenger: this.db.getTrialStats(conflict.challenger_hint_id, since)
+        }
+      };
+    });
+  }
+  
+  /**
+   * Serve only one hint of each open conflict: whichever has fewer trials
+   * since the challenger arrived (the active hint on ties), so the two
+   * alternate as results come in.
+   */
+  private serveAlternates(hints: BrowserHint[]): BrowserHint[] {
+    const served: BrowserHint[] = [];
+    const seen = new Set<string>();
+
     for (const hint of hints) {
-      if (hint.selector_guard) {
-        // We'll need to parse DOM string or use a different approach
-        // For MVP, assume all hints are valid if they have selector_guard
-        validHints.push(hint);
-      } else {
-        validHints.push(hint);
+      let pick: BrowserHint = hint;
+      const conflict = this.db.getOpenConflictForHint(hint.id);
+      if (conflict) {
+        const active = this.db.getHintById(conflict.active_hint_id);
+        const challenger = this.db.getHintById(conflict.challenger_hint_id);
+        if (active && challenger) {
+          const since = challenger.created_at;
+          const activeTrials = this.db.getTrialStats(active.id, since).trials;
+          const challengerTrials = this.db.getTrialStats(challenger.id, since).trials;
+          pick = challengerTrials < activeTrials ? challenger : active;
+        }
+      }
+      if (!seen.has(pick.id)) {
+        seen.add(pick.id);
+        served.push(pick);
       }
     }
-    
-    return validHints;
+    return served;
   }
   
-  async resolveConflict(existing: BrowserHint, challenger: Partial<BrowserHint>): Promise<BrowserHint> {
-    const existingScore = this.calculateScore(existing);
-    const challengerScore = this.calculateScore({
-      ...challenger,
-      confidence: challenger.confidence || 0.5,
-      success_count: challenger.success_count || 0,
-      failure_count: challenger.failure_count || 0,
-      last_success_at: challenger.last_success_at
-    } as BrowserHint);
-    
-    if (challengerScore > existingScore * 1.5) {
-      // Challenger wins
-      await this.deactivateHint(existing.id);
-      const newId = await this.saveHint({
-        ...challenger,
-        parent_hint_id: existing.id
-      });
-      return (await this.getHintById(newId))!;
-    }
-    
-    // Existing wins
-    return existing;
+  async exportBundle(options: ExportOptions = {}): Promise<{ text: string; count: number }> {
+    return exportHints(this.db, options);
+  }
+  
+  async importBundle(text: string, merge: MergeStrategy = 'combine'): Promise<ImportSummary> {
+    return importHints(this.db, text, merge);
+  }
+  
+  async runMaintenance(options: MaintenanceOptions = {}): Promise<MaintenanceReport> {
+    return runMaintenance(this.db, options);
+  }
+  
+  async domainStats(domain?: string): Promise<DomainStats[]> {
+    return domainStats(this.db, domain);
   }
   
   async deactivateHint(id: string): Promise<void> {
@@ -167,6 +389,47 @@ export class HintStore {
     return this.db.pruneStaleHints(daysOld);
   }
   
+  // Validate a hint and fill in identity, hashes and fresh stats
+  private prepareHint(hint: Partial<BrowserHint>): BrowserHint {
+    const validation = this.validator.validateHint(hint);
+    if (!validation.valid) {
+      throw new Error(`Invalid hint: ${validation.errors.join(', ')}`);
+    }
+    
+    // Secret values must only ever appear as {{secret:name}} placeholders
+    let leaked: string[];
+    try {
+      leaked = secretsContainedIn(JSON.stringify(hint.recipe));
+    } catch (error) {
+      throw new Error(`Cannot check the recipe for secret values, so it was not saved: ${(error as Error).message}`);
+    }
+    if (leaked.length) {
+      throw new Error(`Recipe contains the value of secret(s) ${leaked.join(', ')}; use {{secret:<name>}} placeholders instead`);
+    }
+    
+    return {
+      id: this.generateHintId(hint),
+      domain: hint.domain!,
+      path_pattern: hint.path_pattern,
+      url_hash: this.hashUrl(hint.domain! + (hint.path_pattern || '')),
+      pattern_type: hint.pattern_type!,
+      selector_guard: hint.selector_guard,
+      dom_fingerprint: hint.dom_fingerprint,
+      recipe: hint.recipe!,
+      description: hint.description!,
+      context: hint.context,
+      success_count: 0,
+      failure_count: 0,
+      confidence: hint.confidence || 0.5,
+      author_id: process.env.CLAUDE_INSTANCE_ID || 'unknown',
+      created_at: Date.now(),
+      version: hint.version || 1,
+      is_active: true,
+      parent_hint_id: hint.parent_hint_id,
+      related_hints: hint.related_hints
+    };
+  }
+  
   private generateHintId(hint: Partial<BrowserHint>): string {
     const content = `${hint.domain}${hint.path_pattern || ''}${hint.selector_guard || ''}${Date.now()}`;
     return createHash('sha1').update(content).digest('hex');
@@ -0,0 +1,82 @@
+import type { Context } from '../../context.js';
+import { HintStore } from './hint-store.js';
+import { currentTabUrl } from './live-page.js';
+import { BrowserHint } from '../types.js';
+
+// Only hints this reliable are suggested unprompted
+const SUGGESTION_MIN_CONFIDENCE = 0.7;
+const SUGGESTION_CANDIDATES = 5;
+const DEFAULT_TOKEN_BUDGET = 150;
+// Rough token estimate for English text and ids
+const CHARS_PER_TOKEN = 4;
+const DESCRIPTION_LENGTH = 80;
+
+/**
+ * Token budget for the hints block from BROWSERMCP_HINT_SUGGESTIONS:
+ * unset uses the default, "off"/"false"/"0" disables suggestions and a
+ * number sets the budget.
+ */
+export function suggestionBudget(): number {
+  const raw = (process.env.BROWSERMCP_HINT_SUGGESTIONS || '').trim().toLowerCase();
+  if (!raw) return DEFAULT_TOKEN_BUDGET;
+  if (raw === 'off' || raw === 'false') return 0;
+  const budget = parseInt(raw, 10);
+  return Number.isNaN(budget) ? DEFAULT_TOKEN_BUDGET : Math.max(budget, 0);
+}
+
+function formatLine(hint: BrowserHint): string {
+  const description = hint.description.length > DESCRIPTION_LENGTH
+    ? hint.description.slice(0, DESCRIPTION_LENGTH - 3) + '...'
+    : hint.description;
+  return `- ${hint.id} (${hint.pattern_type}, ${Math.round(hint.confidence * 100)}%): ${description}`;
+}
+
+/**
+ * Compact "hints available" block for a URL, listing high-confidence hints
+ * by id and one-line description within the token budget. Returns an empty
+ * string when there are none, suggestions are disabled or the hint store is
+ * unavailable; a lookup problem must never fail the navigation it decorates.
+ */
+export async function formatHintSuggestions(url: string): Promise<string> {
+  const budget = suggestionBudget();
+  if (budget === 0 || !/^https?:/.test(url)) return '';
+
+  let hints: BrowserHint[];
+  try {
+    hints = (await new HintStore().getHints(url, SUGGESTION_CANDIDATES))
+      .filter(h => h.confidence >= SUGGESTION_MIN_CONFIDENCE);
+  } catch {
+    return '';
+  }
+  if (hints.length === 0) return '';
+
+  const maxChars = budget * CHARS_PER_TOKEN;
+  const header = `[HINTS AVAILABLE for ${new URL(url).hostname} - run with browser_apply_hint, details via browser_get_hints]`;
+  const lines = [header];
+  let used = header.length;
+  for (const hint of hints) {
+    const line = formatLine(hint);
+    if (used + line.length + 1 > maxChars) break;
+    lines.push(line);
+    used += line.length + 1;
+  }
+  if (lines.length === 1) return '';
+
+  const omitted = hints.length - (lines.length - 1);
+  if (omitted > 0) {
+    lines.push(`- ...${omitted} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Hints block for the page a tab is on after navigation or selection.
+ * The tab's own URL is used so redirects (e.g. to a login page) are covered;
+ * fallbackUrl is used when the tab cannot be looked up.
+ */
+export async function hintSuggestionsForTab(context: Context, tabId?: number | string, fallbackUrl?: string): Promise<string> {
+  if (suggestionBudget() === 0) return '';
+
+  const url = (await currentTabUrl(context, tabId)) || fallbackUrl;
+  return url ? formatHintSuggestions(url) : '';
+}
@@ -0,0 +1,36 @@
+import type { Context } from '../../context.js';
+import type { PageFingerprint } from '../../types/messages.js';
+
+/**
+ * Fetch the structural fingerprint of the current tab, with live match counts
+ * for the given selectors. Returns null when no tab is reachable or the tab is
+ * not on the given URL's host, since its DOM would say nothing about that site.
+ */
+export async function readLivePage(context: Context, url: string, selectors: string[] = []): Promise<PageFingerprint | null> {
+  let page: PageFingerprint;
+  try {
+    page = await context.sendSocketMessage('page.fingerprint', { selectors: [...new Set(selectors)] });
+  } catch {
+    return null;
+  }
+  try {
+    return new URL(page.url).hostname === new URL(url).hostname ? page : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * URL of a tab (by id, or the active tab), or null when it cannot be looked up
+ */
+export async function currentTabUrl(context: Context, tabId?: number | string): Promise<string | null> {
+  try {
+    const { tabs } = await context.sendSocketMessage('tabs.list', {});
+    const tab = tabId !== undefined
+      ? tabs.find(t => String(t.id) === String(tabId))
+      : tabs.find(t => t.active);
+    return tab?.url || null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,122 @@
+import type { Context } from '../../context.js';
+import type { ToolResult } from '../../tools/tool.js';
+import { ToolCall } from '../types.js';
+
+export interface StepOutcome {
+  step: number;
+  tool: string;
+  success: boolean;
+  attempts: number;
+  used_fallback?: boolean;
+  duration_ms: number;
+  error?: string;
+  output?: string;
+}
+
+export interface RunOptions {
+  // Applied to step output and errors before they are returned (e.g. to hide secrets)
+  mask?: (text: string) => string;
+}
+
+export interface RecipeOutcome {
+  success: boolean;
+  steps: StepOutcome[];
+  error?: string;
+  execution_time_ms: number;
+}
+
+// Tools a recipe may not call: replaying a hint from inside a hint would recurse
+const FORBIDDEN_TOOLS = new Set(['browser_apply_hint']);
+
+const RETRY_DELAY_MS = 500;
+const OUTPUT_PREVIEW_LENGTH = 300;
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function resultText(result: ToolResult | undefined): string {
+  const text = (result?.content || [])
+    .filter(item => item.type === 'text')
+    .map(item => (item as { text: string }).text)
+    .join('\n');
+  return text.length > OUTPUT_PREVIEW_LENGTH ? `${text.slice(0, OUTPUT_PREVIEW_LENGTH)}...` : text;
+}
+
+// Run one tool call; tools report failure either by throwing or with isError
+async function callOnce(context: Context, call: ToolCall): Promise<string> {
+  if (FORBIDDEN_TOOLS.has(call.tool)) {
+    throw new Error(`${call.tool} cannot be used inside a recipe`);
+  }
+  if (!context.toolbox[call.tool]) {
+    throw new Error(`Unknown tool: ${call.tool}`);
+  }
+  const result: ToolResult = await context.callTool(call.tool, call.args || {});
+  const text = resultText(result);
+  if (result?.isError) {
+    throw new Error(text || `${call.tool} reported an error`);
+  }
+  return text;
+}
+
+async function runStep(context: Context, call: ToolCall, index: number, mask: (text: string) => string): Promise<StepOutcome> {
+  const started = Date.now();
+  const outcome: StepOutcome = { step: index + 1, tool: call.tool, success: false, attempts: 0, duration_ms: 0 };
+  const maxAttempts = call.retry_on_failure ? 2 : 1;
+
+  while (outcome.attempts < maxAttempts && !outcome.success) {
+    if (outcome.attempts > 0) {
+      await sleep(RETRY_DELAY_MS);
+    }
+    outcome.attempts++;
+    try {
+      outcome.output = await callOnce(context, call);
+      outcome.success = true;
+      outcome.error = undefined;
+    } catch (error) {
+      outcome.error = error instanceof Error ? error.message : String(error);
+    }
+  }
+
+  if (!outcome.success && call.fallback) {
+    try {
+      outcome.output = await callOnce(context, call.fallback);
+      outcome.success = true;
+      outcome.used_fallback = true;
+      outcome.error = undefined;
+    } catch (error) {
+      outcome.error = `${outcome.error}; fallback ${call.fallback.tool} failed: ${error instanceof Error ? error.message : String(error)}`;
+    }
+  }
+
+  if (outcome.success && call.wait_after) {
+    await sleep(call.wait_after);
+  }
+  if (outcome.output) outcome.output = mask(outcome.output);
+  if (outcome.error) outcome.error = mask(outcome.error);
+  outcome.duration_ms = Date.now() - started;
+  return outcome;
+}
+
+/**
+ * Execute a hint recipe step by step through the context's toolbox.
+ * Stops at the first step that fails after its retry and fallback.
+ */
+export async function runRecipe(context: Context, recipe: ToolCall[], options: RunOptions = {}): Promise<RecipeOutcome> {
+  const started = Date.now();
+  const steps: StepOutcome[] = [];
+  const mask = options.mask || ((text: string) => text);
+
+  for (const [index, call] of recipe.entries()) {
+    const outcome = await runStep(context, call, index, mask);
+    steps.push(outcome);
+    if (!outcome.success) {
+      return {
+        success: false,
+        steps,
+        error: `Step ${outcome.step} (${call.tool}) failed: ${outcome.error}`,
+        execution_time_ms: Date.now() - started
+      };
+    }
+  }
+
+  return { success: true, steps, execution_time_ms: Date.now() - started };
+}
@@ -0,0 +1,77 @@
+import { ToolCall } from '../types.js';
+
+/**
+ * Recipe placeholders: {{name}} is filled from the variables passed to
+ * browser_apply_hint, {{secret:name}} from the local secrets file.
+ */
+const PLACEHOLDER = /\{\{\s*(secret:)?([A-Za-z0-9_.-]+)\s*\}\}/g;
+
+export interface RecipeParameters {
+  variables: string[];
+  secrets: string[];
+}
+
+// Apply fn to every string inside a JSON-like value
+function mapStrings(value: any, fn: (text: string) => string): any {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+}
+
+function stepsOf(recipe: ToolCall[]): ToolCall[] {
+  return recipe.flatMap(step => (step.fallback ? [step, ...stepsOf([step.fallback])] : [step]));
+}
+
+/**
+ * Variable and secret names a recipe refers to
+ */
+export function recipeParameters(recipe: ToolCall[]): RecipeParameters {
+  const variables = new Set<string>();
+  const secrets = new Set<string>();
+  for (const step of stepsOf(recipe)) {
+    mapStrings(step.args, text => {
+      for (const [, secret, name] of text.matchAll(PLACEHOLDER)) {
+        (secret ? secrets : variables).add(name);
+      }
+      return text;
+    });
+  }
+  return { variables: [...variables], secrets: [...secrets] };
+}
+
+/**
+ * Substitute placeholders in every step (and fallback) of a recipe.
+ * Callers check recipeParameters first; an unknown name is an error.
+ */
+export function resolveRecipe(
+  recipe: ToolCall[],
+  variables: Record<string, string>,
+  secrets: Record<string, string>
+): ToolCall[] {
+  const fill = (text: string) => text.replace(PLACEHOLDER, (_match, secret: string | undefined, name: string) => {
+    const source = secret ? secrets : variables;
+    if (!Object.prototype.hasOwnProperty.call(source, name)) {
+      throw new Error(`No value for ${secret ? 'secret' : 'variable'} "${name}"`);
+    }
+    return String(source[name]);
+  });
+  const resolveStep = (step: ToolCall): ToolCall => ({
+    ...step,
+    args: mapStrings(step.args, fill),
+    ...(step.fallback && { fallback: resolveStep(step.fallback) })
+  });
+  return recipe.map(resolveStep);
+}
+
+/**
+ * Replace secret values in text (tool output, errors) with their placeholder
+ */
+export function maskSecrets(text: string, secrets: Record<string, string>): string {
+  return Object.entries(secrets)
+    .filter(([, value]) => value.length > 0)
+    .sort(([, a], [, b]) => b.length - a.length)
+    .reduce((masked, [name, value]) => masked.split(value).join(`{{secret:${name}}}`), text);
+}
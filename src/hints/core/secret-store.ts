@@ -0,0 +1,118 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+
+/**
+ * Local secrets for {{secret:name}} recipe placeholders. Values live only in
+ * an AES-256-GCM encrypted file (BROWSERMCP_SECRETS_FILE, default
+ * ~/.browsermcp/secrets.enc) unlocked with the BROWSERMCP_SECRETS_KEY
+ * passphrase; they are never written to the hint database.
+ */
+
+const FILE_VERSION = 1;
+const SECRET_NAME = /^[A-Za-z0-9_.-]+$/;
+
+interface SecretsFile {
+  version: number;
+  salt: string;
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+export function secretsFilePath(): string {
+  return process.env.BROWSERMCP_SECRETS_FILE || join(homedir(), '.browsermcp', 'secrets.enc');
+}
+
+function passphrase(): string {
+  const key = process.env.BROWSERMCP_SECRETS_KEY;
+  if (!key) {
+    throw new Error('BROWSERMCP_SECRETS_KEY is not set; it is needed to unlock the secrets file');
+  }
+  return key;
+}
+
+function deriveKey(salt: Buffer): Buffer {
+  return scryptSync(passphrase(), salt, 32);
+}
+
+/**
+ * Decrypt the secrets file. A missing file is an empty store.
+ */
+export function loadSecrets(): Record<string, string> {
+  const file = secretsFilePath();
+  if (!existsSync(file)) return {};
+
+  let stored: SecretsFile;
+  try {
+    stored = JSON.parse(readFileSync(file, 'utf8'));
+  } catch {
+    throw new Error(`Secrets file ${file} is not readable`);
+  }
+  if (stored.version !== FILE_VERSION) {
+    throw new Error(`Secrets file ${file} has unsupported version ${stored.version}`);
+  }
+
+  const key = deriveKey(Buffer.from(stored.salt, 'base64'));
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch {
+    throw new Error(`Could not decrypt ${file}; check BROWSERMCP_SECRETS_KEY`);
+  }
+}
+
+function saveSecrets(secrets: Record<string, string>): void {
+  const file = secretsFilePath();
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  const stored: SecretsFile = {
+    version: FILE_VERSION,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+
+  mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+  // Write then rename so a crash never leaves a truncated store
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify(stored), { mode: 0o600 });
+  renameSync(tmp, file);
+}
+
+export function setSecret(name: string, value: string): void {
+  if (!SECRET_NAME.test(name)) {
+    throw new Error(`Invalid secret name "${name}"; use letters, digits, '_', '.' and '-'`);
+  }
+  saveSecrets({ ...loadSecrets(), [name]: value });
+}
+
+export function deleteSecret(name: string): boolean {
+  const secrets = loadSecrets();
+  if (!Object.prototype.hasOwnProperty.call(secrets, name)) return false;
+  delete secrets[name];
+  saveSecrets(secrets);
+  return true;
+}
+
+export function listSecretNames(): string[] {
+  return Object.keys(loadSecrets()).sort();
+}
+
+/**
+ * Names of stored secrets whose values appear in the text, so callers can
+ * refuse to persist them. Throws when a secrets file exists but cannot be
+ * unlocked: the text cannot be checked, so it must not be saved either.
+ */
+export function secretsContainedIn(text: string): string[] {
+  // Very short values would match by accident
+  return Object.entries(loadSecrets())
+    .filter(([, value]) => value.length >= 4 && text.includes(value))
+    .map(([name]) => name);
+}
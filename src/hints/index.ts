@@ -3,7 +3,12 @@ export * from './types.js';
 export { HintStore } from './core/hint-store.js';
 export { HintValidator } from './core/hint-validator.js';
 export { HintMatcher } from './core/hint-matcher.js';
+export { formatHintSuggestions, hintSuggestionsForTab } from './core/hint-suggestions.js';
+export { captureToolCall } from './core/hint-capture.js';
+export { registerHintCommands } from './cli.js';
 
 // Export tools
 export { browser_save_hint } from './tools/save-hint.js';
-export { browser_get_hints } from './tools/get-hints.js';
\ No newline at end of file
+export { browser_get_hints } from './tools/get-hints.js';
+export { browser_apply_hint } from './tools/apply-hint.js';
+export { browser_hints_admin } from './tools/hints-admin.js';
\ No newline at end of file
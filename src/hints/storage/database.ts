@@ -57,7 +57,9 @@ CREATE TABLE IF NOT EXISTS hints (
     version INTEGER DEFAULT 1,
     is_active INTEGER DEFAULT 1,
     parent_hint_id TEXT,
-    related_hints TEXT
+    related_hints TEXT,
+    is_draft INTEGER DEFAULT 0,
+    decayed_at INTEGER
 );
 
 -- Indexes for performance
@@ -102,6 +104,68 @@ CREATE INDEX IF NOT EXISTS idx_conflicts_resolved ON hint_conflicts(resolved_at)
     
     // Execute schema
     this.db.exec(schema);
+    this.migrateSchema();
+  }
+  
+  // Add columns introduced after a database was created
+  private migrateSchema(): void {
+    const columns = new Set(
+      (this.db.prepare('PRAGMA table_info(hints)').all() as Array<{ name: string }>).map(c => c.name)
+    );
+    if (!columns.has('is_draft')) {
+      this.db.exec('ALTER TABLE hints ADD COLUMN is_draft INTEGER DEFAULT 0');
+    }
+    if (!columns.has('decayed_at')) {
+      this.db.exec('ALTER TABLE hints ADD COLUMN decayed_at INTEGER');
+    }
+    this.initSearchIndex();
+  }
+  
+  // Full-text index over the fields a cross-site search looks at, kept in sync
+  // by triggers. Keyed by hint id rather than rowid, which VACUUM may renumber.
+  private ftsAvailable = false;
+  
+  private initSearchIndex(): void {
+    const exists = this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'hints_fts'").get();
+    try {
+      this.db.exec(`
+CREATE VIRTUAL TABLE IF NOT EXISTS hints_fts USING fts5(
+    hint_id UNINDEXED,
+    description,
+    pattern_type,
+    selector_guard,
+    domain,
+    tokenize = 'trigram'
+);
+
+CREATE TRIGGER IF NOT EXISTS hints_fts_insert AFTER INSERT ON hints BEGIN
+    INSERT INTO hints_fts (hint_id, description, pattern_type, selector_guard, domain)
+    VALUES (new.id, new.description, new.pattern_type, new.selector_guard, new.domain);
+END;
+
+CREATE TRIGGER IF NOT EXISTS hints_fts_delete AFTER DELETE ON hints BEGIN
+    DELETE FROM hints_fts WHERE hint_id = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS hints_fts_update AFTER UPDATE OF description, pattern_type, selector_guard, domain ON hints BEGIN
+    UPDATE hints_fts
+    SET description = new.description, pattern_type = new.pattern_type,
+        selector_guard = new.selector_guard, domain = new.domain
+    WHERE hint_id = old.id;
+END;
+      `);
+      if (!exists) {
+        // Index hints saved before the search index existed
+        this.db.exec(`
+          INSERT INTO hints_fts (hint_id, description, pattern_type, selector_guard, domain)
+          SELECT id, description, pattern_type, selector_guard, domain FROM hints
+        `);
+      }
+      this.ftsAvailable = true;
+    } catch (error) {
+      // SQLite built without FTS5 or the trigram tokenizer; search falls back to LIKE
+      console.warn(`[hints] Full-text search unavailable: ${error instanceof Error ? error.message : error}`);
+    }
   }
   
   // Prepared statements for performance
@@ -120,9 +184,10 @@ CREATE INDEX IF NOT EXISTS idx_conflicts_resolved ON hint_conflicts(resolved_at)
         INSERT INTO hints (
           id, domain, path_pattern, url_hash, pattern_type,
           selector_guard, dom_fingerprint, recipe, description,
-          context, author_id, created_at, confidence
+          context, author_id, created_at, confidence,
+          version, parent_hint_id, related_hints
         ) VALUES (
-          ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+          ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
         )
       `);
       
@@ -177,7 +242,10 @@ CREATE INDEX IF NOT EXISTS idx_conflicts_resolved ON hint_conflicts(resolved_at)
       hint.context ? JSON.stringify(hint.context) : null,
       hint.author_id,
       hint.created_at,
-      hint.confidence || 0.5
+      hint.confidence || 0.5,
+      hint.version || 1,
+      hint.parent_hint_id || null,
+      hint.related_hints && hint.related_hints.length ? JSON.stringify(hint.related_hints) : null
     );
   }
   
@@ -234,10 +302,342 @@ CREATE INDEX IF NOT EXISTS idx_conflicts_resolved ON hint_conflicts(resolved_at)
     );
   }
   
+  // Bundle import/export (see core/hint-bundle.ts)
+  transaction<T>(fn: () => T): T {
+    return this.db.transaction(fn)();
+  }
+  
+  getHintByIdIncludingInactive(id: string): any | null {
+    const row = this.db.prepare('SELECT * FROM hints WHERE id = ?').get(id);
+    return row ? this.parseHintRow(row) : null;
+  }
+  
+  findHintByUrlHash(urlHash: string, patternType: string, selectorGuard: string | null): any | null {
+    const row = this.db.prepare(`
+      SELECT * FROM hints
+      WHERE url_hash = ? AND pattern_type = ? AND IFNULL(selector_guard, '') = ?
+      ORDER BY is_active DESC, confidence DESC
+      LIMIT 1
+    `).get(urlHash, patternType, selectorGuard || '');
+    return row ? this.parseHintRow(row) : null;
+  }
+  
+  getHintsForExport(domain?: string, includeInactive: boolean = false): any[] {
+    const conditions = [
+      ...(domain ? ['domain = @domain'] : []),
+      ...(includeInactive ? [] : ['is_active = 1'])
+    ];
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`SELECT * FROM hints ${where} ORDER BY domain, created_at`).all({ domain });
+    return rows.map(row => this.parseHintRow(row));
+  }
+  
+  getHistory(hintId: string): any[] {
+    return this.db.prepare(`
+      SELECT executed_at, success, error_message, execution_time_ms, author_id
+      FROM hint_history WHERE hint_id = ? ORDER BY executed_at
+    `).all(hintId);
+  }
+  
+  // Insert a hint with all of its columns (counts, version, activity) as exported
+  insertFullHint(hint: any): void {
+    this.db.prepare(`
+      INSERT INTO hints (
+        id, domain, path_pattern, url_hash, pattern_type,
+        selector_guard, dom_fingerprint, recipe, description, context,
+        success_count, failure_count, confidence, author_id, created_at,
+        last_used_at, last_success_at, version, is_active, parent_hint_id, related_hints, is_draft
+      ) VALUES (
+        @id, @domain, @path_pattern, @url_hash, @pattern_type,
+        @selector_guard, @dom_fingerprint, @recipe, @description, @context,
+        @success_count, @failure_count, @confidence, @author_id, @created_at,
+        @last_used_at, @last_success_at, @version, @is_active, @parent_hint_id, @related_hints, @is_draft
+      )
+    `).run({
+      id: hint.id,
+      domain: hint.domain,
+      path_pattern: hint.path_pattern || null,
+      url_hash: hint.url_hash,
+      pattern_type: hint.pattern_type,
+      selector_guard: hint.selector_guard || null,
+      dom_fingerprint: hint.dom_fingerprint || null,
+      recipe: JSON.stringify(hint.recipe),
+      description: hint.description,
+      context: hint.context ? JSON.stringify(hint.context) : null,
+      success_count: hint.success_count || 0,
+      failure_count: hint.failure_count || 0,
+      confidence: hint.confidence ?? 0.5,
+      author_id: hint.author_id || 'unknown',
+      created_at: hint.created_at || Date.now(),
+      last_used_at: hint.last_used_at || null,
+      last_success_at: hint.last_success_at || null,
+      version: hint.version || 1,
+      is_active: hint.is_active === false ? 0 : 1,
+      parent_hint_id: hint.parent_hint_id || null,
+      related_hints: hint.related_hints && hint.related_hints.length ? JSON.stringify(hint.related_hints) : null,
+      is_draft: hint.is_draft ? 1 : 0
+    });
+  }
+  
+  setHintCounts(id: string, counts: {
+    success_count: number;
+    failure_count: number;
+    confidence: number;
+    last_used_at?: number | null;
+    last_success_at?: number | null;
+  }): void {
+    this.db.prepare(`
+      UPDATE hints
+      SET success_count = ?, failure_count = ?, confidence = ?, last_used_at = ?, last_success_at = ?
+      WHERE id = ?
+    `).run(
+      counts.success_count,
+      counts.failure_count,
+      counts.confidence,
+      counts.last_used_at || null,
+      counts.last_success_at || null,
+      id
+    );
+  }
+  
+  updateHintContent(id: string, hint: any): void {
+    this.db.prepare(`
+      UPDATE hints
+      SET recipe = ?, description = ?, selector_guard = ?, dom_fingerprint = ?, context = ?, is_active = ?
+      WHERE id = ?
+    `).run(
+      JSON.stringify(hint.recipe),
+      hint.description,
+      hint.selector_guard || null,
+      hint.dom_fingerprint || null,
+      hint.context ? JSON.stringify(hint.context) : null,
+      hint.is_active === false ? 0 : 1,
+      id
+    );
+  }
+  
+  // Add history rows that are not already present; returns how many were added
+  importHistory(hintId: string, rows: any[]): number {
+    const exists = this.db.prepare(`
+      SELECT 1 FROM hint_history WHERE hint_id = ? AND executed_at = ? AND author_id = ? AND success = ?
+    `);
+    const insert = this.db.prepare(`
+      INSERT INTO hint_history (hint_id, executed_at, success, error_message, execution_time_ms, author_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    let added = 0;
+    for (const row of rows) {
+      const success = row.success ? 1 : 0;
+      const author = row.author_id || 'unknown';
+      if (exists.get(hintId, row.executed_at, author, success)) continue;
+      insert.run(hintId, row.executed_at, success, row.error_message || null, row.execution_time_ms || null, author);
+      added++;
+    }
+    return added;
+  }
+  
+  // Active hint already covering the same domain/path/pattern/guard (the incumbent for a challenger)
+  findActiveHint(domain: string, pathPattern: string | null, patternType: string, selectorGuard: string | null): any | null {
+    const row = this.db.prepare(`
+      SELECT * FROM hints
+      WHERE domain = ? AND IFNULL(path_pattern, '') = ? AND pattern_type = ?
+        AND IFNULL(selector_guard, '') = ? AND is_active = 1
+      ORDER BY confidence DESC
+      LIMIT 1
+    `).get(domain, pathPattern || '', patternType, selectorGuard || '');
+    return row ? this.parseHintRow(row) : null;
+  }
+  
+  insertConflict(domain: string, pathPattern: string | null, activeHintId: string, challengerHintId: string): number {
+    const result = this.db.prepare(`
+      INSERT INTO hint_conflicts (domain, path_pattern, active_hint_id, challenger_hint_id)
+      VALUES (?, ?, ?, ?)
+    `).run(domain, pathPattern || null, activeHintId, challengerHintId);
+    return Number(result.lastInsertRowid);
+  }
+  
+  getOpenConflicts(domain?: string): any[] {
+    if (domain) {
+      return this.db.prepare(`
+        SELECT * FROM hint_conflicts WHERE resolved_at IS NULL AND domain = ? ORDER BY id
+      `).all(domain);
+    }
+    return this.db.prepare('SELECT * FROM hint_conflicts WHERE resolved_at IS NULL ORDER BY id').all();
+  }
+  
+  getOpenConflictForHint(hintId: string): any | null {
+    return this.db.prepare(`
+      SELECT * FROM hint_conflicts
+      WHERE resolved_at IS NULL AND (active_hint_id = ? OR challenger_hint_id = ?)
+      ORDER BY id
+      LIMIT 1
+    `).get(hintId, hintId) || null;
+  }
+  
+  resolveConflict(conflictId: number, resolution: 'active_won' | 'challenger_won' | 'merged'): void {
+    this.db.prepare(`
+      UPDATE hint_conflicts SET resolved_at = ?, resolution = ? WHERE id = ?
+    `).run(Date.now(), resolution, conflictId);
+  }
+  
+  // Executions of a hint recorded in hint_history since a point in time
+  getTrialStats(hintId: string, since: number): { trials: number; successes: number } {
+    const row = this.db.prepare(`
+      SELECT COUNT(*) AS trials, IFNULL(SUM(success), 0) AS successes
+      FROM hint_history
+      WHERE hint_id = ? AND executed_at >= ?
+    `).get(hintId, since) as { trials: number; successes: number };
+    return { trials: row.trials, successes: row.successes };
+  }
+  
+  setParentHint(id: string, parentId: string, version: number): void {
+    this.db.prepare('UPDATE hints SET parent_hint_id = ?, version = ? WHERE id = ?').run(parentId, version, id);
+  }
+  
+  activateHint(id: string): void {
+    this.db.prepare('UPDATE hints SET is_active = 1 WHERE id = ?').run(id);
+  }
+  
+  // Captured drafts awaiting review (stored inactive)
+  getDrafts(domain?: string): any[] {
+    const rows = domain
+      ? this.db.prepare('SELECT * FROM hints WHERE is_draft = 1 AND domain = ? ORDER BY created_at DESC').all(domain)
+      : this.db.prepare('SELECT * FROM hints WHERE is_draft = 1 ORDER BY created_at DESC').all();
+    return rows.map(row => this.parseHintRow(row));
+  }
+  
+  publishDraft(id: string): void {
+    this.db.prepare('UPDATE hints SET is_draft = 0, is_active = 1 WHERE id = ? AND is_draft = 1').run(id);
+  }
+  
+  deleteDraft(id: string): boolean {
+    return this.db.prepare('DELETE FROM hints WHERE id = ? AND is_draft = 1').run(id).changes > 0;
+  }
+  
+  /**
+   * Active hints containing any of the terms in their description, pattern
+   * type, selector guard or domain, best match first
+   */
+  searchHints(terms: string[], options: { excludeDomain?: string; patternType?: string; limit?: number } = {}): any[] {
+    if (terms.length === 0) return [];
+    const filters: string[] = ['h.is_active = 1'];
+    const params: any[] = [];
+    if (options.excludeDomain) {
+      filters.push('h.domain != ?');
+      params.push(options.excludeDomain);
+    }
+    if (options.patternType) {
+      filters.push('h.pattern_type = ?');
+      params.push(options.patternType);
+    }
+    const limit = options.limit || 10;
+
+    let rows: any[];
+    if (this.ftsAvailable) {
+      rows = this.db.prepare(`
+        SELECT h.* FROM hints_fts f
+        JOIN hints h ON h.id = f.hint_id
+        WHERE hints_fts MATCH ? AND ${filters.join(' AND ')}
+        ORDER BY bm25(hints_fts), h.confidence DESC
+        LIMIT ?
+      `).all(terms.map(t => `"${t.replace(/"/g, '""')}"`).join(' OR '), ...params, limit);
+    } else {
+      const fields = "(h.description || ' ' || h.pattern_type || ' ' || IFNULL(h.selector_guard, '') || ' ' || h.domain)";
+      const like = terms.map(() => `${fields} LIKE ?`).join(' OR ');
+      rows = this.db.prepare(`
+        SELECT h.* FROM hints h
+        WHERE (${like}) AND ${filters.join(' AND ')}
+        ORDER BY h.confidence DESC
+        LIMIT ?
+      `).all(...terms.map(t => `%${t}%`), ...params, limit);
+    }
+    return rows.map(row => this.parseHintRow(row));
+  }
+  
   deactivateHint(id: string): void {
     this.db.prepare('UPDATE hints SET is_active = 0 WHERE id = ?').run(id);
   }
   
+  // Maintenance (see core/hint-maintenance.ts). Each step takes dryRun to
+  // count what it would change without changing it.
+  
+  /**
+   * Scale down the confidence of active hints unused since idleBefore, at most
+   * once per idle period (decayed_at marks the last decay), never below floor
+   */
+  decayIdleHints(idleBefore: number, factor: number, floor: number, dryRun: boolean): number {
+    const where = `
+      WHERE is_active = 1 AND confidence > @floor
+        AND COALESCE(last_used_at, created_at) < @idleBefore
+        AND COALESCE(decayed_at, 0) < @idleBefore
+    `;
+    const params = { idleBefore, factor, floor, now: Date.now() };
+    if (dryRun) {
+      return (this.db.prepare(`SELECT COUNT(*) AS n FROM hints ${where}`).get(params) as { n: number }).n;
+    }
+    return this.db.prepare(`
+      UPDATE hints SET confidence = MAX(confidence * @factor, @floor), decayed_at = @now ${where}
+    `).run(params).changes;
+  }
+  
+  /**
+   * Active hints with at least minTrials results whose failure rate is at or
+   * above maxFailureRate. Hints on trial in an open conflict are left to the
+   * conflict to settle.
+   */
+  getFailingHints(maxFailureRate: number, minTrials: number): any[] {
+    const rows = this.db.prepare(`
+      SELECT * FROM hints
+      WHERE is_active = 1
+        AND success_count + failure_count >= ?
+        AND CAST(failure_count AS REAL) / (success_count + failure_count) >= ?
+        AND NOT EXISTS (
+          SELECT 1 FROM hint_conflicts c
+          WHERE c.resolved_at IS NULL AND hints.id IN (c.active_hint_id, c.challenger_hint_id)
+        )
+      ORDER BY domain, failure_count DESC
+    `).all(minTrials, maxFailureRate);
+    return rows.map(row => this.parseHintRow(row));
+  }
+  
+  deleteHistoryBefore(cutoff: number, dryRun: boolean): number {
+    if (dryRun) {
+      return (this.db.prepare('SELECT COUNT(*) AS n FROM hint_history WHERE executed_at < ?').get(cutoff) as { n: number }).n;
+    }
+    return this.db.prepare('DELETE FROM hint_history WHERE executed_at < ?').run(cutoff).changes;
+  }
+  
+  // Give the space freed by deleted rows back to the file system
+  compact(): void {
+    this.db.exec('VACUUM');
+  }
+  
+  /**
+   * Per-domain totals; recent_failures counts failed runs since the given time
+   */
+  getDomainStats(since: number, domain?: string): any[] {
+    return this.db.prepare(`
+      SELECT
+        h.domain,
+        COUNT(*) AS hints,
+        SUM(h.is_active) AS active,
+        SUM(h.is_draft) AS drafts,
+        AVG(CASE WHEN h.is_active = 1 THEN h.confidence END) AS avg_confidence,
+        SUM(h.success_count) AS successes,
+        SUM(h.failure_count) AS failures,
+        MAX(h.last_used_at) AS last_used_at,
+        (
+          SELECT COUNT(*) FROM hint_history hh
+          JOIN hints h2 ON h2.id = hh.hint_id
+          WHERE h2.domain = h.domain AND hh.success = 0 AND hh.executed_at >= @since
+        ) AS recent_failures
+      FROM hints h
+      ${domain ? 'WHERE h.domain = @domain' : ''}
+      GROUP BY h.domain
+      ORDER BY hints DESC, h.domain
+    `).all({ since, domain });
+  }
+  
   pruneStaleHints(daysOld: number): number {
     const cutoff = Date.now() - (daysOld * 24 * 60 * 60 * 1000);
     const result = this.db.prepare(`
@@ -255,7 +655,8 @@ CREATE INDEX IF NOT EXISTS idx_conflicts_resolved ON hint_conflicts(resolved_at)
       recipe: JSON.parse(row.recipe),
       context: row.context ? JSON.parse(row.context) : null,
       related_hints: row.related_hints ? JSON.parse(row.related_hints) : [],
-      is_active: row.is_active === 1
+      is_active: row.is_active === 1,
+      is_draft: row.is_draft === 1
     };
   }
   
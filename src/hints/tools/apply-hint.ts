@@ -0,0 +1,125 @@
+import { Tool } from '../../tools/tool.js';
+import { BrowserMCPError } from '../../utils/error-recovery.js';
+import { HintStore } from '../core/hint-store.js';
+import { runRecipe } from '../core/recipe-runner.js';
+import { maskSecrets, recipeParameters, resolveRecipe } from '../core/recipe-template.js';
+import { loadSecrets } from '../core/secret-store.js';
+import { ToolCall } from '../types.js';
+
+function textResult(result: Record<string, unknown>, isError = false) {
+  return {
+    content: [{ type: 'text' as const, text: JSON.stringify(result, null, 2) }],
+    ...(isError ? { isError: true } : {})
+  };
+}
+
+export const browser_apply_hint: Tool = {
+  schema: {
+    name: 'browser_apply_hint',
+    description: 'Run a saved hint recipe on the current page and record whether it worked, so hint confidence reflects real results',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        hint_id: {
+          type: 'string',
+          description: 'ID of the hint to apply (from browser_get_hints)'
+        },
+        skip_guard: {
+          type: 'boolean',
+          description: 'Run even if the hint\'s selector_guard does not match the page (default false)'
+        },
+        variables: {
+          type: 'object',
+          description: 'Values for {{name}} placeholders in the recipe, e.g. {"username": "alice"}. {{secret:name}} placeholders are filled from the local encrypted secrets file and never need to be passed.',
+          additionalProperties: { type: 'string' }
+        }
+      },
+      required: ['hint_id']
+    }
+  },
+
+  handle: async (context, params) => {
+    const hintId: string = params?.hint_id;
+    let store: HintStore;
+    let hint;
+    try {
+      store = new HintStore();
+      hint = await store.getHintById(hintId);
+    } catch (error) {
+      throw new BrowserMCPError(
+        `Failed to load hint: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        'HINT_APPLY_ERROR',
+        false
+      );
+    }
+    if (!hint) {
+      throw new BrowserMCPError(`No active hint with id ${hintId}`, 'HINT_NOT_FOUND', false);
+    }
+
+    // Fill placeholders before touching the page; a missing value is not a
+    // failure of the recipe, so nothing is recorded
+    const parameters = recipeParameters(hint.recipe);
+    const variables: Record<string, string> = params?.variables || {};
+    let secrets: Record<string, string> = {};
+    let recipe: ToolCall[];
+    try {
+      if (parameters.secrets.length) {
+        const stored = loadSecrets();
+        secrets = Object.fromEntries(parameters.secrets.filter(name => Object.prototype.hasOwnProperty.call(stored, name)).map(name => [name, stored[name]]));
+      }
+      const missingVariables = parameters.variables.filter(name => !Object.prototype.hasOwnProperty.call(variables, name));
+      const missingSecrets = parameters.secrets.filter(name => !Object.prototype.hasOwnProperty.call(secrets, name));
+      if (missingVariables.length || missingSecrets.length) {
+        return textResult({
+          status: 'missing_parameters',
+          hint_id: hint.id,
+          ...(missingVariables.length && { missing_variables: missingVariables }),
+          ...(missingSecrets.length && { missing_secrets: missingSecrets }),
+          message: 'Pass missing variables in "variables"; add missing secrets with `hints secrets set <name>`. Recipe not run.'
+        });
+      }
+      recipe = resolveRecipe(hint.recipe, variables, secrets);
+    } catch (error) {
+      return textResult({
+        status: 'missing_parameters',
+        hint_id: hint.id,
+        message: `${error instanceof Error ? error.message : String(error)}. Recipe not run.`
+      });
+    }
+
+    // A missing guard element means the hint does not fit this page; that is not
+    // a failure of the recipe, so nothing is recorded
+    if (hint.selector_guard && !params?.skip_guard) {
+      let matches: unknown[] = [];
+      try {
+        const response = await context.sendSocketMessage('snapshot.query', { selector: hint.selector_guard, all: true });
+        matches = Array.isArray(response) ? response : [response];
+      } catch {
+        matches = [];
+      }
+      if (matches.length === 0) {
+        return textResult({
+          status: 'guard_failed',
+          hint_id: hint.id,
+          message: `Selector guard "${hint.selector_guard}" not found on the page; recipe not run`
+        });
+      }
+    }
+
+    // Secret values are masked in step output and errors, which are returned and recorded
+    const outcome = await runRecipe(context, recipe, { mask: text => maskSecrets(text, secrets) });
+    await store.updateHintStats(hint.id, outcome.success, outcome.error, outcome.execution_time_ms);
+    const updated = await store.getHintById(hint.id);
+
+    return textResult({
+      status: outcome.success ? 'success' : 'failed',
+      hint_id: hint.id,
+      description: hint.description,
+      ...(outcome.error && { error: outcome.error }),
+      execution_time_ms: outcome.execution_time_ms,
+      steps: outcome.steps,
+      // Hints that keep failing are deactivated by the store
+      confidence: updated ? Math.round(updated.confidence * 100) + '%' : 'deactivated'
+    }, !outcome.success);
+  }
+};
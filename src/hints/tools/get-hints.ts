@@ -1,6 +1,9 @@
 import { Tool } from '../../tools/tool.js';
 import { BrowserMCPError } from '../../utils/error-recovery.js';
 import { HintStore } from '../core/hint-store.js';
+import { HintMatcher, PageMatch } from '../core/hint-matcher.js';
+import { readLivePage } from '../core/live-page.js';
+import { recipeParameters } from '../core/recipe-template.js';
 import { BrowserHint } from '../types.js';
 
 export const browser_get_hints: Tool = {
@@ -31,6 +34,22 @@ export const browser_get_hints: Tool = {
         limit: {
           type: 'number',
           description: 'Maximum hints to return (default 5)'
+        },
+        include_history: {
+          type: 'boolean',
+          description: 'Include each hint\'s earlier versions (newest first) so a regression can be rolled back'
+        },
+        match_page: {
+          type: 'boolean',
+          description: 'When the current tab is on the same site, drop hints whose selector_guard is missing or whose page structure no longer matches, and rank the rest by structural similarity (default true)'
+        },
+        search: {
+          type: 'string',
+          description: 'Also search hints saved on OTHER sites by keywords, e.g. "cookiebot accept" or "shopify checkout". Results come back separately as cross_domain_hints'
+        },
+        search_traits: {
+          type: 'boolean',
+          description: 'Also search hints saved on OTHER sites by traits detected on the current tab: consent manager (CMP), framework/platform and form field names'
         }
       },
       required: ['url']
@@ -40,9 +59,12 @@ export const browser_get_hints: Tool = {
   handle: async (context, params) => {
     try {
       const store = new HintStore();
+      const limit = params?.limit || 5;
+      const matchPage = params?.match_page !== false;
+      const searchTraits = params?.search_traits === true;
       
-      // Get hints for the URL
-      const hints = await store.getHints(params.url, params.limit || 5);
+      // Get hints for the URL; fetch extra candidates when some may be dropped as stale
+      const hints = await store.getHints(params.url, matchPage ? limit * 2 : limit);
       
       // Filter by confidence
       let filtered = hints.filter(h => 
@@ -61,7 +83,7 @@ export const browser_get_hints: Tool = {
         
         // Check if we need more domain hints
         const pageSpecificCount = filtered.filter(h => h.path_pattern).length;
-        if (pageSpecificCount < (params.limit || 5)) {
+        if (pageSpecificCount < limit) {
           const domainHints = await store.getHints(`https://${domain}`, 3);
           
           // Add domain hints that aren't duplicates
@@ -75,28 +97,87 @@ export const browser_get_hints: Tool = {
         }
       }
       
-      // Sort by relevance (confidence * recency)
-      filtered.sort((a, b) => {
-        const scoreA = a.confidence * (a.last_success_at ? 1.2 : 1);
-        const scoreB = b.confidence * (b.last_success_at ? 1.2 : 1);
-        return scoreB - scoreA;
-      });
+      // Relevance is confidence with a bonus for a recent success
+      const relevance = (hint: BrowserHint) => hint.confidence * (hint.last_success_at ? 1.2 : 1);
+      
+      // Check candidates against the live page when the tab is on this site
+      const page = matchPage || searchTraits
+        ? await readLivePage(context, params?.url, filtered.map(h => h.selector_guard).filter((g): g is string => !!g))
+        : null;
+      const pageMatches = new Map<string, PageMatch>();
+      let stale: Array<{ id: string; description: string; reason: string }> = [];
+      if (page && matchPage) {
+        const ranking = new HintMatcher().rankAgainstPage(filtered, page, relevance);
+        ranking.matches.forEach(m => pageMatches.set(m.hint.id, m));
+        stale = ranking.stale.map(({ hint, reason }) => ({ id: hint.id, description: hint.description, reason }));
+        filtered = ranking.matches.map(m => m.hint);
+      } else {
+        filtered.sort((a, b) => relevance(b) - relevance(a));
+      }
       
       // Limit results
-      const results = filtered.slice(0, params.limit || 5);
+      const results = filtered.slice(0, limit);
       
       // Format hints for Claude
-      const formattedHints = results.map(formatHintForClaude);
+      const formattedHints = [];
+      for (const hint of results) {
+        let formatted: ReturnType<typeof formatHintForClaude> & Record<string, unknown> = formatHintForClaude(hint);
+        const match = pageMatches.get(hint.id);
+        if (match) {
+          formatted = {
+            ...formatted,
+            page_match: {
+              similarity: match.similarity === null ? 'unknown' : Math.round(match.similarity * 100) + '%',
+              guard_found: match.guard_found
+            }
+          };
+        }
+        formattedHints.push(params?.include_history
+          ? { ...formatted, previous_versions: (await store.getVersionChain(hint.id)).slice(1).map(formatVersion) }
+          : formatted);
+      }
+      
+      // Hints from other sites that share keywords or page traits with this one
+      const terms: string[] = params?.search ? String(params.search).split(/[\s,]+/) : [];
+      if (searchTraits && page?.traits) {
+        terms.push(...page.traits.cmp, ...page.traits.frameworks, ...page.traits.fields);
+      }
+      const crossDomain = params?.search || searchTraits
+        ? (await store.searchHints(terms, {
+            excludeDomain: new URL(params?.url).hostname,
+            patternType: params?.pattern_type,
+            limit
+          }))
+            .filter(({ hint }) => hint.confidence >= (params?.min_confidence || 0.3))
+            .map(({ hint, matched_terms }) => ({
+              ...formatHintForClaude(hint),
+              cross_domain: true,
+              source_domain: hint.domain,
+              matched_terms,
+              note: `Learned on ${hint.domain}, not this site; selectors and refs may differ, so check the steps against this page before applying`
+            }))
+        : undefined;
       
       return {
         status: 'success',
         hints: formattedHints,
         total_found: filtered.length,
+        ...(crossDomain && {
+          cross_domain_hints: crossDomain,
+          search: {
+            terms: [...new Set(terms.filter(t => t.length >= 3).map(t => t.toLowerCase()))],
+            traits: searchTraits ? page?.traits || 'current tab is not on this site or not reachable' : undefined
+          }
+        }),
         applied_filters: {
           min_confidence: params.min_confidence || 0.3,
           pattern_type: params.pattern_type,
-          include_domain: params.include_domain_hints !== false
-        }
+          include_domain: params.include_domain_hints !== false,
+          match_page: matchPage
+        },
+        page_check: page && matchPage
+          ? { checked: true, url: page.url, stale_hints: stale }
+          : { checked: false, reason: matchPage ? 'current tab is not on this site or not reachable' : 'disabled' }
       };
       
     } catch (error) {
@@ -109,12 +190,31 @@ export const browser_get_hints: Tool = {
   }
 };
 
+/**
+ * Compact summary of an earlier version in a hint's chain
+ */
+function formatVersion(hint: BrowserHint) {
+  return {
+    id: hint.id,
+    version: hint.version,
+    description: hint.description,
+    active: hint.is_active,
+    confidence: Math.round(hint.confidence * 100) + '%',
+    success_count: hint.success_count,
+    failure_count: hint.failure_count,
+    created_at: new Date(hint.created_at).toISOString(),
+    recipe_steps: hint.recipe.length
+  };
+}
+
 /**
  * Format hint for Claude to easily understand and use
  */
 function formatHintForClaude(hint: BrowserHint) {
+  const parameters = recipeParameters(hint.recipe);
   return {
     id: hint.id,
+    version: hint.version,
     pattern_type: hint.pattern_type,
     description: hint.description,
     confidence: Math.round(hint.confidence * 100) + '%',
@@ -135,6 +235,9 @@ function formatHintForClaude(hint: BrowserHint) {
       ...(step.retry_on_failure && { retry_on_failure: true })
     })),
     
+    // Placeholders to fill when applying: variables are passed in, secrets come from the local secrets file
+    ...((parameters.variables.length || parameters.secrets.length) && { parameters }),
+    
     // Context if any
     ...(hint.context && { context: hint.context }),
     
@@ -0,0 +1,283 @@
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname, extname, resolve } from 'path';
+import { Tool } from '../../tools/tool.js';
+import { BrowserMCPError } from '../../utils/error-recovery.js';
+import { HintStore } from '../core/hint-store.js';
+import { BundleFormat, MergeStrategy } from '../core/hint-bundle.js';
+import { BrowserHint } from '../types.js';
+
+function summarize(hint?: BrowserHint) {
+  if (!hint) return null;
+  return {
+    id: hint.id,
+    version: hint.version,
+    description: hint.description,
+    confidence: Math.round(hint.confidence * 100) + '%',
+    created_at: new Date(hint.created_at).toISOString()
+  };
+}
+
+function rate(stats: { trials: number; successes: number }): string {
+  return stats.trials ? `${stats.successes}/${stats.trials}` : 'no trials yet';
+}
+
+async function listConflicts(store: HintStore, domain?: string) {
+  const conflicts = await store.listConflicts(domain);
+  return {
+    status: 'success',
+    open_conflicts: conflicts.length,
+    conflicts: conflicts.map(conflict => ({
+      id: conflict.id,
+      domain: conflict.domain,
+      path: conflict.path_pattern || 'any',
+      active: summarize(conflict.active),
+      challenger: summarize(conflict.challenger),
+      results: {
+        active: rate(conflict.trials.active),
+        challenger: rate(conflict.trials.challenger)
+      }
+    }))
+  };
+}
+
+// Bundles larger than this are only written to a file, never returned inline
+const MAX_INLINE_BUNDLE = 50000;
+
+function bundleFormat(format: string | undefined, path: string | undefined): BundleFormat {
+  if (format === 'json' || format === 'ndjson') return format;
+  return path && extname(path).toLowerCase() === '.ndjson' ? 'ndjson' : 'json';
+}
+
+async function exportBundle(store: HintStore, params: Record<string, any>) {
+  const { text, count } = await store.exportBundle({
+    domain: params.domain,
+    includeInactive: params.include_inactive,
+    includeHistory: params.include_history,
+    format: bundleFormat(params.format, params.path)
+  });
+  if (params.path) {
+    const file = resolve(params.path);
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, text);
+    return { status: 'success', exported: count, path: file };
+  }
+  if (text.length > MAX_INLINE_BUNDLE) {
+    throw new Error(`Bundle is ${text.length} characters; pass a path to write it to a file`);
+  }
+  return { status: 'success', exported: count, bundle: text };
+}
+
+async function importBundle(store: HintStore, params: Record<string, any>) {
+  const text = params.path ? readFileSync(resolve(params.path), 'utf8') : params.bundle;
+  if (!text) {
+    throw new Error('path or bundle is required for import');
+  }
+  const summary = await store.importBundle(text, (params.merge || 'combine') as MergeStrategy);
+  return { status: summary.errors.length ? 'partial' : 'success', ...summary };
+}
+
+async function restoreVersion(store: HintStore, params: Record<string, any>) {
+  if (!params.hint_id) {
+    throw new Error('hint_id is required for restore_version');
+  }
+  const restored = await store.restoreVersion(params.hint_id, params.version_id);
+  return {
+    status: 'success',
+    message: `Restored version ${restored.version} (${restored.id}); ${params.hint_id} deactivated`,
+    active: summarize(restored)
+  };
+}
+
+async function listDrafts(store: HintStore, domain?: string) {
+  const drafts = await store.listDrafts(domain);
+  return {
+    status: 'success',
+    drafts: drafts.map(draft => ({
+      ...summarize(draft),
+      pattern_type: draft.pattern_type,
+      scope: `${draft.domain}${draft.path_pattern || ''}`,
+      selector_guard: draft.selector_guard,
+      recipe: draft.recipe,
+      // Snapshot refs only live as long as the session that captured them
+      ...(draft.recipe.some(step => step.args.ref && !step.args.selector) && {
+        warning: 'Some steps target snapshot refs, which only resolve in the session that captured them; after approving, save a version with selectors (browser_save_hint with update_hint_id)'
+      })
+    }))
+  };
+}
+
+async function approveDraft(store: HintStore, params: Record<string, any>) {
+  if (!params.hint_id) {
+    throw new Error('hint_id is required for approve_draft');
+  }
+  const { id, conflict } = await store.approveDraft(params.hint_id);
+  return {
+    status: 'success',
+    hint_id: id,
+    message: conflict
+      ? `Draft ${id} published as a challenger to ${conflict.active_hint_id}; both will be served in turn until results pick a winner`
+      : `Draft ${id} published`,
+    ...(conflict && { conflict_id: conflict.id, active_hint_id: conflict.active_hint_id })
+  };
+}
+
+async function discardDraft(store: HintStore, params: Record<string, any>) {
+  if (!params.hint_id) {
+    throw new Error('hint_id is required for discard_draft');
+  }
+  await store.discardDraft(params.hint_id);
+  return { status: 'success', message: `Draft ${params.hint_id} discarded` };
+}
+
+async function maintain(store: HintStore, params: Record<string, any>) {
+  const report = await store.runMaintenance({
+    decayAfterDays: params.decay_after_days,
+    maxFailureRate: params.max_failure_rate,
+    historyRetentionDays: params.history_retention_days,
+    compact: params.compact,
+    dryRun: params.dry_run
+  });
+  const verb = report.dry_run ? 'Would decay' : 'Decayed';
+  return {
+    status: 'success',
+    message: `${verb} ${report.decayed} idle hint(s), ${report.dry_run ? 'deactivate' : 'deactivated'} ${report.deactivated.length} failing hint(s), ` +
+      `${report.dry_run ? 'delete' : 'deleted'} ${report.history_deleted} history row(s)`,
+    ...report
+  };
+}
+
+async function stats(store: HintStore, domain?: string) {
+  const domains = await store.domainStats(domain);
+  return {
+    status: 'success',
+    domains: domains.map(row => ({
+      ...row,
+      avg_confidence: row.avg_confidence === null ? null : Math.round(row.avg_confidence * 100) + '%',
+      last_used_at: row.last_used_at ? new Date(row.last_used_at).toISOString() : 'never'
+    }))
+  };
+}
+
+export const browser_hints_admin: Tool = {
+  schema: {
+    name: 'browser_hints_admin',
+    description: 'Administer the hint database: list open hint conflicts (challenger hints on trial against active ones), export/import hints as a portable JSON/NDJSON bundle, roll a hint back to an earlier version, review automatically captured draft hints, run maintenance (decay idle hints, deactivate failing ones, trim history) or show per-domain stats',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['list_conflicts', 'export', 'import', 'restore_version', 'list_drafts', 'approve_draft', 'discard_draft', 'maintain', 'stats'],
+          description: 'Admin action to perform'
+        },
+        domain: {
+          type: 'string',
+          description: 'Only include this domain (e.g. example.com)'
+        },
+        hint_id: {
+          type: 'string',
+          description: 'Active hint to roll back (for restore_version), or draft to approve/discard'
+        },
+        version_id: {
+          type: 'string',
+          description: 'Earlier version to restore; defaults to the previous one (for restore_version)'
+        },
+        path: {
+          type: 'string',
+          description: 'Bundle file to write (export) or read (import). Export returns the bundle inline when omitted.'
+        },
+        format: {
+          type: 'string',
+          enum: ['json', 'ndjson'],
+          description: 'Export format; defaults to ndjson for .ndjson paths, json otherwise'
+        },
+        include_inactive: {
+          type: 'boolean',
+          description: 'Export deactivated hints too (default false)'
+        },
+        include_history: {
+          type: 'boolean',
+          description: 'Export hint_history rows with each hint (default true)'
+        },
+        bundle: {
+          type: 'string',
+          description: 'Bundle contents to import when no path is given'
+        },
+        merge: {
+          type: 'string',
+          enum: ['combine', 'keep', 'replace'],
+          description: 'How to handle hints that already exist locally: combine stats (default), keep local, or replace with the bundle copy'
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Report what maintain would change without changing it'
+        },
+        decay_after_days: {
+          type: 'number',
+          description: 'Hints unused for this many days lose 10% confidence, once per period (for maintain, default 30)'
+        },
+        max_failure_rate: {
+          type: 'number',
+          description: 'Deactivate hints with at least 5 results failing at this rate or more, 0-1 (for maintain, default 0.7)'
+        },
+        history_retention_days: {
+          type: 'number',
+          description: 'Delete hint_history rows older than this (for maintain, default 180)'
+        },
+        compact: {
+          type: 'boolean',
+          description: 'VACUUM the database file after maintain (default false)'
+        }
+      },
+      required: ['action']
+    }
+  },
+
+  handle: async (context, params) => {
+    let result: Record<string, unknown>;
+    try {
+      const store = new HintStore();
+      switch (params?.action) {
+        case 'list_conflicts':
+          result = await listConflicts(store, params.domain);
+          break;
+        case 'export':
+          result = await exportBundle(store, params);
+          break;
+        case 'import':
+          result = await importBundle(store, params);
+          break;
+        case 'restore_version':
+          result = await restoreVersion(store, params);
+          break;
+        case 'list_drafts':
+          result = await listDrafts(store, params.domain);
+          break;
+        case 'approve_draft':
+          result = await approveDraft(store, params);
+          break;
+        case 'discard_draft':
+          result = await discardDraft(store, params);
+          break;
+        case 'maintain':
+          result = await maintain(store, params);
+          break;
+        case 'stats':
+          result = await stats(store, params.domain);
+          break;
+        default:
+          throw new Error(`Unknown action: ${params?.action}`);
+      }
+    } catch (error) {
+      throw new BrowserMCPError(
+        `Hint admin failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        'HINT_ADMIN_ERROR',
+        false
+      );
+    }
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+    };
+  }
+};
@@ -1,6 +1,8 @@
 import { Tool } from '../../tools/tool.js';
 import { BrowserMCPError } from '../../utils/error-recovery.js';
 import { HintStore } from '../core/hint-store.js';
+import { HintMatcher } from '../core/hint-matcher.js';
+import { readLivePage } from '../core/live-page.js';
 import { PatternType } from '../types.js';
 
 export const browser_save_hint: Tool = {
@@ -25,7 +27,7 @@ export const browser_save_hint: Tool = {
         },
         recipe: {
           type: 'array',
-          description: 'Sequence of tool calls that worked',
+          description: 'Sequence of tool calls that worked. Use {{name}} placeholders for user-specific values (e.g. {{username}}) and {{secret:name}} for passwords and tokens; never save literal credentials.',
           items: {
             type: 'object',
             properties: {
@@ -60,6 +62,10 @@ export const browser_save_hint: Tool = {
         confidence_override: {
           type: 'number',
           description: 'Optional initial confidence (0-1), defaults to 0.8 for new hints'
+        },
+        update_hint_id: {
+          type: 'string',
+          description: 'Save as a new version of this existing hint instead of a new hint; the old version is kept and can be restored with browser_hints_admin'
         }
       },
       required: ['url', 'pattern_type', 'recipe', 'description']
@@ -69,53 +75,48 @@ export const browser_save_hint: Tool = {
   handle: async (context, params) => {
     try {
       const store = new HintStore();
+      const matcher = new HintMatcher();
       
       // Parse URL to extract domain and path
       const urlObj = new URL(params.url);
       const domain = urlObj.hostname;
       const path = urlObj.pathname;
       
-      // Determine path pattern (exact or with wildcards)
-      let pathPattern: string | undefined;
-      if (path !== '/' && path !== '') {
-        // For login/auth pages, use exact path
-        if (params.pattern_type === 'login') {
-          pathPattern = path;
-        } else {
-          // For other patterns, use path prefix
-          pathPattern = path.endsWith('/') ? `${path}*` : `${path}/*`;
-        }
-      }
+      // Determine path pattern (exact for login pages, prefix otherwise)
+      const pathPattern = matcher.pathPatternFor(path, params.pattern_type);
       
-      // Check for existing hints
-      const existing = await store.getHints(params.url, 10);
-      const similarHints = existing.filter(h => 
-        h.pattern_type === params.pattern_type &&
-        h.selector_guard === params.selector_guard
-      );
+      // Record the page structure the hint was written against, so later
+      // lookups can tell when the page has been redesigned
+      const page = await readLivePage(context, params?.url);
+      const domFingerprint = page ? matcher.serializeDomFingerprint(page) : undefined;
       
-      if (similarHints.length > 0) {
-        // Conflict detected
-        const best = similarHints[0];
-        
-        // If new hint seems better (user explicitly saved it), deactivate old one
-        if (params.confidence_override && params.confidence_override > best.confidence) {
-          await store.deactivateHint(best.id);
-        } else {
-          return {
-            status: 'conflict',
-            message: `Similar hint already exists with ${Math.round(best.confidence * 100)}% confidence`,
-            existing_hint: {
-              id: best.id,
-              description: best.description,
-              confidence: best.confidence
-            }
-          };
+      if (params?.update_hint_id) {
+        const parent = await store.getHintById(params.update_hint_id);
+        if (!parent) {
+          throw new Error(`No active hint with id ${params.update_hint_id}`);
+        }
+        if (parent.domain !== domain) {
+          throw new Error(`Hint ${parent.id} belongs to ${parent.domain}, not ${domain}`);
         }
+        const versionId = await store.updateHint(parent.id, {
+          selector_guard: params.selector_guard,
+          recipe: params.recipe,
+          description: params.description.substring(0, 200),
+          context: params.context,
+          confidence: params.confidence_override,
+          dom_fingerprint: domFingerprint
+        });
+        return {
+          status: 'success',
+          hint_id: versionId,
+          message: `Saved version ${(parent.version || 1) + 1} of hint ${parent.id}`,
+          parent_hint_id: parent.id
+        };
       }
       
-      // Save the hint
-      const hintId = await store.saveHint({
+      // Save the hint; if an active hint already covers this domain/path/pattern/guard,
+      // the new one becomes a challenger and the two are trialled against each other
+      const { id: hintId, conflict, queuedBehind } = await store.submitHint({
         domain,
         path_pattern: pathPattern,
         pattern_type: params.pattern_type as PatternType,
@@ -124,13 +125,26 @@ export const browser_save_hint: Tool = {
         description: params.description.substring(0, 200),
         context: params.context,
         confidence: params.confidence_override || 0.8,
-        dom_fingerprint: context.lastDomFingerprint // If available from navigation
+        dom_fingerprint: domFingerprint
       });
       
+      if (queuedBehind) {
+        return {
+          status: 'success',
+          hint_id: hintId,
+          message: `Hint ${queuedBehind.active_hint_id} is on trial against ${queuedBehind.challenger_hint_id}, so this hint was saved as draft ${hintId}; approve it with browser_hints_admin (approve_draft) once the trial ends`,
+          draft: true,
+          conflict_id: queuedBehind.id
+        };
+      }
+      
       return {
         status: 'success',
         hint_id: hintId,
-        message: `Hint saved successfully for ${domain}${pathPattern || ''}`,
+        message: conflict
+          ? `Hint saved as a challenger to ${conflict.active_hint_id} for ${domain}${pathPattern || ''}; both will be served in turn until results pick a winner`
+          : `Hint saved successfully for ${domain}${pathPattern || ''}`,
+        ...(conflict && { conflict_id: conflict.id, active_hint_id: conflict.active_hint_id }),
         details: {
           domain,
           path_pattern: pathPattern,
@@ -54,12 +54,27 @@ export interface BrowserHint {
   last_success_at?: number;
   version: number;
   is_active: boolean;
+  // Captured automatically and not yet reviewed; drafts are never served
+  is_draft?: boolean;
   
   // Relationships
   parent_hint_id?: string;
   related_hints?: string[];
 }
 
+export type ConflictResolution = 'active_won' | 'challenger_won' | 'merged';
+
+// A challenger hint on trial against the active hint for the same domain/path
+export interface HintConflict {
+  id: number;
+  domain: string;
+  path_pattern?: string;
+  active_hint_id: string;
+  challenger_hint_id: string;
+  resolved_at?: number;
+  resolution?: ConflictResolution;
+}
+
 export interface HintStats {
   total_hints: number;
   success_rate: number;
@@ -8,7 +8,8 @@ import { randomUUID } from "node:crypto";
 import { AsyncLocalStorage } from "node:async_hooks";
 
 import type { Resource } from "./resources/resource";
-import { createServerWithTools } from "./server";
+import { browserResources, browserResourceTemplates } from "./resources/browser";
+import { createServerWithTools, notifyTabResourcesUpdated } from "./server";
 import { enableHotReload } from "./hot-reload";
 import { browser_navigate } from "./tools/navigation-unified";
 import { pressKey, wait } from "./tools/common";
@@ -16,9 +17,11 @@ import * as custom from "./tools/custom";
 import * as snapshot from "./tools/snapshot";
 import { browser_tab } from "./tools/tabs-unified";
 import { browser_debugger } from "./tools/debugger-unified";
+import { browser_network } from "./tools/network";
+import { browser_storage } from "./tools/storage";
 import { executeJS } from "./tools/code-execution";
 import { fileUploadTools } from "./tools/file-upload";
-import { browser_save_hint, browser_get_hints } from "./hints/index";
+import { browser_save_hint, browser_get_hints, browser_apply_hint, browser_hints_admin } from "./hints/index";
 import type { Tool } from "./tools/tool";
 import { Context } from "./context";
 import {
@@ -27,6 +30,7 @@ import {
   browserFillForm,
 } from "./tools/safe-mode-enhanced";
 import { InstanceRegistry } from "./instance-registry";
+import { authConfigPath, authDisabled, checkHttpRequest, ensureAuthToken, logAuthRejection } from "./config/auth";
 
 import packageJSON from "../package.json";
 
@@ -35,7 +39,7 @@ const customTools: Tool[] = [custom.getConsoleLogs, custom.screenshot];
 const tabTools: Tool[] = [browser_tab];
 const scaffoldTools: Tool[] = [];
 const codeExecutionTools: Tool[] = [executeJS];
-const hintTools: Tool[] = [browser_save_hint, browser_get_hints];
+const hintTools: Tool[] = [browser_save_hint, browser_get_hints, browser_apply_hint, browser_hints_admin];
 const helperTools: Tool[] = [];
 const safeModeEnhancedTools: Tool[] = [browserScroll, browserQuery, browserFillForm];
 const batchOperationTools: Tool[] = [];
@@ -52,6 +56,8 @@ const snapshotTools: Tool[] = [
   ...customTools,
   ...tabTools,
   browser_debugger,
+  browser_network,
+  browser_storage,
   ...scaffoldTools,
   ...codeExecutionTools,
   ...fileUploadTools,
@@ -62,7 +68,7 @@ const snapshotTools: Tool[] = [
   ...stabilityTools,
 ];
 
-const resources: Resource[] = [];
+const resources: Resource[] = browserResources;
 
 const toolbox: Record<string, Tool> = {};
 for (const tool of snapshotTools) {
@@ -75,7 +81,9 @@ async function createServer(): Promise<Server> {
     version: packageJSON.version,
     tools: snapshotTools,
     resources,
+    resourceTemplates: browserResourceTemplates,
     skipWebSocket: true,
+    resourceUpdates: true, // tab.navigated events from the daemon, see processDaemonMessages
   });
 }
 
@@ -169,6 +177,11 @@ program
 
         // Emit a logging notification to Claude with the raw daemon message
         const session = sessions.get(record.sessionId);
+        if (session && message.type === "event" && (message as any).name === "tab.navigated" && candidateTabId) {
+          notifyTabResourcesUpdated(session.server, candidateTabId).catch((err) => {
+            console.error('[BrowserMCP HTTP] Failed to send resources/updated notification:', err);
+          });
+        }
         if (session) {
           try {
             session.server.sendLoggingMessage({
@@ -299,6 +312,21 @@ program
         return;
       }
 
+      // /mcp, the daemon bridge and debug endpoints all drive the browser or expose its state
+      const auth = checkHttpRequest(req);
+      if (!auth.ok) {
+        logAuthRejection("http", {
+          method: req.method,
+          path: parsedUrl.pathname,
+          origin: req.headers.origin,
+          remote: req.socket.remoteAddress,
+          reason: auth.reason,
+        });
+        res.writeHead(auth.status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: auth.reason }));
+        return;
+      }
+
       if (DEBUG_ENABLED && parsedUrl.pathname.startsWith("/debug/session/")) {
         const sessionId = decodeURIComponent(parsedUrl.pathname.replace("/debug/session/", ""));
         const record = sessionId ? instanceRegistry.get(sessionId) : undefined;
@@ -358,6 +386,12 @@ program
     httpServer.keepAliveTimeout = 60000;
     httpServer.headersTimeout = 65000;
 
+    if (authDisabled()) {
+      console.error("[BrowserMCP HTTP] WARNING: BROWSERMCP_DISABLE_AUTH is set; requests are not authenticated");
+    } else if (ensureAuthToken()) {
+      console.error(`[BrowserMCP HTTP] Generated an authToken in ${authConfigPath()}; MCP clients must send it as Authorization: Bearer <token>`);
+    }
+
     httpServer.listen(port, () => {
       console.error(`[BrowserMCP HTTP] Server listening on http://localhost:${port}/mcp`);
       console.error(`[BrowserMCP HTTP] Version: ${packageJSON.version}`);
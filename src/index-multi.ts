@@ -10,6 +10,7 @@ import { WebSocketServer } from 'ws';
 import { PortRegistryManager } from './utils/port-registry';
 import { Context } from './context';
 import { createServerWithTools } from './server';
+import { browserResources, browserResourceTemplates } from './resources/browser';
 import pkg from '../package.json';
 
 // Import all tools
@@ -18,10 +19,12 @@ import * as custom from './tools/custom';
 import * as snapshot from './tools/snapshot';
 import { browser_tab } from './tools/tabs-unified';
 import { executeJS } from './tools/code-execution';
-import { browser_save_hint, browser_get_hints } from './hints/index';
+import { browser_save_hint, browser_get_hints, browser_apply_hint, browser_hints_admin } from './hints/index';
 import { browserScroll, browserQuery, browserFillForm } from './tools/safe-mode-enhanced';
 import { browser_navigate } from './tools/navigation-unified';
 import { browser_debugger } from './tools/debugger-unified';
+import { browser_network } from './tools/network';
+import { browser_storage } from './tools/storage';
 import { fileUploadTools } from './tools/file-upload';
 
 const { getConsoleLogs, screenshot } = custom;
@@ -32,7 +35,7 @@ const customTools = [getConsoleLogs, screenshot];
 const tabTools = [browser_tab];
 const scaffoldTools: any[] = [];
 const codeExecutionTools = [executeJS];
-const hintTools = [browser_save_hint, browser_get_hints];
+const hintTools = [browser_save_hint, browser_get_hints, browser_apply_hint, browser_hints_admin];
 const helperTools: any[] = [];
 const safeModeEnhancedTools = [browserScroll, browserQuery, browserFillForm];
 const batchOperationTools: any[] = [];
@@ -49,6 +52,8 @@ const snapshotTools = [
   ...customTools,
   ...tabTools,
   browser_debugger,
+  browser_network,
+  browser_storage,
   ...scaffoldTools,
   ...codeExecutionTools,
   ...fileUploadTools,
@@ -59,7 +64,7 @@ const snapshotTools = [
   ...stabilityTools,
 ];
 
-const resources: any[] = [];
+const resources: any[] = browserResources;
 
 // Build toolbox
 const toolbox: Record<string, any> = {};
@@ -82,6 +87,7 @@ async function createMultiInstanceServer() {
     version: pkg.version,
     tools: snapshotTools,
     resources,
+    resourceTemplates: browserResourceTemplates,
     skipWebSocket: true, // We manage WebSocket ourselves
   });
 }
@@ -20,6 +20,7 @@
 import { UnifiedWSServer, createUnifiedWebSocketServer } from './ws-unified';
 import { Context } from './context';
 import { createServerWithTools } from './server';
+import { browserResources, browserResourceTemplates } from './resources/browser';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import pkg from '../package.json';
 import { enableHotReload } from './hot-reload';
@@ -30,10 +31,12 @@ import * as custom from './tools/custom';
 import * as snapshot from './tools/snapshot';
 import { browser_tab } from './tools/tabs-unified';
 import { executeJS } from './tools/code-execution';
-import { browser_save_hint, browser_get_hints } from './hints/index';
+import { browser_save_hint, browser_get_hints, browser_apply_hint, browser_hints_admin } from './hints/index';
 import { browserScroll, browserQuery, browserFillForm } from './tools/safe-mode-enhanced';
 import { browser_navigate } from './tools/navigation-unified';
 import { browser_debugger } from './tools/debugger-unified';
+import { browser_network } from './tools/network';
+import { browser_storage } from './tools/storage';
 import { fileUploadTools } from './tools/file-upload';
 import type { Tool } from './tools/tool';
 
@@ -45,7 +48,7 @@ const customTools = [getConsoleLogs, screenshot];
 const tabTools = [browser_tab];
 const scaffoldTools: Tool[] = [];
 const codeExecutionTools = [executeJS];
-const hintTools = [browser_save_hint, browser_get_hints];
+const hintTools = [browser_save_hint, browser_get_hints, browser_apply_hint, browser_hints_admin];
 const helperTools: Tool[] = [];
 const safeModeEnhancedTools = [browserScroll, browserQuery, browserFillForm];
 const batchOperationTools: Tool[] = [];
@@ -62,6 +65,8 @@ const snapshotTools = [
   ...customTools,
   ...tabTools,
   browser_debugger,
+  browser_network,
+  browser_storage,
   ...scaffoldTools,
   ...codeExecutionTools,
   ...fileUploadTools,
@@ -72,7 +77,7 @@ const snapshotTools = [
   ...stabilityTools,
 ];
 
-const resources: any[] = [];
+const resources: any[] = browserResources;
 
 // Build shared toolbox
 const toolbox: Record<string, Tool> = {};
@@ -146,6 +151,7 @@ async function createMCPServer() {
     version: pkg.version,
     tools: snapshotTools,
     resources,
+    resourceTemplates: browserResourceTemplates,
     skipWebSocket: true, // We manage WebSocket ourselves
     context // Pass context to server
   });
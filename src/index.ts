@@ -6,6 +6,7 @@ import { program } from "commander";
 // Removed import of appConfig - will use local constant
 
 import type { Resource } from "./resources/resource";
+import { browserResources, browserResourceTemplates } from "./resources/browser";
 import { createServerWithTools } from "./server";
 import { enableHotReload } from "./hot-reload";
 // import * as common from "./tools/common";  // Using unified navigation instead
@@ -17,13 +18,15 @@ import * as snapshot from "./tools/snapshot";
 import { browser_tab } from "./tools/tabs-unified";
 // import { debuggerTools } from "./tools/debugger";  // Using unified debugger tool instead
 import { browser_debugger } from "./tools/debugger-unified";
+import { browser_network } from "./tools/network";
+import { browser_storage } from "./tools/storage";
 import { executeJS } from "./tools/code-execution";
 // import { commonOperations } from "./tools/code-execution";  // Commented out commonOperations
 import { fileUploadTools } from "./tools/file-upload";
 // Commented out orchestration tools for simplification
 // import { browser_multitool_v3 } from "./tools/multitool-v3";
 // import { browser_execute_plan } from "./tools/execute-plan";
-import { browser_save_hint, browser_get_hints } from "./hints/index";
+import { browser_save_hint, browser_get_hints, browser_apply_hint, browser_hints_admin, registerHintCommands } from "./hints/index";
 import type { Tool } from "./tools/tool";
 
 // Consolidated enhanced tools
@@ -63,6 +66,8 @@ const codeExecutionTools: Tool[] = [
 const hintTools: Tool[] = [
   browser_save_hint,
   browser_get_hints,
+  browser_apply_hint,
+  browser_hints_admin,
 ];
 
 const helperTools: Tool[] = [];
@@ -91,6 +96,8 @@ const snapshotTools: Tool[] = [
   ...customTools,
   ...tabTools,
   browser_debugger,  // Unified debugger tool with actions: attach, detach, get_data
+  browser_network,
+  browser_storage,
   ...scaffoldTools,
   ...codeExecutionTools,
   ...fileUploadTools,
@@ -101,7 +108,7 @@ const snapshotTools: Tool[] = [
   ...stabilityTools,          // Add stability tools
 ];
 
-const resources: Resource[] = [];
+const resources: Resource[] = browserResources;
 
 async function createServer(): Promise<Server> {
   return createServerWithTools({
@@ -109,6 +116,7 @@ async function createServer(): Promise<Server> {
     version: packageJSON.version,
     tools: snapshotTools,
     resources,
+    resourceTemplates: browserResourceTemplates,
   });
 }
 
@@ -137,4 +145,12 @@ program
     const transport = new StdioServerTransport();
     await server.connect(transport);
   });
-program.parse(process.argv);
+registerHintCommands(program);
+
+// The hints subcommands are async; report their failures instead of crashing
+try {
+  await program.parseAsync(process.argv);
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  process.exitCode = 1;
+}
@@ -1,5 +1,6 @@
 import { BrowserMCPError } from "../ws/sender";
 import { MessageType, MessagePayload, MessageResponse } from "../../types/messages";
+import { authHeaders } from "../../config/auth";
 
 interface RetryOptions {
   maxRetries?: number;
@@ -15,6 +16,30 @@ interface SendMessageOptions {
 }
 
 const DEFAULT_DAEMON_URL = process.env.BROWSER_MCP_DAEMON_URL || "http://127.0.0.1:8765";
+// Longest a command waits in the daemon's session queue (the daemon reads the same variable)
+const MAX_QUEUE_WAIT_MS = parseInt(process.env.BROWSER_MCP_MAX_QUEUE_WAIT || "60000", 10);
+// Slack for the daemon's own answer to arrive after its timeouts fire
+const RESPONSE_MARGIN_MS = 5000;
+
+// Commands that only read state; running one twice is harmless, so they may be resent
+// after a timeout even if the extension could still be working on the first attempt
+const READ_ONLY_COMMANDS = new Set([
+  "snapshot.query",
+  "snapshot.accessibility",
+  "page.fingerprint",
+  "page.wait",
+  "browser_wait",
+  "console.get",
+  "screenshot.capture",
+  "browser_screenshot",
+  "tabs.list",
+  "network.getRequests",
+  "network.listRules",
+  "storage.getCookies",
+  "storage.get",
+  "storage.exportState",
+  "debugger.getData",
+]);
 
 const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -84,6 +109,32 @@ export function createDaemonMessageSender<TMap>(
   return { sendDaemonMessage };
 }
 
+export type SessionTabsMode = "keep" | "ungroup" | "close";
+
+/**
+ * End a session at the daemon: its tabs are released, and the browser keeps,
+ * ungroups or closes them. A session the daemon never saw is not an error.
+ */
+export async function closeDaemonSession(
+  sessionId: string,
+  tabs: SessionTabsMode,
+  daemonUrl: string = DEFAULT_DAEMON_URL
+): Promise<void> {
+  const response = await fetch(
+    `${daemonUrl.replace(/\/$/, "")}/sessions/${encodeURIComponent(sessionId)}?tabs=${tabs}`,
+    { method: "DELETE", headers: authHeaders() }
+  );
+  if (!response.ok && response.status !== 404) {
+    const text = await response.text();
+    throw new BrowserMCPError(
+      `Daemon refused to close session ${sessionId}: ${text || response.status}`,
+      response.status === 401 || response.status === 403 ? "DAEMON_AUTH_FAILED" : "DAEMON_ERROR",
+      false,
+      { status: response.status }
+    );
+  }
+}
+
 interface SendOnceArgs<T, TMap> {
   type: T;
   payload: MessagePayload<TMap, T>;
@@ -103,8 +154,10 @@ async function sendOnce<T extends MessageType<TMap>, TMap>({
   tabId,
   messageId,
 }: SendOnceArgs<T, TMap>): Promise<MessageResponse<TMap, T>> {
+  // The daemon applies timeoutMs once the command leaves its queue, so this
+  // abort is only a backstop for a daemon that stopped answering
   const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const timeout = setTimeout(() => controller.abort(), timeoutMs + MAX_QUEUE_WAIT_MS + RESPONSE_MARGIN_MS);
 
   try {
     const response = await fetch(`${daemonUrl.replace(/\/$/, "")}/commands`, {
@@ -112,7 +165,9 @@ async function sendOnce<T extends MessageType<TMap>, TMap>({
       headers: {
         "Content-Type": "application/json",
         "X-Instance-ID": sessionId,
+        "X-Command-Timeout": String(timeoutMs),
         ...(tabId ? { "X-Tab-ID": tabId } : {}),
+        ...authHeaders(),
       },
       body: JSON.stringify({
         id: messageId,
@@ -133,11 +188,47 @@ async function sendOnce<T extends MessageType<TMap>, TMap>({
       );
     }
 
+    if (response.status === 503 && data?.state === "queued") {
+      throw new BrowserMCPError(
+        data.error || "Command waited too long in the daemon queue",
+        "QUEUE_TIMEOUT",
+        true
+      );
+    }
+
     if (response.status === 504) {
       throw new BrowserMCPError(
         data?.error || "Daemon timed out waiting for extension",
         "COMMAND_TIMEOUT",
-        true
+        READ_ONLY_COMMANDS.has(String(type)),
+        { state: data?.state }
+      );
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new BrowserMCPError(
+        data?.error || "Daemon rejected the request",
+        "DAEMON_AUTH_FAILED",
+        false,
+        { status: response.status }
+      );
+    }
+
+    if (response.status === 429) {
+      throw new BrowserMCPError(
+        data?.error || "Session command queue is full",
+        "QUEUE_FULL",
+        true,
+        { queueDepth: data?.queueDepth }
+      );
+    }
+
+    if (response.status === 409 && data?.cancelled) {
+      throw new BrowserMCPError(
+        data.error || "Command cancelled",
+        "COMMAND_CANCELLED",
+        false,
+        { state: data.state }
       );
     }
 
@@ -174,10 +265,14 @@ async function sendOnce<T extends MessageType<TMap>, TMap>({
     }
 
     if (error instanceof DOMException && error.name === "AbortError") {
+      // Stop the command at the daemon; only one that never started, or that
+      // only reads, is safe to send again
+      const state = await cancelCommand(daemonUrl, sessionId, messageId);
       throw new BrowserMCPError(
         "Timed out waiting for daemon response",
         "COMMAND_TIMEOUT",
-        true
+        state === "queued" || READ_ONLY_COMMANDS.has(String(type)),
+        { state }
       );
     }
 
@@ -191,3 +286,22 @@ async function sendOnce<T extends MessageType<TMap>, TMap>({
     clearTimeout(timeout);
   }
 }
+
+/**
+ * Ask the daemon to drop a queued or abandon a running command. Returns the
+ * state it was in, or null when the daemon did not know it or could not be reached.
+ */
+async function cancelCommand(daemonUrl: string, sessionId: string, messageId: number): Promise<"queued" | "running" | null> {
+  try {
+    const response = await fetch(`${daemonUrl.replace(/\/$/, "")}/commands/${messageId}`, {
+      method: "DELETE",
+      headers: { "X-Instance-ID": sessionId, ...authHeaders() },
+      signal: AbortSignal.timeout(RESPONSE_MARGIN_MS),
+    });
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data?.state === "queued" || data?.state === "running" ? data.state : null;
+  } catch {
+    return null;
+  }
+}
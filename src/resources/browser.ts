@@ -0,0 +1,112 @@
+import type { Context } from "../context";
+import type { Resource, ResourceResult, ResourceTemplate } from "./resource";
+
+export const TABS_URI = "browser://tabs";
+
+// URIs of every per-tab resource, used for resources/updated notifications
+export function tabResourceUris(tabId: string): string[] {
+  return [
+    `browser://tab/${tabId}/snapshot`,
+    `browser://tab/${tabId}/console`,
+    `browser://tab/${tabId}/network`,
+    `browser://tab/${tabId}/screenshot.png`,
+  ];
+}
+
+function jsonContents(uri: string, value: unknown): ResourceResult[] {
+  return [{ uri, mimeType: "application/json", text: JSON.stringify(value, null, 2) }];
+}
+
+function requireTabId(params: Record<string, string>): string {
+  const tabId = params.id;
+  if (!/^\d+$/.test(tabId ?? "")) {
+    throw new Error(`Invalid tab id in resource URI: ${tabId}`);
+  }
+  return tabId;
+}
+
+export const tabsResource: Resource = {
+  schema: {
+    uri: TABS_URI,
+    name: "Browser tabs",
+    description: "This session's browser tabs (its tab group) with id, index, title, URL and current state",
+    mimeType: "application/json",
+  },
+  read: async (context: Context, uri: string) => {
+    const response = await context.sendSocketMessage("tabs.list", {});
+    return jsonContents(uri, response.tabs ?? []);
+  },
+};
+
+export const tabSnapshotResource: ResourceTemplate = {
+  schema: {
+    uriTemplate: "browser://tab/{id}/snapshot",
+    name: "Tab snapshot",
+    description: "Scaffold snapshot of the page in a tab, including element refs",
+    mimeType: "text/plain",
+  },
+  read: async (context, uri, params) => {
+    const response = await context.sendSocketMessage(
+      "snapshot.accessibility",
+      { mode: "scaffold" },
+      { tabId: requireTabId(params) }
+    );
+    return [{ uri, mimeType: "text/plain", text: response.snapshot ?? "" }];
+  },
+};
+
+export const tabConsoleResource: ResourceTemplate = {
+  schema: {
+    uriTemplate: "browser://tab/{id}/console",
+    name: "Tab console",
+    description: "Console messages captured for a tab",
+    mimeType: "application/json",
+  },
+  read: async (context, uri, params) => {
+    const response = await context.sendSocketMessage("console.get", {}, { tabId: requireTabId(params) });
+    return jsonContents(uri, response.logs ?? []);
+  },
+};
+
+export const tabNetworkResource: ResourceTemplate = {
+  schema: {
+    uriTemplate: "browser://tab/{id}/network",
+    name: "Tab network requests",
+    description: "Network requests captured by the debugger for a tab (attach it with browser_debugger first)",
+    mimeType: "application/json",
+  },
+  read: async (context, uri, params) => {
+    const response = await context.sendSocketMessage("network.getRequests", {}, { tabId: requireTabId(params) });
+    return jsonContents(uri, response.requests ?? []);
+  },
+};
+
+export const tabScreenshotResource: ResourceTemplate = {
+  schema: {
+    uriTemplate: "browser://tab/{id}/screenshot.png",
+    name: "Tab screenshot",
+    description: "PNG screenshot of the visible part of a tab",
+    mimeType: "image/png",
+  },
+  read: async (context, uri, params) => {
+    const response = await context.sendSocketMessage(
+      "browser_screenshot",
+      { format: "png" },
+      { tabId: requireTabId(params) }
+    );
+    if (!response.data) {
+      throw new Error("Screenshot failed: No data received");
+    }
+    const blob = response.data.startsWith("data:") ? response.data.split(",")[1] : response.data;
+    return [{ uri, mimeType: "image/png", blob }];
+  },
+};
+
+export const browserResources: Resource[] = [tabsResource];
+
+export const browserResourceTemplates: ResourceTemplate[] = [
+  tabSnapshotResource,
+  tabConsoleResource,
+  tabNetworkResource,
+  tabScreenshotResource,
+];
@@ -18,3 +18,43 @@ export type Resource = {
   schema: ResourceSchema;
   read: (context: Context, uri: string) => Promise<ResourceResult[]>;
 };
+
+export type ResourceTemplateSchema = {
+  uriTemplate: string;
+  name: string;
+  description?: string;
+  mimeType?: string;
+};
+
+export type ResourceTemplate = {
+  schema: ResourceTemplateSchema;
+  read: (context: Context, uri: string, params: Record<string, string>) => Promise<ResourceResult[]>;
+};
+
+/**
+ * Match a URI against a simple RFC 6570 level-1 template such as
+ * `browser://tab/{id}/snapshot`. Returns the captured variables or null.
+ */
+export function matchUriTemplate(template: string, uri: string): Record<string, string> | null {
+  const names: string[] = [];
+  const pattern = template
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      const variable = /^\{([^}]+)\}$/.exec(part);
+      if (variable) {
+        names.push(variable[1]);
+        return "([^/]+)";
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+
+  const match = new RegExp(`^${pattern}$`).exec(uri);
+  if (!match) return null;
+
+  const params: Record<string, string> = {};
+  names.forEach((name, index) => {
+    params[name] = decodeURIComponent(match[index + 1]);
+  });
+  return params;
+}
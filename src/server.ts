@@ -2,27 +2,108 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import {
   CallToolRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 
 // Hot-reload test #5: Extension tabs now PRESERVED during hot-reload!
 import { Context } from "./context";
-import type { Resource } from "./resources/resource";
-import type { Tool } from "./tools/tool";
+import { matchUriTemplate } from "./resources/resource";
+import type { Resource, ResourceTemplate } from "./resources/resource";
+import { TABS_URI, tabResourceUris } from "./resources/browser";
+import type { Tool, ToolResult } from "./tools/tool";
 import { createWebSocketServer } from "./ws";
 import { PortRegistryManager } from "./utils/port-registry";
+import { captureToolCall } from "./hints/core/hint-capture";
 
 type Options = {
   name: string;
   version: string;
   tools: Tool[];
   resources: Resource[];
+  resourceTemplates?: ResourceTemplate[];
   skipWebSocket?: boolean; // Skip WebSocket creation for HTTP mode
+  // Offer resource subscriptions; only set where the transport calls
+  // notifyTabResourcesUpdated (tab navigation events reach the HTTP server only)
+  resourceUpdates?: boolean;
 };
 
+// Resource URIs each server's client subscribed to
+const resourceSubscriptions = new WeakMap<Server, Set<string>>();
+
+/**
+ * Send notifications/resources/updated for a tab's resources (and the tab
+ * list) that the client subscribed to. Called when the tab navigates.
+ */
+export async function notifyTabResourcesUpdated(server: Server, tabId: string): Promise<void> {
+  const subscribed = resourceSubscriptions.get(server);
+  if (!subscribed || subscribed.size === 0) return;
+
+  for (const uri of [TABS_URI, ...tabResourceUris(tabId)]) {
+    if (subscribed.has(uri)) {
+      await server.sendResourceUpdated({ uri });
+    }
+  }
+}
+
+function registerResourceHandlers(
+  server: Server,
+  resources: Resource[],
+  resourceTemplates: ResourceTemplate[],
+  getContext: () => Promise<Context | null>,
+  resourceUpdates: boolean,
+) {
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: resources.map((resource) => resource.schema) };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: resourceTemplates.map((template) => template.schema) };
+  });
+
+  if (resourceUpdates) {
+    const subscribed = new Set<string>();
+    resourceSubscriptions.set(server, subscribed);
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      subscribed.add(request.params.uri);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      subscribed.delete(request.params.uri);
+      return {};
+    });
+  }
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const context = await getContext();
+    if (!context) {
+      throw new Error("No active connection context");
+    }
+
+    const resource = resources.find((r) => r.schema.uri === uri);
+    if (resource) {
+      return { contents: await resource.read(context, uri) };
+    }
+
+    for (const template of resourceTemplates) {
+      const params = matchUriTemplate(template.schema.uriTemplate, uri);
+      if (params) {
+        return { contents: await template.read(context, uri, params) };
+      }
+    }
+
+    throw new Error(`Resource not found: ${uri}`);
+  });
+}
+
 export async function createServerWithTools(options: Options): Promise<Server> {
-  const { name, version, tools, resources, skipWebSocket = false } = options;
+  const { name, version, tools, resources, resourceTemplates = [], skipWebSocket = false, resourceUpdates = false } = options;
 
   // Build toolbox for inter-tool invocation (shared across all connections)
   const toolbox: Record<string, Tool> = {};
@@ -35,7 +116,7 @@ export async function createServerWithTools(options: Options): Promise<Server> {
     {
       capabilities: {
         tools: {},
-        resources: {},
+        resources: resourceUpdates ? { subscribe: true } : {},
         logging: {},
       },
     },
@@ -51,9 +132,10 @@ export async function createServerWithTools(options: Options): Promise<Server> {
       return { tools: tools.map((tool) => tool.schema) };
     });
 
-    server.setRequestHandler(ListResourcesRequestSchema, async () => {
-      return { resources: resources.map((resource) => resource.schema) };
-    });
+    registerResourceHandlers(server, resources, resourceTemplates, async () => {
+      const { getCurrentContext } = await import('./index-http.js');
+      return getCurrentContext();
+    }, resourceUpdates);
 
     server.setRequestHandler(CallToolRequestSchema, async (request, meta) => {
       const tool = tools.find((tool) => tool.schema.name === request.params.name);
@@ -98,11 +180,11 @@ export async function createServerWithTools(options: Options): Promise<Server> {
         context.toolbox = toolbox;
       }
 
+      let result: ToolResult;
       try {
-        const result = await tool.handle(context, request.params.arguments ?? {});
-        return result;
+        result = await tool.handle(context, request.params.arguments ?? {});
       } catch (error) {
-        return {
+        result = {
           content: [
             {
               type: "text",
@@ -112,14 +194,8 @@ export async function createServerWithTools(options: Options): Promise<Server> {
           isError: true,
         };
       }
-    });
-
-    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-      const resource = resources.find((r) => r.schema.uri === request.params.uri);
-      if (!resource) {
-        throw new Error(`Resource not found: ${request.params.uri}`);
-      }
-      return await resource.read();
+      // Feed the session trace used for automatic hint capture
+      return captureToolCall(context, request.params.name, request.params.arguments, result);
     });
 
     return server;
@@ -205,9 +281,7 @@ export async function createServerWithTools(options: Options): Promise<Server> {
     return { tools: tools.map((tool) => tool.schema) };
   });
 
-  server.setRequestHandler(ListResourcesRequestSchema, async () => {
-    return { resources: resources.map((resource) => resource.schema) };
-  });
+  registerResourceHandlers(server, resources, resourceTemplates, async () => currentContext, resourceUpdates);
 
   server.setRequestHandler(CallToolRequestSchema, async (request) => {
     const tool = tools.find((tool) => tool.schema.name === request.params.name);
@@ -228,12 +302,14 @@ export async function createServerWithTools(options: Options): Promise<Server> {
       };
     }
 
+    const context = currentContext;
+    let result: ToolResult;
     try {
-      const raw = await tool.handle(currentContext, request.params.arguments) as any;
+      const raw = await tool.handle(context, request.params.arguments) as any;
 
       // If tool already returned proper MCP ToolResult, pass it through
       if (raw && Array.isArray(raw.content)) {
-        return raw;
+        return captureToolCall(context, request.params.name, request.params.arguments, raw);
       }
 
       // Normalize non-MCP shapes
@@ -257,33 +333,18 @@ export async function createServerWithTools(options: Options): Promise<Server> {
         }
       }
 
-      return {
+      result = {
         content: [{ type: 'text', text }],
         isError
       };
     } catch (error) {
-      return {
+      result = {
         content: [{ type: "text", text: String(error) }],
         isError: true,
       };
     }
-  });
-
-  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-    const resource = resources.find(
-      (resource) => resource.schema.uri === request.params.uri,
-    );
-    if (!resource) {
-      return { contents: [] };
-    }
-
-    // Use current active context for this request
-    if (!currentContext) {
-      return { contents: [] };
-    }
-
-    const contents = await resource.read(currentContext, request.params.uri);
-    return { contents };
+    // Feed the session trace used for automatic hint capture
+    return captureToolCall(context, request.params.name, request.params.arguments, result);
   });
 
   const originalClose = server.close.bind(server);
@@ -9,6 +9,7 @@ import {
 } from "../types/tool";
 import { z } from "zod";
 import { captureAriaSnapshot } from "../utils/aria-snapshot";
+import { trustedInputNote } from "./snapshot";
 
 import type { Tool, ToolFactory } from "./tool";
 
@@ -130,13 +131,13 @@ export const pressKey: Tool = {
     inputSchema: zodToJsonSchema(PressKeyTool.shape.arguments),
   },
   handle: async (context, params) => {
-    const { key } = PressKeyTool.shape.arguments.parse(params);
-    await context.sendSocketMessage("browser_press_key", { key });
+    const { key, trusted } = PressKeyTool.shape.arguments.parse(params);
+    const response = await context.sendSocketMessage("browser_press_key", { key, trusted });
     return {
       content: [
         {
           type: "text",
-          text: `Pressed key ${key}`,
+          text: `Pressed key ${key}${trustedInputNote(response)}`,
         },
       ],
     };
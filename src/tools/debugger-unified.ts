@@ -1,15 +1,25 @@
 import { Tool } from "./tool.js";
 import { z } from "zod";
 import { zodToJsonSchema } from "zod-to-json-schema";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+import packageJSON from "../../package.json";
+import { buildHar } from "../utils/har";
 
 // Unified schema for debugger operations
 const DebuggerSchema = z.object({
-  action: z.enum(["attach", "detach", "get_data"])
+  action: z.enum(["attach", "detach", "get_data", "export_har"])
     .describe("Debugger action to perform"),
 
   // For attach action
   domains: z.array(z.enum(["console", "network", "performance", "runtime"])).optional()
     .describe("Which debugging domains to enable (for attach action). Defaults to all."),
+  captureBodies: z.boolean().optional().default(false)
+    .describe("Also capture request/response headers, POST bodies and response bodies (for attach action)"),
+  maxBodySize: z.number().int().positive().optional()
+    .describe("Maximum characters stored per body when captureBodies is on; longer text bodies are truncated and longer binary bodies left out (default 65536)"),
 
   // For get_data action
   type: z.enum(["console", "network", "performance", "errors"]).optional()
@@ -18,13 +28,17 @@ const DebuggerSchema = z.object({
     .describe("Maximum number of entries to return (for get_data action)"),
   filter: z.string().optional()
     .describe("Optional filter string for results (for get_data action)"),
+
+  // For export_har action
+  path: z.string().optional()
+    .describe("File to write the HAR to (for export_har action). Defaults to a file in the system temp directory."),
 });
 
 // Unified browser_debugger tool
 export const browser_debugger: Tool = {
   schema: {
     name: "browser_debugger",
-    description: "Manage Chrome DevTools debugging: attach/detach session or get debug data",
+    description: "Manage Chrome DevTools debugging: attach/detach session, get debug data, or export captured network traffic as a HAR file",
     inputSchema: zodToJsonSchema(DebuggerSchema),
   },
   handle: async (context, params) => {
@@ -33,13 +47,17 @@ export const browser_debugger: Tool = {
     switch (input.action) {
       case "attach": {
         const domains = input.domains || ["console", "network", "performance", "runtime"];
-        await context.sendSocketMessage("debugger.attach", { domains });
+        await context.sendSocketMessage("debugger.attach", {
+          domains,
+          networkCapture: { bodies: input.captureBodies, maxBodySize: input.maxBodySize },
+        });
 
+        const captureNote = input.captureBodies ? " Capturing network headers and bodies." : "";
         return {
           content: [
             {
               type: "text",
-              text: `Debugger attached with domains: ${domains.join(", ")}. Now monitoring browser activity.`,
+              text: `Debugger attached with domains: ${domains.join(", ")}. Now monitoring browser activity.${captureNote}`,
             },
           ],
         };
@@ -97,6 +115,31 @@ export const browser_debugger: Tool = {
         };
       }
 
+      case "export_har": {
+        const response = await context.sendSocketMessage("network.getRequests", {});
+        const har = buildHar(response.requests ?? [], {
+          name: packageJSON.name,
+          version: packageJSON.version,
+        });
+
+        const filepath = path.resolve(
+          input.path || path.join(os.tmpdir(), `browsermcp-${Date.now()}.har`)
+        );
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+        // HARs hold cookies, Authorization headers and bodies; keep them private to the user
+        fs.writeFileSync(filepath, JSON.stringify(har, null, 2), { mode: 0o600 });
+
+        const withBodies = har.log.entries.filter(e => e.response.content.text !== undefined).length;
+        return {
+          content: [
+            {
+              type: "text",
+              text: `HAR exported to ${filepath} (${har.log.entries.length} entries, ${withBodies} with response bodies).`,
+            },
+          ],
+        };
+      }
+
       default:
         throw new Error(`Unknown debugger action: ${input.action}`);
     }
@@ -142,13 +185,36 @@ function formatNetworkRequests(requests: any[]): string {
 
   return requests.map(req =>
     `${req.method} ${req.url}\n` +
-    `  Status: ${req.status || 'pending'}\n` +
+    `  Status: ${req.status || (req.failed ? `failed (${req.errorText})` : 'pending')}\n` +
     `  Type: ${req.type}\n` +
     `  Size: ${req.size || 'unknown'}\n` +
-    `  Time: ${req.time || 'pending'}ms`
+    `  Time: ${req.time || 'pending'}ms` +
+    formatHeaders('Request headers', req.requestHeaders) +
+    formatBody('Request body', req.postData) +
+    formatHeaders('Response headers', req.responseHeaders) +
+    formatBody('Response body', req.responseBody)
   ).join('\n\n');
 }
 
+function formatHeaders(label: string, headers?: Record<string, string>): string {
+  if (!headers) return "";
+  const lines = Object.entries(headers).map(([name, value]) => `    ${name}: ${value}`);
+  return `\n  ${label}:\n${lines.join('\n')}`;
+}
+
+// Keep tool output readable; the full captured body is available via export_har
+const BODY_PREVIEW_LENGTH = 500;
+
+function formatBody(label: string, body?: any): string {
+  if (!body) return "";
+  if (body.omitted) return `\n  ${label}: (not captured: ${body.omitted})`;
+  if (body.base64Encoded) return `\n  ${label}: (binary, ${body.size} base64 characters)`;
+  const text = String(body.text ?? "");
+  const preview = text.length > BODY_PREVIEW_LENGTH ? `${text.slice(0, BODY_PREVIEW_LENGTH)}...` : text;
+  const note = body.truncated ? ` (truncated from ${body.size} characters)` : "";
+  return `\n  ${label}${note}:\n    ${preview}`;
+}
+
 function formatPerformanceMetrics(metrics: any): string {
   if (!metrics) return "No performance metrics available.";
 
@@ -90,8 +90,8 @@ function findElementInSnapshot(snapshot: any, query: {
   const normalize = (str: string) => str.toLowerCase().replace(/[\s_-]+/g, '');
   
   for (const line of lines) {
-    // Match refs like [ref=ref123]
-    const refMatch = line.match(/\[ref=(ref\d+)\]/);
+    // Match refs like [ref=ref123] or frame-qualified [ref=f2:ref17]
+    const refMatch = line.match(/\[ref=((?:f\d+:)?ref\d+)\]/);
     if (!refMatch) continue;
     
     const ref = refMatch[1];
@@ -1,6 +1,7 @@
 import { zodToJsonSchema } from "zod-to-json-schema";
 import { z } from "zod";
 import { captureAriaSnapshot } from "../utils/aria-snapshot";
+import { hintSuggestionsForTab } from "../hints/core/hint-suggestions";
 import type { Tool } from "./tool";
 import type { Context } from "../context";
 
@@ -28,6 +29,7 @@ export const browser_navigate: Tool = {
 
     let navigationResult: string = '';
     let popupInfo = '';
+    let tabId: number | undefined;
 
     switch (action) {
       case 'goto': {
@@ -42,6 +44,7 @@ export const browser_navigate: Tool = {
 
         const response = await context.sendSocketMessage("browser_navigate", { url, detectPopups: true });
         navigationResult = `Navigated to ${url}`;
+        tabId = response?.tabId;
 
         // Check for popup detection
         if (response && response.popupsDetected && response.popups && response.popups.length > 0) {
@@ -79,6 +82,12 @@ export const browser_navigate: Tool = {
         };
     }
 
+    // Point at saved hints for the page so the agent need not ask for them
+    const hints = await hintSuggestionsForTab(context, tabId, url);
+    if (hints) {
+      popupInfo += '\n\n' + hints;
+    }
+
     // Capture snapshot if requested (use scaffold mode for compact output)
     if (snapshot) {
       const snapshotResult = await captureAriaSnapshot(context, "", { mode: 'scaffold' });
@@ -0,0 +1,220 @@
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import * as fs from "fs";
+import * as path from "path";
+
+import type { Tool } from "./tool";
+import type { NetworkRule, NetworkRuleInput } from "../types/messages";
+
+// Fulfil bodies travel to the extension as base64 over the daemon
+const MAX_FULFILL_FILE_BYTES = 5 * 1024 * 1024;
+
+const CONTENT_TYPES: Record<string, string> = {
+  ".json": "application/json",
+  ".js": "application/javascript",
+  ".mjs": "application/javascript",
+  ".html": "text/html",
+  ".htm": "text/html",
+  ".css": "text/css",
+  ".txt": "text/plain",
+  ".xml": "application/xml",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+const NetworkErrorReason = z.enum([
+  "Failed", "Aborted", "TimedOut", "AccessDenied", "ConnectionClosed",
+  "ConnectionReset", "ConnectionRefused", "ConnectionAborted", "ConnectionFailed",
+  "NameNotResolved", "InternetDisconnected", "AddressUnreachable",
+  "BlockedByClient", "BlockedByResponse",
+]);
+
+// Unified schema for request interception
+const NetworkSchema = z.object({
+  action: z.enum(["block", "delay", "rewrite_headers", "fulfill", "fail", "list", "remove"])
+    .describe("block/delay/rewrite_headers/fulfill/fail add a rule for the current tab; list shows its rules; remove deletes one rule or all"),
+
+  // Shared by every rule action
+  urlPattern: z.string().optional()
+    .describe("URL pattern the rule applies to; * matches any characters, ? one character (e.g. '*://*.doubleclick.net/*')"),
+  resourceType: z.enum([
+    "Document", "Stylesheet", "Image", "Media", "Font", "Script", "XHR", "Fetch",
+    "EventSource", "WebSocket", "Manifest", "Ping", "Other",
+  ]).optional()
+    .describe("Only intercept requests of this resource type"),
+
+  // delay
+  delayMs: z.number().int().positive().max(60000).optional()
+    .describe("How long to hold matching requests before sending them (for delay action)"),
+
+  // rewrite_headers
+  setHeaders: z.record(z.string()).optional()
+    .describe("Request headers to add or replace (for rewrite_headers action)"),
+  removeHeaders: z.array(z.string()).optional()
+    .describe("Request header names to drop (for rewrite_headers action)"),
+
+  // fulfill
+  filePath: z.string().optional()
+    .describe("Local file whose contents are returned as the response body (for fulfill action)"),
+  status: z.number().int().min(100).max(599).optional().default(200)
+    .describe("HTTP status of the canned response (for fulfill action)"),
+  contentType: z.string().optional()
+    .describe("Content-Type of the canned response; inferred from the file extension when omitted (for fulfill action)"),
+  responseHeaders: z.record(z.string()).optional()
+    .describe("Extra response headers (for fulfill action)"),
+
+  // fail
+  errorReason: NetworkErrorReason.optional().default("Failed")
+    .describe("Network error reported to the page (for fail action)"),
+
+  // remove
+  ruleId: z.string().optional()
+    .describe("Rule to remove; omit to remove every rule on the tab (for remove action)"),
+});
+
+type NetworkInput = z.infer<typeof NetworkSchema>;
+
+function readFulfillBody(filePath: string): { body: string; contentType: string } {
+  const resolved = path.resolve(filePath);
+  let stats: fs.Stats;
+  try {
+    stats = fs.statSync(resolved);
+  } catch {
+    throw new Error(`Fulfil file not found: ${resolved}`);
+  }
+  if (!stats.isFile()) {
+    throw new Error(`Fulfil path is not a file: ${resolved}`);
+  }
+  if (stats.size > MAX_FULFILL_FILE_BYTES) {
+    throw new Error(`Fulfil file is ${stats.size} bytes; the limit is ${MAX_FULFILL_FILE_BYTES}`);
+  }
+  return {
+    body: fs.readFileSync(resolved).toString("base64"),
+    contentType: CONTENT_TYPES[path.extname(resolved).toLowerCase()] || "application/octet-stream",
+  };
+}
+
+function buildRule(input: NetworkInput): NetworkRuleInput {
+  if (!input.urlPattern) {
+    throw new Error(`urlPattern is required for ${input.action} action`);
+  }
+  const base = { urlPattern: input.urlPattern, resourceType: input.resourceType };
+
+  switch (input.action) {
+    case "block":
+      return { ...base, action: "block" };
+    case "delay":
+      if (!input.delayMs) {
+        throw new Error("delayMs is required for delay action");
+      }
+      return { ...base, action: "delay", delayMs: input.delayMs };
+    case "rewrite_headers":
+      if (!input.setHeaders && !input.removeHeaders) {
+        throw new Error("setHeaders or removeHeaders is required for rewrite_headers action");
+      }
+      return { ...base, action: "headers", setHeaders: input.setHeaders, removeHeaders: input.removeHeaders };
+    case "fulfill": {
+      if (!input.filePath) {
+        throw new Error("filePath is required for fulfill action");
+      }
+      const { body, contentType } = readFulfillBody(input.filePath);
+      return {
+        ...base,
+        action: "fulfill",
+        status: input.status,
+        contentType: input.contentType || contentType,
+        responseHeaders: input.responseHeaders,
+        body,
+        source: path.resolve(input.filePath),
+      };
+    }
+    case "fail":
+      return { ...base, action: "fail", errorReason: input.errorReason };
+    default:
+      throw new Error(`Unknown network action: ${input.action}`);
+  }
+}
+
+function describeRule(rule: NetworkRule): string {
+  let detail = "";
+  switch (rule.action) {
+    case "delay":
+      detail = ` by ${rule.delayMs}ms`;
+      break;
+    case "headers": {
+      const parts = [
+        ...Object.entries(rule.setHeaders || {}).map(([name, value]) => `set ${name}: ${value}`),
+        ...(rule.removeHeaders || []).map((name) => `remove ${name}`),
+      ];
+      detail = ` (${parts.join(", ")})`;
+      break;
+    }
+    case "fulfill":
+      detail = ` with ${rule.status} ${rule.contentType} from ${rule.source} (${rule.bodySize} bytes)`;
+      break;
+    case "fail":
+      detail = ` with ${rule.errorReason}`;
+      break;
+  }
+  const type = rule.resourceType ? ` [${rule.resourceType}]` : "";
+  return `${rule.id}: ${rule.action} ${rule.urlPattern}${type}${detail} - ${rule.hits} hit(s)`;
+}
+
+// Unified browser_network tool
+export const browser_network: Tool = {
+  schema: {
+    name: "browser_network",
+    description: "Intercept requests in the current tab: block, delay, rewrite request headers, fulfil from a local file or fail with a network error by URL pattern; list and remove rules",
+    inputSchema: zodToJsonSchema(NetworkSchema),
+  },
+  handle: async (context, params) => {
+    const input = NetworkSchema.parse(params || {});
+
+    switch (input.action) {
+      case "list": {
+        const response = await context.sendSocketMessage("network.listRules", {});
+        const rules = response.rules ?? [];
+        return {
+          content: [
+            {
+              type: "text",
+              text: rules.length
+                ? `Network rules for this tab:\n${rules.map(describeRule).join("\n")}`
+                : "No network rules on this tab.",
+            },
+          ],
+        };
+      }
+
+      case "remove": {
+        const response = await context.sendSocketMessage("network.removeRule", { ruleId: input.ruleId });
+        return {
+          content: [
+            {
+              type: "text",
+              text: input.ruleId
+                ? `Removed rule ${input.ruleId}.`
+                : `Removed ${response.removed} rule(s) from this tab.`,
+            },
+          ],
+        };
+      }
+
+      default: {
+        const response = await context.sendSocketMessage("network.addRule", { rule: buildRule(input) });
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Added ${describeRule(response.rule)}`,
+            },
+          ],
+        };
+      }
+    }
+  },
+};
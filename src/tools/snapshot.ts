@@ -11,10 +11,33 @@ import {
 } from "../types/tool";
 
 import type { Context } from "../context";
+import type { RefRematch, TrustedInputResult } from "../types/messages";
 import { captureAriaSnapshot } from "../utils/aria-snapshot";
 
 import type { Tool } from "./tool";
 
+// Tells the caller which input path ran when trusted input was requested
+export function trustedInputNote(response: TrustedInputResult | undefined): string {
+  if (!response || response.trusted === undefined) return '';
+  return response.trusted
+    ? ' (trusted input)'
+    : ` (synthetic fallback: ${response.fallbackReason ?? 'trusted input unavailable'})`;
+}
+
+// Tells the caller that a stale ref was re-matched to a live element
+export function rematchNote(response: RefRematch | undefined): string {
+  if (!response?.rematched) return '';
+  const confidence = Math.round((response.rematchConfidence ?? 0) * 100);
+  return `\n⚠️ The ref was stale and was re-matched to the closest live element (confidence ${confidence}%).`;
+}
+
+// Snapshot content appended after an interaction, per the tool's `snapshot` option
+async function captureActionSnapshot(context: Context, mode: 'diff' | 'full' | 'none' = 'full') {
+  if (mode === 'none') return [];
+  const snapshot = await captureAriaSnapshot(context, "", { diff: mode === 'diff' });
+  return snapshot.content;
+}
+
 export const snapshot: Tool = {
   schema: {
     name: SnapshotTool.shape.name.value,
@@ -48,17 +71,20 @@ export const click: Tool = {
       // Use enhanced context messaging with error context
       const response = await context.sendWithContext(
         "dom.click",
-        { ref: validatedParams.ref, detectPopups: true },
+        { ref: validatedParams.ref, trusted: validatedParams.trusted, detectPopups: true },
         `clicking element "${validatedParams.element}" with ref ${validatedParams.ref}`
       );
       
-      const snapshot = await captureAriaSnapshot(context);
+      const snapshotContent = await captureActionSnapshot(context, validatedParams.snapshot);
       
       // Check if popups were detected after click
       let popupInfo = '';
+      if (response && response.popupOpened) {
+        popupInfo = '\n\n🔔 A popup window opened after the click. Use browser_tab list to find it.';
+      }
       if (response && response.popupsDetected) {
         popupInfo = '\n\n🔔 POPUP DETECTED AFTER CLICK!\n';
-        response.popups.forEach((popup: any, index: number) => {
+        (response.popups ?? []).forEach((popup: any, index: number) => {
           popupInfo += `\nPopup ${index + 1}: ${popup.type}\n`;
           popupInfo += `Text: ${popup.text?.slice(0, 200)}...\n`;
           popupInfo += `\nInteractive elements:\n`;
@@ -73,9 +99,9 @@ export const click: Tool = {
         content: [
           {
             type: "text",
-            text: `✅ Clicked "${validatedParams.element}"${popupInfo}`,
+            text: `✅ Clicked "${validatedParams.element}"${trustedInputNote(response)}${rematchNote(response)}${popupInfo}`,
           },
-          ...snapshot.content,
+          ...snapshotContent,
         ],
       };
     } catch (error) {
@@ -96,7 +122,7 @@ export const drag: Tool = {
   },
   handle: async (context: Context, params) => {
     const validatedParams = DragTool.shape.arguments.parse(params);
-    await context.sendSocketMessage("dom.drag", { 
+    const response = await context.sendSocketMessage("dom.drag", { 
       ref: validatedParams.ref, 
       targetRef: validatedParams.targetRef 
     });
@@ -105,7 +131,7 @@ export const drag: Tool = {
       content: [
         {
           type: "text",
-          text: `Dragged element "${validatedParams.ref}" to "${validatedParams.targetRef}"`,
+          text: `Dragged element "${validatedParams.ref}" to "${validatedParams.targetRef}"${rematchNote(response)}`,
         },
         ...snapshot.content,
       ],
@@ -121,15 +147,18 @@ export const hover: Tool = {
   },
   handle: async (context: Context, params) => {
     const validatedParams = HoverTool.shape.arguments.parse(params);
-    await context.sendSocketMessage("dom.hover", { ref: validatedParams.ref });
-    const snapshot = await captureAriaSnapshot(context);
+    const response = await context.sendSocketMessage("dom.hover", {
+      ref: validatedParams.ref,
+      trusted: validatedParams.trusted
+    });
+    const snapshotContent = await captureActionSnapshot(context, validatedParams.snapshot);
     return {
       content: [
         {
           type: "text",
-          text: `Hovered over "${validatedParams.element}"`,
+          text: `Hovered over "${validatedParams.element}"${trustedInputNote(response)}${rematchNote(response)}`,
         },
-        ...snapshot.content,
+        ...snapshotContent,
       ],
     };
   },
@@ -183,19 +212,20 @@ export const type: Tool = {
     }
 
     // Use ref-based typing for backward compatibility
-    await context.sendSocketMessage("dom.type", {
-      ref: validatedParams.ref,
+    const response = await context.sendSocketMessage("dom.type", {
+      ref: validatedParams.ref!,
       text: validatedParams.text,
-      submit: shouldPressEnter
+      submit: shouldPressEnter,
+      trusted: validatedParams.trusted
     });
-    const snapshot = await captureAriaSnapshot(context);
+    const snapshotContent = await captureActionSnapshot(context, validatedParams.snapshot);
     return {
       content: [
         {
           type: "text",
-          text: `Typed "${validatedParams.text}" into "${validatedParams.element || validatedParams.ref}"${shouldPressEnter ? ' and pressed Enter' : ''}`,
+          text: `Typed "${validatedParams.text}" into "${validatedParams.element || validatedParams.ref}"${shouldPressEnter ? ' and pressed Enter' : ''}${trustedInputNote(response)}${rematchNote(response)}`,
         },
-        ...snapshot.content,
+        ...snapshotContent,
       ],
     };
   },
@@ -209,18 +239,18 @@ export const selectOption: Tool = {
   },
   handle: async (context: Context, params) => {
     const validatedParams = SelectOptionTool.shape.arguments.parse(params);
-    await context.sendSocketMessage("dom.select", { 
+    const response = await context.sendSocketMessage("dom.select", { 
       ref: validatedParams.ref, 
       values: validatedParams.values 
     });
-    const snapshot = await captureAriaSnapshot(context);
+    const snapshotContent = await captureActionSnapshot(context, validatedParams.snapshot);
     return {
       content: [
         {
           type: "text",
-          text: `Selected option in "${validatedParams.element}"`,
+          text: `Selected option in "${validatedParams.element}"${rematchNote(response)}`,
         },
-        ...snapshot.content,
+        ...snapshotContent,
       ],
     };
   },
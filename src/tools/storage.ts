@@ -0,0 +1,201 @@
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+import type { Context } from "../context";
+import type { Tool } from "./tool";
+import type { BrowserCookie, StorageState } from "../types/messages";
+
+// Long cookie/storage values (JWTs, serialized state) are shortened in tool output
+const VALUE_PREVIEW_LENGTH = 200;
+
+const StorageSchema = z.object({
+  action: z.enum(["get", "set", "delete", "clear", "snapshot"])
+    .describe("get/set/delete work on the chosen store; clear removes all site data for the origin; snapshot exports or restores an origin's cookies and storage"),
+  store: z.enum(["cookies", "localStorage", "sessionStorage"]).optional().default("cookies")
+    .describe("Which store get/set/delete act on"),
+  url: z.string().optional()
+    .describe("Page URL or origin to act on. Defaults to the current tab's page. localStorage/sessionStorage are only reachable for the origin the tab is on."),
+  name: z.string().optional()
+    .describe("Cookie name or storage key. Required for set; for get/delete, omit to act on everything."),
+  value: z.string().optional()
+    .describe("Value to write (for set)"),
+
+  // Cookie attributes for set
+  domain: z.string().optional().describe("Cookie domain, e.g. '.example.com' (for set on cookies)"),
+  path: z.string().optional().describe("Cookie path (for set on cookies)"),
+  secure: z.boolean().optional().describe("Secure cookie (for set on cookies)"),
+  httpOnly: z.boolean().optional().describe("HttpOnly cookie (for set on cookies)"),
+  sameSite: z.enum(["no_restriction", "lax", "strict"]).optional().describe("SameSite policy (for set on cookies)"),
+  expires: z.number().optional().describe("Expiry as Unix time in seconds; omit for a session cookie (for set on cookies)"),
+
+  // clear
+  dataTypes: z.array(z.enum(["cookies", "localStorage", "indexedDB", "cacheStorage", "serviceWorkers", "fileSystems", "cache"])).optional()
+    .describe("Site data to remove (for clear). Defaults to all of them."),
+
+  // snapshot
+  mode: z.enum(["export", "restore"]).optional()
+    .describe("export writes the origin's auth state to a JSON file; restore loads one back (for snapshot)"),
+  file: z.string().optional()
+    .describe("Snapshot file (for snapshot). Required for restore; export defaults to a file in the system temp directory."),
+});
+
+type StorageInput = z.infer<typeof StorageSchema>;
+
+function preview(value: string): string {
+  return value.length > VALUE_PREVIEW_LENGTH ? `${value.slice(0, VALUE_PREVIEW_LENGTH)}... (${value.length} chars)` : value;
+}
+
+function formatCookie(cookie: BrowserCookie): string {
+  const flags = [
+    cookie.httpOnly && "HttpOnly",
+    cookie.secure && "Secure",
+    cookie.sameSite !== "unspecified" && `SameSite=${cookie.sameSite}`,
+    cookie.session ? "session" : cookie.expirationDate && `expires ${new Date(cookie.expirationDate * 1000).toISOString()}`,
+  ].filter(Boolean);
+  return `${cookie.name}=${preview(cookie.value)}\n  ${cookie.domain}${cookie.path}${flags.length ? ` [${flags.join(", ")}]` : ""}`;
+}
+
+function text(value: string) {
+  return { content: [{ type: "text" as const, text: value }] };
+}
+
+async function handleCookies(context: Context, input: StorageInput) {
+  switch (input.action) {
+    case "get": {
+      const { cookies } = await context.sendSocketMessage("storage.getCookies", { url: input.url, name: input.name });
+      return text(cookies.length
+        ? `${cookies.length} cookie(s):\n${cookies.map(formatCookie).join("\n")}`
+        : "No cookies found.");
+    }
+    case "set": {
+      if (!input.name || input.value === undefined) {
+        throw new Error("name and value are required to set a cookie");
+      }
+      const { cookie } = await context.sendSocketMessage("storage.setCookie", {
+        cookie: {
+          name: input.name,
+          value: input.value,
+          url: input.url,
+          domain: input.domain,
+          path: input.path,
+          secure: input.secure,
+          httpOnly: input.httpOnly,
+          sameSite: input.sameSite,
+          expirationDate: input.expires,
+        },
+      });
+      return text(`Cookie set:\n${formatCookie(cookie)}`);
+    }
+    case "delete": {
+      const { removed } = await context.sendSocketMessage("storage.deleteCookies", { url: input.url, name: input.name });
+      return text(`Deleted ${removed} cookie(s).`);
+    }
+  }
+  throw new Error(`Unsupported cookie action: ${input.action}`);
+}
+
+async function handleWebStorage(context: Context, input: StorageInput) {
+  const area = input.store as "localStorage" | "sessionStorage";
+  switch (input.action) {
+    case "get": {
+      const { origin, entries } = await context.sendSocketMessage("storage.get", { area, url: input.url, key: input.name });
+      const lines = Object.entries(entries as Record<string, string>).map(([key, value]) => `${key}: ${preview(value)}`);
+      return text(lines.length
+        ? `${area} for ${origin} (${lines.length} item(s)):\n${lines.join("\n")}`
+        : `${area} for ${origin} is empty${input.name ? ` (no key "${input.name}")` : ""}.`);
+    }
+    case "set": {
+      if (!input.name || input.value === undefined) {
+        throw new Error(`name and value are required to set a ${area} item`);
+      }
+      const { origin } = await context.sendSocketMessage("storage.set", {
+        area,
+        url: input.url,
+        entries: { [input.name]: input.value },
+      });
+      return text(`Set ${area}["${input.name}"] for ${origin}.`);
+    }
+    case "delete": {
+      const { origin, removed } = await context.sendSocketMessage("storage.delete", {
+        area,
+        url: input.url,
+        keys: input.name ? [input.name] : [],
+      });
+      return text(`Removed ${removed} ${area} item(s) for ${origin}.`);
+    }
+  }
+  throw new Error(`Unsupported ${area} action: ${input.action}`);
+}
+
+async function handleSnapshot(context: Context, input: StorageInput) {
+  if (input.mode === "export") {
+    const { state } = await context.sendSocketMessage("storage.exportState", { url: input.url });
+    const host = new URL(state.origin).host.replace(/[^a-z0-9.-]/gi, "_");
+    const filepath = path.resolve(input.file || path.join(os.tmpdir(), `browsermcp-storage-${host}-${Date.now()}.json`));
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    // Snapshots hold session cookies and tokens; keep them private to the user
+    fs.writeFileSync(filepath, JSON.stringify(state, null, 2), { mode: 0o600 });
+    return text(
+      `Exported auth state for ${state.origin} to ${filepath}: ` +
+      `${state.cookies.length} cookie(s), ${Object.keys(state.localStorage).length} localStorage and ` +
+      `${Object.keys(state.sessionStorage).length} sessionStorage item(s).`
+    );
+  }
+
+  if (input.mode === "restore") {
+    if (!input.file) {
+      throw new Error("file is required to restore a snapshot");
+    }
+    let state: StorageState;
+    try {
+      state = JSON.parse(fs.readFileSync(path.resolve(input.file), "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read snapshot ${input.file}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+    const result = await context.sendSocketMessage("storage.importState", { state });
+    let message =
+      `Restored auth state for ${result.origin}: ${result.cookies} cookie(s), ` +
+      `${result.localStorage} localStorage and ${result.sessionStorage} sessionStorage item(s).`;
+    if (result.storageSkipped) {
+      message += `\nStorage not restored: ${result.storageSkipped}. Navigate there and restore again.`;
+    }
+    if (result.failed.length) {
+      message += `\nFailed:\n${result.failed.join("\n")}`;
+    }
+    return text(message);
+  }
+
+  throw new Error("mode (export or restore) is required for snapshot action");
+}
+
+/**
+ * Cookie and web storage management tool.
+ * Uses chrome.cookies so HttpOnly cookies are visible, unlike document.cookie.
+ */
+export const browser_storage: Tool = {
+  schema: {
+    name: "browser_storage",
+    description: "Manage cookies (including HttpOnly) and localStorage/sessionStorage, clear site data, or export/restore an origin's logged-in state as JSON",
+    inputSchema: zodToJsonSchema(StorageSchema),
+  },
+  handle: async (context, params) => {
+    const input = StorageSchema.parse(params || {});
+
+    switch (input.action) {
+      case "clear": {
+        const { origin, cleared } = await context.sendSocketMessage("storage.clearSiteData", {
+          url: input.url,
+          dataTypes: input.dataTypes,
+        });
+        return text(`Cleared site data for ${origin}: ${cleared.join(", ")}.`);
+      }
+      case "snapshot":
+        return handleSnapshot(context, input);
+      default:
+        return input.store === "cookies" ? handleCookies(context, input) : handleWebStorage(context, input);
+    }
+  },
+};
@@ -1,38 +1,42 @@
 import { z } from "zod";
 import { zodToJsonSchema } from "zod-to-json-schema";
 import type { Tool } from "./tool";
+import { hintSuggestionsForTab } from "../hints/core/hint-suggestions";
 
 // Unified tab management schema
 const TabActionSchema = z.object({
-  action: z.enum(['list', 'select', 'new', 'close']).describe("Tab action to perform"),
-  index: z.number().optional().describe("Tab index for select/close operations"),
-  url: z.string().optional().describe("URL for new tab (optional)"),
+  action: z.enum(['list', 'select', 'new', 'close', 'adopt']).describe("Tab action to perform"),
+  index: z.number().optional().describe("Tab index (from list) for select/close operations"),
+  url: z.string().optional().describe("URL for new tab, or part of the URL of the tab to adopt"),
+  tabId: z.number().optional().describe("Browser tab id of the tab to adopt"),
 });
 
 /**
  * Unified browser tab management tool
- * Combines all tab operations into a single tool with action parameter
+ * Combines all tab operations into a single tool with action parameter.
+ * Each session works in its own tab group and only sees the tabs in it;
+ * `adopt` takes a tab the user opened into the group.
  */
 export const browser_tab: Tool = {
   schema: {
     name: "browser_tab",
-    description: "Manage browser tabs: list, select, new, or close tabs with single tool",
+    description: "Manage this session's browser tabs (its own tab group): list, select, new, or close them, or adopt a tab the user opened (by tabId, URL fragment, or the tab the user is looking at)",
     inputSchema: zodToJsonSchema(TabActionSchema),
   },
   handle: async (context, params) => {
-    const { action, index, url } = TabActionSchema.parse(params || { action: 'list' });
+    const { action, index, url, tabId } = TabActionSchema.parse(params || { action: 'list' });
 
     switch (action) {
       case 'list': {
         const response = await context.sendSocketMessage("tabs.list", {});
         const tabsText = response.tabs.map((tab: any, idx: number) =>
-          `[${tab.index}] ${tab.active ? '(Active) ' : ''}${tab.title} - ${tab.url}`
+          `[${tab.index}] ${tab.active ? '(Current) ' : ''}${tab.title} - ${tab.url}`
         ).join('\n');
 
         return {
           content: [{
             type: "text",
-            text: tabsText || "No tabs open"
+            text: tabsText || "No tabs in this session yet; use action 'new' to open one or 'adopt' to take over a tab the user opened"
           }]
         };
       }
@@ -47,14 +51,15 @@ export const browser_tab: Tool = {
           };
         }
 
-        await context.sendSocketMessage("tabs.select", { index });
+        const selected = await context.sendSocketMessage("tabs.select", { index });
+        const hints = await hintSuggestionsForTab(context, selected?.tabId);
 
         // Get SCAFFOLD snapshot of newly selected tab
         const snapshot = await context.sendSocketMessage("snapshot.accessibility", { mode: 'scaffold' });
         return {
           content: [{
             type: "text",
-            text: `Tab ${index} selected\n\n${snapshot.snapshot}`
+            text: `Tab ${index} selected${hints ? `\n\n${hints}` : ''}\n\n${snapshot.snapshot}`
           }]
         };
       }
@@ -103,7 +108,7 @@ export const browser_tab: Tool = {
       case 'close': {
         const response = await context.sendSocketMessage("tabs.close", { index });
 
-        let content = response.success ? "Tab closed successfully" : "Failed to close tab";
+        let content = response.success ? "Tab closed successfully" : `Failed to close tab${response.error ? `: ${response.error}` : ''}`;
 
         // Get SCAFFOLD snapshot of current tab after closing
         try {
@@ -122,6 +127,19 @@ export const browser_tab: Tool = {
         };
       }
 
+      case 'adopt': {
+        const adopted = await context.sendSocketMessage("tabs.adopt", { tabId, url });
+        const hints = await hintSuggestionsForTab(context, adopted?.tabId);
+
+        const snapshot = await context.sendSocketMessage("snapshot.accessibility", { mode: 'scaffold' });
+        return {
+          content: [{
+            type: "text",
+            text: `Adopted tab ${adopted.tabId} as [${adopted.index}] ${adopted.title ?? ''} - ${adopted.url ?? ''}${hints ? `\n\n${hints}` : ''}\n\n${snapshot.snapshot}`
+          }]
+        };
+      }
+
       default:
         return {
           content: [{
@@ -1,3 +1,5 @@
+import type { RawFeedbackBundle } from "./feedback";
+
 // Message types for WebSocket communication
 export interface TabInfo {
   id: string;
@@ -7,13 +9,138 @@ export interface TabInfo {
   active: boolean;
 }
 
+// Body captured by the debugger when body capture is enabled on attach.
+// `omitted` is set instead of `text` when the body could not be stored.
+export interface CapturedBody {
+  text?: string;
+  size?: number;
+  truncated?: boolean;
+  base64Encoded?: boolean;
+  omitted?: string;
+}
+
+// Fetch-domain interception rule (see chrome-extension/network-interceptor.js).
+// `body` is base64 and only sent when adding a fulfil rule; it is never listed back.
+export interface NetworkRuleInput {
+  urlPattern: string;
+  resourceType?: string;
+  action: 'block' | 'delay' | 'headers' | 'fulfill' | 'fail';
+  delayMs?: number;
+  setHeaders?: Record<string, string>;
+  removeHeaders?: string[];
+  status?: number;
+  contentType?: string;
+  responseHeaders?: Record<string, string>;
+  body?: string;
+  source?: string;
+  errorReason?: string;
+}
+
+export interface NetworkRule extends Omit<NetworkRuleInput, 'body'> {
+  id: string;
+  hits: number;
+  createdAt: number;
+  bodySize?: number;
+}
+
+// Cookie as reported by chrome.cookies
+export interface BrowserCookie {
+  name: string;
+  value: string;
+  domain: string;
+  path: string;
+  secure: boolean;
+  httpOnly: boolean;
+  sameSite: 'no_restriction' | 'lax' | 'strict' | 'unspecified';
+  hostOnly?: boolean;
+  session?: boolean;
+  expirationDate?: number;
+  storeId?: string;
+}
+
+// Cookie to write; `url` defaults to the tab's page
+export interface CookieInput {
+  name: string;
+  value: string;
+  url?: string;
+  domain?: string;
+  path?: string;
+  secure?: boolean;
+  httpOnly?: boolean;
+  sameSite?: 'no_restriction' | 'lax' | 'strict';
+  expirationDate?: number;
+}
+
+export type StorageArea = 'localStorage' | 'sessionStorage';
+
+// Exported auth state of one origin (browser_storage snapshot)
+export interface StorageState {
+  version: 1;
+  origin: string;
+  exportedAt: string;
+  cookies: BrowserCookie[];
+  localStorage: Record<string, string>;
+  sessionStorage: Record<string, string>;
+}
+
 export interface NetworkRequest {
   id: string;
   url: string;
   method: string;
   status?: number;
+  statusText?: string;
   type?: string;
   timestamp: number;
+  wallTime?: number;
+  size?: number;
+  time?: number;
+  mimeType?: string;
+  protocol?: string;
+  remoteIPAddress?: string;
+  timing?: Record<string, number>;
+  finished?: boolean;
+  failed?: boolean;
+  canceled?: boolean;
+  errorText?: string;
+  // Only present when body capture is enabled
+  requestHeaders?: Record<string, string>;
+  responseHeaders?: Record<string, string>;
+  postData?: CapturedBody;
+  responseBody?: CapturedBody;
+}
+
+// Result of dom.click/dom.hover/dom.type/keyboard.press. `trusted` is only set
+// when trusted input was requested; `fallbackReason` explains a synthetic fallback.
+export interface TrustedInputResult {
+  success?: boolean;
+  trusted?: boolean;
+  fallbackReason?: string;
+}
+
+// Set on dom.* responses when a stale ref was re-matched by its fingerprint
+export interface RefRematch {
+  rematched?: boolean;
+  rematchConfidence?: number;
+}
+
+// Changes between two snapshots of the same page, keyed by element ref
+export interface SnapshotDiff {
+  added: { ref: string; line: string }[];
+  removed: { ref: string; line: string }[];
+  changed: { ref: string; before: string; after: string }[];
+}
+
+// Structural fingerprint of the current page, used to match hints against it
+export interface PageFingerprint {
+  version: number;
+  url: string;
+  // Feature token -> count; structure hashes ("s:") and form control kinds ("c:")
+  features: Record<string, number>;
+  elementCount: number;
+  // Selector -> number of live matches, -1 when the selector is invalid
+  selectors: Record<string, number>;
+  // Detected consent manager, site platform and form field names
+  traits: { cmp: string[]; frameworks: string[]; fields: string[] };
 }
 
 export interface SocketMessageMap {
@@ -22,29 +149,33 @@ export interface SocketMessageMap {
     request: { selector: string; all?: boolean };
     response: { ref: string; element: string }[] | { ref: string; element: string };
   };
+  'page.fingerprint': {
+    request: { selectors?: string[] };
+    response: PageFingerprint;
+  };
   'snapshot.accessibility': {
-    request: {};
-    response: { snapshot: string };
+    request: { level?: string; mode?: string; viewportOnly?: boolean; diff?: boolean };
+    response: { snapshot: string; isDiff?: boolean; diff?: SnapshotDiff };
   };
   'dom.click': {
-    request: { ref: string };
-    response: {};
+    request: { ref: string; trusted?: boolean; detectPopups?: boolean };
+    response: TrustedInputResult & RefRematch & { popupOpened?: boolean; popupsDetected?: boolean; popups?: any[] };
   };
   'dom.hover': {
-    request: { ref: string };
-    response: {};
+    request: { ref: string; trusted?: boolean };
+    response: TrustedInputResult & RefRematch;
   };
   'dom.type': {
-    request: { ref: string; text: string; submit: boolean };
-    response: {};
+    request: { ref: string; text: string; submit: boolean; trusted?: boolean };
+    response: TrustedInputResult & RefRematch;
   };
   'dom.select': {
     request: { ref: string; values: string[] };
-    response: {};
+    response: RefRematch;
   };
   'keyboard.press': {
-    request: { key: string };
-    response: {};
+    request: { key: string; trusted?: boolean };
+    response: TrustedInputResult;
   };
   'console.get': {
     request: {};
@@ -76,6 +207,10 @@ export interface SocketMessageMap {
   };
   'browser_navigate': {
     request: { url: string };
+    response: { url?: string; tabId?: number };
+  };
+  'browser_refresh': {
+    request: {};
     response: {};
   };
   'browser_wait': {
@@ -83,11 +218,11 @@ export interface SocketMessageMap {
     response: {};
   };
   'browser_press_key': {
-    request: { key: string };
-    response: {};
+    request: { key: string; trusted?: boolean };
+    response: TrustedInputResult;
   };
   'browser_screenshot': {
-    request: {};
+    request: { format?: string; jpegQuality?: number };
     response: { data: string };
   };
   'page.wait': {
@@ -96,17 +231,19 @@ export interface SocketMessageMap {
   };
   'dom.drag': {
     request: { ref: string; targetRef: string };
-    response: {};
+    response: RefRematch;
   };
   
   // New tab management messages
+  // Tab commands only see the session's own tabs (its tab group); index is
+  // the position in that list, not in the browser window
   'tabs.list': { 
     request: {}; 
     response: { tabs: TabInfo[] };
   };
   'tabs.select': { 
     request: { index: number }; 
-    response: { success: boolean };
+    response: { success: boolean; tabId?: number };
   };
   'tabs.new': { 
     request: { url?: string }; 
@@ -114,7 +251,16 @@ export interface SocketMessageMap {
   };
   'tabs.close': { 
     request: { index?: number }; 
-    response: { success: boolean };
+    response: { success: boolean; error?: string; releasedTabIds?: string[] };
+  };
+  // Take over a tab opened by the user (by id, URL fragment, or the focused tab)
+  'tabs.adopt': {
+    request: { tabId?: number; url?: string };
+    response: { success: boolean; tabId: number; index: number; title?: string; url?: string };
+  };
+  'session.close': {
+    request: { tabs?: 'keep' | 'ungroup' | 'close' };
+    response: { success: boolean; tabs: string; releasedTabIds: string[] };
   };
   
   // JavaScript execution (legacy)
@@ -153,9 +299,71 @@ export interface SocketMessageMap {
     response: { requests: NetworkRequest[] };
   };
   
+  // Request interception (Fetch domain)
+  'network.addRule': {
+    request: { rule: NetworkRuleInput };
+    response: { rule: NetworkRule };
+  };
+  'network.listRules': {
+    request: {};
+    response: { rules: NetworkRule[] };
+  };
+  'network.removeRule': {
+    request: { ruleId?: string };
+    response: { removed: number };
+  };
+
+  // Cookies and web storage (see chrome-extension/storage-manager.js)
+  'storage.getCookies': {
+    request: { url?: string; name?: string };
+    response: { cookies: BrowserCookie[] };
+  };
+  'storage.setCookie': {
+    request: { cookie: CookieInput };
+    response: { cookie: BrowserCookie };
+  };
+  'storage.deleteCookies': {
+    request: { url?: string; name?: string };
+    response: { removed: number };
+  };
+  'storage.get': {
+    request: { area: StorageArea; url?: string; key?: string };
+    response: { origin: string; entries: Record<string, string> };
+  };
+  'storage.set': {
+    request: { area: StorageArea; url?: string; entries: Record<string, string> };
+    response: { origin: string; count: number };
+  };
+  'storage.delete': {
+    request: { area: StorageArea; url?: string; keys?: string[] };
+    response: { origin: string; removed: number };
+  };
+  'storage.clearSiteData': {
+    request: { url?: string; dataTypes?: string[] };
+    response: { origin: string; cleared: string[] };
+  };
+  'storage.exportState': {
+    request: { url?: string };
+    response: { state: StorageState };
+  };
+  'storage.importState': {
+    request: { state: StorageState };
+    response: {
+      origin: string;
+      cookies: number;
+      localStorage: number;
+      sessionStorage: number;
+      failed: string[];
+      storageSkipped?: string;
+    };
+  };
+
   // Debugger operations
   'debugger.attach': {
-    request: { domains?: string[] };
+    request: {
+      domains?: string[];
+      networkCapture?: { bodies: boolean; maxBodySize?: number; maxTotalBodySize?: number };
+    };
     response: { success: boolean; error?: string };
   };
   'debugger.detach': {
@@ -170,6 +378,16 @@ export interface SocketMessageMap {
     };
     response: { data: any };
   };
+
+  // Action feedback collection (see tools/feedback-wrapper.ts)
+  'feedback.start': {
+    request: { action: string; ref?: string; element?: string };
+    response: {};
+  };
+  'feedback.stop': {
+    request: {};
+    response: RawFeedbackBundle | null;
+  };
 }
 
 export type MessageType<T> = keyof T;
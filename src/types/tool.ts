@@ -26,6 +26,7 @@ export const PressKeyTool = z.object({
   description: z.literal("Send single keyboard key (e.g., Tab, Escape, ArrowDown) to page"),
   arguments: z.object({
     key: z.string().describe("Name of the key to press or a character to generate, such as `ArrowLeft` or `a`"),
+    trusted: z.boolean().optional().describe("Send a real (isTrusted) key event through the Chrome debugger; falls back to synthetic events if the debugger cannot attach"),
   }),
 });
 
@@ -144,12 +145,17 @@ export const SnapshotTool = z.object({
   }),
 });
 
+// Snapshot returned after an interaction (click, hover, type, select)
+const ActionSnapshotMode = z.enum(['diff', 'full', 'none']).optional().describe("Snapshot to return after the action: 'full' (default), 'diff' for only the elements added, removed or changed since the last snapshot (falls back to full when the diff would be larger), or 'none'");
+
 export const ClickTool = z.object({
   name: z.literal("browser_click"),
   description: z.literal("Click element by selector/ref; waits for click-target to exist"),
   arguments: z.object({
     ref: z.string().describe("Exact target element reference from the page snapshot"),
     element: z.string().describe("Human-readable element description used to obtain permission to interact with the element"),
+    trusted: z.boolean().optional().describe("Use real (isTrusted) input through the Chrome debugger; falls back to synthetic events if the debugger cannot attach"),
+    snapshot: ActionSnapshotMode,
   }),
 });
 
@@ -159,6 +165,8 @@ export const HoverTool = z.object({
   arguments: z.object({
     ref: z.string().describe("Exact target element reference from the page snapshot"),
     element: z.string().describe("Human-readable element description used to obtain permission to interact with the element"),
+    trusted: z.boolean().optional().describe("Use real (isTrusted) input through the Chrome debugger; falls back to synthetic events if the debugger cannot attach"),
+    snapshot: ActionSnapshotMode,
   }),
 });
 
@@ -172,6 +180,8 @@ export const TypeTool = z.object({
     text: z.string().describe("Text to type into the element"),
     submit: z.boolean().optional().describe("Whether to submit entered text (press Enter after)"),
     pressEnter: z.boolean().optional().describe("Alias for submit - press Enter after typing"),
+    trusted: z.boolean().optional().describe("Type with real (isTrusted) key events through the Chrome debugger; falls back to synthetic events if the debugger cannot attach"),
+    snapshot: ActionSnapshotMode,
   }),
 });
 
@@ -182,6 +192,7 @@ export const SelectOptionTool = z.object({
     ref: z.string().describe("Exact target element reference from the page snapshot"),
     element: z.string().describe("Human-readable element description used to obtain permission to interact with the element"),
     values: z.array(z.string()).describe("Array of values to select in the dropdown. This can be a single value or multiple values."),
+    snapshot: ActionSnapshotMode,
   }),
 });
 
@@ -4,7 +4,7 @@ import { ToolResult } from "../tools/tool";
 export async function captureAriaSnapshot(
   context: Context,
   status: string = "",
-  options: { level?: 'minimal' | 'full' | 'scaffold'; viewportOnly?: boolean; mode?: string; includeInstanceContext?: boolean } = {},
+  options: { level?: 'minimal' | 'full' | 'scaffold'; viewportOnly?: boolean; mode?: string; includeInstanceContext?: boolean; diff?: boolean } = {},
 ): Promise<ToolResult> {
   // Include instance context only for scaffold mode by default (unless explicitly requested)
   const includeContext = options.includeInstanceContext ?? (options.mode === 'scaffold');
@@ -25,7 +25,7 @@ export async function captureAriaSnapshot(
   
   if (useScaffold) {
     console.log('[captureAriaSnapshot] Sending scaffold mode request');
-    const response: any = await context.sendSocketMessage("snapshot.accessibility", { mode: 'scaffold' });
+    const response: any = await context.sendSocketMessage("snapshot.accessibility", { mode: 'scaffold', diff: options.diff });
 
     // Update current tab ID if provided
     if (response && typeof response.tabId !== 'undefined') {
@@ -47,7 +47,8 @@ export async function captureAriaSnapshot(
   // Use specified mode for non-scaffold
   const snapshotOptions = {
     level: options.level || 'minimal',
-    viewportOnly: options.viewportOnly ?? true
+    viewportOnly: options.viewportOnly ?? true,
+    diff: options.diff
   };
   
   console.log('[aria-snapshot.ts] Sending snapshot request with options:', snapshotOptions);
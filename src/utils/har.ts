@@ -0,0 +1,188 @@
+import type { CapturedBody, NetworkRequest } from "../types/messages";
+
+// Minimal HAR 1.2 types (http://www.softwareishard.com/blog/har-12-spec/)
+export interface HarNameValue {
+  name: string;
+  value: string;
+}
+
+export interface HarEntry {
+  startedDateTime: string;
+  time: number;
+  request: {
+    method: string;
+    url: string;
+    httpVersion: string;
+    cookies: HarNameValue[];
+    headers: HarNameValue[];
+    queryString: HarNameValue[];
+    postData?: { mimeType: string; text: string; comment?: string };
+    headersSize: number;
+    bodySize: number;
+  };
+  response: {
+    status: number;
+    statusText: string;
+    httpVersion: string;
+    cookies: HarNameValue[];
+    headers: HarNameValue[];
+    content: { size: number; mimeType: string; text?: string; encoding?: string; comment?: string };
+    redirectURL: string;
+    headersSize: number;
+    bodySize: number;
+    _error?: string;
+  };
+  cache: Record<string, never>;
+  timings: {
+    blocked: number;
+    dns: number;
+    connect: number;
+    ssl: number;
+    send: number;
+    wait: number;
+    receive: number;
+  };
+  serverIPAddress?: string;
+  _resourceType?: string;
+}
+
+export interface Har {
+  log: {
+    version: "1.2";
+    creator: { name: string; version: string };
+    entries: HarEntry[];
+    comment?: string;
+  };
+}
+
+function toNameValues(headers?: Record<string, string>): HarNameValue[] {
+  if (!headers) return [];
+  // CDP joins repeated headers with "\n"; HAR lists them separately
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value).split("\n").map((part) => ({ name, value: part }))
+  );
+}
+
+function headerValue(headers: Record<string, string> | undefined, name: string): string | undefined {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function queryString(url: string): HarNameValue[] {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function bodyComment(body: CapturedBody): string | undefined {
+  if (body.omitted) return `Body not captured: ${body.omitted}`;
+  if (body.truncated) return `Body truncated from ${body.size} characters`;
+  return undefined;
+}
+
+// CDP reports "h2"/"http/1.1"; HAR viewers expect "HTTP/2"/"HTTP/1.1"
+function httpVersion(protocol?: string): string {
+  if (!protocol) return "";
+  if (protocol === "h2") return "HTTP/2";
+  if (protocol === "h3") return "HTTP/3";
+  return protocol.toUpperCase();
+}
+
+function round(ms: number): number {
+  return Math.max(0, Math.round(ms * 1000) / 1000);
+}
+
+// Split the total time into HAR phases using CDP ResourceTiming (all ms
+// offsets from timing.requestTime). Unknown phases are -1 as the spec requires.
+function harTimings(req: NetworkRequest, total: number): HarEntry["timings"] {
+  const t = req.timing;
+  if (!t || typeof t.sendStart !== "number" || t.sendStart < 0) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: round(total), receive: 0 };
+  }
+  const span = (start: number, end: number) => (start >= 0 && end >= 0 ? round(end - start) : -1);
+  const firstPhase = [t.dnsStart, t.connectStart, t.sendStart].find((v) => typeof v === "number" && v >= 0) ?? 0;
+  const headersEnd = t.receiveHeadersEnd >= 0 ? t.receiveHeadersEnd : t.sendEnd;
+  const connect = span(t.connectStart, t.connectEnd);
+  return {
+    blocked: round(firstPhase),
+    dns: span(t.dnsStart, t.dnsEnd),
+    connect,
+    // HAR counts ssl inside connect as well, matching CDP's overlapping ranges
+    ssl: connect >= 0 ? span(t.sslStart, t.sslEnd) : -1,
+    send: span(t.sendStart, t.sendEnd),
+    wait: span(t.sendEnd, headersEnd),
+    receive: round(total - headersEnd),
+  };
+}
+
+function toEntry(req: NetworkRequest): HarEntry {
+  const total = typeof req.time === "number" ? round(req.time) : 0;
+  const started = req.wallTime ? new Date(req.wallTime * 1000) : new Date();
+  const requestMimeType = headerValue(req.requestHeaders, "content-type") || "";
+
+  const entry: HarEntry = {
+    startedDateTime: started.toISOString(),
+    time: total,
+    request: {
+      method: req.method,
+      url: req.url,
+      httpVersion: httpVersion(req.protocol),
+      cookies: [],
+      headers: toNameValues(req.requestHeaders),
+      queryString: queryString(req.url),
+      headersSize: -1,
+      bodySize: req.postData?.size ?? (req.method === "GET" ? 0 : -1),
+    },
+    response: {
+      status: req.status ?? 0,
+      statusText: req.statusText ?? "",
+      httpVersion: httpVersion(req.protocol),
+      cookies: [],
+      headers: toNameValues(req.responseHeaders),
+      content: {
+        size: req.responseBody?.size ?? -1,
+        mimeType: req.mimeType || headerValue(req.responseHeaders, "content-type") || "x-unknown",
+      },
+      redirectURL: headerValue(req.responseHeaders, "location") || "",
+      headersSize: -1,
+      bodySize: req.size ?? -1,
+    },
+    cache: {},
+    timings: harTimings(req, total),
+    _resourceType: req.type?.toLowerCase(),
+  };
+
+  if (req.postData) {
+    entry.request.postData = {
+      mimeType: requestMimeType,
+      text: req.postData.text ?? "",
+      comment: bodyComment(req.postData),
+    };
+  }
+  if (req.responseBody) {
+    const content = entry.response.content;
+    if (req.responseBody.text !== undefined) {
+      content.text = req.responseBody.text;
+      if (req.responseBody.base64Encoded) content.encoding = "base64";
+    }
+    content.comment = bodyComment(req.responseBody);
+  }
+  if (req.failed) {
+    entry.response._error = req.errorText || (req.canceled ? "canceled" : "failed");
+  }
+  if (req.remoteIPAddress) {
+    entry.serverIPAddress = req.remoteIPAddress;
+  }
+  return entry;
+}
+
+// Build a HAR 1.2 log from the debugger's captured network requests
+export function buildHar(requests: NetworkRequest[], creator: { name: string; version: string }): Har {
+  const entries = requests
+    .map(toEntry)
+    .sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+  return { log: { version: "1.2", creator, entries } };
+}
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { execFile, spawn } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { setTimeout as wait } from 'node:timers/promises';
+import process from 'node:process';
+import { WebSocket } from 'ws';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const TOKEN = 'admin-token-0123456789';
+
+async function waitForHealth(url, timeoutMs = 8000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    try {
+      const res = await fetch(url, { method: 'GET' });
+      if (res.ok) {
+        return true;
+      }
+    } catch (err) {
+      // ignore and retry
+    }
+    await wait(150);
+  }
+  throw new Error(`Daemon at ${url} did not become ready in ${timeoutMs}ms`);
+}
+
+// Extension stub that never answers, so commands stay running and queued
+async function connectSilentExtension(url) {
+  const ws = new WebSocket(url);
+  ws.received = [];
+  ws.on('message', (raw) => ws.received.push(JSON.parse(raw.toString())));
+  await new Promise((resolve, reject) => {
+    ws.once('open', () => {
+      ws.send(JSON.stringify({ type: 'hello', wants: 'instanceId', token: TOKEN }));
+    });
+    ws.on('message', (raw) => {
+      if (JSON.parse(raw.toString()).type === 'connected') resolve();
+    });
+    ws.once('error', reject);
+  });
+  return ws;
+}
+
+async function run() {
+  const daemonPort = 4900 + Math.floor(Math.random() * 100);
+  const daemonPath = join(__dirname, '..', 'dist', 'daemon', 'websocket-daemon.js');
+  const base = `http://127.0.0.1:${daemonPort}`;
+  const auth = { Authorization: `Bearer ${TOKEN}` };
+
+  const dir = mkdtempSync(join(tmpdir(), 'browsermcp-admin-'));
+  const configPath = join(dir, 'config.json');
+  writeFileSync(configPath, JSON.stringify({ authToken: TOKEN }));
+  const env = {
+    ...process.env,
+    BROWSER_MCP_DAEMON_PORT: String(daemonPort),
+    BROWSER_MCP_HTTP_URL: 'http://127.0.0.1:1', // unused in this test
+    BROWSER_MCP_EVENT_LOG: '/dev/null',
+    BROWSER_MCP_STATE_FILE: join(dir, 'daemon-state.json'),
+    BROWSERMCP_CONFIG: configPath
+  };
+
+  const daemon = spawn('node', [daemonPath], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+
+  const daemonLogs = [];
+  daemon.stderr.on('data', (chunk) => daemonLogs.push(chunk.toString()));
+  daemon.stdout.on('data', (chunk) => daemonLogs.push(chunk.toString()));
+
+  // The daemon saves its state on the way out, so wait for it before removing the directory
+  const cleanup = async () => {
+    if (daemon.exitCode === null && daemon.signalCode === null) {
+      const exited = new Promise((resolve) => daemon.once('exit', resolve));
+      daemon.kill();
+      await exited;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  };
+
+  const ctl = (...args) => promisify(execFile)('node', [daemonPath, 'ctl', '--url', base, ...args], { env, timeout: 10000 });
+  const sendCommand = (id, tabId) => fetch(`${base}/commands`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Instance-ID': 'admin-session', 'X-Tab-ID': tabId, ...auth },
+    body: JSON.stringify({ id, type: 'test.command', payload: {} })
+  });
+
+  try {
+    console.log(cyan('Checking daemon admin API...'));
+    await waitForHealth(`${base}/health`);
+
+    // Admin endpoints need the token like everything else
+    assert.equal((await fetch(`${base}/sessions`)).status, 401);
+    assert.equal((await fetch(`${base}/metrics`)).status, 401);
+
+    const extension = await connectSilentExtension(`ws://127.0.0.1:${daemonPort}/session/admin-session`);
+
+    // One command running on tab 7, one queued behind it
+    const held = [sendCommand(1, '7'), sendCommand(2, '7')];
+    await wait(150);
+
+    const list = await (await fetch(`${base}/sessions`, { headers: auth })).json();
+    assert.equal(list.sessions.length, 1);
+    assert.equal(list.sessions[0].sessionId, 'admin-session');
+    assert.equal(list.sessions[0].running, 1);
+    assert.equal(list.sessions[0].queued, 1);
+    assert.deepEqual(list.tabOwners, { 7: 'admin-session' });
+
+    const detail = await (await fetch(`${base}/sessions/admin-session`, { headers: auth })).json();
+    assert.equal(detail.runningCommands[0].originId, '1');
+    assert.equal(detail.queuedCommands[0].originId, '2');
+    assert.equal(detail.queuedCommands[0].tabId, '7');
+
+    assert.equal((await fetch(`${base}/sessions/nope`, { headers: auth })).status, 404);
+
+    // The CLI reads the same token from the config file
+    const { stdout: table } = await ctl('sessions');
+    assert.match(table, /^admin-session\tyes\tyes\t1\t1\t/m);
+    const { stdout: metricsJson } = await ctl('--json', 'metrics');
+    const metrics = JSON.parse(metricsJson);
+    assert.equal(metrics.runningCommands, 1);
+    assert.equal(metrics.queuedCommands, 1);
+    assert.equal(metrics.ownedTabs, 1);
+    assert.equal(metrics.counters.authRejected, 2);
+
+    // Releasing a tab frees it for other sessions
+    const released = await fetch(`${base}/tabs/7/release`, { method: 'POST', headers: auth });
+    assert.equal(released.status, 200);
+    assert.deepEqual(await released.json(), { released: true, tabId: '7', previousOwner: 'admin-session' });
+    assert.equal((await fetch(`${base}/tabs/7/release`, { method: 'POST', headers: auth })).status, 404);
+
+    // Killing the session answers its held requests and closes the connection
+    const closed = new Promise((resolve) => extension.once('close', resolve));
+    await assert.rejects(ctl('kill', 'missing-session'), /404/);
+    await assert.rejects(ctl('kill', 'admin-session', '--tabs', 'shred'), /400/);
+    const { stderr: killed } = await ctl('kill', 'admin-session', '--tabs', 'close');
+    assert.match(killed, /Killed admin-session: 2 command\(s\) cancelled/);
+    assert.match(killed, /\(close\)/);
+
+    const answers = await Promise.all(held.map(async (p) => {
+      const res = await p;
+      return { status: res.status, body: await res.json() };
+    }));
+    answers.forEach(({ status, body }) => {
+      assert.equal(status, 409);
+      assert.equal(body.state, 'killed');
+    });
+    await closed;
+    const sessionClose = extension.received.find((msg) => msg.name === 'session.close');
+    assert.ok(sessionClose, 'the extension is told to close the session tabs');
+    assert.equal(sessionClose.sessionId, 'admin-session');
+    assert.deepEqual(sessionClose.payload, { tabs: 'close' });
+
+    const after = await (await fetch(`${base}/metrics`, { headers: auth })).json();
+    assert.equal(after.sessions, 0);
+    assert.equal(after.counters.sessionsKilled, 1);
+    assert.equal(after.counters.cancelled, 2);
+    assert.equal(after.counters.tabsReleased, 1);
+
+    console.log(green('Daemon admin API test passed.'));
+  } catch (err) {
+    console.error(red(`Daemon admin API test failed: ${err.stack || err}`));
+    if (daemonLogs.length) {
+      console.error(red('Daemon logs:'));
+      console.error(daemonLogs.join(''));
+    }
+    await cleanup();
+    process.exit(1);
+  }
+
+  await cleanup();
+}
+
+run();
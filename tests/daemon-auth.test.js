@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { setTimeout as wait } from 'node:timers/promises';
+import process from 'node:process';
+import { WebSocket } from 'ws';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const TOKEN = 'test-token-0123456789';
+
+async function waitForHealth(url, timeoutMs = 8000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    try {
+      const res = await fetch(url, { method: 'GET' });
+      if (res.ok) {
+        return true;
+      }
+    } catch (err) {
+      // ignore and retry
+    }
+    await wait(150);
+  }
+  throw new Error(`Daemon at ${url} did not become ready in ${timeoutMs}ms`);
+}
+
+// Open a socket, send a hello and report how the daemon answered
+function handshake(url, { origin, token } = {}) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(url, origin ? { origin } : {});
+    ws.once('unexpected-response', (_req, res) => resolve({ rejectedStatus: res.statusCode }));
+    ws.once('error', () => {});
+    ws.once('open', () => {
+      ws.send(JSON.stringify({ type: 'hello', wants: 'instanceId', ...(token ? { token } : {}) }));
+    });
+    ws.on('message', (raw) => {
+      const msg = JSON.parse(raw.toString());
+      if (msg.type === 'connected') resolve({ connected: true, ws });
+    });
+    ws.once('close', (code, reason) => resolve({ closeCode: code, reason: reason.toString() }));
+  });
+}
+
+function sendCommand(base, headers = {}) {
+  return fetch(`${base}/commands`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Instance-ID': 'auth-session', ...headers },
+    body: JSON.stringify({ id: 1, type: 'test.command', payload: {} })
+  });
+}
+
+// Without a config file the daemon writes a fresh token and requires it
+async function checkGeneratedToken(dir, daemonPort) {
+  const configPath = join(dir, 'home', '.browsermcp', 'config.json');
+  const daemon = spawn('node', [join(__dirname, '..', 'dist', 'daemon', 'websocket-daemon.js')], {
+    env: {
+      ...process.env,
+      BROWSER_MCP_DAEMON_PORT: String(daemonPort),
+      BROWSER_MCP_HTTP_URL: 'http://127.0.0.1:1',
+      BROWSER_MCP_EVENT_LOG: '/dev/null',
+      BROWSER_MCP_STATE_FILE: join(dir, 'generated-state.json'),
+      BROWSERMCP_CONFIG: configPath,
+      BROWSERMCP_DISABLE_AUTH: ''
+    },
+    stdio: 'ignore'
+  });
+  try {
+    const base = `http://127.0.0.1:${daemonPort}`;
+    await waitForHealth(`${base}/health`);
+    assert.equal(statSync(configPath).mode & 0o777, 0o600, 'the generated config is private');
+    const { authToken } = JSON.parse(readFileSync(configPath, 'utf8'));
+    assert.match(authToken, /^[0-9a-f]{64}$/);
+    assert.equal((await sendCommand(base)).status, 401, 'the generated token is required');
+    assert.notEqual((await sendCommand(base, { Authorization: `Bearer ${authToken}` })).status, 401);
+  } finally {
+    const exited = new Promise((resolve) => daemon.once('exit', resolve));
+    daemon.kill();
+    await exited;
+  }
+}
+
+async function run() {
+  const daemonPort = 4800 + Math.floor(Math.random() * 100);
+  const daemonPath = join(__dirname, '..', 'dist', 'daemon', 'websocket-daemon.js');
+  const base = `http://127.0.0.1:${daemonPort}`;
+  const wsUrl = `ws://127.0.0.1:${daemonPort}/session/auth-session`;
+
+  const dir = mkdtempSync(join(tmpdir(), 'browsermcp-auth-'));
+  const configPath = join(dir, 'config.json');
+  const eventLog = join(dir, 'events.log');
+  writeFileSync(configPath, JSON.stringify({ authToken: TOKEN }));
+
+  const daemon = spawn('node', [daemonPath], {
+    env: {
+      ...process.env,
+      BROWSER_MCP_DAEMON_PORT: String(daemonPort),
+      BROWSER_MCP_HTTP_URL: 'http://127.0.0.1:1', // unused in this test
+      BROWSER_MCP_EVENT_LOG: eventLog,
+      BROWSER_MCP_STATE_FILE: join(dir, 'daemon-state.json'),
+      BROWSERMCP_CONFIG: configPath
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const daemonLogs = [];
+  daemon.stderr.on('data', (chunk) => daemonLogs.push(chunk.toString()));
+  daemon.stdout.on('data', (chunk) => daemonLogs.push(chunk.toString()));
+
+  // The daemon saves its state on the way out, so wait for it before removing the directory
+  const cleanup = async () => {
+    if (daemon.exitCode === null && daemon.signalCode === null) {
+      const exited = new Promise((resolve) => daemon.once('exit', resolve));
+      daemon.kill();
+      await exited;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  };
+
+  try {
+    console.log(cyan('Checking daemon authentication...'));
+    await waitForHealth(`${base}/health`);
+
+    // Web pages are refused at the upgrade, whatever token they bring
+    const fromPage = await handshake(wsUrl, { origin: 'https://evil.example', token: TOKEN });
+    assert.equal(fromPage.rejectedStatus, 403, 'web page Origin should be refused');
+
+    // Extensions must present the token in their hello
+    const noToken = await handshake(wsUrl, { origin: 'chrome-extension://abcdef' });
+    assert.equal(noToken.closeCode, 4401, 'hello without a token should close the socket');
+    const wrongToken = await handshake(wsUrl, { origin: 'chrome-extension://abcdef', token: 'nope' });
+    assert.equal(wrongToken.closeCode, 4401);
+    assert.equal(wrongToken.reason, 'Invalid auth token');
+
+    const ok = await handshake(wsUrl, { origin: 'chrome-extension://abcdef', token: TOKEN });
+    assert.equal(ok.connected, true, 'hello with the token should register the session');
+    ok.ws.on('message', (raw) => {
+      const msg = JSON.parse(raw.toString());
+      if (msg.type === 'command') {
+        ok.ws.send(JSON.stringify({ type: 'response', wireId: msg.wireId, sessionId: msg.sessionId, data: { done: true } }));
+      }
+    });
+
+    // Commands need the bearer token
+    assert.equal((await sendCommand(base)).status, 401);
+    assert.equal((await sendCommand(base, { Authorization: 'Bearer nope' })).status, 401);
+    assert.equal((await sendCommand(base, { Authorization: `Bearer ${TOKEN}`, Origin: 'https://evil.example' })).status, 403);
+    const accepted = await sendCommand(base, { Authorization: `Bearer ${TOKEN}` });
+    assert.equal(accepted.status, 200);
+    assert.deepEqual((await accepted.json()).payload, { done: true });
+
+    // Every rejection is in the event log
+    await wait(100);
+    const rejections = readFileSync(eventLog, 'utf8').trim().split('\n')
+      .map((line) => JSON.parse(line))
+      .filter((entry) => entry.src === 'auth-reject');
+    assert.equal(rejections.length, 6, 'each rejected attempt should be logged');
+
+    ok.ws.close();
+
+    await checkGeneratedToken(dir, daemonPort + 100);
+    console.log(green('Daemon auth test passed.'));
+  } catch (err) {
+    console.error(red(`Daemon auth test failed: ${err.stack || err}`));
+    if (daemonLogs.length) {
+      console.error(red('Daemon logs:'));
+      console.error(daemonLogs.join(''));
+    }
+    await cleanup();
+    process.exit(1);
+  }
+
+  await cleanup();
+}
+
+run();
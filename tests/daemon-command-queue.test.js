@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { setTimeout as wait } from 'node:timers/promises';
+import process from 'node:process';
+import { WebSocket } from 'ws';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+async function waitForHealth(url, timeoutMs = 8000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    try {
+      const res = await fetch(url, { method: 'GET' });
+      if (res.ok) {
+        return true;
+      }
+    } catch (err) {
+      // ignore and retry
+    }
+    await wait(150);
+  }
+  throw new Error(`Daemon at ${url} did not become ready in ${timeoutMs}ms`);
+}
+
+// Extension stub answering each command after a delay (or payload.delayMs), one at a time like the real one
+async function connectSlowExtension(url, delayMs) {
+  const ws = new WebSocket(url);
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  ws.on('message', async (raw) => {
+    const msg = JSON.parse(raw.toString());
+    if (msg.type !== 'command') return;
+    await wait(msg.payload.delayMs ?? delayMs);
+    ws.send(JSON.stringify({
+      type: 'response',
+      wireId: msg.wireId,
+      sessionId: msg.sessionId,
+      data: { echo: msg.payload }
+    }));
+  });
+  return ws;
+}
+
+function sendCommand(base, sessionId, id, payload, signal, headers = {}) {
+  return fetch(`${base}/commands`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Instance-ID': sessionId, ...headers },
+    body: JSON.stringify({ id, type: 'test.command', payload }),
+    signal
+  });
+}
+
+async function run() {
+  const daemonPort = 4700 + Math.floor(Math.random() * 100);
+  const daemonPath = join(__dirname, '..', 'dist', 'daemon', 'websocket-daemon.js');
+  const base = `http://127.0.0.1:${daemonPort}`;
+
+  const dir = mkdtempSync(join(tmpdir(), 'browsermcp-queue-'));
+
+  const daemon = spawn('node', [daemonPath], {
+    env: {
+      ...process.env,
+      BROWSER_MCP_DAEMON_PORT: String(daemonPort),
+      BROWSER_MCP_HTTP_URL: 'http://127.0.0.1:1', // unused in this test
+      BROWSER_MCP_MAX_QUEUE_DEPTH: '2',
+      BROWSER_MCP_MAX_QUEUE_WAIT: '1000',
+      BROWSER_MCP_EVENT_LOG: '/dev/null',
+      BROWSER_MCP_STATE_FILE: join(dir, 'daemon-state.json'),
+      BROWSERMCP_CONFIG: '/nonexistent/browsermcp-config.json',
+      BROWSERMCP_DISABLE_AUTH: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const daemonLogs = [];
+  daemon.stderr.on('data', (chunk) => daemonLogs.push(chunk.toString()));
+  daemon.stdout.on('data', (chunk) => daemonLogs.push(chunk.toString()));
+
+  // The daemon saves its state on the way out, so wait for it before removing the directory
+  const cleanup = async () => {
+    if (daemon.exitCode === null && daemon.signalCode === null) {
+      const exited = new Promise((resolve) => daemon.once('exit', resolve));
+      daemon.kill();
+      await exited;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  };
+
+  try {
+    console.log(cyan('Checking queued daemon commands...'));
+    await waitForHealth(`${base}/health`);
+
+    const sessionId = 'queue-session';
+    const extension = await connectSlowExtension(`ws://127.0.0.1:${daemonPort}/session/${sessionId}`, 300);
+
+    // One running, two queued: every caller gets its own result, in order
+    const responses = await Promise.all([1, 2, 3].map(async (n) => {
+      const res = await sendCommand(base, sessionId, n, { n });
+      return { status: res.status, body: await res.json() };
+    }));
+    responses.forEach(({ status, body }, index) => {
+      assert.equal(status, 200, `command ${index + 1} should get its result, not a queued status`);
+      assert.deepEqual(body.payload, { echo: { n: index + 1 } });
+    });
+
+    // Queue depth limit: one running + two queued fills it, the next is refused
+    const held = [10, 11, 12].map((n) => sendCommand(base, sessionId, n, { n }));
+    await wait(100);
+    const refused = await sendCommand(base, sessionId, 13, { n: 13 });
+    assert.equal(refused.status, 429, 'command beyond the queue limit should be refused');
+    assert.equal(refused.headers.get('retry-after'), '1');
+
+    // Cancel a queued command by the id it was sent with
+    const cancel = await fetch(`${base}/commands/12`, { method: 'DELETE', headers: { 'X-Instance-ID': sessionId } });
+    assert.equal(cancel.status, 200);
+    assert.deepEqual(await cancel.json(), { cancelled: true, id: '12', state: 'queued' });
+
+    const [first, second, cancelled] = await Promise.all(held.map(async (p) => {
+      const res = await p;
+      return { status: res.status, body: await res.json() };
+    }));
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(cancelled.status, 409);
+    assert.equal(cancelled.body.cancelled, true);
+
+    const missing = await fetch(`${base}/commands/999`, { method: 'DELETE', headers: { 'X-Instance-ID': sessionId } });
+    assert.equal(missing.status, 404, 'unknown command cannot be cancelled');
+
+    // A client that stops waiting takes its queued command with it
+    const running = sendCommand(base, sessionId, 20, { n: 20 });
+    const controller = new AbortController();
+    const abandoned = sendCommand(base, sessionId, 21, { n: 21 }, controller.signal).catch(() => null);
+    await wait(50);
+    controller.abort();
+    await abandoned;
+    assert.equal((await running).status, 200);
+    await wait(100);
+    const dropped = await fetch(`${base}/commands/21`, { method: 'DELETE', headers: { 'X-Instance-ID': sessionId } });
+    assert.equal(dropped.status, 404, 'abandoned command should have left the queue');
+    assert.ok(daemonLogs.join('').includes('Dropped queued command after client disconnected'));
+
+    // The client's timeout starts when the command runs; a timed out command may still complete
+    const slow = sendCommand(base, sessionId, 30, { n: 30, delayMs: 700 }, undefined, { 'X-Command-Timeout': '200' });
+    const patient = sendCommand(base, sessionId, 31, { n: 31, delayMs: 10 }, undefined, { 'X-Command-Timeout': '200' });
+    const timedOut = await slow;
+    assert.equal(timedOut.status, 504);
+    assert.equal((await timedOut.json()).state, 'running');
+    assert.equal((await patient).status, 200, 'time spent queued does not count toward the run timeout');
+
+    // A command stuck behind a slow one is refused once it has waited too long
+    await wait(700);
+    const blocking = sendCommand(base, sessionId, 40, { n: 40, delayMs: 1500 });
+    const starved = await sendCommand(base, sessionId, 41, { n: 41 });
+    assert.equal(starved.status, 503);
+    assert.equal((await starved.json()).state, 'queued');
+    assert.equal((await blocking).status, 200);
+
+    extension.close();
+    console.log(green('Daemon command queue test passed.'));
+  } catch (err) {
+    console.error(red(`Daemon command queue test failed: ${err.stack || err}`));
+    if (daemonLogs.length) {
+      console.error(red('Daemon logs:'));
+      console.error(daemonLogs.join(''));
+    }
+    await cleanup();
+    process.exit(1);
+  }
+
+  await cleanup();
+}
+
+run();
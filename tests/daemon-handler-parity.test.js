@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import process from 'node:process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+// Message types declared in SocketMessageMap (src/types/messages.ts)
+function readDeclaredMessageTypes() {
+  const source = readFileSync(join(__dirname, '..', 'src', 'types', 'messages.ts'), 'utf8');
+  const start = source.indexOf('export interface SocketMessageMap');
+  assert.ok(start >= 0, 'SocketMessageMap not found in messages.ts');
+
+  const body = source.slice(start);
+  const end = body.search(/\n}\s*\n/);
+  const types = [...body.slice(0, end).matchAll(/^\s*'([^']+)':\s*\{/gm)].map((m) => m[1]);
+  assert.ok(types.length > 0, 'No message types parsed from SocketMessageMap');
+  return types;
+}
+
+// Load background-daemon.js into a sandbox with a fake connection manager
+// and a chrome API that rejects every call. Handler lookup happens before any
+// chrome call, so only missing handlers produce "Unhandled message type".
+async function loadDaemonController() {
+  const sent = [];
+  let dispatch = null;
+
+  class FakeConnectionManager {
+    onMessage(_type, handler) { dispatch = handler; }
+    async initialize() {}
+    send(message) { sent.push(message); }
+    close() {}
+  }
+
+  const rejectAll = new Proxy(() => {}, {
+    get: (_target, prop) => {
+      if (prop === 'then') return undefined;
+      // Event registration (chrome.*.onX.addListener) is synchronous
+      if (prop === 'addListener' || prop === 'removeListener') return () => {};
+      return rejectAll;
+    },
+    apply: () => Promise.reject(new Error('chrome API unavailable in test'))
+  });
+
+  const sandbox = {
+    console: { log() {}, warn() {}, error() {} },
+    setTimeout,
+    clearTimeout,
+    chrome: rejectAll
+  };
+  sandbox.self = sandbox;
+  sandbox.self.UnifiedConnectionManager = FakeConnectionManager;
+
+  const code = readFileSync(join(__dirname, '..', 'chrome-extension', 'background-daemon.js'), 'utf8');
+  vm.runInNewContext(code, sandbox, { filename: 'background-daemon.js' });
+
+  await sandbox.UnifiedDaemonMode.init();
+  assert.ok(dispatch, 'background-daemon.js did not register a message listener');
+  return { dispatch, sent };
+}
+
+async function run() {
+  const types = readDeclaredMessageTypes();
+  console.log(cyan(`Checking ${types.length} declared message types against background-daemon.js...`));
+
+  const { dispatch, sent } = await loadDaemonController();
+  const unhandled = [];
+
+  for (const [index, type] of types.entries()) {
+    const wireId = `parity-${index}`;
+    await dispatch({ wireId, sessionId: 'parity-session', type: 'command', name: type, payload: {} });
+    const response = sent.find((msg) => msg.wireId === wireId && msg.type === 'response');
+    assert.ok(response, `No response sent for ${type}`);
+    if (typeof response.error === 'string' && response.error.startsWith('Unhandled message type')) {
+      unhandled.push(type);
+    }
+  }
+
+  assert.deepEqual(unhandled, [], `Message types without a daemon handler: ${unhandled.join(', ')}`);
+  console.log(green('Daemon handler parity test passed.'));
+}
+
+run().catch((err) => {
+  console.error(red(`Daemon handler parity test failed: ${err.stack || err}`));
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import process from 'node:process';
+import { importSource } from './helpers/import-source.js';
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+// No queue allowance, so a silent daemon is given up on after the response margin
+process.env.BROWSER_MCP_MAX_QUEUE_WAIT = '0';
+process.env.BROWSERMCP_CONFIG = '/nonexistent/browsermcp-config.json';
+
+// Daemon stand-in: each POST is answered by the next scripted reply, or never
+function fakeDaemon() {
+  const daemon = { posts: [], deletes: [], replies: [], cancelState: 'running' };
+  daemon.server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    if (req.method === 'DELETE') {
+      daemon.deletes.push(req.url);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ cancelled: true, state: daemon.cancelState }));
+      return;
+    }
+    daemon.posts.push({ ...JSON.parse(body), timeout: req.headers['x-command-timeout'] });
+    const reply = daemon.replies.shift();
+    if (!reply) return; // hang
+    res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply.body));
+  });
+  return daemon;
+}
+
+const retry = { maxRetries: 2, baseDelayMs: 10, maxDelayMs: 10 };
+
+async function run() {
+  console.log(cyan('Checking daemon sender timeouts and retries...'));
+  const { createDaemonMessageSender } = await importSource('messaging/daemon/sender.ts');
+  const daemon = fakeDaemon();
+  await new Promise((resolve) => daemon.server.listen(0, '127.0.0.1', resolve));
+  const { sendDaemonMessage } = createDaemonMessageSender('sender-session', `http://127.0.0.1:${daemon.server.address().port}`);
+
+  try {
+    // The run timeout is handed to the daemon
+    daemon.replies.push({ status: 200, body: { success: true, payload: { ok: true } } });
+    assert.deepEqual(await sendDaemonMessage('tabs.list', {}, { timeoutMs: 1234, retry }), { ok: true });
+    assert.equal(daemon.posts[0].timeout, '1234');
+
+    // A daemon timeout is resent only for commands that just read
+    daemon.posts.length = 0;
+    daemon.replies.push(
+      { status: 504, body: { error: 'Timed out', state: 'running' } },
+      { status: 200, body: { success: true, payload: { tabs: [] } } }
+    );
+    assert.deepEqual(await sendDaemonMessage('tabs.list', {}, { retry }), { tabs: [] });
+    assert.equal(daemon.posts.length, 2);
+
+    daemon.posts.length = 0;
+    daemon.replies.push({ status: 504, body: { error: 'Timed out', state: 'running' } });
+    await assert.rejects(sendDaemonMessage('dom.click', { ref: 'ref1' }, { retry }), { code: 'COMMAND_TIMEOUT', retryable: false });
+    assert.equal(daemon.posts.length, 1, 'a click that may have happened is not repeated');
+
+    // Too long in the queue means it never ran, so it is resent
+    daemon.posts.length = 0;
+    daemon.replies.push(
+      { status: 503, body: { error: 'Waited too long', state: 'queued' } },
+      { status: 200, body: { success: true, payload: { clicked: true } } }
+    );
+    assert.deepEqual(await sendDaemonMessage('dom.click', { ref: 'ref1' }, { retry }), { clicked: true });
+
+    // A silent daemon: the command is cancelled there, and resent only if it had not started
+    daemon.posts.length = 0;
+    await assert.rejects(sendDaemonMessage('dom.click', { ref: 'ref2' }, { timeoutMs: 100, retry }), { code: 'COMMAND_TIMEOUT', retryable: false });
+    assert.equal(daemon.posts.length, 1);
+    assert.deepEqual(daemon.deletes, [`/commands/${daemon.posts[0].id}`]);
+
+    daemon.posts.length = 0;
+    daemon.cancelState = 'queued';
+    daemon.replies.push(undefined, { status: 200, body: { success: true, payload: { clicked: true } } });
+    assert.deepEqual(await sendDaemonMessage('dom.click', { ref: 'ref3' }, { timeoutMs: 100, retry }), { clicked: true });
+    assert.equal(daemon.posts.length, 2);
+
+    console.log(green('Daemon sender test passed.'));
+  } finally {
+    daemon.server.closeAllConnections();
+    daemon.server.close();
+  }
+}
+
+run().catch((err) => {
+  console.error(red(`Daemon sender test failed: ${err.stack || err}`));
+  process.exit(1);
+});
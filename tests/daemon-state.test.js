@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { setTimeout as wait } from 'node:timers/promises';
+import process from 'node:process';
+import { WebSocket } from 'ws';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+async function waitForHealth(url, timeoutMs = 8000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    try {
+      const res = await fetch(url, { method: 'GET' });
+      if (res.ok) {
+        return true;
+      }
+    } catch (err) {
+      // ignore and retry
+    }
+    await wait(150);
+  }
+  throw new Error(`Daemon at ${url} did not become ready in ${timeoutMs}ms`);
+}
+
+// Extension stub: answers commands on the tab it was sent (or tab 100) and
+// answers resync with the remembered tabs that are in `openTabs`
+async function connectExtension(url, openTabs) {
+  const ws = new WebSocket(url);
+  const state = { commands: [], resync: null };
+  let resynced;
+  state.resynced = new Promise((resolve) => { resynced = resolve; });
+  // Listen before the socket opens: resync can arrive together with the upgrade
+  ws.on('message', (raw) => {
+    const msg = JSON.parse(raw.toString());
+    if (msg.type === 'resync') {
+      state.resync = msg.sessions;
+      const sessions = {};
+      for (const [sessionId, entry] of Object.entries(msg.sessions)) {
+        const tabIds = entry.tabIds.filter((tabId) => openTabs.includes(tabId));
+        sessions[sessionId] = { tabIds, currentTabId: tabIds.includes(entry.currentTabId) ? entry.currentTabId : null };
+      }
+      ws.send(JSON.stringify({ type: 'resyncAck', sessions }));
+      resynced();
+      return;
+    }
+    if (msg.type !== 'command') return;
+    state.commands.push(msg);
+    ws.send(JSON.stringify({ type: 'response', wireId: msg.wireId, sessionId: msg.sessionId, data: { tabId: msg.tabId ?? '100' } }));
+  });
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  return { ws, state };
+}
+
+function startDaemon(daemonPath, env) {
+  const daemon = spawn('node', [daemonPath], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+  const logs = [];
+  daemon.stderr.on('data', (chunk) => logs.push(chunk.toString()));
+  daemon.stdout.on('data', (chunk) => logs.push(chunk.toString()));
+  return { daemon, logs };
+}
+
+function stopDaemon(daemon) {
+  return new Promise((resolve) => {
+    daemon.once('exit', resolve);
+    daemon.kill('SIGTERM');
+  });
+}
+
+function sendCommand(base, sessionId, id, tabId) {
+  return fetch(`${base}/commands`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Instance-ID': sessionId, ...(tabId ? { 'X-Tab-ID': tabId } : {}) },
+    body: JSON.stringify({ id, type: 'test.command', payload: {} })
+  });
+}
+
+async function run() {
+  const daemonPort = 5000 + Math.floor(Math.random() * 100);
+  const daemonPath = join(__dirname, '..', 'dist', 'daemon', 'websocket-daemon.js');
+  const base = `http://127.0.0.1:${daemonPort}`;
+  const extensionUrl = `ws://127.0.0.1:${daemonPort}/session/extension-1`;
+
+  const dir = mkdtempSync(join(tmpdir(), 'browsermcp-state-'));
+  const stateFile = join(dir, 'daemon-state.json');
+  const env = {
+    ...process.env,
+    BROWSER_MCP_DAEMON_PORT: String(daemonPort),
+    BROWSER_MCP_HTTP_URL: 'http://127.0.0.1:1', // unused in this test
+    BROWSER_MCP_EVENT_LOG: '/dev/null',
+    BROWSER_MCP_STATE_FILE: stateFile,
+    BROWSERMCP_CONFIG: '/nonexistent/browsermcp-config.json',
+    BROWSERMCP_DISABLE_AUTH: '1'
+  };
+
+  let current = startDaemon(daemonPath, env);
+  const cleanup = async () => {
+    if (current.daemon.exitCode === null && current.daemon.signalCode === null) {
+      await stopDaemon(current.daemon);
+    }
+    rmSync(dir, { recursive: true, force: true });
+  };
+
+  try {
+    console.log(cyan('Checking daemon state across restarts...'));
+    await waitForHealth(`${base}/health`);
+
+    // Two Claude sessions on one extension, owning tabs 5 and 6 and tab 7
+    const first = await connectExtension(extensionUrl, []);
+    await first.state.resynced;
+    assert.deepEqual(first.state.resync, {}, 'nothing to resync on a fresh start');
+    assert.equal((await sendCommand(base, 'claude-a', 1, '5')).status, 200);
+    assert.equal((await sendCommand(base, 'claude-a', 2, '6')).status, 200);
+    assert.equal((await sendCommand(base, 'claude-b', 3, '7')).status, 200);
+
+    await stopDaemon(current.daemon);
+    const saved = JSON.parse(readFileSync(stateFile, 'utf8'));
+    const byId = Object.fromEntries(saved.sessions.map((entry) => [entry.sessionId, entry]));
+    assert.deepEqual(byId['claude-a'].tabIds, ['5', '6']);
+    assert.equal(byId['claude-a'].currentTabId, '6');
+    assert.equal(byId['claude-a'].extensionId, 'extension-1');
+    assert.deepEqual(byId['claude-b'].tabIds, ['7']);
+    first.ws.close();
+
+    // After the restart the extension confirms which tabs survived (6 was closed)
+    current = startDaemon(daemonPath, env);
+    await waitForHealth(`${base}/health`);
+    const pending = await (await fetch(`${base}/sessions`)).json();
+    assert.equal(pending.pendingRestore.length, 2, 'saved sessions wait for their extension');
+
+    const second = await connectExtension(extensionUrl, ['5', '7']);
+    await second.state.resynced;
+    assert.deepEqual(second.state.resync['claude-a'].tabIds, ['5', '6']);
+    await wait(100);
+
+    const restored = await (await fetch(`${base}/sessions`)).json();
+    assert.deepEqual(restored.tabOwners, { 5: 'claude-a', 7: 'claude-b' });
+    assert.equal(restored.pendingRestore.length, 0);
+    const sessionA = restored.sessions.find((session) => session.sessionId === 'claude-a');
+    assert.equal(sessionA.currentTabId, '5', 'closed current tab falls back to a surviving one');
+
+    // Ownership is enforced again and commands go to the restored tab
+    assert.equal((await sendCommand(base, 'claude-a', 4)).status, 200);
+    assert.equal(second.state.commands.at(-1).tabId, '5');
+    const stolen = await sendCommand(base, 'claude-a', 5, '7');
+    assert.equal(stolen.status, 409, "claude-b's tab is still claude-b's");
+
+    second.ws.close();
+    console.log(green('Daemon state test passed.'));
+  } catch (err) {
+    console.error(red(`Daemon state test failed: ${err.stack || err}`));
+    if (current.logs.length) {
+      console.error(red('Daemon logs:'));
+      console.error(current.logs.join(''));
+    }
+    await cleanup();
+    process.exit(1);
+  }
+
+  await cleanup();
+}
+
+run();
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import process from 'node:process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+// Minimal DOM: elements with light children and an optional open shadow root
+function el(tagName, attrs = {}, children = [], text = '') {
+  const node = {
+    nodeType: 1,
+    tagName: tagName.toUpperCase(),
+    id: attrs.id || '',
+    children,
+    parentElement: null,
+    shadowRoot: null,
+    isConnected: true,
+    getAttribute: (name) => (name in attrs ? attrs[name] : null),
+    get textContent() { return text + children.map((child) => child.textContent).join(''); },
+    querySelectorAll: (selector) => descendants(node).filter((child) => selector === '*' || child.tagName.toLowerCase() === selector),
+    // Only the tag names in a selector list are understood
+    closest: (selector) => {
+      const tags = selector.split(',').map((part) => part.trim());
+      for (let current = node; current; current = current.parentElement) {
+        if (tags.includes(current.tagName.toLowerCase())) return current;
+      }
+      return null;
+    }
+  };
+  children.forEach((child) => { child.parentElement = node; });
+  return node;
+}
+
+function descendants(node) {
+  return node.children.flatMap((child) => [child, ...descendants(child)]);
+}
+
+function attachShadow(host, children) {
+  const root = { children, querySelectorAll: (selector) => descendants(root).filter((child) => selector === '*' || child.tagName.toLowerCase() === selector) };
+  host.shadowRoot = root;
+  return root;
+}
+
+// Document over a page, with the TreeWalker shadow-dom-utils.js uses to find shadow roots
+function fakeDocument(page) {
+  const document = { children: [page], shadowRoot: null, querySelectorAll: page.querySelectorAll };
+  document.createTreeWalker = (scope) => {
+    const nodes = descendants(scope);
+    let index = 0;
+    return { nextNode: () => nodes[index++] || null };
+  };
+  return document;
+}
+
+function loadTracker(document) {
+  const sandbox = {
+    console: { log() {} },
+    document,
+    setInterval() {},
+    addEventListener() {},
+    location: { href: 'https://example.com/' },
+    Node: { ELEMENT_NODE: 1 },
+    NodeFilter: { SHOW_ELEMENT: 1 },
+    CSS: { escape: (value) => value },
+    MutationObserver: class { observe() {} },
+    WeakRef
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  for (const file of ['shadow-dom-utils.js', 'element-tracker.js']) {
+    const code = readFileSync(join(__dirname, '..', 'chrome-extension', file), 'utf8');
+    vm.runInContext(code, sandbox, { filename: file });
+  }
+  return sandbox.__elementTracker;
+}
+
+async function run() {
+  console.log(cyan('Checking stale ref re-matching...'));
+  const host = el('app-shell', { id: 'app' });
+  const page = el('html', {}, [el('body', {}, [host])]);
+  const document = fakeDocument(page);
+
+  const save = el('button', { 'aria-label': 'Save draft' }, [], 'Save');
+  // The button sits in a component nested inside another component's shadow root
+  const editor = el('draft-editor');
+  attachShadow(host, [el('div', {}, [editor])]);
+  const shadow = attachShadow(editor, [el('div', {}, [save])]);
+  const tracker = loadTracker(document);
+
+  const ref = tracker.getElementId(save);
+  tracker.exportFingerprints();
+
+  // The component re-renders: the old button is gone, an equivalent one replaces it
+  save.isConnected = false;
+  const rerendered = el('button', { 'aria-label': 'Save draft' }, [], 'Save');
+  shadow.children = [el('div', {}, [rerendered])];
+  tracker.reset();
+
+  const resolution = tracker.resolve(ref);
+  assert.equal(resolution.element, rerendered, 'the re-rendered button inside the nested shadow root is found');
+  assert.equal(resolution.rematched, true);
+  assert.ok(resolution.confidence >= tracker.REMATCH_THRESHOLD);
+  assert.equal(tracker.getElementById(ref), rerendered, 'the old ref now points at the new element');
+
+  // List rows with identical buttons: the row text picks the right one, even
+  // after the rows above it are gone
+  const row = (label) => el('li', {}, [el('span', {}, [], label), el('button', {}, [], 'Edit'), el('button', {}, [], 'Delete')]);
+  const rows = ['Alpha', 'Beta', 'Gamma'].map(row);
+  const list = el('ul', {}, rows);
+  const listPage = el('html', {}, [el('body', {}, [list])]);
+  const listTracker = loadTracker(fakeDocument(listPage));
+  const betaDelete = listTracker.getElementId(rows[1].children[2]);
+  listTracker.exportFingerprints();
+
+  const rerender = (parent, labels) => {
+    descendants(parent).forEach((child) => { child.isConnected = false; });
+    parent.children = labels.map(row);
+    parent.children.forEach((child) => { child.parentElement = parent; });
+    return parent.children;
+  };
+  const afterDelete = rerender(list, ['Beta', 'Gamma']);
+  const rematch = listTracker.resolve(betaDelete);
+  assert.equal(rematch.element, afterDelete[0].children[2], 'the Delete button in the Beta row');
+
+  // Rows that cannot be told apart are refused rather than guessed
+  const identical = el('ul', {}, [row('Item'), row('Item')]);
+  const identicalPage = el('html', {}, [el('body', {}, [identical])]);
+  const identicalTracker = loadTracker(fakeDocument(identicalPage));
+  const secondDelete = identicalTracker.getElementId(identical.children[1].children[2]);
+  identicalTracker.exportFingerprints();
+  rerender(identical, ['Item', 'Item']);
+  const refused = identicalTracker.resolve(secondDelete);
+  assert.equal(refused.element, null);
+  assert.equal(refused.ambiguous, true);
+
+  console.log(green('Element re-match test passed.'));
+}
+
+run().catch((err) => {
+  console.error(red(`Element re-match test failed: ${err.stack || err}`));
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+import { dirname, join, parse } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { build } from 'tsup';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+// Inside node_modules so the bundle resolves its external dependencies
+const OUT_DIR = join(ROOT, 'node_modules', '.cache', 'browsermcp-tests');
+
+/**
+ * Bundle a TypeScript module from src/ with tsup and import it, so tests can
+ * exercise code that only ships inside the dist entry points.
+ */
+export async function importSource(relativePath) {
+  const name = parse(relativePath).name;
+  await build({
+    entry: { [name]: join(ROOT, 'src', relativePath) },
+    format: ['esm'],
+    platform: 'node',
+    outDir: OUT_DIR,
+    config: false,
+    silent: true
+  });
+  return import(pathToFileURL(join(OUT_DIR, `${name}.js`)).href);
+}
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { setTimeout as wait } from 'node:timers/promises';
+import process from 'node:process';
+import { importSource } from './helpers/import-source.js';
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const dir = mkdtempSync(join(tmpdir(), 'browsermcp-hints-'));
+process.env.HINT_DB_PATH = join(dir, 'hints.db');
+process.env.BROWSERMCP_SECRETS_FILE = join(dir, 'secrets.enc');
+
+const bundle = (hints) => JSON.stringify({ format: 'browsermcp-hints', version: 1, hints });
+
+async function run() {
+  console.log(cyan('Checking hint bundle import strategies...'));
+  const { HintStore } = await importSource('hints/core/hint-store.ts');
+  const store = new HintStore();
+
+  const { id } = await store.submitHint({
+    domain: 'docs.example.com',
+    path_pattern: '/search',
+    pattern_type: 'search',
+    selector_guard: 'input[name=q]',
+    recipe: [{ tool: 'browser_type', args: { selector: 'input[name=q]', text: '{{query}}', submit: true } }],
+    description: 'Search the docs from the header box'
+  });
+  for (const success of [true, true, true, false]) {
+    await store.updateHintStats(id, success);
+  }
+
+  const exported = JSON.parse((await store.exportBundle({ includeHistory: true })).text);
+  const [local] = exported.hints;
+  assert.equal(local.success_count, 3);
+  assert.equal(local.history.length, 4);
+
+  // The same hint seen by another machine: counts overlap, so take the larger
+  let summary = await store.importBundle(bundle([{ ...local, success_count: 5, failure_count: 0, history: [] }]));
+  assert.equal(summary.merged, 1);
+  let hint = await store.getHintById(id);
+  assert.deepEqual([hint.success_count, hint.failure_count], [5, 1]);
+  assert.equal(hint.confidence, 6 / 8);
+
+  // An independently learned hint for the same page and guard: counts add up
+  const twin = { ...local, id: 'twin-hint', success_count: 2, failure_count: 2, history: [] };
+  summary = await store.importBundle(bundle([twin]));
+  assert.equal(summary.merged, 1);
+  hint = await store.getHintById(id);
+  assert.deepEqual([hint.success_count, hint.failure_count], [7, 3]);
+  assert.equal(await store.getHintById('twin-hint'), null, 'merged into the local hint, not added');
+
+  // keep leaves the local copy alone
+  summary = await store.importBundle(bundle([{ ...local, description: 'Changed elsewhere', success_count: 50 }]), 'keep');
+  assert.equal(summary.skipped, 1);
+  hint = await store.getHintById(id);
+  assert.equal(hint.description, 'Search the docs from the header box');
+  assert.equal(hint.success_count, 7);
+
+  // replace takes the bundle's content and counts
+  summary = await store.importBundle(bundle([{ ...local, description: 'Changed elsewhere', success_count: 1, failure_count: 4, confidence: 0.3, history: [] }]), 'replace');
+  assert.equal(summary.replaced, 1);
+  hint = await store.getHintById(id);
+  assert.equal(hint.description, 'Changed elsewhere');
+  assert.deepEqual([hint.success_count, hint.failure_count, hint.confidence], [1, 4, 0.3]);
+
+  // Unknown hints are added with their history; invalid ones are reported
+  await wait(2);
+  const fresh = { ...local, id: 'fresh-hint', path_pattern: '/pricing', url_hash: undefined, history: [{ executed_at: Date.now(), success: 1 }] };
+  summary = await store.importBundle(bundle([fresh, { ...local, id: 'broken', recipe: [] }]));
+  assert.equal(summary.imported, 1);
+  assert.equal(summary.history_rows, 1);
+  assert.equal(summary.errors.length, 1);
+  assert.match(summary.errors[0], /^broken: Recipe cannot be empty/);
+  assert.ok(await store.getHintById('fresh-hint'));
+
+  await assert.rejects(store.importBundle('{"hints": []}'), /Not a hint bundle/);
+
+  console.log(green('Hint bundle test passed.'));
+}
+
+run()
+  .catch((err) => {
+    console.error(red(`Hint bundle test failed: ${err.stack || err}`));
+    process.exitCode = 1;
+  })
+  .finally(() => rmSync(dir, { recursive: true, force: true }));
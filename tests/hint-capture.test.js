@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import process from 'node:process';
+import { importSource } from './helpers/import-source.js';
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const dir = mkdtempSync(join(tmpdir(), 'browsermcp-hints-'));
+process.env.HINT_DB_PATH = join(dir, 'hints.db');
+process.env.BROWSERMCP_SECRETS_FILE = join(dir, 'secrets.enc');
+
+// Context stand-in whose active tab is on `page.url`
+function fakeContext(url = 'about:blank') {
+  const page = { url, lookups: 0 };
+  page.sendSocketMessage = async (type) => {
+    assert.equal(type, 'tabs.list');
+    page.lookups++;
+    return { tabs: [{ id: 1, active: true, url: page.url }] };
+  };
+  return page;
+}
+
+const ok = () => ({ content: [{ type: 'text', text: 'Done' }] });
+
+// Follow a link from the home page, then sign in on the login page
+async function signIn(captureToolCall, context) {
+  context.url = 'https://shop.example.com/';
+  await captureToolCall(context, 'browser_navigate', { url: 'https://shop.example.com/' }, ok());
+  context.url = 'https://shop.example.com/account/login';
+  await captureToolCall(context, 'browser_click', { element: 'Sign in link', ref: 'ref1' }, ok());
+  await captureToolCall(context, 'browser_type', { element: 'Email field', selector: '#email', text: 'me@example.com' }, ok());
+  await captureToolCall(context, 'browser_type', { element: 'Password', selector: '#password', text: 'hunter2' }, ok());
+  context.url = 'https://shop.example.com/account/orders';
+  return captureToolCall(context, 'browser_click', { element: 'Sign in button', ref: 'ref4' }, ok());
+}
+
+async function run() {
+  console.log(cyan('Checking automatic hint capture...'));
+  const { HintStore, captureToolCall } = await importSource('hints/index.ts');
+  const store = new HintStore();
+
+  // Off unless asked for: no tab lookups, result untouched
+  delete process.env.BROWSERMCP_HINT_CAPTURE;
+  let context = fakeContext();
+  let result = await signIn(captureToolCall, context);
+  assert.equal(context.lookups, 0);
+  assert.equal(result.content[0].text, 'Done');
+
+  // propose suggests the hint without storing anything
+  process.env.BROWSERMCP_HINT_CAPTURE = 'propose';
+  context = fakeContext();
+  result = await signIn(captureToolCall, context);
+  const [note, proposal] = result.content[0].text.split('\n').slice(2);
+  assert.match(note, /^\[HINT PROPOSAL: this login on shop\.example\.com\/account\/login looks reusable/);
+  assert.equal(JSON.parse(proposal).url, 'https://shop.example.com/account/login', 'scoped to the page the link led to');
+  assert.deepEqual(await store.listDrafts(), []);
+
+  // draft stores it, with placeholders in place of the typed values
+  process.env.BROWSERMCP_HINT_CAPTURE = 'draft';
+  context = fakeContext();
+  result = await signIn(captureToolCall, context);
+  assert.match(result.content[0].text, /\[HINT DRAFT SAVED: \S+ \(login on shop\.example\.com\/account\/login\)/);
+  const [draft] = await store.listDrafts('shop.example.com');
+  assert.equal(draft.path_pattern, '/account/login');
+  assert.equal(draft.selector_guard, '#email');
+  assert.deepEqual(draft.recipe.map((step) => [step.tool, step.args.text]), [
+    ['browser_type', '{{username}}'],
+    ['browser_type', '{{secret:password}}'],
+    ['browser_click', undefined]
+  ]);
+  assert.ok(!JSON.stringify(draft).includes('hunter2'), 'typed values are never stored');
+  assert.ok(!JSON.stringify(draft).includes('me@example.com'));
+
+  // The same sequence is captured once per session; a failed login is not captured
+  result = await signIn(captureToolCall, context);
+  assert.equal(result.content[0].text, 'Done');
+  context = fakeContext('https://bank.example.com/login');
+  await captureToolCall(context, 'browser_navigate', { url: 'https://bank.example.com/login' }, ok());
+  await captureToolCall(context, 'browser_type', { element: 'Password', selector: '#pin', text: '1234', submit: true }, ok());
+  context.url = 'https://bank.example.com/login?error=1';
+  result = await captureToolCall(context, 'browser_snapshot', {}, ok());
+  assert.equal(result.content[0].text, 'Done');
+  assert.deepEqual(await store.listDrafts('bank.example.com'), []);
+
+  console.log(green('Hint capture test passed.'));
+}
+
+run()
+  .catch((err) => {
+    console.error(red(`Hint capture test failed: ${err.stack || err}`));
+    process.exitCode = 1;
+  })
+  .finally(() => rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { setTimeout as wait } from 'node:timers/promises';
+import process from 'node:process';
+import { importSource } from './helpers/import-source.js';
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const dir = mkdtempSync(join(tmpdir(), 'browsermcp-hints-'));
+process.env.HINT_DB_PATH = join(dir, 'hints.db');
+process.env.BROWSERMCP_SECRETS_FILE = join(dir, 'secrets.enc');
+
+function formHint(guard, description) {
+  return {
+    domain: 'shop.example.com',
+    path_pattern: '/account',
+    pattern_type: 'form_fill',
+    selector_guard: guard,
+    recipe: [{ tool: 'browser_click', args: { selector: `${guard} button[type=submit]` } }],
+    description
+  };
+}
+
+async function record(store, id, successes, failures) {
+  for (let i = 0; i < successes; i++) await store.updateHintStats(id, true);
+  for (let i = 0; i < failures; i++) await store.updateHintStats(id, false);
+}
+
+async function run() {
+  console.log(cyan('Checking challenger trials...'));
+  const { HintStore } = await importSource('hints/core/hint-store.ts');
+  const store = new HintStore();
+
+  // Two different forms on the same page are not rivals
+  const login = await store.submitHint(formHint('form#login', 'Sign in with the account form'));
+  await wait(2);
+  const newsletter = await store.submitHint(formHint('form#newsletter', 'Subscribe with the newsletter form'));
+  assert.equal(login.conflict, undefined);
+  assert.equal(newsletter.conflict, undefined, 'a hint with another selector guard is not a challenger');
+
+  // Same form: the new hint goes on trial against the incumbent
+  await wait(2);
+  const challenger = await store.submitHint(formHint('form#login', 'Sign in, then wait for the dashboard'));
+  assert.equal(challenger.conflict.active_hint_id, login.id);
+  assert.equal(challenger.conflict.challenger_hint_id, challenger.id);
+
+  // A third hint during the trial is kept as a draft instead of being rejected
+  await wait(2);
+  const third = await store.submitHint(formHint('form#login', 'Sign in using the keyboard'));
+  assert.equal(third.queuedBehind.id, challenger.conflict.id);
+  const drafts = await store.listDrafts('shop.example.com');
+  assert.deepEqual(drafts.map((hint) => hint.id), [third.id]);
+  await assert.rejects(store.approveDraft(third.id), /once the trial ends/);
+
+  // Not enough trials yet
+  await record(store, login.id, 2, 0);
+  assert.equal(await store.evaluateConflict(login.id), null);
+
+  // The challenger wins with a strictly better success rate
+  await record(store, login.id, 1, 2);
+  await record(store, challenger.id, 5, 0);
+  assert.equal((await store.listConflicts()).length, 0, 'the trial is settled');
+  assert.equal(await store.getHintById(login.id), null, 'the loser is deactivated');
+  const winner = await store.getHintById(challenger.id);
+  assert.equal(winner.parent_hint_id, login.id, 'the winner becomes the next version');
+  assert.equal(winner.version, 2);
+  assert.ok(await store.getHintById(newsletter.id), 'the unrelated form hint is untouched');
+
+  // With the trial over, the queued draft can challenge the winner
+  const approved = await store.approveDraft(third.id);
+  assert.equal(approved.conflict.active_hint_id, challenger.id);
+
+  // Ties keep the active hint
+  await record(store, challenger.id, 5, 0);
+  await record(store, third.id, 5, 0);
+  assert.equal(await store.getHintById(third.id), null);
+  assert.ok(await store.getHintById(challenger.id));
+
+  console.log(green('Hint conflict test passed.'));
+}
+
+run()
+  .catch((err) => {
+    console.error(red(`Hint conflict test failed: ${err.stack || err}`));
+    process.exitCode = 1;
+  })
+  .finally(() => rmSync(dir, { recursive: true, force: true }));
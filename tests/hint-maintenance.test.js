@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import process from 'node:process';
+import { importSource } from './helpers/import-source.js';
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const dir = mkdtempSync(join(tmpdir(), 'browsermcp-hints-'));
+process.env.HINT_DB_PATH = join(dir, 'hints.db');
+process.env.BROWSERMCP_SECRETS_FILE = join(dir, 'secrets.enc');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => Date.now() - days * DAY_MS;
+
+function bundledHint(id, domain, fields) {
+  return {
+    id,
+    domain,
+    pattern_type: 'modal',
+    selector_guard: `#${id}`,
+    recipe: [{ tool: 'browser_click', args: { selector: `#${id}` } }],
+    description: `Close the ${id} dialog`,
+    version: 1,
+    is_active: true,
+    created_at: Date.now(),
+    ...fields
+  };
+}
+
+async function run() {
+  console.log(cyan('Checking hint maintenance...'));
+  const { HintStore } = await importSource('hints/core/hint-store.ts');
+  const store = new HintStore();
+
+  // Timestamps in the past can only be set through an import
+  await store.importBundle(JSON.stringify({
+    format: 'browsermcp-hints',
+    version: 1,
+    hints: [
+      bundledHint('idle', 'wiki.example.com', {
+        confidence: 0.8, success_count: 1, created_at: daysAgo(60), last_used_at: daysAgo(60),
+        history: [{ executed_at: daysAgo(200), success: 1 }]
+      }),
+      bundledHint('floor', 'wiki.example.com', { confidence: 0.1, created_at: daysAgo(60) }),
+      bundledHint('healthy', 'wiki.example.com', { confidence: 0.9, success_count: 5, last_used_at: Date.now() }),
+      bundledHint('failing', 'shop.example.com', {
+        confidence: 0.5, success_count: 1, failure_count: 5, last_used_at: Date.now(),
+        history: [{ executed_at: daysAgo(1), success: 0 }, { executed_at: daysAgo(10), success: 0 }]
+      })
+    ]
+  }));
+
+  const statsBefore = await store.domainStats();
+  assert.deepEqual(statsBefore.map((row) => [row.domain, row.hints, row.active, row.recent_failures]), [
+    ['wiki.example.com', 3, 3, 0],
+    ['shop.example.com', 1, 1, 1]
+  ]);
+  assert.equal(statsBefore[0].avg_confidence, 0.6);
+
+  // A dry run reports what would change and changes nothing
+  const preview = await store.runMaintenance({ dryRun: true, compact: true });
+  assert.equal(preview.dry_run, true);
+  assert.equal(preview.decayed, 1);
+  assert.deepEqual(preview.deactivated.map((hint) => hint.id), ['failing']);
+  assert.equal(preview.history_deleted, 1);
+  assert.equal(preview.compacted, false);
+  assert.equal((await store.getHintById('idle')).confidence, 0.8);
+  assert.ok(await store.getHintById('failing'));
+  assert.deepEqual(await store.domainStats(), statsBefore);
+
+  // Applying makes exactly the reported changes
+  const applied = await store.runMaintenance({ compact: true });
+  assert.equal(applied.dry_run, false);
+  assert.deepEqual([applied.decayed, applied.history_deleted], [preview.decayed, preview.history_deleted]);
+  assert.deepEqual(applied.deactivated, preview.deactivated);
+  assert.equal(applied.compacted, true);
+  assert.equal((await store.getHintById('idle')).confidence, 0.8 * 0.9);
+  assert.equal((await store.getHintById('floor')).confidence, 0.1, 'never decays below the floor');
+  assert.equal((await store.getHintById('healthy')).confidence, 0.9);
+  assert.equal(await store.getHintById('failing'), null);
+  assert.deepEqual((await store.domainStats('shop.example.com')).map((row) => [row.hints, row.active]), [[1, 0]]);
+
+  // Decay happens once per period, so a second run finds nothing to do
+  const again = await store.runMaintenance();
+  assert.deepEqual([again.decayed, again.deactivated.length, again.history_deleted], [0, 0, 0]);
+
+  // Options are checked before anything runs
+  await assert.rejects(store.runMaintenance({ decayFactor: 0 }), /decayFactor must be greater than 0/);
+  await assert.rejects(store.runMaintenance({ maxFailureRate: 1.5 }), /maxFailureRate must be greater than 0/);
+
+  console.log(green('Hint maintenance test passed.'));
+}
+
+run()
+  .catch((err) => {
+    console.error(red(`Hint maintenance test failed: ${err.stack || err}`));
+    process.exitCode = 1;
+  })
+  .finally(() => rmSync(dir, { recursive: true, force: true }));
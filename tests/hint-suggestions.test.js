@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { setTimeout as wait } from 'node:timers/promises';
+import process from 'node:process';
+import { importSource } from './helpers/import-source.js';
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const dir = mkdtempSync(join(tmpdir(), 'browsermcp-hints-'));
+process.env.HINT_DB_PATH = join(dir, 'hints.db');
+process.env.BROWSERMCP_SECRETS_FILE = join(dir, 'secrets.enc');
+
+async function run() {
+  console.log(cyan('Checking hint suggestions...'));
+  const { HintStore, formatHintSuggestions, hintSuggestionsForTab } = await importSource('hints/index.ts');
+  const store = new HintStore();
+
+  const login = await store.saveHint({
+    domain: 'app.example.com',
+    path_pattern: '/login',
+    pattern_type: 'login',
+    recipe: [{ tool: 'browser_type', args: { selector: '#email', text: '{{email}}' } }],
+    description: 'Sign in with the email form',
+    confidence: 0.9
+  });
+  await wait(2);
+  const shaky = await store.saveHint({
+    domain: 'app.example.com',
+    pattern_type: 'modal',
+    recipe: [{ tool: 'browser_click', args: { selector: '.tour-close' } }],
+    description: 'Close the product tour',
+    confidence: 0.5
+  });
+
+  const block = await formatHintSuggestions('https://app.example.com/login');
+  assert.match(block, /^\[HINTS AVAILABLE for app\.example\.com/);
+  assert.ok(block.includes(`- ${login} (login, 90%): Sign in with the email form`));
+  assert.ok(!block.includes(shaky), 'low-confidence hints are not suggested');
+
+  assert.equal(await formatHintSuggestions('https://other.example.org/'), '');
+  assert.equal(await formatHintSuggestions('about:blank'), '');
+
+  // The tab's own URL wins over the requested one (e.g. after a redirect)
+  const context = { sendSocketMessage: async () => ({ tabs: [{ id: 4, active: true, url: 'https://app.example.com/login?next=/' }] }) };
+  assert.ok((await hintSuggestionsForTab(context, 4, 'https://elsewhere.example.net/')).includes(login));
+  const offline = { sendSocketMessage: async () => { throw new Error('not connected'); } };
+  assert.ok((await hintSuggestionsForTab(offline, undefined, 'https://app.example.com/')).includes(login));
+
+  // The budget caps the block, and "off" disables it
+  process.env.BROWSERMCP_HINT_SUGGESTIONS = '10';
+  assert.equal(await formatHintSuggestions('https://app.example.com/login'), '');
+  process.env.BROWSERMCP_HINT_SUGGESTIONS = 'off';
+  assert.equal(await hintSuggestionsForTab(context, 4), '');
+
+  console.log(green('Hint suggestion test passed.'));
+}
+
+run()
+  .catch((err) => {
+    console.error(red(`Hint suggestion test failed: ${err.stack || err}`));
+    process.exitCode = 1;
+  })
+  .finally(() => rmSync(dir, { recursive: true, force: true }));
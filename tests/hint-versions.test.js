@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { setTimeout as wait } from 'node:timers/promises';
+import process from 'node:process';
+import { importSource } from './helpers/import-source.js';
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const dir = mkdtempSync(join(tmpdir(), 'browsermcp-hints-'));
+process.env.HINT_DB_PATH = join(dir, 'hints.db');
+process.env.BROWSERMCP_SECRETS_FILE = join(dir, 'secrets.enc');
+
+async function run() {
+  console.log(cyan('Checking hint versions...'));
+  const { HintStore } = await importSource('hints/core/hint-store.ts');
+  const store = new HintStore();
+
+  const v1 = await store.saveHint({
+    domain: 'news.example.com',
+    pattern_type: 'modal',
+    selector_guard: '#consent',
+    recipe: [{ tool: 'browser_click', args: { selector: '#consent .accept' } }],
+    description: 'Dismiss the consent banner'
+  });
+  await store.updateHintStats(v1, true);
+  await wait(2);
+  const v2 = await store.updateHint(v1, { recipe: [{ tool: 'browser_click', args: { selector: '#consent button.primary' } }] });
+  await wait(2);
+  const v3 = await store.updateHint(v2, { description: 'Dismiss the consent banner (2024 layout)' });
+
+  // The chain runs newest to oldest and keeps deactivated versions
+  const chain = await store.getVersionChain(v3);
+  assert.deepEqual(chain.map((hint) => [hint.id, hint.version, Boolean(hint.is_active)]), [[v3, 3, true], [v2, 2, false], [v1, 1, false]]);
+  assert.equal(chain[0].selector_guard, '#consent', 'new versions inherit the scope');
+  assert.equal(chain[0].success_count, 0, 'new versions start with fresh stats');
+  assert.equal(chain[2].success_count, 1);
+
+  // Restore goes to the parent by default...
+  const restored = await store.restoreVersion(v3);
+  assert.equal(restored.id, v2);
+  assert.equal(await store.getHintById(v3), null);
+
+  // ...or to a named earlier version, which keeps its own stats
+  const original = await store.restoreVersion(v2, v1);
+  assert.equal(original.id, v1);
+  assert.equal(original.success_count, 1);
+  assert.equal(await store.getHintById(v2), null);
+
+  await assert.rejects(store.restoreVersion(v1), /has no earlier version/);
+  await assert.rejects(store.restoreVersion(v2), /No active hint/);
+  const latest = await store.updateHint(v1, { description: 'Dismiss the consent banner again' });
+  await assert.rejects(store.restoreVersion(latest, v3), /is not an earlier version/);
+
+  console.log(green('Hint version test passed.'));
+}
+
+run()
+  .catch((err) => {
+    console.error(red(`Hint version test failed: ${err.stack || err}`));
+    process.exitCode = 1;
+  })
+  .finally(() => rmSync(dir, { recursive: true, force: true }));
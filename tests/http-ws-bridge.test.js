@@ -52,6 +52,7 @@ async function run() {
   const server = spawn('node', [serverPath, '--port', String(port)], {
     env: {
       ...process.env,
+      BROWSERMCP_DISABLE_AUTH: '1',
       NODE_ENV: 'test',
       BROWSER_MCP_ENABLE_DEBUG: '1'
     },
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import process from 'node:process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const TAB = 7;
+
+// Load the debugger state manager with a chrome stub whose events are no-ops
+// and replace sendCommand with canned CDP responses.
+function loadManager(responses) {
+  const listener = { addListener() {} };
+  const sandbox = {
+    console: { log() {}, warn() {}, error() {} },
+    setTimeout,
+    clearTimeout,
+    chrome: { debugger: { onDetach: listener, onEvent: listener }, tabs: { onRemoved: listener } }
+  };
+  sandbox.globalThis = sandbox;
+  const code = readFileSync(join(__dirname, '..', 'chrome-extension', 'debugger-state-manager.js'), 'utf8');
+  vm.runInNewContext(code, sandbox, { filename: 'debugger-state-manager.js' });
+
+  const manager = sandbox.__debuggerStateManager;
+  manager.initTabData(TAB);
+  manager.sendCommand = async (_tabId, method, params) => responses[method](params);
+  return manager;
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function simulateRequest(manager, requestId, { postData, body = '{"ok":true}' } = {}) {
+  manager.handleDebuggerEvent(TAB, 'Network.requestWillBeSent', {
+    requestId,
+    type: 'XHR',
+    timestamp: 10,
+    wallTime: 1700000000,
+    request: { url: 'https://api.example.com/login?next=/home', method: 'POST', headers: { 'Content-Type': 'application/json' }, postData }
+  });
+  manager.handleDebuggerEvent(TAB, 'Network.responseReceived', {
+    requestId,
+    timestamp: 10.1,
+    response: { status: 200, statusText: 'OK', headers: { 'Set-Cookie': 'a=1' }, mimeType: 'application/json', protocol: 'h2' }
+  });
+  manager.handleDebuggerEvent(TAB, 'Network.loadingFinished', { requestId, timestamp: 10.25, encodedDataLength: body.length });
+}
+
+async function run() {
+  console.log(cyan('Checking opt-in network body capture...'));
+
+  const bodies = { r1: '{"ok":true}', r2: 'x'.repeat(40), r3: 'y'.repeat(20), r4: 'z' };
+  const manager = loadManager({
+    'Network.getResponseBody': ({ requestId }) => ({ body: bodies[requestId], base64Encoded: false })
+  });
+
+  // Without capture only metadata is kept
+  simulateRequest(manager, 'r0', { postData: '{"user":"a"}' });
+  await flush();
+  let [plain] = manager.getTabData(TAB).network;
+  assert.equal(plain.status, 200);
+  assert.equal(plain.requestHeaders, undefined);
+  assert.equal(plain.postData, undefined);
+  assert.equal(plain.responseBody, undefined);
+
+  manager.setNetworkCapture(TAB, { bodies: true, maxBodySize: 16, maxTotalBodySize: 40 });
+  simulateRequest(manager, 'r1', { postData: '{"user":"a"}' });
+  simulateRequest(manager, 'r2');
+  await flush();
+
+  const [, captured, truncated] = JSON.parse(JSON.stringify(manager.getTabData(TAB).network));
+  assert.deepEqual(captured.requestHeaders, { 'Content-Type': 'application/json' });
+  assert.deepEqual(captured.responseHeaders, { 'Set-Cookie': 'a=1' });
+  assert.equal(captured.postData.text, '{"user":"a"}');
+  assert.equal(captured.responseBody.text, '{"ok":true}');
+  assert.equal(captured.finished, true);
+  assert.equal(Math.round(captured.time), 250);
+
+  assert.equal(truncated.responseBody.truncated, true);
+  assert.equal(truncated.responseBody.text.length, 16);
+  assert.equal(truncated.responseBody.size, 40);
+
+  // 39 of the 40 budgeted characters are used (12 + 11 + 16): one more body
+  // still fits under the per-body cap, the one after it is omitted
+  simulateRequest(manager, 'r3');
+  simulateRequest(manager, 'r4');
+  await flush();
+  const last = manager.getTabData(TAB).network.at(-1);
+  assert.match(last.responseBody.omitted, /budget/);
+
+  // Oversized binary bodies are left out rather than cut mid-base64
+  const binary = loadManager({
+    'Network.getResponseBody': () => ({ body: 'iVBORw0KGgoAAAANSUhEUgAA', base64Encoded: true })
+  });
+  binary.setNetworkCapture(TAB, { bodies: true, maxBodySize: 16, maxTotalBodySize: 1000 });
+  simulateRequest(binary, 'b1');
+  await flush();
+  const image = JSON.parse(JSON.stringify(binary.getTabData(TAB).network[0].responseBody));
+  assert.deepEqual(image, { omitted: 'too large', size: 24, base64Encoded: true });
+
+  manager.setNetworkCapture(TAB, { bodies: false });
+  assert.equal(manager.getNetworkCapture(TAB), null);
+
+  console.log(green('Network capture test passed.'));
+}
+
+run().catch((err) => {
+  console.error(red(`Network capture test failed: ${err.stack || err}`));
+  process.exit(1);
+});
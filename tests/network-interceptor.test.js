@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import process from 'node:process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const TAB = 3;
+
+// Load network-interceptor.js with a fake debugger state manager that records
+// every CDP command, and capture its chrome.debugger.onEvent listener.
+function loadInterceptor() {
+  const commands = [];
+  let onEvent = null;
+  const manager = {
+    attached: false,
+    enabledDomains: new Map(),
+    isAttached() { return this.attached; },
+    async ensureAttached() { this.attached = true; return { success: true }; },
+    async ensureDetached() { this.attached = false; return { success: true }; },
+    async sendCommand(tabId, method, params) { commands.push({ tabId, method, params }); return {}; }
+  };
+  const sandbox = {
+    console: { log() {}, warn() {}, error() {} },
+    setTimeout,
+    chrome: {
+      debugger: { onEvent: { addListener: (fn) => { onEvent = fn; } }, onDetach: { addListener() {} } },
+      tabs: { onRemoved: { addListener() {} } }
+    },
+    __debuggerStateManager: manager
+  };
+  sandbox.self = sandbox;
+  const code = readFileSync(join(__dirname, '..', 'chrome-extension', 'network-interceptor.js'), 'utf8');
+  vm.runInNewContext(code, sandbox, { filename: 'network-interceptor.js' });
+  assert.ok(sandbox.NetworkInterceptor, 'network-interceptor.js did not expose NetworkInterceptor');
+
+  const pause = async (requestId, url, headers = {}) => {
+    onEvent({ tabId: TAB }, 'Fetch.requestPaused', { requestId, request: { url, headers }, resourceType: 'Script' });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return JSON.parse(JSON.stringify(commands.filter((c) => c.params.requestId === requestId)));
+  };
+  return { interceptor: sandbox.NetworkInterceptor, commands, pause, manager };
+}
+
+// Load the real debugger state manager and the interceptor side by side with
+// chrome.debugger stubs, recording the CDP commands sent to the tab
+function loadWithStateManager() {
+  const commands = [];
+  const listener = { addListener() {} };
+  const sandbox = {
+    console: { log() {}, warn() {}, error() {} },
+    setTimeout,
+    clearTimeout,
+    chrome: {
+      runtime: {},
+      debugger: {
+        attach: (_target, _version, callback) => callback(),
+        detach: (_target, callback) => callback(),
+        onEvent: listener,
+        onDetach: listener
+      },
+      tabs: { onRemoved: listener }
+    }
+  };
+  sandbox.self = sandbox;
+  sandbox.globalThis = sandbox;
+  for (const file of ['debugger-state-manager.js', 'network-interceptor.js']) {
+    vm.runInNewContext(readFileSync(join(__dirname, '..', 'chrome-extension', file), 'utf8'), sandbox, { filename: file });
+  }
+  const manager = sandbox.__debuggerStateManager;
+  manager.sendCommand = async (_tabId, method) => { commands.push(method); return {}; };
+  return { interceptor: sandbox.NetworkInterceptor, manager, commands };
+}
+
+async function run() {
+  console.log(cyan('Checking Fetch-domain request interception...'));
+  const { interceptor, commands, pause, manager } = loadInterceptor();
+
+  const block = await interceptor.addRule(TAB, { urlPattern: '*://ads.example.com/*', action: 'block' });
+  await interceptor.addRule(TAB, { urlPattern: '*/api/user?id=*', action: 'headers', setHeaders: { Authorization: 'Bearer t' }, removeHeaders: ['Cookie'] });
+  await interceptor.addRule(TAB, { urlPattern: '*/api/flags', action: 'fulfill', status: 201, contentType: 'application/json', body: 'e30=' });
+  await interceptor.addRule(TAB, { urlPattern: '*/api/slow', action: 'fail', errorReason: 'TimedOut' });
+
+  const enable = JSON.parse(JSON.stringify(commands.filter((c) => c.method === 'Fetch.enable').at(-1)));
+  assert.deepEqual(enable.params.patterns.map((p) => p.urlPattern), ['*://ads.example.com/*', '*/api/user?id=*', '*/api/flags', '*/api/slow']);
+
+  let [sent] = await pause('1', 'https://ads.example.com/tag.js');
+  assert.deepEqual([sent.method, sent.params.errorReason], ['Fetch.failRequest', 'BlockedByClient']);
+
+  [sent] = await pause('2', 'https://app.example.com/api/user?id=4', { Cookie: 'a=1', Accept: '*/*', authorization: 'old' });
+  assert.equal(sent.method, 'Fetch.continueRequest');
+  assert.deepEqual(sent.params.headers, [{ name: 'Accept', value: '*/*' }, { name: 'Authorization', value: 'Bearer t' }]);
+
+  [sent] = await pause('3', 'https://app.example.com/api/flags');
+  assert.equal(sent.method, 'Fetch.fulfillRequest');
+  assert.equal(sent.params.responseCode, 201);
+  assert.equal(sent.params.body, 'e30=');
+  assert.deepEqual(sent.params.responseHeaders, [{ name: 'Content-Type', value: 'application/json' }]);
+
+  [sent] = await pause('4', 'https://app.example.com/api/slow');
+  assert.deepEqual([sent.method, sent.params.errorReason], ['Fetch.failRequest', 'TimedOut']);
+
+  // Anything else that is paused goes through untouched
+  [sent] = await pause('5', 'https://app.example.com/index.js');
+  assert.deepEqual(sent, { tabId: TAB, method: 'Fetch.continueRequest', params: { requestId: '5' } });
+
+  const rules = JSON.parse(JSON.stringify(interceptor.listRules(TAB)));
+  assert.equal(rules.length, 4);
+  assert.equal(rules[0].hits, 1);
+  assert.ok(!('body' in rules[2]), 'Fulfil bodies should not be listed back');
+
+  await assert.rejects(() => interceptor.addRule(TAB, { urlPattern: '*', action: 'fail', errorReason: 'Nope' }), /Unknown errorReason/);
+  await assert.rejects(() => interceptor.removeRule(TAB, 'rule999'), /No rule rule999/);
+
+  assert.equal(await interceptor.removeRule(TAB, block.id), 1);
+  assert.equal(interceptor.listRules(TAB).length, 3);
+  assert.equal(await interceptor.removeRule(TAB), 3);
+  assert.equal(commands.at(-1).method, 'Fetch.disable');
+  assert.equal(manager.attached, false, 'the interceptor detaches what it attached');
+
+  console.log(cyan('Checking interception next to browser_debugger...'));
+  const real = loadWithStateManager();
+  await real.interceptor.addRule(TAB, { urlPattern: '*/api/*', action: 'block' });
+  assert.ok(real.manager.isAttached(TAB));
+  assert.ok(!real.commands.includes('Network.enable'), 'interception alone enables no capture domains');
+
+  // A later browser_debugger attach still turns on its domains
+  await real.manager.ensureAttached(TAB, ['console', 'network', 'runtime']);
+  assert.deepEqual(real.commands.filter((c) => /^(Console|Network|Runtime)\.enable$/.test(c)), ['Console.enable', 'Network.enable', 'Runtime.enable']);
+  await real.manager.ensureAttached(TAB, ['network']);
+  assert.equal(real.commands.filter((c) => c === 'Network.enable').length, 1, 'domains are enabled once per attachment');
+
+  // ...and keeps the debugger attached once the interceptor's rules are gone
+  await real.interceptor.removeRule(TAB);
+  assert.ok(real.manager.isAttached(TAB));
+
+  // Without anyone else on the attachment, removing the last rule detaches
+  await real.manager.ensureDetached(TAB);
+  await real.interceptor.addRule(TAB, { urlPattern: '*/api/*', action: 'block' });
+  await real.interceptor.removeRule(TAB);
+  assert.equal(real.manager.isAttached(TAB), false);
+
+  console.log(green('Network interceptor test passed.'));
+}
+
+run().catch((err) => {
+  console.error(red(`Network interceptor test failed: ${err.stack || err}`));
+  process.exit(1);
+});
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import process from 'node:process';
+import { importSource } from './helpers/import-source.js';
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+// Context stand-in: each tool answers from a queue of scripted results
+function fakeContext(scripts) {
+  const calls = [];
+  const toolbox = Object.fromEntries(Object.keys(scripts).map((name) => [name, {}]));
+  return {
+    calls,
+    toolbox,
+    async callTool(name, args) {
+      calls.push({ name, args });
+      const next = scripts[name].shift();
+      if (next instanceof Error) throw next;
+      return next;
+    }
+  };
+}
+
+const ok = (text) => ({ content: [{ type: 'text', text }] });
+const failed = (text) => ({ content: [{ type: 'text', text }], isError: true });
+
+async function run() {
+  console.log(cyan('Checking recipe replay...'));
+  const { runRecipe } = await importSource('hints/core/recipe-runner.ts');
+
+  // A step marked retry_on_failure gets a second attempt
+  let context = fakeContext({
+    browser_click: [new Error('Element not found'), ok('Clicked')],
+    browser_type: [ok('Typed')]
+  });
+  let outcome = await runRecipe(context, [
+    { tool: 'browser_click', args: { ref: 'ref1' }, retry_on_failure: true },
+    { tool: 'browser_type', args: { ref: 'ref2', text: 'hello' } }
+  ]);
+  assert.equal(outcome.success, true);
+  assert.equal(outcome.steps[0].attempts, 2);
+  assert.equal(outcome.steps[0].output, 'Clicked');
+  assert.equal(outcome.steps[1].attempts, 1);
+
+  // Without retry the fallback runs straight away; isError counts as failure
+  context = fakeContext({
+    browser_click: [failed('Element is covered')],
+    browser_press_key: [ok('Pressed Enter')]
+  });
+  outcome = await runRecipe(context, [
+    { tool: 'browser_click', args: { ref: 'ref3' }, fallback: { tool: 'browser_press_key', args: { key: 'Enter' } } }
+  ]);
+  assert.equal(outcome.success, true);
+  assert.equal(outcome.steps[0].attempts, 1);
+  assert.equal(outcome.steps[0].used_fallback, true);
+  assert.deepEqual(context.calls.map((call) => call.name), ['browser_click', 'browser_press_key']);
+
+  // When retry and fallback both fail the run stops at that step
+  context = fakeContext({
+    browser_click: [new Error('gone'), new Error('still gone')],
+    browser_press_key: [new Error('no focus')],
+    browser_type: [ok('never reached')]
+  });
+  outcome = await runRecipe(context, [
+    { tool: 'browser_click', args: { ref: 'ref4' }, retry_on_failure: true, fallback: { tool: 'browser_press_key', args: { key: 'Enter' } } },
+    { tool: 'browser_type', args: { ref: 'ref5', text: 'x' } }
+  ]);
+  assert.equal(outcome.success, false);
+  assert.equal(outcome.steps.length, 1);
+  assert.equal(outcome.error, 'Step 1 (browser_click) failed: still gone; fallback browser_press_key failed: no focus');
+
+  // Unknown and recursive tools fail without being called; output is masked
+  context = fakeContext({ browser_type: [ok('Typed hunter2')] });
+  outcome = await runRecipe(context, [{ tool: 'browser_apply_hint', args: {} }]);
+  assert.match(outcome.error, /cannot be used inside a recipe/);
+  outcome = await runRecipe(context, [{ tool: 'browser_teleport', args: {} }]);
+  assert.match(outcome.error, /Unknown tool: browser_teleport/);
+  outcome = await runRecipe(context, [{ tool: 'browser_type', args: {} }], { mask: (text) => text.replace('hunter2', '{{secret:pw}}') });
+  assert.equal(outcome.steps[0].output, 'Typed {{secret:pw}}');
+  assert.equal(context.calls.length, 1);
+
+  console.log(green('Recipe runner test passed.'));
+}
+
+run().catch((err) => {
+  console.error(red(`Recipe runner test failed: ${err.stack || err}`));
+  process.exit(1);
+});
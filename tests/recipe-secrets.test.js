@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import process from 'node:process';
+import { importSource } from './helpers/import-source.js';
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const dir = mkdtempSync(join(tmpdir(), 'browsermcp-hints-'));
+process.env.HINT_DB_PATH = join(dir, 'hints.db');
+process.env.BROWSERMCP_SECRETS_FILE = join(dir, 'secrets.enc');
+process.env.BROWSERMCP_SECRETS_KEY = 'correct horse battery staple';
+
+// The shape of a captured login recipe
+const loginRecipe = [
+  { tool: 'browser_type', args: { selector: '#email', text: '{{username}}' } },
+  {
+    tool: 'browser_type',
+    args: { selector: '#password', text: '{{ secret:password }}', submit: true },
+    fallback: { tool: 'browser_type', args: { selector: 'input[type=password]', text: '{{secret:password}}' } }
+  }
+];
+
+async function run() {
+  console.log(cyan('Checking recipe placeholders and secrets...'));
+  const secretStore = await importSource('hints/core/secret-store.ts');
+  const { recipeParameters, resolveRecipe, maskSecrets } = await importSource('hints/core/recipe-template.ts');
+  const { HintStore } = await importSource('hints/core/hint-store.ts');
+
+  // Round trip through the encrypted file, which never holds the plain value
+  secretStore.setSecret('password', 'hunter2-long');
+  secretStore.setSecret('api.token', 'tok_123456');
+  assert.deepEqual(secretStore.loadSecrets(), { password: 'hunter2-long', 'api.token': 'tok_123456' });
+  assert.deepEqual(secretStore.listSecretNames(), ['api.token', 'password']);
+  const file = readFileSync(secretStore.secretsFilePath(), 'utf8');
+  assert.ok(!file.includes('hunter2'));
+  assert.equal(statSync(secretStore.secretsFilePath()).mode & 0o777, 0o600);
+  assert.throws(() => secretStore.setSecret('bad name', 'x'), /Invalid secret name/);
+  assert.equal(secretStore.deleteSecret('api.token'), true);
+  assert.equal(secretStore.deleteSecret('api.token'), false);
+  assert.equal(secretStore.deleteSecret('constructor'), false, 'inherited names are not secrets');
+
+  // The wrong key fails loudly, and so does the leak check, which cannot tell
+  process.env.BROWSERMCP_SECRETS_KEY = 'wrong key';
+  assert.throws(() => secretStore.loadSecrets(), /Could not decrypt .*check BROWSERMCP_SECRETS_KEY/);
+  assert.throws(() => secretStore.secretsContainedIn('hunter2-long'), /Could not decrypt/);
+  delete process.env.BROWSERMCP_SECRETS_KEY;
+  assert.throws(() => secretStore.loadSecrets(), /BROWSERMCP_SECRETS_KEY is not set/);
+  process.env.BROWSERMCP_SECRETS_KEY = 'correct horse battery staple';
+
+  // Placeholders are found in steps and fallbacks, and filled from the right source
+  assert.deepEqual(recipeParameters(loginRecipe), { variables: ['username'], secrets: ['password'] });
+  const resolved = resolveRecipe(loginRecipe, { username: 'me@example.com' }, secretStore.loadSecrets());
+  assert.equal(resolved[0].args.text, 'me@example.com');
+  assert.equal(resolved[1].args.text, 'hunter2-long');
+  assert.equal(resolved[1].args.submit, true);
+  assert.equal(resolved[1].fallback.args.text, 'hunter2-long');
+  assert.equal(loginRecipe[0].args.text, '{{username}}', 'the stored recipe is left as is');
+  assert.throws(() => resolveRecipe(loginRecipe, {}, { password: 'x' }), /No value for variable "username"/);
+  assert.throws(() => resolveRecipe(loginRecipe, { username: 'me' }, { username: 'x' }), /No value for secret "password"/);
+  assert.throws(
+    () => resolveRecipe([{ tool: 'browser_type', args: { text: '{{constructor}}' } }], {}, {}),
+    /No value for variable "constructor"/
+  );
+
+  // Masking replaces longer values first so overlapping secrets stay hidden
+  assert.equal(
+    maskSecrets('typed hunter2-long, then hunter2', { short: 'hunter2', password: 'hunter2-long', empty: '' }),
+    'typed {{secret:password}}, then {{secret:short}}'
+  );
+
+  // A recipe holding a stored secret's value is refused; the placeholder is fine
+  const store = new HintStore();
+  const hint = (text) => ({
+    domain: 'app.example.com',
+    path_pattern: '/login',
+    pattern_type: 'login',
+    recipe: [{ tool: 'browser_type', args: { selector: '#password', text } }],
+    description: 'Sign in with the saved password'
+  });
+  await assert.rejects(store.saveHint(hint('hunter2-long')), /Recipe contains the value of secret\(s\) password/);
+  assert.ok(await store.saveHint(hint('{{secret:password}}')));
+
+  // A store that cannot be unlocked refuses to save rather than skip the check
+  process.env.BROWSERMCP_SECRETS_KEY = 'wrong key';
+  await assert.rejects(store.saveHint(hint('hunter2-long')), /Cannot check the recipe for secret values.*Could not decrypt/);
+  process.env.BROWSERMCP_SECRETS_KEY = 'correct horse battery staple';
+
+  console.log(green('Recipe secrets test passed.'));
+}
+
+run()
+  .catch((err) => {
+    console.error(red(`Recipe secrets test failed: ${err.stack || err}`));
+    process.exitCode = 1;
+  })
+  .finally(() => rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import process from 'node:process';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { importSource } from './helpers/import-source.js';
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+process.env.BROWSERMCP_CONFIG = '/nonexistent/browsermcp-config.json';
+
+async function connect(createServerWithTools, resourceUpdates) {
+  const server = await createServerWithTools({
+    name: 'resource-subscriptions',
+    version: '0.0.0',
+    tools: [],
+    resources: [],
+    skipWebSocket: true,
+    resourceUpdates
+  });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'resource-subscriptions', version: '0.0.0' }, { capabilities: {} });
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return { server, client };
+}
+
+async function run() {
+  console.log(cyan('Checking resource subscriptions...'));
+  const { createServerWithTools, notifyTabResourcesUpdated } = await importSource('server.ts');
+
+  // Without navigation events there is nothing to subscribe to
+  const plain = await connect(createServerWithTools, false);
+  assert.equal(plain.client.getServerCapabilities().resources.subscribe, undefined);
+  await assert.rejects(plain.client.subscribeResource({ uri: 'browser://tabs' }), /Method not found/);
+  await plain.client.close();
+
+  // Where they arrive, subscribed URIs get resources/updated
+  const live = await connect(createServerWithTools, true);
+  assert.equal(live.client.getServerCapabilities().resources.subscribe, true);
+  const updated = [];
+  live.client.fallbackNotificationHandler = async (notification) => {
+    if (notification.method === 'notifications/resources/updated') updated.push(notification.params.uri);
+  };
+  await live.client.subscribeResource({ uri: 'browser://tabs' });
+  await notifyTabResourcesUpdated(live.server, '7');
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(updated, ['browser://tabs']);
+  await live.client.close();
+
+  console.log(green('Resource subscription test passed.'));
+}
+
+run().catch((err) => {
+  console.error(red(`Resource subscription test failed: ${err.stack || err}`));
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import process from 'node:process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const SESSION_A = 'aaaa1111-0000-4000-8000-000000000001';
+const SESSION_B = 'bbbb2222-0000-4000-8000-000000000002';
+
+// In-memory stand-in for chrome.tabs / chrome.tabGroups with a single window
+function createFakeBrowser() {
+  const tabs = new Map();
+  const groups = new Map();
+  let nextTabId = 1;
+  let nextGroupId = 100;
+  const ordered = () => [...tabs.values()].sort((a, b) => a.index - b.index);
+  const reindex = () => ordered().forEach((tab, index) => { tab.index = index; });
+  const missing = (what) => Promise.reject(new Error(`No ${what}`));
+
+  const chrome = {
+    tabs: {
+      get: async (id) => (tabs.has(id) ? { ...tabs.get(id) } : missing(`tab with id: ${id}`)),
+      query: async (query = {}) => ordered()
+        .filter((tab) => query.active === undefined || tab.active === query.active)
+        .map((tab) => ({ ...tab })),
+      create: async ({ url, active }) => {
+        if (active) tabs.forEach((tab) => { tab.active = false; });
+        const tab = { id: nextTabId++, windowId: 1, index: tabs.size, url, title: url, active: !!active, groupId: -1 };
+        tabs.set(tab.id, tab);
+        return { ...tab };
+      },
+      update: async (id, props) => {
+        if (!tabs.has(id)) return missing(`tab with id: ${id}`);
+        if (props.active) tabs.forEach((tab) => { tab.active = false; });
+        Object.assign(tabs.get(id), props);
+        return { ...tabs.get(id) };
+      },
+      remove: async (ids) => {
+        [].concat(ids).forEach((id) => tabs.delete(id));
+        reindex();
+      },
+      group: async ({ groupId, tabIds }) => {
+        const id = groupId ?? nextGroupId++;
+        if (!groups.has(id)) groups.set(id, { id, windowId: 1, title: '', color: 'grey' });
+        tabIds.forEach((tabId) => { tabs.get(tabId).groupId = id; });
+        return id;
+      },
+      ungroup: async (ids) => {
+        [].concat(ids).forEach((id) => { if (tabs.has(id)) tabs.get(id).groupId = -1; });
+      }
+    },
+    tabGroups: {
+      get: async (id) => (groups.has(id) ? { ...groups.get(id) } : missing(`group ${id}`)),
+      query: async ({ title, windowId }) => [...groups.values()]
+        .filter((group) => (title === undefined || group.title === title) && (windowId === undefined || group.windowId === windowId)),
+      update: async (id, props) => Object.assign(groups.get(id), props)
+    },
+    webNavigation: {
+      onCommitted: { addListener() {}, removeListener() {} },
+      // Pages "finish loading" right away
+      onCompleted: {
+        addListener(listener, filter) { setTimeout(() => listener({ tabId: filter.tabId }), 0); },
+        removeListener() {}
+      }
+    },
+    scripting: { executeScript: async () => [{ result: null }] }
+  };
+  return { chrome, tabs, groups };
+}
+
+async function loadDaemonController(chrome) {
+  const sent = [];
+  let dispatch = null;
+
+  class FakeConnectionManager {
+    onMessage(_type, handler) { dispatch = handler; }
+    async initialize() {}
+    send(message) { sent.push(message); }
+    close() {}
+  }
+
+  const sandbox = { console: { log() {}, warn() {}, error() {} }, setTimeout, clearTimeout, chrome };
+  sandbox.self = sandbox;
+  sandbox.self.UnifiedConnectionManager = FakeConnectionManager;
+
+  const code = readFileSync(join(__dirname, '..', 'chrome-extension', 'background-daemon.js'), 'utf8');
+  vm.runInNewContext(code, sandbox, { filename: 'background-daemon.js' });
+  await sandbox.UnifiedDaemonMode.init();
+
+  let counter = 0;
+  // Send a command the way the daemon does and return the response data
+  const call = async (sessionId, name, payload = {}) => {
+    const wireId = `wire-${++counter}`;
+    await dispatch({ wireId, sessionId, type: 'command', name, payload });
+    const response = sent.find((msg) => msg.wireId === wireId && msg.type === 'response');
+    assert.ok(response, `No response for ${name}`);
+    if (response.error) throw new Error(response.error);
+    return response.data;
+  };
+  return { call };
+}
+
+async function run() {
+  console.log(cyan('Checking per-session tab groups...'));
+  const { chrome, tabs, groups } = createFakeBrowser();
+  const userTab = await chrome.tabs.create({ url: 'https://mail.example/inbox', active: true });
+  const { call } = await loadDaemonController(chrome);
+
+  // Nothing is created just to list an empty session
+  assert.equal((await call(SESSION_A, 'tabs.list')).tabs.length, 0);
+  assert.equal(tabs.size, 1);
+
+  const a1 = await call(SESSION_A, 'tabs.new', { url: 'https://a.example/' });
+  const b1 = await call(SESSION_B, 'tabs.new', { url: 'https://b.example/' });
+  assert.equal(a1.index, 0, 'index is the position in the session, not the window');
+  assert.equal(b1.index, 0);
+
+  // Each session gets its own named group
+  const groupA = tabs.get(a1.tabId).groupId;
+  const groupB = tabs.get(b1.tabId).groupId;
+  assert.notEqual(groupA, -1);
+  assert.notEqual(groupA, groupB);
+  assert.equal(groups.get(groupA).title, 'MCP aaaa1111');
+  assert.equal(groups.get(groupB).title, 'MCP bbbb2222');
+  assert.equal(tabs.get(userTab.id).groupId, -1, 'user tabs are left alone');
+
+  // list/select only see the session's own tabs
+  const listA = await call(SESSION_A, 'tabs.list');
+  assert.deepEqual([...listA.tabs].map((tab) => tab.id), [a1.tabId]);
+  assert.equal(listA.tabs[0].active, true);
+  await assert.rejects(call(SESSION_B, 'tabs.select', { index: 1 }), /No tab 1 in this session/);
+
+  // Adopting a user tab by URL moves it into the session's group
+  const adopted = await call(SESSION_A, 'tabs.adopt', { url: 'mail.example' });
+  assert.equal(adopted.tabId, userTab.id);
+  assert.equal(tabs.get(userTab.id).groupId, groupA);
+  assert.deepEqual([...(await call(SESSION_A, 'tabs.list')).tabs].map((tab) => tab.id), [userTab.id, a1.tabId]);
+  await assert.rejects(call(SESSION_B, 'tabs.adopt', { tabId: a1.tabId }), /belongs to another session/);
+
+  // Closing a tab reports it so the daemon can drop its ownership
+  const closed = await call(SESSION_A, 'tabs.close', { index: 1 });
+  assert.equal(closed.success, true);
+  assert.deepEqual([...closed.releasedTabIds], [String(a1.tabId)]);
+  assert.equal(tabs.has(a1.tabId), false);
+  assert.equal(closed.tabId, userTab.id, 'the session falls back to its remaining tab');
+
+  // Ending sessions ungroups or closes their tabs
+  const endA = await call(SESSION_A, 'session.close', { tabs: 'ungroup' });
+  assert.deepEqual([...endA.releasedTabIds], [String(userTab.id)]);
+  assert.equal(tabs.get(userTab.id).groupId, -1);
+  assert.equal((await call(SESSION_A, 'tabs.list')).tabs.length, 0);
+
+  await call(SESSION_B, 'session.close', { tabs: 'close' });
+  assert.equal(tabs.has(b1.tabId), false);
+  assert.deepEqual([...tabs.keys()], [userTab.id]);
+
+  console.log(green('Session tab group test passed.'));
+}
+
+run().catch((err) => {
+  console.error(red(`Session tab group test failed: ${err.stack || err}`));
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import process from 'node:process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+function loadSnapshotDiff() {
+  const sandbox = {};
+  sandbox.self = sandbox;
+  const code = readFileSync(join(__dirname, '..', 'chrome-extension', 'snapshot-diff.js'), 'utf8');
+  vm.runInNewContext(code, sandbox, { filename: 'snapshot-diff.js' });
+  assert.ok(sandbox.SnapshotDiff, 'snapshot-diff.js did not expose SnapshotDiff');
+  return sandbox.SnapshotDiff;
+}
+
+const BEFORE = [
+  'Page: Login',
+  'URL: https://example.com/login',
+  'main [ref=ref1]',
+  '  input:email [ref=ref2] "Email" [form]',
+  '  button:submit [ref=ref3] "Sign in" [form]',
+  '  a [ref=ref4] "Forgot password?"'
+].join('\n');
+
+const AFTER = [
+  'Page: Login',
+  'URL: https://example.com/login',
+  'main [ref=ref1]',
+  '  input:email [ref=ref2] "user@example.com" [form]',
+  '  button:submit [ref=ref3] "Sign in" [form]',
+  '  div [ref=ref9] "Invalid password"',
+  '--- iframe f2 (https://pay.example.com/) ---',
+  '  input:text [ref=f2:ref1] "Card number"'
+].join('\n');
+
+async function run() {
+  console.log(cyan('Checking snapshot diffing...'));
+  const { diffSnapshots, formatSnapshotDiff } = loadSnapshotDiff();
+
+  // Round-trip through JSON so results from the vm realm compare with deepEqual
+  const diff = JSON.parse(JSON.stringify(diffSnapshots(BEFORE, AFTER)));
+  assert.deepEqual(diff.added.map((n) => n.ref), ['ref9', 'f2:ref1']);
+  assert.deepEqual(diff.removed.map((n) => n.ref), ['ref4']);
+  assert.deepEqual(diff.changed.map((n) => n.ref), ['ref2']);
+  assert.equal(diff.changed[0].before, 'input:email [ref=ref2] "Email" [form]');
+
+  const text = formatSnapshotDiff(diff);
+  assert.match(text, /\+2 added, -1 removed, ~1 changed/);
+  assert.match(text, /^- a \[ref=ref4\]/m);
+
+  assert.equal(diffSnapshots(null, AFTER), null, 'No base snapshot should not diff');
+  assert.equal(
+    diffSnapshots(BEFORE, AFTER.replace('/login', '/home')),
+    null,
+    'Navigation to another URL should not diff'
+  );
+
+  assert.equal(
+    diffSnapshots(AFTER, AFTER.replace('https://pay.example.com/', 'https://pay.example.com/confirm')),
+    null,
+    'Navigation inside an iframe should not diff'
+  );
+
+  // A reload of the same URL restarts ref numbering, so it is not diffed
+  assert.equal(
+    diffSnapshots(BEFORE, AFTER, { before: { 0: 1000.5 }, after: { 0: 2000.25, 2: 2100 } }),
+    null,
+    'A reloaded document should not diff'
+  );
+  assert.ok(
+    diffSnapshots(BEFORE, AFTER, { before: { 0: 1000.5 }, after: { 0: 1000.5, 2: 2100 } }),
+    'The same document, with a new iframe, still diffs'
+  );
+
+  const unchanged = diffSnapshots(BEFORE, BEFORE);
+  assert.match(formatSnapshotDiff(unchanged), /No changes since the last snapshot/);
+
+  console.log(green('Snapshot diff test passed.'));
+}
+
+run().catch((err) => {
+  console.error(red(`Snapshot diff test failed: ${err.stack || err}`));
+  process.exit(1);
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import process from 'node:process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+const TAB = 5;
+
+// Minimal chrome.cookies/tabs/scripting fakes backed by in-memory stores.
+// executeScript runs the injected function against a fake window.
+function loadStorageManager({ tabUrl }) {
+  const cookieJar = [];
+  // Storage items are own enumerable properties, like the real Storage object
+  const makeStore = () => Object.defineProperties({}, {
+    getItem: { value(k) { return Object.hasOwn(this, k) ? this[k] : null; } },
+    setItem: { value(k, v) { this[k] = String(v); } },
+    removeItem: { value(k) { delete this[k]; } },
+    clear: { value() { Object.keys(this).forEach((k) => delete this[k]); } },
+    length: { get() { return Object.keys(this).length; } }
+  });
+  const page = { localStorage: makeStore(), sessionStorage: makeStore() };
+  const set = [];
+
+  const chrome = {
+    tabs: { get: async () => ({ id: TAB, url: tabUrl.value }) },
+    cookies: {
+      getAll: async ({ url, domain, name }) => cookieJar.filter((c) =>
+        (!name || c.name === name) &&
+        (url ? new URL(url).hostname.endsWith(c.domain.replace(/^\./, '')) : c.domain.replace(/^\./, '').endsWith(domain))
+      ),
+      set: async (details) => { set.push(details); return { ...details, domain: details.domain || new URL(details.url).hostname }; },
+      remove: async () => ({})
+    },
+    scripting: {
+      executeScript: async ({ func, args }) => {
+        const fn = vm.runInNewContext(`(${func.toString()})`, { window: page, Object, String });
+        return [{ result: fn(...args) }];
+      }
+    },
+    runtime: {}
+  };
+
+  const sandbox = { console: { log() {} }, chrome, URL };
+  sandbox.self = sandbox;
+  const code = readFileSync(join(__dirname, '..', 'chrome-extension', 'storage-manager.js'), 'utf8');
+  vm.runInNewContext(code, sandbox, { filename: 'storage-manager.js' });
+  return { manager: sandbox.StorageManager, cookieJar, page, set };
+}
+
+async function run() {
+  console.log(cyan('Checking storage snapshot export/restore...'));
+  const tabUrl = { value: 'https://app.example.com/dashboard' };
+  const { manager, cookieJar, page, set } = loadStorageManager({ tabUrl });
+
+  cookieJar.push(
+    { name: 'sid', value: 's3cret', domain: 'app.example.com', path: '/', hostOnly: true, secure: true, httpOnly: true, sameSite: 'lax', session: true },
+    { name: 'pref', value: 'dark', domain: '.example.com', path: '/', hostOnly: false, secure: false, httpOnly: false, sameSite: 'unspecified', session: false, expirationDate: 2000000000 }
+  );
+  page.localStorage.setItem('token', 'abc');
+  page.sessionStorage.setItem('step', '2');
+
+  const state = JSON.parse(JSON.stringify(await manager.exportState(TAB)));
+  assert.equal(state.origin, 'https://app.example.com');
+  assert.deepEqual(state.cookies.map((c) => c.name).sort(), ['pref', 'sid']);
+  assert.deepEqual(state.localStorage, { token: 'abc' });
+  assert.deepEqual(state.sessionStorage, { step: '2' });
+
+  page.localStorage.clear();
+  page.localStorage.setItem('stale', '1');
+  const restored = await manager.importState(TAB, state);
+  assert.equal(restored.cookies, 2);
+  assert.equal(restored.localStorage, 1);
+  assert.deepEqual({ ...page.localStorage }, { token: 'abc' }, 'Restore should replace existing storage');
+
+  // Host-only cookies keep no domain; session cookies get no expiry
+  const sid = set.find((d) => d.name === 'sid');
+  assert.equal(sid.url, 'https://app.example.com/');
+  assert.equal(sid.domain, undefined);
+  assert.equal(sid.expirationDate, undefined);
+  assert.equal(sid.sameSite, 'lax');
+  const pref = set.find((d) => d.name === 'pref');
+  assert.equal(pref.domain, '.example.com');
+  assert.equal(pref.expirationDate, 2000000000);
+  assert.equal(pref.sameSite, undefined);
+
+  // Cookies are restored even when the tab is elsewhere; storage is skipped
+  tabUrl.value = 'https://other.example.org/';
+  const elsewhere = await manager.importState(TAB, state);
+  assert.equal(elsewhere.cookies, 2);
+  assert.match(elsewhere.storageSkipped, /navigate it to https:\/\/app\.example\.com/);
+
+  await assert.rejects(() => manager.getStorage(TAB, 'localStorage', 'https://app.example.com'), /Tab is on https:\/\/other\.example\.org/);
+  await assert.rejects(() => manager.importState(TAB, { origin: 'x' }), /Not a storage snapshot/);
+
+  console.log(green('Storage manager test passed.'));
+}
+
+run().catch((err) => {
+  console.error(red(`Storage manager test failed: ${err.stack || err}`));
+  process.exit(1);
+});
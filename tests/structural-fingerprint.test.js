@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import process from 'node:process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+// Just enough of an element for getStructuralHash
+function el(tagName, attrs = {}, children = []) {
+  return {
+    tagName: tagName.toUpperCase(),
+    children,
+    hasAttribute: (name) => name in attrs,
+    getAttribute: (name) => (name in attrs ? attrs[name] : null)
+  };
+}
+
+// Fake document answering the selectors captureStructuralFingerprint uses
+// plus a few guard selectors; anything else is treated as invalid
+function fakeDocument(containers, controls, guards, markers = []) {
+  return {
+    querySelector(selector) {
+      return markers.some((marker) => selector.includes(marker)) ? {} : null;
+    },
+    querySelectorAll(selector) {
+      if (selector.startsWith('form,')) return containers;
+      if (selector.startsWith('input,')) return controls;
+      if (selector in guards) return new Array(guards[selector]);
+      throw new Error(`'${selector}' is not a valid selector`);
+    }
+  };
+}
+
+function loadFingerprint(document) {
+  const sandbox = {
+    console: { log() {} },
+    document,
+    window: { location: { href: 'https://example.com/login' } }
+  };
+  const code = readFileSync(join(__dirname, '..', 'chrome-extension', 'minimal-enhanced.js'), 'utf8');
+  vm.runInNewContext(code, sandbox, { filename: 'minimal-enhanced.js' });
+  assert.equal(typeof sandbox.captureStructuralFingerprint, 'function', 'captureStructuralFingerprint not defined');
+  return sandbox;
+}
+
+async function run() {
+  console.log(cyan('Checking structural page fingerprints...'));
+
+  const email = el('input', { type: 'email', name: 'email' });
+  const password = el('input', { type: 'password', name: 'password' });
+  const submit = el('button', { type: 'submit' });
+  const form = el('form', {}, [email, password, submit]);
+  const nav = el('nav', { role: 'navigation' }, [el('a'), el('a')]);
+
+  const sandbox = loadFingerprint(fakeDocument(
+    [form, nav],
+    [email, password, submit],
+    { '#login': 1, '.gone': 0 },
+    ['#CybotCookiebotDialog', 'cdn.shopify.com']
+  ));
+
+  // Content is ignored when no name lookup is given, so the hash is structure only
+  assert.equal(
+    sandbox.getStructuralHash(form, { includeContent: false, maxDepth: 1 }),
+    'FORM[INPUT@type@nameINPUT@type@nameBUTTON@type]'
+  );
+
+  // Round-trip through JSON so results from the vm realm compare with deepEqual
+  const fp = JSON.parse(JSON.stringify(sandbox.captureStructuralFingerprint({ selectors: ['#login', '.gone', '[broken'] })));
+  assert.equal(fp.version, 1);
+  assert.equal(fp.url, 'https://example.com/login');
+  assert.equal(fp.elementCount, 5);
+  assert.equal(fp.features['c:input:email'], 1);
+  assert.equal(fp.features['c:input:password'], 1);
+  assert.equal(fp.features['c:button:submit'], 1);
+  assert.equal(Object.keys(fp.features).filter((k) => k.startsWith('s:')).length, 2);
+  assert.deepEqual(fp.selectors, { '#login': 1, '.gone': 0, '[broken': -1 });
+
+  // Traits for cross-site hint search: consent manager, platform and field names
+  assert.deepEqual(fp.traits, { cmp: ['cookiebot'], frameworks: ['shopify'], fields: ['email', 'password'] });
+
+  // The same layout gives the same fingerprint; a redesign changes the structure features
+  const again = JSON.parse(JSON.stringify(sandbox.captureStructuralFingerprint()));
+  assert.deepEqual(again.features, fp.features);
+
+  const redesigned = loadFingerprint(fakeDocument([el('main', {}, [el('div'), el('div')])], [email], {}));
+  const changed = JSON.parse(JSON.stringify(redesigned.captureStructuralFingerprint()));
+  const shared = Object.keys(changed.features).filter((k) => k in fp.features);
+  assert.deepEqual(shared, ['c:input:email']);
+
+  console.log(green('Structural fingerprint test passed.'));
+}
+
+run().catch((err) => {
+  console.error(red(`Structural fingerprint test failed: ${err.stack || err}`));
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import process from 'node:process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const green = (text) => `\x1b[32m${text}\x1b[0m`;
+const red = (text) => `\x1b[31m${text}\x1b[0m`;
+const cyan = (text) => `\x1b[36m${text}\x1b[0m`;
+
+function loadTrustedInput(extraFiles = [], chrome) {
+  const sandbox = { console: { log() {}, warn() {}, error() {} }, setTimeout, clearTimeout, chrome };
+  sandbox.self = sandbox;
+  sandbox.globalThis = sandbox;
+  for (const file of [...extraFiles, 'trusted-click.js']) {
+    vm.runInNewContext(readFileSync(join(__dirname, '..', 'chrome-extension', file), 'utf8'), sandbox, { filename: file });
+  }
+  assert.ok(sandbox.TrustedInput, 'trusted-click.js did not expose TrustedInput');
+  return sandbox;
+}
+
+// chrome.debugger as Chrome behaves: attaching over any existing debugger
+// fails, and only our own attachment can send commands
+function fakeChrome(tab) {
+  const listener = { addListener() {} };
+  const chrome = { runtime: { lastError: undefined }, tabs: { onRemoved: listener } };
+  const reply = (callback, error, result = {}) => {
+    chrome.runtime.lastError = error ? { message: error } : undefined;
+    callback(result);
+    chrome.runtime.lastError = undefined;
+  };
+  chrome.debugger = {
+    onEvent: listener,
+    onDetach: listener,
+    attach(_target, _version, callback) {
+      if (tab.ours || tab.devtools) return reply(callback, 'Another debugger is already attached to the tab with id: 1.');
+      tab.ours = true;
+      reply(callback);
+    },
+    detach(_target, callback) {
+      tab.ours = false;
+      reply(callback);
+    },
+    sendCommand(_target, method, params, callback) {
+      if (!tab.ours) return reply(callback, 'Debugger is not attached to the tab with id: 1.');
+      if (method.startsWith('Input.')) {
+        if (tab.failInput) return reply(callback, 'Target closed');
+        tab.sent.push(params.type);
+      }
+      reply(callback);
+    }
+  };
+  return chrome;
+}
+
+// Virtual key codes Chrome uses for navigation and editing keys
+const EDITING_KEY_CODES = new Set([8, 9, 13, 27, 33, 34, 35, 36, 37, 38, 39, 40, 45, 46]);
+
+async function run() {
+  console.log(cyan('Checking trusted key definitions...'));
+  const { TrustedInput } = loadTrustedInput();
+  const describe = (key) => JSON.parse(JSON.stringify(TrustedInput.describeKey(key)));
+
+  assert.deepEqual(describe('a'), { key: 'a', code: 'KeyA', windowsVirtualKeyCode: 65, text: 'a' });
+  assert.deepEqual(describe('Q'), { key: 'Q', code: 'KeyQ', windowsVirtualKeyCode: 81, text: 'Q' });
+  assert.deepEqual(describe('7'), { key: '7', code: 'Digit7', windowsVirtualKeyCode: 55, text: '7' });
+  assert.deepEqual(describe('%'), { key: '%', code: 'Digit5', windowsVirtualKeyCode: 53, text: '%' });
+  assert.deepEqual(describe('.'), { key: '.', code: 'Period', windowsVirtualKeyCode: 190, text: '.' });
+  assert.deepEqual(describe('-'), { key: '-', code: 'Minus', windowsVirtualKeyCode: 189, text: '-' });
+  assert.deepEqual(describe('\\'), { key: '\\', code: 'Backslash', windowsVirtualKeyCode: 220, text: '\\' });
+  assert.equal(describe('ArrowLeft').windowsVirtualKeyCode, 37);
+
+  // Every printable character the type loop sends gets a code and a non-editing key code
+  for (let c = 0x21; c <= 0x7e; c++) {
+    const key = String.fromCharCode(c);
+    const def = describe(key);
+    assert.ok(def.code, `no code for ${key}`);
+    assert.equal(def.text, key);
+    assert.ok(!EDITING_KEY_CODES.has(def.windowsVirtualKeyCode), `${key} maps to editing key ${def.windowsVirtualKeyCode}`);
+  }
+  assert.throws(() => TrustedInput.describeKey('é'), /Unsupported key/);
+
+  console.log(cyan('Checking which failures allow a synthetic fallback...'));
+  // No manager: nothing was dispatched, fallback is safe
+  await assert.rejects(loadTrustedInput().TrustedInput.pressKey(1, 'Enter'), (err) => err.debuggerUnavailable === true);
+
+  const tab = { ours: false, devtools: true, failInput: false, sent: [] };
+  const sandbox = loadTrustedInput(['debugger-state-manager.js'], fakeChrome(tab));
+  const manager = sandbox.__debuggerStateManager;
+
+  // DevTools holds the tab: the attach is refused and nothing is dispatched
+  await assert.rejects(
+    sandbox.TrustedInput.pressKey(1, 'Enter'),
+    (err) => err.debuggerUnavailable === true && /Another debugger \(such as DevTools\)/.test(err.message)
+  );
+  assert.equal(manager.isAttached(1), false);
+  assert.deepEqual(tab.sent, []);
+
+  // Our own attachment the manager lost track of is reused
+  tab.devtools = false;
+  tab.ours = true;
+  await sandbox.TrustedInput.pressKey(1, 'Enter');
+  assert.deepEqual(tab.sent.splice(0), ['keyDown', 'keyUp']);
+
+  // Failures once attached are not marked, so they are never repeated synthetically
+  tab.failInput = true;
+  await assert.rejects(sandbox.TrustedInput.pressKey(1, 'Enter'), (err) => !err.debuggerUnavailable && /Target closed/.test(err.message));
+  assert.equal(tab.ours, false, 'detaches after a failed dispatch');
+
+  tab.failInput = false;
+  await sandbox.TrustedInput.pressKey(1, '%');
+  assert.deepEqual(tab.sent, ['keyDown', 'keyUp']);
+
+  console.log(green('Trusted input test passed.'));
+}
+
+run().catch((err) => {
+  console.error(red(`Trusted input test failed: ${err.stack || err}`));
+  process.exit(1);
+});
@@ -2,6 +2,9 @@
 
 import assert from 'node:assert/strict';
 import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
 import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { setTimeout as wait } from 'node:timers/promises';
@@ -73,9 +76,14 @@ async function run() {
   const serverPath = join(__dirname, '..', 'dist', 'index-http.js');
   const daemonPath = join(__dirname, '..', 'dist', 'daemon', 'websocket-daemon.js');
 
+  // Keep the daemon's saved sessions and event log out of the real ~/.browsermcp
+  const stateDir = mkdtempSync(join(tmpdir(), 'browsermcp-state-'));
   const daemon = spawn('node', [daemonPath], {
     env: {
       ...process.env,
+      BROWSERMCP_DISABLE_AUTH: '1',
+      BROWSER_MCP_STATE_FILE: join(stateDir, 'daemon-state.json'),
+      BROWSER_MCP_EVENT_LOG: '/dev/null',
       BROWSER_MCP_DAEMON_PORT: String(daemonPort),
       BROWSER_MCP_HTTP_URL: `http://127.0.0.1:${httpPort}`
     },
@@ -88,6 +96,7 @@ async function run() {
   const server = spawn('node', [serverPath, '--port', String(httpPort)], {
     env: {
       ...process.env,
+      BROWSERMCP_DISABLE_AUTH: '1',
       BROWSER_MCP_DAEMON_URL: `http://127.0.0.1:${daemonPort}`,
       BROWSER_MCP_ENABLE_DEBUG: '1'
     },
@@ -97,9 +106,15 @@ async function run() {
   server.stderr.on('data', (chunk) => serverLogs.push(chunk.toString()));
   server.stdout.on('data', (chunk) => serverLogs.push(chunk.toString()));
 
-  const cleanup = () => {
-    daemon.kill();
+  const cleanup = async () => {
     server.kill();
+    // The daemon saves its state as it shuts down, so wait before removing it
+    if (daemon.exitCode === null && daemon.signalCode === null) {
+      const exited = once(daemon, 'exit');
+      daemon.kill();
+      await exited;
+    }
+    rmSync(stateDir, { recursive: true, force: true });
   };
 
   try {
@@ -164,11 +179,11 @@ async function run() {
       console.error(red('Daemon logs:'));
       console.error(daemonLogs.join(''));
     }
-    cleanup();
+    await cleanup();
     process.exit(1);
   }
 
-  cleanup();
+  await cleanup();
 }
 
 run();
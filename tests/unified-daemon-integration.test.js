@@ -2,6 +2,9 @@
 
 import assert from 'node:assert/strict';
 import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
 import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { setTimeout as wait } from 'node:timers/promises';
@@ -68,9 +71,14 @@ async function run() {
   const daemonPort = 4600 + Math.floor(Math.random() * 100);
   const daemonPath = join(__dirname, '..', 'dist', 'daemon', 'websocket-daemon.js');
 
+  // Keep the daemon's saved sessions and event log out of the real ~/.browsermcp
+  const stateDir = mkdtempSync(join(tmpdir(), 'browsermcp-state-'));
   const daemon = spawn('node', [daemonPath], {
     env: {
       ...process.env,
+      BROWSERMCP_DISABLE_AUTH: '1',
+      BROWSER_MCP_STATE_FILE: join(stateDir, 'daemon-state.json'),
+      BROWSER_MCP_EVENT_LOG: '/dev/null',
       BROWSER_MCP_DAEMON_PORT: String(daemonPort),
       BROWSER_MCP_HTTP_URL: 'http://127.0.0.1:1' // unused in this test
     },
@@ -81,7 +89,15 @@ async function run() {
   daemon.stderr.on('data', (chunk) => daemonLogs.push(chunk.toString()));
   daemon.stdout.on('data', (chunk) => daemonLogs.push(chunk.toString()));
 
-  const cleanup = () => daemon.kill();
+  const cleanup = async () => {
+    // The daemon saves its state as it shuts down, so wait before removing it
+    if (daemon.exitCode === null && daemon.signalCode === null) {
+      const exited = once(daemon, 'exit');
+      daemon.kill();
+      await exited;
+    }
+    rmSync(stateDir, { recursive: true, force: true });
+  };
 
   try {
     await waitForHealth(`http://127.0.0.1:${daemonPort}/health`);
@@ -135,11 +151,11 @@ async function run() {
       console.error(red('Daemon logs:'));
       console.error(daemonLogs.join(''));
     }
-    cleanup();
+    await cleanup();
     process.exit(1);
   }
 
-  cleanup();
+  await cleanup();
 }
 
 run();